@@ -0,0 +1,5 @@
+// Used by Jest only: tests run the ESM sources as CommonJS so jest.mock can hoist
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  plugins: ['./tests/babelImportMeta.cjs']
+};
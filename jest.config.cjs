@@ -0,0 +1,8 @@
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/tests'],
+  testMatch: ['**/*.test.js'],
+  transform: { '\\.js$': 'babel-jest' },
+  // Tool modules are imported by file URL (toolRegistry.js)
+  moduleNameMapper: { '^file://(.*)$': '$1' }
+};
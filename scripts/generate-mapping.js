@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Generate semantic mapping files from the Oracle data dictionary
+ *
+ * Usage: npm run generate-mapping -- --owner <OWNER> --tables <TABLE,...> [--dir <folder>] [--datasource <name>] [--dry-run] [--force]
+ *
+ * Writes <table>.json per table to the folder (default: SEMANTIC_MAPPINGS_DIR,
+ * else src/schemas). Existing files are merged, keeping hand-written
+ * descriptions and templates. Connects to the default datasource, or with
+ * --datasource to a named one (recorded in the mapping); .env is loaded.
+ * A result with violations is not written unless --force is given.
+ */
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { initPool, closePool } from '../src/oracle.js';
+import { generateMappingFile } from '../src/mappingGenerator.js';
+import { getDatasourceConfigs, getDefaultDatasource } from '../src/datasources.js';
+
+dotenv.config();
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+function usage(message) {
+  console.error(`${message}\n\nUsage: npm run generate-mapping -- --owner <OWNER> --tables <TABLE,...> [--dir <folder>] [--datasource <name>] [--dry-run] [--force]`);
+  process.exit(2);
+}
+
+async function main() {
+  let options;
+  try {
+    ({ values: options } = parseArgs({
+      options: {
+        owner: { type: 'string' },
+        tables: { type: 'string' },
+        dir: { type: 'string' },
+        datasource: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        force: { type: 'boolean', default: false }
+      }
+    }));
+  } catch (error) {
+    usage(error.message);
+  }
+
+  const tables = (options.tables || '').split(',').map(table => table.trim()).filter(Boolean);
+  if (!options.owner || tables.length === 0) {
+    usage('--owner and --tables are required');
+  }
+  const dir = resolve(options.dir || process.env.SEMANTIC_MAPPINGS_DIR || join(__dirname, '../src/schemas'));
+
+  const datasource = options.datasource || getDefaultDatasource();
+  const config = getDatasourceConfigs().find(entry => entry.name === datasource);
+  if (!config) {
+    usage(`Unknown datasource ${datasource}`);
+  }
+  if (config.missing.length > 0) {
+    usage(`Datasource ${datasource} is missing ${config.missing.join(', ')}`);
+  }
+  await initPool(config);
+
+  let failed = 0;
+  try {
+    for (const table of tables) {
+      try {
+        const result = await generateMappingFile(options.owner, table, {
+          dir,
+          dryRun: options['dry-run'],
+          datasource: options.datasource,
+          force: options.force
+        });
+        let action = result.created ? 'created' : 'updated';
+        if (options['dry-run']) {
+          action = 'would write';
+        } else if (!result.written) {
+          action = 'not written (invalid; fix the violations or use --force)';
+        }
+        console.log(`${action} ${result.file}`);
+        if (result.addedColumns.length > 0) console.log(`  added columns: ${result.addedColumns.join(', ')}`);
+        if (result.removedColumns.length > 0) console.log(`  removed columns: ${result.removedColumns.join(', ')}`);
+        if (result.skippedColumns.length > 0) console.log(`  skipped columns (not plain identifiers): ${result.skippedColumns.join(', ')}`);
+        for (const violation of result.violations) {
+          console.log(`  invalid: ${violation.path} ${violation.message}`);
+        }
+        if (result.violations.length > 0) failed++;
+      } catch (error) {
+        failed++;
+        console.error(`failed ${options.owner}.${table}: ${error.message}`);
+      }
+    }
+  } finally {
+    await closePool();
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
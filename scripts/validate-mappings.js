@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Validate semantic mapping files
+ *
+ * Usage: npm run validate-mappings [-- <schemas folder>]
+ *
+ * Checks every *.json file in the folder (default: SEMANTIC_MAPPINGS_DIR, else
+ * src/schemas) against the mapping meta-schema - the same checks the server
+ * applies at load time - and exits with status 1 if any file is invalid.
+ */
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { validateMappingFiles } from '../src/util/mappingValidator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+async function main() {
+  const dir = resolve(process.argv[2] || process.env.SEMANTIC_MAPPINGS_DIR || join(__dirname, '../src/schemas'));
+
+  let results;
+  try {
+    results = await validateMappingFiles(dir);
+  } catch (error) {
+    console.error(`Cannot read schemas folder ${dir}: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (results.length === 0) {
+    console.error(`No mapping files found in ${dir}`);
+    process.exit(1);
+  }
+
+  let invalid = 0;
+  for (const result of results) {
+    if (result.violations.length === 0) {
+      console.log(`ok      ${result.file} (${result.tableName})`);
+      continue;
+    }
+    invalid++;
+    console.log(`invalid ${result.file}`);
+    for (const violation of result.violations) {
+      console.log(`          ${violation.path} ${violation.message}`);
+    }
+  }
+
+  console.log(`\n${results.length - invalid} of ${results.length} mapping files valid`);
+  process.exit(invalid > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,56 @@
+import { logger } from './logger.js';
+import { mcpAuth, requireScope, ADMIN_SCOPE } from './auth.js';
+import { reloadSemanticMappings } from './tools/getSemanticMappings.js';
+
+/**
+ * Admin endpoints
+ *
+ * Authenticated like /mcp (MCP_AUTH_MODE) and restricted to principals with
+ * the "admin" scope - unauthenticated development mode doesn't get access.
+ */
+
+/**
+ * Reload semantic mappings from the schemas folder
+ * Responds with the reload report: which files loaded, which were skipped and
+ * why (and whether their last good version was kept), and which were removed.
+ */
+async function reloadMappingsHandler(req, res) {
+  try {
+    const report = await reloadSemanticMappings();
+
+    logger.info('Semantic mappings reloaded via admin endpoint', {
+      principal: req.principal?.name,
+      loaded: report.loaded.length,
+      skipped: report.skipped.length,
+      removed: report.removed.length
+    });
+
+    res.status(report.error ? 500 : 200).json({
+      status: report.error ? 'error' : 'ok',
+      ...report
+    });
+  } catch (error) {
+    logger.error('Semantic mapping reload failed', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Register the admin endpoints
+ * @param {Express} app - Express application instance
+ */
+export function registerAdminEndpoints(app) {
+  const guard = [mcpAuth, requireScope(ADMIN_SCOPE)];
+
+  app.post('/admin/mappings/reload', ...guard, reloadMappingsHandler);
+
+  logger.info('Admin endpoints registered', { endpoints: ['/admin/mappings/reload'], scope: ADMIN_SCOPE });
+}
+
+export default {
+  registerAdminEndpoints
+};
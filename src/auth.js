@@ -1,47 +1,466 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { readFile } from 'fs/promises';
 import { logger } from './logger.js';
+import { JSONRPC_ERRORS, errorResponse } from './util/jsonRpc.js';
+import { SUPPORTED_ALGORITHMS, isJwt, loadJwksFile, verifyJwt } from './util/jwt.js';
+import { buildWwwAuthenticate, getScopeToolMap, getToolsForScopes } from './oauth.js';
+
+// Authentication modes accepted in MCP_AUTH_MODE
+const AUTH_MODES = ['api-key', 'jwt'];
+
+// Scope that allows runQuery to execute statements other than plain queries
+export const SQL_WRITE_SCOPE = 'sql:write';
+
+// Scope required by the /admin endpoints
+export const ADMIN_SCOPE = 'admin';
+
+// Cache for API keys loaded from MCP_API_KEYS_FILE
+let API_KEYS = null;
+let loadPromise = null;
+
+// Cache for JWT verification settings and keys
+let JWT_CONFIG = null;
+let jwtLoadPromise = null;
 
 /**
- * API Key authentication middleware for MCP endpoint
- * Supports multiple authentication header formats:
- * - x-mcp-api-key header (preferred for MCP)
- * - x-api-key header (alternative/common format)
- * - Authorization: Bearer <key> (standard HTTP auth)
- * 
- * If MCP_API_KEY is not set, allows requests in development mode but logs a warning
+ * API keys file format (MCP_API_KEYS_FILE):
+ *
+ *   {
+ *     "keys": [
+ *       {
+ *         "name": "telnyx-agent",                 // principal name, used in audit logs
+ *         "hash": "sha256:<hex digest of key>",   // never the plain key
+ *         "tools": ["searchPatients"],            // optional, omit for all tools
+ *         "scopes": ["patients:read"],            // optional
+ *         "expiresAt": "2026-12-31T00:00:00Z",    // optional
+ *         "rateLimit": { "rpm": 60, "burst": 10 }, // optional, see rateLimiter.js
+ *         "enabled": true                         // optional, defaults to true
+ *       }
+ *     ]
+ *   }
+ */
+
+/**
+ * Hash an API key for storage in the keys file
+ * @param {string} key - Plain API key
+ * @returns {string} - "sha256:<hex digest>"
+ */
+export function hashApiKey(key) {
+  return `sha256:${createHash('sha256').update(String(key), 'utf8').digest('hex')}`;
+}
+
+/**
+ * Validate one entry of the keys file
+ * @param {Object} entry - Raw key entry
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {Object} - Normalized key entry with the digest as a Buffer
+ * @throws {Error} - If the entry is malformed
+ */
+function parseKeyEntry(entry, index) {
+  const label = entry?.name ? `"${entry.name}"` : `#${index}`;
+
+  if (!entry || typeof entry.name !== 'string' || entry.name.trim().length === 0) {
+    throw new Error(`Invalid API key entry ${label}: name is required`);
+  }
+
+  const match = typeof entry.hash === 'string' ? /^sha256:([0-9a-f]{64})$/i.exec(entry.hash) : null;
+  if (!match) {
+    throw new Error(`Invalid API key entry ${label}: hash must be "sha256:<64 hex characters>"`);
+  }
+
+  for (const field of ['tools', 'scopes']) {
+    if (entry[field] !== undefined && (!Array.isArray(entry[field]) || entry[field].some(value => typeof value !== 'string'))) {
+      throw new Error(`Invalid API key entry ${label}: ${field} must be an array of strings`);
+    }
+  }
+
+  let expiresAt = null;
+  if (entry.expiresAt !== undefined && entry.expiresAt !== null) {
+    expiresAt = Date.parse(entry.expiresAt);
+    if (isNaN(expiresAt)) {
+      throw new Error(`Invalid API key entry ${label}: expiresAt must be an ISO 8601 date`);
+    }
+  }
+
+  if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+    throw new Error(`Invalid API key entry ${label}: enabled must be a boolean`);
+  }
+
+  if (entry.rateLimit !== undefined) {
+    const { rpm, burst } = entry.rateLimit || {};
+    const isCount = value => value === undefined || (Number.isInteger(value) && value >= 0);
+    if (!entry.rateLimit || typeof entry.rateLimit !== 'object' || !isCount(rpm) || !isCount(burst)) {
+      throw new Error(`Invalid API key entry ${label}: rateLimit must be { rpm, burst } with non-negative integers`);
+    }
+  }
+
+  return {
+    name: entry.name.trim(),
+    digest: Buffer.from(match[1], 'hex'),
+    tools: entry.tools || null,
+    scopes: entry.scopes || [],
+    expiresAt,
+    enabled: entry.enabled !== false,
+    rateLimit: entry.rateLimit || null
+  };
+}
+
+/**
+ * Load API keys from MCP_API_KEYS_FILE, plus the legacy single MCP_API_KEY
+ * @returns {Promise<Array<Object>>} - Key entries (empty if none configured)
+ * @throws {Error} - If the keys file can't be read or is malformed
  */
-export function mcpApiKeyAuth(req, res, next) {
-  const apiKey = process.env.MCP_API_KEY;
+export async function loadApiKeys() {
+  // Return cached keys if already loaded
+  if (API_KEYS !== null) {
+    return API_KEYS;
+  }
+
+  // If already loading, wait for that promise
+  if (loadPromise) {
+    return loadPromise;
+  }
+
+  loadPromise = (async () => {
+    try {
+      const keys = [];
+      const keysFile = process.env.MCP_API_KEYS_FILE;
+
+      if (keysFile) {
+        const content = JSON.parse(await readFile(keysFile, 'utf8'));
+        const entries = Array.isArray(content) ? content : content.keys;
+        if (!Array.isArray(entries)) {
+          throw new Error('API keys file must contain a "keys" array');
+        }
+
+        entries.forEach((entry, index) => {
+          const key = parseKeyEntry(entry, index);
+          if (keys.some(existing => existing.name === key.name)) {
+            throw new Error(`Duplicate API key name "${key.name}"`);
+          }
+          keys.push(key);
+        });
+      }
+
+      // Single shared key: full access, kept for existing deployments
+      // Its name can't also be used in the keys file, or the two would share a principal
+      if (process.env.MCP_API_KEY) {
+        if (keys.some(key => key.name === 'default')) {
+          throw new Error('API key name "default" is reserved for MCP_API_KEY; rename the keys file entry');
+        }
+        keys.push(parseKeyEntry({ name: 'default', hash: hashApiKey(process.env.MCP_API_KEY) }, keys.length));
+      }
+
+      API_KEYS = keys;
+
+      logger.info('API keys loaded', {
+        keysFile: keysFile || null,
+        keys: keys.map(key => key.name)
+      });
+
+      return API_KEYS;
+    } catch (error) {
+      loadPromise = null;
+      logger.error('Failed to load API keys', { error: error.message });
+      throw error;
+    }
+  })();
+
+  return loadPromise;
+}
+
+/**
+ * Find the key entry matching a presented API key
+ * Every configured key is compared (in constant time) so the response time
+ * doesn't reveal which key, if any, matched.
+ * @param {Array<Object>} keys - Key entries
+ * @param {string} providedKey - API key from the request
+ * @returns {Object|null} - Matching key entry
+ */
+function findApiKey(keys, providedKey) {
+  const digest = createHash('sha256').update(String(providedKey), 'utf8').digest();
+  let found = null;
+
+  for (const key of keys) {
+    if (timingSafeEqual(digest, key.digest) && !found) {
+      found = key;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Build the principal attached to authenticated requests
+ * @param {Object} key - Key entry
+ * @returns {Object} - { type, name, tools, scopes, rateLimit? }
+ */
+function createPrincipal(key) {
+  const principal = {
+    type: 'api-key',
+    name: key.name,
+    tools: key.tools,
+    scopes: key.scopes
+  };
+  if (key.rateLimit) {
+    principal.rateLimit = key.rateLimit;
+  }
+  return principal;
+}
+
+/**
+ * Check whether a principal may use a tool
+ * Principals without a tool list (or no principal at all) may use every tool.
+ * @param {Object} principal - Authenticated principal
+ * @param {string} toolName - Tool name
+ * @returns {boolean}
+ */
+export function isToolAllowed(principal, toolName) {
+  if (!principal || !Array.isArray(principal.tools)) {
+    return true;
+  }
+  return principal.tools.includes(toolName);
+}
+
+/**
+ * Check whether a principal has been granted a scope
+ * Unlike tool access, scopes are never implied: principals without scopes have none.
+ * @param {Object} principal - Authenticated principal
+ * @param {string} scope - Scope name (e.g. SQL_WRITE_SCOPE)
+ * @returns {boolean}
+ */
+export function hasScope(principal, scope) {
+  return Array.isArray(principal?.scopes) && principal.scopes.includes(scope);
+}
+
+/**
+ * Get the configured authentication modes for /mcp
+ * MCP_AUTH_MODE: "api-key" (default), "jwt", or "api-key,jwt" to accept either
+ * @returns {Array<string>} Enabled modes
+ * @throws {Error} - If an unknown mode is configured
+ */
+export function getAuthModes() {
+  const modes = parseList(process.env.MCP_AUTH_MODE || 'api-key');
+  const unknown = modes.filter(mode => !AUTH_MODES.includes(mode));
+  if (modes.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid MCP_AUTH_MODE: ${process.env.MCP_AUTH_MODE}. Use ${AUTH_MODES.join(', ')} or a comma-separated combination`);
+  }
+  return modes;
+}
+
+/**
+ * Check whether JWT (OAuth) authentication is enabled
+ * @returns {boolean}
+ */
+export function isOAuthEnabled() {
+  try {
+    return getAuthModes().includes('jwt');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse a comma-separated environment variable
+ * @param {string} value - Environment variable value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Load JWT verification settings and keys from the environment
+ * - JWT_JWKS_FILE: local JWKS file with RS256/ES256 public keys (or oct keys)
+ * - JWT_SECRET: shared secret for HS256
+ * - JWT_ALGORITHMS, JWT_ISSUER, JWT_AUDIENCE: comma-separated accepted values
+ *   (JWT_AUDIENCE defaults to MCP_RESOURCE_URL, see oauth.js)
+ * - JWT_CLOCK_SKEW: tolerance in seconds for exp/nbf (default: 60)
+ * - JWT_TENANT_CLAIM: claim holding the tenant (default: tenant)
+ * @returns {Promise<Object>} Verification settings
+ * @throws {Error} - If no key material is configured or the JWKS file is invalid
+ */
+export async function loadJwtConfig() {
+  // Return cached settings if already loaded
+  if (JWT_CONFIG !== null) {
+    return JWT_CONFIG;
+  }
+
+  // If already loading, wait for that promise
+  if (jwtLoadPromise) {
+    return jwtLoadPromise;
+  }
+
+  jwtLoadPromise = (async () => {
+    try {
+      const jwksFile = process.env.JWT_JWKS_FILE;
+      const secret = process.env.JWT_SECRET || null;
+
+      if (!jwksFile && !secret) {
+        throw new Error('JWT authentication requires JWT_JWKS_FILE or JWT_SECRET');
+      }
+
+      const algorithms = parseList(process.env.JWT_ALGORITHMS);
+      const unsupported = algorithms.filter(alg => !SUPPORTED_ALGORITHMS.includes(alg));
+      if (unsupported.length > 0) {
+        throw new Error(`Unsupported JWT_ALGORITHMS: ${unsupported.join(', ')}`);
+      }
+
+      const config = {
+        keys: jwksFile ? await loadJwksFile(jwksFile) : [],
+        secret,
+        algorithms: algorithms.length > 0 ? algorithms : SUPPORTED_ALGORITHMS,
+        issuers: parseList(process.env.JWT_ISSUER),
+        audiences: parseList(process.env.JWT_AUDIENCE || process.env.MCP_RESOURCE_URL),
+        clockSkew: parseInt(process.env.JWT_CLOCK_SKEW || '60'),
+        tenantClaim: process.env.JWT_TENANT_CLAIM || 'tenant'
+      };
+
+      // Without them any token signed by a configured key would be accepted,
+      // including ones the issuer minted for other services
+      if (config.issuers.length === 0) {
+        throw new Error('JWT authentication requires JWT_ISSUER');
+      }
+      if (config.audiences.length === 0) {
+        throw new Error('JWT authentication requires JWT_AUDIENCE or MCP_RESOURCE_URL');
+      }
+
+      JWT_CONFIG = config;
+
+      logger.info('JWT verification configured', {
+        jwksFile: jwksFile || null,
+        keys: config.keys.map(key => key.kid),
+        sharedSecret: !!secret,
+        algorithms: config.algorithms,
+        issuers: config.issuers,
+        audiences: config.audiences
+      });
+
+      return JWT_CONFIG;
+    } catch (error) {
+      jwtLoadPromise = null;
+      logger.error('Failed to load JWT configuration', { error: error.message });
+      throw error;
+    }
+  })();
+
+  return jwtLoadPromise;
+}
+
+/**
+ * Load everything the configured authentication modes need
+ * Called at startup so a broken keys file or JWKS stops the server.
+ * @returns {Promise<Object>} { modes, apiKeys: string[] }
+ */
+export async function initAuth() {
+  const modes = getAuthModes();
+  const apiKeys = modes.includes('api-key') ? await loadApiKeys() : [];
+  if (modes.includes('jwt')) {
+    await loadJwtConfig();
+    getScopeToolMap();
+  }
+  return {
+    modes,
+    apiKeys: apiKeys.map(key => key.name)
+  };
+}
+
+/**
+ * Drop cached API keys and JWT settings so the next request reloads them
+ */
+export function clearAuthCache() {
+  API_KEYS = null;
+  loadPromise = null;
+  JWT_CONFIG = null;
+  jwtLoadPromise = null;
+}
+
+/**
+ * Build the principal for a verified token
+ * The tools it may use follow from its scopes (MCP_SCOPE_TOOLS, see oauth.js).
+ * @param {Object} payload - Verified JWT payload
+ * @param {Object} config - JWT settings
+ * @returns {Object} - { type, name, subject, issuer, tenant, tools, scopes }
+ */
+function createJwtPrincipal(payload, config) {
+  // scope is a space-separated string (RFC 8693); some issuers use an scp array
+  const scopes = typeof payload.scope === 'string'
+    ? payload.scope.split(' ').filter(Boolean)
+    : (Array.isArray(payload.scp) ? payload.scp : []);
+
+  return {
+    type: 'jwt',
+    name: payload.sub,
+    subject: payload.sub,
+    issuer: payload.iss || null,
+    tenant: payload[config.tenantClaim] ?? null,
+    tools: getToolsForScopes(scopes),
+    scopes
+  };
+}
+
+/**
+ * Get the bearer token from the Authorization header
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const authorization = req.headers.authorization;
+  return authorization && authorization.startsWith('Bearer ') ? authorization.substring(7) : null;
+}
+
+/**
+ * Build a failed authentication result
+ * @param {string} message - Error message returned to the client
+ * @param {number} status - HTTP status (default: 401)
+ * @param {string} oauthError - RFC 6750 error code for the WWW-Authenticate header
+ * @returns {Object} - { status, code, message, oauthError }
+ */
+function authFailure(message, status = 401, oauthError = null) {
+  return {
+    status,
+    code: status === 401 ? JSONRPC_ERRORS.UNAUTHORIZED : JSONRPC_ERRORS.INTERNAL_ERROR,
+    message,
+    oauthError
+  };
+}
+
+/**
+ * Authenticate a request with an API key
+ * @param {Object} req - Express request
+ * @param {boolean} allowAnonymous - Allow requests when no key is configured (development mode)
+ * @returns {Promise<Object>} - { principal } or a failure from authFailure
+ */
+async function authenticateApiKey(req, allowAnonymous) {
   const isProduction = process.env.NODE_ENV === 'production';
 
+  let keys;
+  try {
+    keys = await loadApiKeys();
+  } catch (error) {
+    return authFailure('Server configuration error: API keys could not be loaded', 500);
+  }
+
   // In production, API key is required
-  if (!apiKey) {
+  if (keys.length === 0 && allowAnonymous) {
     if (isProduction) {
-      logger.error('MCP_API_KEY not set in production - rejecting request', {
+      logger.error('No API keys configured in production - rejecting request', {
         path: req.path,
         ip: req.ip
       });
-      return res.status(500).json({
-        jsonrpc: '2.0',
-        error: {
-          code: -32603,
-          message: 'Server configuration error: API key not configured'
-        }
-      });
+      return authFailure('Server configuration error: API key not configured', 500);
     }
     // Development mode: allow but warn
-    logger.warn('MCP_API_KEY not set - allowing unauthenticated requests (development mode only)', {
+    logger.warn('No API keys configured - allowing unauthenticated requests (development mode only)', {
       path: req.path,
       ip: req.ip
     });
-    return next();
+    return { principal: { type: 'anonymous', name: 'anonymous', tools: null, scopes: [] } };
   }
 
   // Check for API key in headers (try multiple header formats)
-  const providedKey = req.headers['x-mcp-api-key'] || 
+  const providedKey = req.headers['x-mcp-api-key'] ||
                      req.headers['x-api-key'] ||
-                     (req.headers.authorization && req.headers.authorization.startsWith('Bearer ') 
-                       ? req.headers.authorization.substring(7) 
-                       : null);
+                     getBearerToken(req);
 
   if (!providedKey) {
     logger.warn('MCP request missing API key', {
@@ -49,47 +468,182 @@ export function mcpApiKeyAuth(req, res, next) {
       ip: req.ip,
       headers: Object.keys(req.headers)
     });
-    return res.status(401).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32001,
-        message: 'Unauthorized: Missing API key. Provide x-mcp-api-key, x-api-key header, or Authorization: Bearer <key>'
-      }
-    });
+    return authFailure(
+      'Unauthorized: Missing API key. Provide x-mcp-api-key, x-api-key header, or Authorization: Bearer <key>');
   }
 
-  if (providedKey !== apiKey) {
+  const key = findApiKey(keys, providedKey);
+
+  if (!key) {
     logger.warn('MCP request with invalid API key', {
       path: req.path,
       ip: req.ip
     });
-    return res.status(401).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32001,
-        message: 'Unauthorized: Invalid API key'
-      }
+    return authFailure('Unauthorized: Invalid API key');
+  }
+
+  if (!key.enabled) {
+    logger.warn('MCP request with disabled API key', { key: key.name, path: req.path, ip: req.ip });
+    return authFailure('Unauthorized: API key is disabled');
+  }
+
+  if (key.expiresAt !== null && key.expiresAt <= Date.now()) {
+    logger.warn('MCP request with expired API key', { key: key.name, path: req.path, ip: req.ip });
+    return authFailure('Unauthorized: API key has expired');
+  }
+
+  return { principal: createPrincipal(key) };
+}
+
+/**
+ * Authenticate a request with a JWT bearer token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { principal } or a failure from authFailure
+ */
+async function authenticateJwt(req) {
+  let config;
+  try {
+    config = await loadJwtConfig();
+  } catch (error) {
+    return authFailure('Server configuration error: JWT verification is not configured', 500);
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    logger.warn('MCP request missing bearer token', { path: req.path, ip: req.ip });
+    return authFailure('Unauthorized: Missing bearer token. Provide Authorization: Bearer <token>');
+  }
+
+  try {
+    const payload = verifyJwt(token, config);
+    if (typeof payload.sub !== 'string' || payload.sub.length === 0) {
+      return authFailure('Unauthorized: Token has no sub claim', 401, 'invalid_token');
+    }
+    return { principal: createJwtPrincipal(payload, config) };
+  } catch (error) {
+    logger.warn('MCP request with invalid bearer token', {
+      path: req.path,
+      ip: req.ip,
+      reason: error.code || 'UNKNOWN',
+      error: error.message
     });
+    return authFailure(`Unauthorized: ${error.message}`, 401, 'invalid_token');
+  }
+}
+
+/**
+ * Finish an authentication attempt: attach the principal or send the error
+ * With challenge set (JWT authentication enabled), 401s carry a WWW-Authenticate
+ * header pointing at the protected-resource metadata so OAuth clients can
+ * discover the authorization server.
+ */
+function completeAuth(result, req, res, next, challenge = false) {
+  if (!result.principal) {
+    if (result.status === 401 && challenge) {
+      res.set('WWW-Authenticate', buildWwwAuthenticate(req, {
+        error: result.oauthError,
+        description: result.oauthError ? result.message : undefined
+      }));
+    }
+    return res.status(result.status).json(errorResponse(undefined, result.code, result.message));
   }
 
-  // API key is valid
-  logger.debug('MCP request authenticated', { ip: req.ip });
+  req.principal = result.principal;
+  logger.debug('MCP request authenticated', {
+    principal: result.principal.name,
+    type: result.principal.type,
+    ip: req.ip
+  });
   next();
 }
 
 /**
- * Optional JWT authentication stub (for future implementation)
- * Currently not used but provided as a placeholder
+ * API Key authentication middleware for MCP endpoint
+ * Supports multiple authentication header formats:
+ * - x-mcp-api-key header (preferred for MCP)
+ * - x-api-key header (alternative/common format)
+ * - Authorization: Bearer <key> (standard HTTP auth)
+ *
+ * Keys come from MCP_API_KEYS_FILE (named keys with tool permissions, expiry and
+ * an enabled flag) and/or MCP_API_KEY (single full-access key named "default").
+ * The authenticated principal is attached as req.principal.
+ *
+ * If no key is configured, allows requests in development mode but logs a warning
  */
-export function jwtAuth(req, res, next) {
-  // TODO: Implement JWT validation if needed
-  // This is a placeholder for future JWT-based authentication
-  logger.debug('JWT auth stub called (not implemented)');
-  next();
+export async function mcpApiKeyAuth(req, res, next) {
+  completeAuth(await authenticateApiKey(req, true), req, res, next);
+}
+
+/**
+ * JWT bearer authentication middleware
+ * Verifies the token's signature (see loadJwtConfig for key sources) and its
+ * iss/aud/exp/nbf claims, then attaches a principal built from sub, scope and
+ * the tenant claim as req.principal.
+ */
+export async function jwtAuth(req, res, next) {
+  completeAuth(await authenticateJwt(req), req, res, next, true);
+}
+
+/**
+ * Authentication middleware for /mcp, selected by MCP_AUTH_MODE
+ * With both modes enabled, a bearer token that looks like a JWT is verified
+ * as one; x-mcp-api-key/x-api-key headers and other bearer values are
+ * treated as API keys.
+ */
+export async function mcpAuth(req, res, next) {
+  let modes;
+  try {
+    modes = getAuthModes();
+  } catch (error) {
+    logger.error('Invalid authentication configuration', { error: error.message });
+    return completeAuth(authFailure('Server configuration error: invalid authentication mode', 500), req, res, next);
+  }
+
+  if (modes.length === 1) {
+    return modes[0] === 'jwt' ? jwtAuth(req, res, next) : mcpApiKeyAuth(req, res, next);
+  }
+
+  const hasApiKeyHeader = !!(req.headers['x-mcp-api-key'] || req.headers['x-api-key']);
+  const useJwt = !hasApiKeyHeader && isJwt(getBearerToken(req));
+
+  completeAuth(useJwt ? await authenticateJwt(req) : await authenticateApiKey(req, false), req, res, next, true);
+}
+
+/**
+ * Middleware that only lets principals with a scope through
+ * Runs after an authentication middleware (req.principal must be set).
+ * @param {string} scope - Required scope (e.g. ADMIN_SCOPE)
+ * @returns {Function} Express middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.principal, scope)) {
+      return next();
+    }
+    logger.warn('Request missing required scope', {
+      principal: req.principal?.name,
+      scope,
+      path: req.path,
+      ip: req.ip
+    });
+    res.status(403).json(errorResponse(undefined, JSONRPC_ERRORS.FORBIDDEN, `Forbidden: requires scope ${scope}`));
+  };
 }
 
 export default {
+  mcpAuth,
   mcpApiKeyAuth,
-  jwtAuth
+  jwtAuth,
+  initAuth,
+  getAuthModes,
+  isOAuthEnabled,
+  loadApiKeys,
+  loadJwtConfig,
+  clearAuthCache,
+  hashApiKey,
+  isToolAllowed,
+  hasScope,
+  requireScope,
+  SQL_WRITE_SCOPE,
+  ADMIN_SCOPE
 };
-
@@ -0,0 +1,155 @@
+import { logger } from './logger.js';
+
+/**
+ * Datasource configuration
+ *
+ * Each datasource is a named Oracle connection pool with its own credentials
+ * and pool sizes:
+ * - "default" comes from ORACLE_USER, ORACLE_PASS and ORACLE_CONN
+ * - ORACLE_DATASOURCES lists more names (e.g. "replica,clinic2"), each read
+ *   from ORACLE_<NAME>_USER, ORACLE_<NAME>_PASS and ORACLE_<NAME>_CONN, with
+ *   optional ORACLE_<NAME>_POOL_MIN / _POOL_MAX / _POOL_INCREMENT /
+ *   _POOL_TIMEOUT (default: the ORACLE_POOL_* settings) and
+ *   ORACLE_<NAME>_SESSION_INIT_SQL (default: ORACLE_SESSION_INIT_SQL)
+ *
+ * A query runs on, in order of precedence: the datasource a tool was asked
+ * for (its datasource argument), the one declared by the semantic mapping of
+ * the table it reads ("datasource" in the mapping file), the tool's route in
+ * ORACLE_TOOL_DATASOURCES (e.g. {"listTables":"replica"}), and otherwise
+ * ORACLE_DEFAULT_DATASOURCE (default: "default", or the first listed datasource
+ * without ORACLE_CONN). A requested datasource must be where the mapped table
+ * lives or one of the mapping's replica_datasources.
+ */
+
+// The datasource configured by ORACLE_USER / ORACLE_PASS / ORACLE_CONN
+export const DEFAULT_DATASOURCE = 'default';
+
+// Datasource names are used in env variable names and metric labels
+export const DATASOURCE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Read the pool settings of a datasource
+ * @param {string} prefix - Env prefix (ORACLE or ORACLE_<NAME>)
+ * @returns {Object} { poolMin, poolMax, poolIncrement, poolTimeout }
+ */
+function getPoolSettings(prefix) {
+  const setting = (name, fallback) => parseInt(process.env[`${prefix}_${name}`] || process.env[`ORACLE_${name}`] || fallback);
+  return {
+    poolMin: setting('POOL_MIN', '2'),
+    poolMax: setting('POOL_MAX', '10'),
+    poolIncrement: setting('POOL_INCREMENT', '1'),
+    poolTimeout: setting('POOL_TIMEOUT', '60')
+  };
+}
+
+/**
+ * Split ORACLE_DATASOURCES into valid and invalid names
+ * @returns {Object} { valid: string[], invalid: string[] }
+ */
+function parseDatasourceList() {
+  const names = (process.env.ORACLE_DATASOURCES || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  return {
+    valid: names.filter(name => DATASOURCE_NAME_PATTERN.test(name)),
+    invalid: names.filter(name => !DATASOURCE_NAME_PATTERN.test(name))
+  };
+}
+
+/**
+ * Get the names of the configured datasources
+ * @returns {Array<string>} "default" first (if ORACLE_CONN is set), then ORACLE_DATASOURCES
+ */
+export function getDatasourceNames() {
+  const names = process.env.ORACLE_CONN ? [DEFAULT_DATASOURCE] : [];
+  return Array.from(new Set([...names, ...parseDatasourceList().valid]));
+}
+
+/**
+ * Get the configuration of every datasource
+ * @returns {Array<Object>} [{ name, user, password, connectionString, poolMin, poolMax,
+ *   poolIncrement, poolTimeout, sessionInitSql, missing: string[] }] - missing lists unset env variables
+ */
+export function getDatasourceConfigs() {
+  const { invalid } = parseDatasourceList();
+  if (invalid.length > 0) {
+    logger.warn('Ignoring invalid datasource names in ORACLE_DATASOURCES', { names: invalid });
+  }
+
+  return getDatasourceNames().map(name => {
+    const prefix = name === DEFAULT_DATASOURCE ? 'ORACLE' : `ORACLE_${name.toUpperCase()}`;
+    const variables = { user: `${prefix}_USER`, password: `${prefix}_PASS`, connectionString: `${prefix}_CONN` };
+    return {
+      name,
+      user: process.env[variables.user],
+      password: process.env[variables.password],
+      connectionString: process.env[variables.connectionString],
+      ...getPoolSettings(prefix),
+      sessionInitSql: process.env[`${prefix}_SESSION_INIT_SQL`] || process.env.ORACLE_SESSION_INIT_SQL || null,
+      missing: Object.values(variables).filter(variable => !process.env[variable])
+    };
+  });
+}
+
+/**
+ * Get the datasource used when nothing else selects one
+ * @returns {string} ORACLE_DEFAULT_DATASOURCE, else the first configured datasource
+ */
+export function getDefaultDatasource() {
+  return process.env.ORACLE_DEFAULT_DATASOURCE || getDatasourceNames()[0] || DEFAULT_DATASOURCE;
+}
+
+/**
+ * Get the datasource a tool is routed to by ORACLE_TOOL_DATASOURCES
+ * @param {string} tool - Tool name
+ * @returns {string|null}
+ */
+export function getToolDatasource(tool) {
+  if (!tool || !process.env.ORACLE_TOOL_DATASOURCES) {
+    return null;
+  }
+  try {
+    const routes = JSON.parse(process.env.ORACLE_TOOL_DATASOURCES);
+    return typeof routes?.[tool] === 'string' ? routes[tool] : null;
+  } catch (error) {
+    logger.warn('Ignoring invalid ORACLE_TOOL_DATASOURCES', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Check that a caller may run on the datasource it asked for
+ * Each mapped table read must live there (its mapping's datasource, else the
+ * tool's route or the default datasource) or list it in replica_datasources,
+ * so a caller can't point a mapping at a database holding other data.
+ * @param {string} requested - Datasource argument of the call (may be undefined)
+ * @param {Array<Object>} mappings - Mappings of the tables the call reads
+ * @param {string} tool - Tool name
+ * @throws {Error} - With code DATASOURCE_NOT_ALLOWED
+ */
+export function assertDatasourceAllowed(requested, mappings, tool) {
+  if (!requested) {
+    return;
+  }
+  for (const mapping of mappings) {
+    const allowed = [
+      mapping.datasource || getToolDatasource(tool) || getDefaultDatasource(),
+      ...(mapping.replica_datasources || [])
+    ];
+    if (!allowed.includes(requested)) {
+      const error = new Error(
+        `Datasource ${requested} is not allowed for table ${mapping.tableName} (allowed: ${allowed.join(', ')})`
+      );
+      error.code = 'DATASOURCE_NOT_ALLOWED';
+      throw error;
+    }
+  }
+}
+
+export default {
+  DEFAULT_DATASOURCE,
+  DATASOURCE_NAME_PATTERN,
+  getDatasourceNames,
+  getDatasourceConfigs,
+  getDefaultDatasource,
+  getToolDatasource,
+  assertDatasourceAllowed
+};
@@ -0,0 +1,218 @@
+import oracledb from 'oracledb';
+import { logger } from './logger.js';
+
+/**
+ * LOB handling for query results
+ *
+ * CLOB/NCLOB values are returned as strings, BLOB/BFILE values as metadata
+ * ({ type, length, mimeType }) or base64. Only a prefix of each LOB is ever
+ * read (lob.getData with an amount), so memory stays bounded whatever the LOB
+ * size:
+ * - LOB_MAX_CHARS: characters of a CLOB returned; longer values are cut and end
+ *   with a truncation marker (default: 32768)
+ * - LOB_BLOB_MODE: metadata | base64 (default: metadata)
+ * - LOB_MAX_BYTES: bytes of a BLOB returned in base64 mode (default: 65536)
+ * - LOB_MAX_TOTAL_BYTES: LOB data read per result; once used up, remaining LOBs
+ *   are returned as metadata (default: 8388608)
+ *
+ * Columns can override the mode and caps from their semantic mapping with an
+ * "x-mcp-lob" key in schema.properties:
+ *
+ *   "EXT_NOTES": { "type": "string", "x-mcp-lob": { "mode": "text", "maxChars": 200000 } }
+ *   "SCAN": { "x-mcp-lob": { "mode": "base64", "maxBytes": 1048576 } }
+ *
+ * mode is text (CLOBs only), metadata or base64 (BLOBs only).
+ */
+
+// Modes a column may ask for
+export const LOB_MODES = ['text', 'metadata', 'base64'];
+
+// Bytes read to detect a BLOB's MIME type
+const SNIFF_BYTES = 512;
+
+// Magic numbers, checked in order
+const MIME_SIGNATURES = [
+  { mimeType: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/tiff', offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimeType: 'application/dicom', offset: 128, bytes: [0x44, 0x49, 0x43, 0x4d] },
+  { mimeType: 'application/zip', offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/gzip', offset: 0, bytes: [0x1f, 0x8b] },
+  { mimeType: 'application/rtf', offset: 0, bytes: [0x7b, 0x5c, 0x72, 0x74, 0x66] },
+  { mimeType: 'application/xml', offset: 0, bytes: [0x3c, 0x3f, 0x78, 0x6d, 0x6c] }
+];
+
+/**
+ * Get the LOB settings from the environment
+ * @returns {Object} { maxChars, blobMode, maxBytes, maxTotalBytes }
+ */
+export function getLobConfig() {
+  return {
+    maxChars: parseInt(process.env.LOB_MAX_CHARS || '32768'),
+    blobMode: process.env.LOB_BLOB_MODE === 'base64' ? 'base64' : 'metadata',
+    maxBytes: parseInt(process.env.LOB_MAX_BYTES || '65536'),
+    maxTotalBytes: parseInt(process.env.LOB_MAX_TOTAL_BYTES || '8388608')
+  };
+}
+
+/**
+ * Get the LOB overrides declared by a mapping's columns
+ * @param {Object} mapping - Table mapping (may be null)
+ * @returns {Object} Column name -> x-mcp-lob settings
+ */
+export function getLobOverrides(mapping) {
+  const overrides = {};
+  for (const [column, property] of Object.entries(mapping?.schema?.properties || {})) {
+    if (property && typeof property['x-mcp-lob'] === 'object') {
+      overrides[column.toUpperCase()] = property['x-mcp-lob'];
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Detect the MIME type of binary data from its first bytes
+ * @param {Buffer} buffer - Start of the data
+ * @returns {string} MIME type, application/octet-stream if unknown
+ */
+export function detectMimeType(buffer) {
+  const match = MIME_SIGNATURES.find(signature =>
+    buffer.length >= signature.offset + signature.bytes.length &&
+    signature.bytes.every((byte, index) => buffer[signature.offset + index] === byte)
+  );
+  return match ? match.mimeType : 'application/octet-stream';
+}
+
+/**
+ * Check whether a value is an oracledb Lob
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isLob(value) {
+  return Boolean(value && typeof value === 'object' && value.constructor && value.constructor.name === 'Lob');
+}
+
+/**
+ * Check whether a Lob holds characters
+ * @param {Object} lob - oracledb Lob
+ * @returns {boolean}
+ */
+function isCharacterLob(lob) {
+  return lob.type === oracledb.DB_TYPE_CLOB || lob.type === oracledb.DB_TYPE_NCLOB;
+}
+
+/**
+ * Read the first characters or bytes of a Lob
+ * @param {Object} lob - oracledb Lob
+ * @param {number} amount - Characters (CLOB) or bytes (BLOB) to read
+ * @returns {Promise<string|Buffer>}
+ */
+async function readPrefix(lob, amount) {
+  if (amount <= 0) {
+    return isCharacterLob(lob) ? '' : Buffer.alloc(0);
+  }
+  // Without an amount getData would read the whole LOB
+  return lob.getData(1, amount);
+}
+
+/**
+ * Convert a Lob to a JSON-friendly value
+ * @param {Object} lob - oracledb Lob
+ * @param {Object} settings - { mode, maxChars, maxBytes } for this column
+ * @param {Object} budget - { remaining } bytes left for this result (decremented)
+ * @returns {Promise<string|Object>} String for CLOBs in text mode, otherwise an
+ *   object { type, length, mimeType?, encoding?, data?, truncated?, omitted? }
+ */
+export async function readLob(lob, settings, budget) {
+  const characters = isCharacterLob(lob);
+  const type = characters ? (lob.type === oracledb.DB_TYPE_NCLOB ? 'NCLOB' : 'CLOB') : (lob.type === oracledb.DB_TYPE_BFILE ? 'BFILE' : 'BLOB');
+  const length = lob.length;
+  const mode = settings.mode || (characters ? 'text' : settings.blobMode);
+
+  try {
+    if (characters && mode === 'text') {
+      // Up to 4 bytes per character in UTF-8
+      const amount = Math.min(length, settings.maxChars, Math.floor(budget.remaining / 4));
+      if (amount < Math.min(length, settings.maxChars)) {
+        return { type, length, omitted: 'result LOB size limit reached' };
+      }
+      const text = await readPrefix(lob, amount);
+      budget.remaining -= Buffer.byteLength(text);
+      return length > amount ? `${text}\n[truncated: ${amount} of ${length} characters]` : text;
+    }
+
+    if (characters) {
+      return { type, length };
+    }
+    if (mode !== 'base64') {
+      const head = await readPrefix(lob, Math.min(length, SNIFF_BYTES));
+      return { type, length, mimeType: detectMimeType(head) };
+    }
+
+    // base64
+    const amount = Math.min(length, settings.maxBytes);
+    if (amount > budget.remaining) {
+      const head = await readPrefix(lob, Math.min(length, SNIFF_BYTES));
+      return { type, length, mimeType: detectMimeType(head), omitted: 'result LOB size limit reached' };
+    }
+    const data = await readPrefix(lob, amount);
+    budget.remaining -= data.length;
+    return {
+      type,
+      length,
+      mimeType: detectMimeType(data),
+      encoding: 'base64',
+      data: data.toString('base64'),
+      truncated: length > amount
+    };
+  } finally {
+    lob.destroy();
+  }
+}
+
+/**
+ * Replace the Lobs in result rows with their values
+ * Must run before the connection is released.
+ * @param {Array<Object>} rows - Rows with outFormat OBJECT
+ * @param {Object} overrides - Column name -> x-mcp-lob settings (see getLobOverrides)
+ * @returns {Promise<Array<Object>>} Rows with LOB values converted
+ */
+export async function convertLobs(rows, overrides = {}) {
+  const config = getLobConfig();
+  const budget = { remaining: config.maxTotalBytes };
+  let omitted = 0;
+
+  const converted = [];
+  for (const row of rows) {
+    const processed = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (!isLob(value)) {
+        processed[key] = value;
+        continue;
+      }
+      processed[key] = await readLob(value, { ...config, ...overrides[key.toUpperCase()] }, budget);
+      if (processed[key]?.omitted) {
+        omitted++;
+      }
+    }
+    converted.push(processed);
+  }
+
+  if (omitted > 0) {
+    logger.warn('LOB values omitted from result', { omitted, maxTotalBytes: config.maxTotalBytes });
+  }
+  return converted;
+}
+
+export default {
+  LOB_MODES,
+  getLobConfig,
+  getLobOverrides,
+  detectMimeType,
+  isLob,
+  readLob,
+  convertLobs
+};
@@ -54,5 +54,15 @@ export const logger = winston.createLogger({
 logger.exceptions.handle(fileTransport);
 logger.rejections.handle(fileTransport);
 
+/**
+ * Send all console log output to stderr
+ * Required in stdio transport mode, where stdout carries the MCP protocol
+ */
+export function redirectConsoleToStderr() {
+  consoleTransport.stderrLevels = Object.fromEntries(
+    Object.keys(logger.levels).map(level => [level, true])
+  );
+}
+
 export default logger;
 
@@ -0,0 +1,281 @@
+import { logger } from './logger.js';
+import { getTableMapping, getMappedTables } from './tools/getSemanticMappings.js';
+import { describeTable } from './tools/getSchema.js';
+import { validateIdentifier } from './util/validators.js';
+import { getFriendlyColumns } from './util/friendlyFields.js';
+
+/**
+ * Drift between semantic mappings and the live Oracle dictionary
+ *
+ * Each mapped table is described with the same all_tab_columns / user_tab_columns
+ * queries as getSchema and compared with the mapping's schema.properties:
+ * - missingColumns: mapped columns the table doesn't have
+ * - unmappedColumns: table columns the mapping doesn't declare
+ * - mismatches: mapped type/format/maxLength that can't hold the column's
+ *   data type, and nullability that disagrees with schema.required
+ * - missingReferencedColumns: columns the mapping's friendly search fields
+ *   (mcp_friendly_fields) use that the table doesn't have
+ *
+ * The last report is kept for /health.
+ */
+
+// Oracle data types each mapped JSON type may stand for
+const STRING_TYPES = ['VARCHAR2', 'NVARCHAR2', 'CHAR', 'NCHAR', 'CLOB', 'NCLOB', 'LONG', 'ROWID', 'UROWID'];
+const NUMBER_TYPES = ['NUMBER', 'FLOAT', 'BINARY_FLOAT', 'BINARY_DOUBLE'];
+const DATE_TYPES = ['DATE', 'TIMESTAMP', 'TIMESTAMP WITH TIME ZONE', 'TIMESTAMP WITH LOCAL TIME ZONE'];
+
+// Oracle types whose DATA_LENGTH is a character/byte limit comparable with maxLength
+const SIZED_TYPES = ['VARCHAR2', 'NVARCHAR2', 'CHAR', 'NCHAR'];
+
+// Report of the last check
+let lastReport = null;
+
+/**
+ * Normalize an Oracle DATA_TYPE, e.g. "TIMESTAMP(6) WITH TIME ZONE" -> "TIMESTAMP WITH TIME ZONE"
+ * @param {string} dataType - DATA_TYPE from the dictionary
+ * @returns {string}
+ */
+function baseType(dataType) {
+  return String(dataType || '').replace(/\(\d+\)/g, '').trim().toUpperCase();
+}
+
+/**
+ * Get the maximum length in characters of a character column
+ * CHAR_LENGTH is the declared length; DATA_LENGTH is in bytes.
+ * @param {Object} column - Column from describeTable
+ * @returns {number}
+ */
+function maxChars(column) {
+  return column.charLength || column.length;
+}
+
+/**
+ * Describe an Oracle column type for reports, e.g. VARCHAR2(100) or NUMBER(10,2)
+ * @param {Object} column - Column from describeTable
+ * @returns {string}
+ */
+function formatOracleType(column) {
+  const type = baseType(column.type);
+  if (SIZED_TYPES.includes(type)) {
+    return `${type}(${maxChars(column)})`;
+  }
+  if (type === 'NUMBER' && column.precision !== null && column.precision !== undefined) {
+    return column.scale ? `NUMBER(${column.precision},${column.scale})` : `NUMBER(${column.precision})`;
+  }
+  return type;
+}
+
+/**
+ * Check whether a mapped column definition can hold an Oracle column
+ * @param {Object} property - Column's JSON schema in schema.properties
+ * @param {Object} column - Column from describeTable
+ * @returns {boolean}
+ */
+function isCompatibleType(property, column) {
+  const type = baseType(column.type);
+  const types = (Array.isArray(property.type) ? property.type : [property.type]).filter(t => t && t !== 'null');
+
+  // Untyped columns accept anything
+  if (types.length === 0) {
+    return true;
+  }
+
+  return types.some(jsonType => {
+    switch (jsonType) {
+      case 'integer':
+        return type === 'NUMBER' && !column.scale;
+      case 'number':
+        return NUMBER_TYPES.includes(type);
+      case 'boolean':
+        return type === 'BOOLEAN' || type === 'NUMBER' || type === 'CHAR' || type === 'VARCHAR2';
+      case 'string':
+        if (property.format === 'date' || property.format === 'date-time') {
+          return DATE_TYPES.includes(type);
+        }
+        return STRING_TYPES.includes(type) || DATE_TYPES.includes(type);
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Compare a mapping with the columns of its table
+ * @param {Object} mapping - Table mapping (schema.properties, schema.required)
+ * @param {Array<Object>} columns - Columns from describeTable
+ * @param {Object} referencedColumns - Referencing name (e.g. mcp_friendly_fields.phone) -> column names
+ * @returns {Object} { missingColumns, unmappedColumns, mismatches, missingReferencedColumns }
+ */
+export function compareMapping(mapping, columns, referencedColumns = {}) {
+  const properties = mapping.schema?.properties || {};
+  const required = new Set((mapping.schema?.required || []).map(name => name.toUpperCase()));
+  const actual = new Map(columns.map(column => [column.name, column]));
+  const mapped = new Map(Object.entries(properties).map(([name, property]) => [name.toUpperCase(), property]));
+
+  const missingColumns = Array.from(mapped.keys()).filter(name => !actual.has(name));
+  const unmappedColumns = columns.map(column => column.name).filter(name => !mapped.has(name));
+  const mismatches = [];
+
+  for (const [name, property] of mapped) {
+    const column = actual.get(name);
+    if (!column) {
+      continue;
+    }
+
+    if (!isCompatibleType(property, column)) {
+      const mappedType = [].concat(property.type).join('|') + (property.format ? ` (${property.format})` : '');
+      mismatches.push({ column: name, field: 'type', mapped: mappedType, actual: formatOracleType(column) });
+    }
+
+    if (property.maxLength !== undefined && SIZED_TYPES.includes(baseType(column.type)) && property.maxLength > maxChars(column)) {
+      mismatches.push({ column: name, field: 'maxLength', mapped: property.maxLength, actual: maxChars(column) });
+    }
+
+    const mappedNullable = !required.has(name);
+    if (mappedNullable !== column.nullable) {
+      mismatches.push({
+        column: name,
+        field: 'nullable',
+        mapped: mappedNullable ? 'optional' : 'required',
+        actual: column.nullable ? 'NULL' : 'NOT NULL'
+      });
+    }
+  }
+
+  const missingReferencedColumns = [];
+  for (const [usedBy, names] of Object.entries(referencedColumns)) {
+    for (const name of names) {
+      if (!actual.has(name.toUpperCase())) {
+        missingReferencedColumns.push({ column: name.toUpperCase(), usedBy });
+      }
+    }
+  }
+
+  return { missingColumns, unmappedColumns, mismatches, missingReferencedColumns };
+}
+
+/**
+ * Check one mapped table against the dictionary
+ * @param {Object} mapping - Table mapping
+ * @returns {Promise<Object>} Table entry of the drift report
+ */
+async function checkTable(mapping) {
+  const table = mapping.oracleSchema ? `${mapping.oracleSchema}.${mapping.tableName}` : mapping.tableName;
+
+  try {
+    const tableName = validateIdentifier(mapping.tableName);
+    const schema = mapping.oracleSchema ? validateIdentifier(mapping.oracleSchema) : null;
+    const { columns } = await describeTable(tableName, schema, mapping.datasource || undefined);
+
+    if (columns.length === 0) {
+      return {
+        table,
+        status: 'drift',
+        exists: false,
+        missingColumns: Object.keys(mapping.schema?.properties || {}),
+        unmappedColumns: [],
+        mismatches: [],
+        missingReferencedColumns: []
+      };
+    }
+
+    const referenced = Object.fromEntries(Object.entries(getFriendlyColumns(mapping))
+      .map(([field, fieldColumns]) => [`mcp_friendly_fields.${field}`, fieldColumns]));
+    const drift = compareMapping(mapping, columns, referenced);
+    const drifted = drift.missingColumns.length > 0 || drift.unmappedColumns.length > 0 ||
+      drift.mismatches.length > 0 || drift.missingReferencedColumns.length > 0;
+
+    return { table, status: drifted ? 'drift' : 'ok', exists: true, ...drift };
+  } catch (error) {
+    logger.error('Mapping drift check failed for table', { table, error: error.message });
+    return { table, status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Check semantic mappings against the live dictionary
+ * @param {Object} options
+ * @param {string} options.tableName - Only check this mapped table (optionally schema-qualified)
+ * @returns {Promise<Object>} Report: { checkedAt, status: ok|drift|error, tables: [...],
+ *   summary: { tables, drifted, errors } }
+ * @throws {Error} - With code MAPPING_NOT_FOUND if tableName isn't mapped
+ */
+export async function runDriftCheck({ tableName } = {}) {
+  let mappings;
+  if (tableName) {
+    const mapping = await getTableMapping(tableName);
+    if (!mapping) {
+      const error = new Error(`No semantic mapping found for table: ${tableName}`);
+      error.code = 'MAPPING_NOT_FOUND';
+      throw error;
+    }
+    mappings = [mapping];
+  } else {
+    const tables = await getMappedTables();
+    mappings = await Promise.all(tables.map(entry => getTableMapping(entry.tableName)));
+  }
+
+  const tables = [];
+  for (const mapping of mappings) {
+    tables.push(await checkTable(mapping));
+  }
+
+  const summary = {
+    tables: tables.length,
+    drifted: tables.filter(entry => entry.status === 'drift').length,
+    errors: tables.filter(entry => entry.status === 'error').length
+  };
+  const report = {
+    checkedAt: new Date().toISOString(),
+    status: summary.errors > 0 ? 'error' : (summary.drifted > 0 ? 'drift' : 'ok'),
+    tables,
+    summary
+  };
+
+  for (const entry of tables.filter(table => table.status === 'drift')) {
+    logger.warn('Semantic mapping drifted from the database', {
+      table: entry.table,
+      exists: entry.exists,
+      missingColumns: entry.missingColumns,
+      unmappedColumns: entry.unmappedColumns.length,
+      mismatches: entry.mismatches.map(mismatch => `${mismatch.column}.${mismatch.field}`),
+      missingReferencedColumns: entry.missingReferencedColumns.map(ref => `${ref.usedBy}:${ref.column}`)
+    });
+  }
+
+  // Only a full check describes the state of all mappings
+  if (!tableName) {
+    lastReport = report;
+  }
+  return report;
+}
+
+/**
+ * Get a summary of the last full drift check for /health
+ * @returns {Object} { status: unchecked|ok|drift|error, checkedAt?, driftedTables?, failedTables? }
+ */
+export function getDriftStatus() {
+  if (!lastReport) {
+    return { status: 'unchecked' };
+  }
+  return {
+    status: lastReport.status,
+    checkedAt: lastReport.checkedAt,
+    driftedTables: lastReport.tables.filter(entry => entry.status === 'drift').map(entry => entry.table),
+    failedTables: lastReport.tables.filter(entry => entry.status === 'error').map(entry => entry.table)
+  };
+}
+
+/**
+ * Forget the last drift report
+ */
+export function resetDriftStatus() {
+  lastReport = null;
+}
+
+export default {
+  compareMapping,
+  runDriftCheck,
+  getDriftStatus,
+  resetDriftStatus
+};
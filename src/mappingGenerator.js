@@ -0,0 +1,346 @@
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { executeQuery } from './oracle.js';
+import { logger } from './logger.js';
+import { describeTable } from './tools/getSchema.js';
+import { validateIdentifier } from './util/validators.js';
+import { validateMapping } from './util/mappingValidator.js';
+
+/**
+ * Semantic mapping generation from the Oracle data dictionary
+ *
+ * Builds a mapping file (see src/schemas/patient_master.json) for a table from
+ * ALL_TAB_COLUMNS, ALL_COL_COMMENTS, ALL_TAB_COMMENTS and its constraints:
+ * - schema.properties: one entry per column, typed from its data type, with
+ *   maxLength for character columns, enum from single-column IN (...) check
+ *   constraints and the column comment as description
+ * - schema.required: NOT NULL columns
+ * - mcp_sql_templates: select_all, and select_by_id on the primary key
+ *
+ * When the file exists, the result is merged into it: hand-written descriptions,
+ * formats, enums, examples and LOB overrides, extra templates and other keys are
+ * kept, while columns, types, lengths and required follow the dictionary.
+ */
+
+// Column definition keys kept from an existing file when merging
+const PRESERVED_COLUMN_KEYS = ['description', 'format', 'enum', 'pattern', 'examples', 'x-mcp-lob'];
+
+// Oracle data types by mapped JSON type (others, e.g. BLOB or XMLTYPE, are left untyped)
+const STRING_TYPES = ['VARCHAR2', 'NVARCHAR2', 'CHAR', 'NCHAR', 'CLOB', 'NCLOB', 'LONG', 'ROWID', 'UROWID'];
+const SIZED_TYPES = ['VARCHAR2', 'NVARCHAR2', 'CHAR', 'NCHAR'];
+const NUMBER_TYPES = ['NUMBER', 'FLOAT', 'BINARY_FLOAT', 'BINARY_DOUBLE'];
+
+// Single-column check constraint of the form COL IN ('A', 'B', ...)
+const IN_LIST_CHECK = /^\s*"?([A-Za-z][A-Za-z0-9_$#]*)"?\s+IN\s*\(((?:\s*(?:'(?:[^']|'')*'|-?\d+(?:\.\d+)?)\s*,?)+)\)\s*$/i;
+
+/**
+ * Read what the generator needs to know about a table
+ * @param {string} owner - Validated, uppercase owner
+ * @param {string} tableName - Validated, uppercase table name
+ * @param {string} datasource - Datasource to read from (default: the default datasource)
+ * @returns {Promise<Object>} { owner, tableName, comment, columns, primaryKeys, comments, enums }
+ *   (columns as returned by describeTable; comments and enums keyed by column)
+ * @throws {Error} - With code TABLE_NOT_FOUND if the table has no columns visible to the user
+ */
+export async function readTableDictionary(owner, tableName, datasource) {
+  const commentsSql = `
+    SELECT column_name, comments
+    FROM all_col_comments
+    WHERE owner = '${owner}' AND table_name = '${tableName}' AND comments IS NOT NULL
+  `;
+  const tableCommentSql = `
+    SELECT comments
+    FROM all_tab_comments
+    WHERE owner = '${owner}' AND table_name = '${tableName}'
+  `;
+  const checksSql = `
+    SELECT search_condition
+    FROM all_constraints
+    WHERE owner = '${owner}' AND table_name = '${tableName}'
+      AND constraint_type = 'C' AND status = 'ENABLED'
+  `;
+
+  const [{ columns, primaryKeys }, commentsResult, tableCommentResult, checksResult] = await Promise.all([
+    describeTable(tableName, owner, datasource),
+    executeQuery(commentsSql, {}, { maxRows: 1000, datasource }),
+    executeQuery(tableCommentSql, {}, { maxRows: 1, datasource }),
+    executeQuery(checksSql, {}, { maxRows: 1000, datasource })
+  ]);
+
+  if (columns.length === 0) {
+    const error = new Error(`Table ${owner}.${tableName} not found (or not visible to the connected user)`);
+    error.code = 'TABLE_NOT_FOUND';
+    throw error;
+  }
+
+  const enums = {};
+  for (const row of checksResult.rows) {
+    const parsed = parseInListCheck(row.SEARCH_CONDITION);
+    if (parsed) {
+      enums[parsed.column] = parsed.values;
+    }
+  }
+
+  return {
+    owner,
+    tableName,
+    comment: tableCommentResult.rows[0]?.COMMENTS || null,
+    columns,
+    primaryKeys,
+    comments: Object.fromEntries(commentsResult.rows.map(row => [row.COLUMN_NAME, row.COMMENTS])),
+    enums
+  };
+}
+
+/**
+ * Parse a COL IN (...) check constraint
+ * @param {string} condition - SEARCH_CONDITION of the constraint
+ * @returns {Object|null} { column, values } or null for any other condition
+ */
+function parseInListCheck(condition) {
+  const match = IN_LIST_CHECK.exec(condition || '');
+  if (!match) {
+    return null;
+  }
+
+  const values = [];
+  const literal = /'((?:[^']|'')*)'|(-?\d+(?:\.\d+)?)/g;
+  let item;
+  while ((item = literal.exec(match[2])) !== null) {
+    values.push(item[1] !== undefined ? item[1].replace(/''/g, "'") : Number(item[2]));
+  }
+  return { column: match[1].toUpperCase(), values };
+}
+
+/**
+ * Build the JSON schema of a column
+ * @param {Object} column - Column from describeTable
+ * @param {string|undefined} comment - Column comment
+ * @param {Array|undefined} values - Allowed values from a check constraint
+ * @returns {Object} Column definition for schema.properties
+ */
+function buildColumn(column, comment, values) {
+  const type = String(column.type).replace(/\(\d+\)/g, '').toUpperCase();
+  const definition = {};
+
+  if (NUMBER_TYPES.includes(type)) {
+    definition.type = type === 'NUMBER' && column.scale === 0 ? 'integer' : 'number';
+  } else if (type === 'DATE' || type.startsWith('TIMESTAMP')) {
+    definition.type = 'string';
+    definition.format = 'date-time';
+  } else if (STRING_TYPES.includes(type)) {
+    definition.type = 'string';
+    if (SIZED_TYPES.includes(type)) {
+      definition.maxLength = column.charLength || column.length;
+    }
+  }
+
+  if (values && values.length > 0) {
+    definition.enum = values;
+  }
+  if (comment) {
+    definition.description = comment;
+  }
+  return definition;
+}
+
+/**
+ * Build the starter templates of a table
+ * @param {string} qualifiedTable - OWNER.TABLE
+ * @param {Array<string>} primaryKeys - Primary key columns
+ * @param {Object} properties - Generated column definitions
+ * @returns {Object} mcp_sql_templates
+ */
+function buildTemplates(qualifiedTable, primaryKeys, properties) {
+  const templates = {
+    select_all: `SELECT * FROM ${qualifiedTable} FETCH FIRST 10 ROWS ONLY`
+  };
+
+  if (primaryKeys.length === 0) {
+    return templates;
+  }
+
+  // Single-column keys bind as :id, like the hand-written mappings
+  const bindNames = primaryKeys.length === 1 ? ['id'] : primaryKeys.map(column => column.toLowerCase());
+  const params = {};
+  primaryKeys.forEach((column, index) => {
+    const property = properties[column] || {};
+    let type;
+    if (property.type === 'integer' || property.type === 'number') type = 'number';
+    else if (property.format === 'date-time') type = 'date';
+    else if (property.type === 'string') type = 'string';
+    params[bindNames[index]] = type
+      ? { type, required: true, description: `${column} (primary key).` }
+      : { required: true, description: `${column} (primary key).` };
+  });
+
+  templates.select_by_id = {
+    sql: `SELECT * FROM ${qualifiedTable} WHERE ${primaryKeys.map((column, index) => `${column} = :${bindNames[index]}`).join(' AND ')}`,
+    description: 'Look up one row by primary key.',
+    params
+  };
+  return templates;
+}
+
+/**
+ * Build a mapping from a table's dictionary entries
+ * Columns whose names aren't plain identifiers (quoted mixed-case names, $ or #)
+ * can't be used in mapped SQL and are left out.
+ * @param {Object} dictionary - Result of readTableDictionary
+ * @returns {Object} { mapping, skippedColumns }
+ */
+export function buildMapping(dictionary) {
+  const qualifiedTable = `${dictionary.owner}.${dictionary.tableName}`;
+  const properties = {};
+  const required = [];
+  const skippedColumns = [];
+
+  for (const column of dictionary.columns) {
+    try {
+      if (validateIdentifier(column.name) !== column.name) {
+        throw new Error('not uppercase');
+      }
+    } catch (error) {
+      skippedColumns.push(column.name);
+      continue;
+    }
+    properties[column.name] = buildColumn(column, dictionary.comments[column.name], dictionary.enums[column.name]);
+    if (!column.nullable) {
+      required.push(column.name);
+    }
+  }
+
+  const mapping = {
+    tableName: qualifiedTable,
+    schema: {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: `${dictionary.tableName} Table Schema`,
+      description: dictionary.comment || `Describes the structure and meaning of the ${qualifiedTable} table in Oracle DB.`,
+      type: 'object',
+      properties,
+      required
+    },
+    mcp_sql_templates: buildTemplates(qualifiedTable, dictionary.primaryKeys.filter(column => properties[column]), properties)
+  };
+
+  return { mapping, skippedColumns };
+}
+
+/**
+ * Merge a generated mapping into an existing one
+ * @param {Object} existing - Mapping from the current file
+ * @param {Object} generated - Mapping from buildMapping
+ * @returns {Object} { mapping, addedColumns, removedColumns }
+ */
+export function mergeMapping(existing, generated) {
+  const existingProperties = existing.schema?.properties || {};
+  const properties = {};
+
+  for (const [name, definition] of Object.entries(generated.schema.properties)) {
+    const current = existingProperties[name];
+    if (!current) {
+      properties[name] = definition;
+      continue;
+    }
+    const merged = { ...definition };
+    for (const key of PRESERVED_COLUMN_KEYS) {
+      // Check constraints win over hand-written enums
+      if (current[key] !== undefined && !(key === 'enum' && definition.enum)) {
+        merged[key] = current[key];
+      }
+    }
+    properties[name] = merged;
+  }
+
+  const existingTemplates = existing.mcp_sql_templates || {};
+  const templates = { ...existingTemplates };
+  for (const [name, template] of Object.entries(generated.mcp_sql_templates)) {
+    if (!(name in templates)) {
+      templates[name] = template;
+    }
+  }
+
+  const mapping = {
+    ...existing,
+    tableName: generated.tableName,
+    schema: {
+      ...generated.schema,
+      ...existing.schema,
+      description: existing.schema?.description || generated.schema.description,
+      properties,
+      required: generated.schema.required
+    },
+    mcp_sql_templates: templates
+  };
+
+  return {
+    mapping,
+    addedColumns: Object.keys(properties).filter(name => !existingProperties[name]),
+    removedColumns: Object.keys(existingProperties).filter(name => !properties[name])
+  };
+}
+
+/**
+ * Generate (or update) the mapping file of a table
+ * @param {string} owner - Table owner
+ * @param {string} table - Table name
+ * @param {Object} options
+ * @param {string} options.dir - Folder to write to
+ * @param {boolean} options.dryRun - Don't write, just return the result
+ * @param {string} options.datasource - Datasource the table lives in; recorded in the mapping
+ * @param {boolean} options.force - Write the mapping even if it has violations (e.g. a
+ *   hand-written template using a dropped column), which strict startup refuses to load
+ * @returns {Promise<Object>} { file, created, written, mapping, addedColumns, removedColumns, skippedColumns, violations }
+ */
+export async function generateMappingFile(owner, table, { dir, dryRun = false, datasource, force = false }) {
+  const validatedOwner = validateIdentifier(owner);
+  const validatedTable = validateIdentifier(table);
+  const file = join(dir, `${validatedTable.toLowerCase()}.json`);
+
+  const dictionary = await readTableDictionary(validatedOwner, validatedTable, datasource);
+  const { mapping: generated, skippedColumns } = buildMapping(dictionary);
+  if (datasource) {
+    generated.datasource = datasource;
+  }
+
+  let existing = null;
+  try {
+    existing = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Cannot merge into ${file}: ${error.message}`);
+    }
+  }
+
+  const result = existing
+    ? mergeMapping(existing, generated)
+    : { mapping: generated, addedColumns: Object.keys(generated.schema.properties), removedColumns: [] };
+  const violations = validateMapping(result.mapping);
+
+  // An invalid mapping is only written on request, leaving the current file in place
+  const written = !dryRun && (violations.length === 0 || force);
+  if (written) {
+    await writeFile(file, `${JSON.stringify(result.mapping, null, 2)}\n`);
+  }
+
+  logger.info('Semantic mapping generated', {
+    table: `${validatedOwner}.${validatedTable}`,
+    file,
+    created: !existing,
+    dryRun,
+    written,
+    added: result.addedColumns.length,
+    removed: result.removedColumns.length,
+    skipped: skippedColumns.length,
+    violations: violations.length
+  });
+
+  return { file, created: !existing, written, skippedColumns, violations, ...result };
+}
+
+export default {
+  readTableDictionary,
+  buildMapping,
+  mergeMapping,
+  generateMappingFile
+};
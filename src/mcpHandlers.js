@@ -0,0 +1,154 @@
+import { logger } from './logger.js';
+import { getEnabledTools, getTool, getToolSchema } from './toolRegistry.js';
+import { validateSchema, formatViolations } from './util/schemaValidator.js';
+import { createRpcError, isRpcError, JSONRPC_ERRORS } from './util/jsonRpc.js';
+import { isToolAllowed } from './auth.js';
+import { getScopesForTool } from './oauth.js';
+import { runWithContext } from './requestContext.js';
+import { acquireToolSlot } from './rateLimiter.js';
+
+/**
+ * Transport-agnostic MCP request handlers
+ *
+ * Both the HTTP transport (mcpTransport.js) and the stdio transport
+ * (stdioTransport.js) route tools/list and tools/call here, so a tool
+ * behaves identically whichever way a client connects. The tools
+ * themselves come from the registry (toolRegistry.js).
+ */
+
+/**
+ * Handle tools/list
+ * Only tools the calling principal may use are listed.
+ * @param {Object} context - Request context
+ * @param {Object} context.principal - Authenticated principal (see auth.js)
+ * @returns {Promise<Object>} { tools: [...] }
+ */
+export async function listTools(context = {}) {
+  const tools = (await getEnabledTools()).filter(tool => isToolAllowed(context.principal, tool.name));
+  return {
+    tools: await Promise.all(tools.map(getToolSchema))
+  };
+}
+
+/**
+ * Validate tool arguments against the tool's inputSchema
+ * @param {Object} tool - Registry entry
+ * @param {Object} args - Tool arguments
+ * @throws {Error} - JSON-RPC Invalid params error listing every violation
+ */
+async function validateToolArguments(tool, args) {
+  const schema = await getToolSchema(tool);
+  const violations = validateSchema(schema.inputSchema, args);
+  if (violations.length > 0) {
+    throw createRpcError(
+      JSONRPC_ERRORS.INVALID_PARAMS,
+      `Invalid arguments for tool ${tool.name}: ${formatViolations(violations)}`,
+      { tool: tool.name, violations }
+    );
+  }
+}
+
+/**
+ * Handle tools/call
+ * Tool failures are reported as MCP tool results with isError=true;
+ * arguments that don't match the tool's inputSchema are rejected with a
+ * JSON-RPC Invalid params error before the handler runs.
+ * @param {Object} params - tools/call params
+ * @param {string} params.name - Tool name
+ * @param {Object} params.arguments - Tool arguments
+ * @param {Object} context - Request context, passed on to the tool handler
+ * @param {Object} context.principal - Authenticated principal (see auth.js)
+ * @returns {Promise<Object>} MCP tool result ({ content, isError? })
+ * @throws {Error} - JSON-RPC Forbidden error if the principal may not use the tool,
+ *   Invalid params error if arguments fail validation, rate limit error (with
+ *   data.retryAfter) if the principal or tool is over its limits
+ */
+export async function callTool(params = {}, context = {}) {
+  const { name, arguments: args } = params;
+  const principal = context.principal;
+
+  logger.info('MCP tool called', {
+    tool: name,
+    principal: principal?.name,
+    args: Object.keys(args || {})
+  });
+
+  try {
+    const tool = await getTool(name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    if (!isToolAllowed(principal, name)) {
+      const data = { tool: name, principal: principal.name };
+      // Token holders can ask the authorization server for a scope that grants the tool
+      if (principal.type === 'jwt') {
+        data.requiredScopes = getScopesForTool(name);
+      }
+      throw createRpcError(JSONRPC_ERRORS.FORBIDDEN, `Forbidden: ${principal.name} may not call tool ${name}`, data);
+    }
+
+    await validateToolArguments(tool, args ?? {});
+
+    let result;
+    const release = acquireToolSlot(tool, principal);
+    try {
+      result = await runWithContext({ ...context, tool: name }, () => tool.handler(args ?? {}, context));
+    } finally {
+      release();
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    if (isRpcError(error)) {
+      logger.warn('Rejected tool call', { tool: name, principal: principal?.name, error: error.message });
+      throw error;
+    }
+
+    logger.error('Tool execution error', {
+      tool: name,
+      principal: principal?.name,
+      error: error.message,
+      stack: error.stack
+    });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: false,
+            error: {
+              message: error.message,
+              code: 'TOOL_EXECUTION_ERROR'
+            }
+          }, null, 2)
+        }
+      ],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Register the tool handlers on an MCP server wrapped by the HTTP transport
+ * (the wrapper's setRequestHandler is keyed by method name and passes the
+ * request context as the second argument)
+ * @param {Server} mcpServer - MCP Server instance
+ */
+export function registerToolHandlers(mcpServer) {
+  mcpServer.setRequestHandler('tools/list', async (request, context) => listTools(context));
+  mcpServer.setRequestHandler('tools/call', async (request, context) => callTool(request.params, context));
+}
+
+export default {
+  listTools,
+  callTool,
+  registerToolHandlers
+};
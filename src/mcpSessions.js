@@ -0,0 +1,519 @@
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * MCP Streamable HTTP session store
+ *
+ * Sessions are issued on `initialize` (returned in the Mcp-Session-Id header)
+ * and hold the SSE streams opened for them. Every event written to a stream is
+ * kept in a per-session buffer, bounded by event count and total size, so a
+ * client that reconnects with Last-Event-ID can have the missed events replayed
+ * on the stream it lost. The number of sessions is capped overall and per
+ * principal, so clients can't grow the store without bound by initializing.
+ *
+ * Sessions live in process memory - behind a load balancer, clients must be
+ * pinned to one instance (sticky sessions).
+ *
+ * A session belongs to the principal that initialized it; other principals
+ * are told it doesn't exist, so a leaked session id can't be used to read
+ * another client's streams.
+ */
+
+const sessions = new Map();
+let sweepTimer = null;
+
+/**
+ * Get configured number of buffered events kept per session for replay
+ * @returns {number}
+ */
+function getEventBufferSize() {
+  return parseInt(process.env.MCP_SSE_EVENT_BUFFER || '100');
+}
+
+/**
+ * Get configured total size (bytes) of the buffered events kept per session
+ * @returns {number}
+ */
+function getEventBufferBytes() {
+  return parseInt(process.env.MCP_SSE_EVENT_BUFFER_BYTES || '262144');
+}
+
+/**
+ * Get configured maximum number of sessions (0 = unlimited)
+ * @returns {number}
+ */
+function getMaxSessions() {
+  return parseInt(process.env.MCP_MAX_SESSIONS || '1000');
+}
+
+/**
+ * Get configured maximum number of sessions per principal (0 = unlimited)
+ * Unauthenticated clients count as one principal.
+ * @returns {number}
+ */
+function getMaxSessionsPerPrincipal() {
+  return parseInt(process.env.MCP_MAX_SESSIONS_PER_PRINCIPAL || '100');
+}
+
+/**
+ * Get configured idle time (ms) after which a session without open streams expires
+ * @returns {number}
+ */
+function getSessionTtl() {
+  return parseInt(process.env.MCP_SESSION_TTL || '1800000');
+}
+
+/**
+ * Get configured interval (ms) between SSE keep-alive comments
+ * @returns {number}
+ */
+function getKeepAliveInterval() {
+  return parseInt(process.env.MCP_SSE_KEEPALIVE || '15000');
+}
+
+/**
+ * Identify a principal for session ownership
+ * @param {Object|null} principal - Authenticated principal (req.principal)
+ * @returns {string|null} Owner key, or null for unauthenticated requests
+ */
+function getOwner(principal) {
+  if (!principal) {
+    return null;
+  }
+  return [principal.type, principal.issuer || '', principal.name].join(':');
+}
+
+/**
+ * Create a new session
+ * @param {Object} info - Data negotiated during initialize
+ * @param {string} info.protocolVersion - Negotiated MCP protocol version
+ * @param {Object} info.clientInfo - Client name/version from initialize params
+ * @param {Object} info.principal - Principal that initialized the session
+ * @returns {Object} Session
+ * @throws {Error} - With code TOO_MANY_SESSIONS if the server or the principal
+ *   already holds the maximum number of sessions
+ */
+export function createSession({ protocolVersion, clientInfo, principal } = {}) {
+  const owner = getOwner(principal);
+  if (getSessionLimitExceeded(owner)) {
+    // Idle sessions may not have been swept yet
+    expireIdleSessions();
+    assertSessionLimits(owner, principal);
+  }
+
+  const session = {
+    id: randomUUID(),
+    protocolVersion,
+    clientInfo: clientInfo || null,
+    owner,
+    createdAt: Date.now(),
+    lastSeen: Date.now(),
+    nextEventId: 1,
+    events: [],
+    eventBytes: 0,
+    streams: new Map(),
+    standaloneStreamId: null
+  };
+
+  sessions.set(session.id, session);
+  startSweeper();
+
+  logger.info('MCP session created', {
+    sessionId: session.id,
+    protocolVersion,
+    client: clientInfo?.name
+  });
+
+  return session;
+}
+
+/**
+ * Find which session limit a new session of an owner would exceed
+ * @param {string|null} owner - Owner key from getOwner
+ * @returns {Object|null} { scope: 'server'|'principal', limit }, or null if within limits
+ */
+function getSessionLimitExceeded(owner) {
+  const maxSessions = getMaxSessions();
+  if (maxSessions > 0 && sessions.size >= maxSessions) {
+    return { scope: 'server', limit: maxSessions };
+  }
+
+  const maxPerPrincipal = getMaxSessionsPerPrincipal();
+  if (maxPerPrincipal > 0) {
+    let owned = 0;
+    for (const session of sessions.values()) {
+      if (session.owner === owner) {
+        owned++;
+      }
+    }
+    if (owned >= maxPerPrincipal) {
+      return { scope: 'principal', limit: maxPerPrincipal };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reject a new session that would exceed a session limit
+ * @param {string|null} owner - Owner key from getOwner
+ * @param {Object|null} principal - Principal creating the session
+ * @throws {Error} - With code TOO_MANY_SESSIONS
+ */
+function assertSessionLimits(owner, principal) {
+  const exceeded = getSessionLimitExceeded(owner);
+  if (!exceeded) {
+    return;
+  }
+
+  logger.warn('MCP session limit reached', {
+    scope: exceeded.scope,
+    limit: exceeded.limit,
+    principal: principal?.name || null
+  });
+
+  const error = new Error(exceeded.scope === 'server'
+    ? `Too many MCP sessions (limit ${exceeded.limit}); try again later`
+    : `Too many MCP sessions for this client (limit ${exceeded.limit}); end unused sessions with DELETE /mcp`);
+  error.code = 'TOO_MANY_SESSIONS';
+  error.scope = exceeded.scope;
+  error.maxSessions = exceeded.limit;
+  throw error;
+}
+
+/**
+ * Look up a session and mark it as recently used
+ * @param {string} sessionId - Session id from the Mcp-Session-Id header
+ * @param {Object|null} principal - Principal making the request (req.principal)
+ * @returns {Object|null} Session, or null if unknown, terminated or owned by another principal
+ */
+export function getSession(sessionId, principal) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return null;
+  }
+  if (session.owner !== getOwner(principal)) {
+    logger.warn('MCP session used by another principal', {
+      sessionId,
+      principal: principal?.name || null
+    });
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+/**
+ * Terminate a session and close any stream still attached to it
+ * @param {string} sessionId - Session id
+ * @returns {boolean} True if the session existed
+ */
+export function deleteSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+
+  for (const stream of session.streams.values()) {
+    detachResponse(stream, true);
+  }
+  sessions.delete(sessionId);
+
+  logger.info('MCP session terminated', { sessionId });
+  return true;
+}
+
+/**
+ * Prepare an HTTP response as an SSE stream
+ * @param {http.ServerResponse} res - Express response
+ * @param {Object} headers - Extra headers to send (e.g. Mcp-Session-Id)
+ */
+export function openSseResponse(res, headers = {}) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    ...headers
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write one SSE event to a response if it is still writable
+ * @param {http.ServerResponse} res - Express response
+ * @param {Object} message - JSON-RPC message
+ * @param {string} eventId - Optional event id
+ */
+export function writeSseEvent(res, message, eventId) {
+  if (!res || res.writableEnded || res.destroyed) {
+    return;
+  }
+  let frame = '';
+  if (eventId) {
+    frame += `id: ${eventId}\n`;
+  }
+  frame += `event: message\ndata: ${JSON.stringify(message)}\n\n`;
+  res.write(frame);
+}
+
+/**
+ * Open a stream in a session and attach a response to it
+ * @param {Object} session - Session
+ * @param {http.ServerResponse} res - Response the stream is written to
+ * @param {Object} options
+ * @param {boolean} options.standalone - True for the GET stream used for server-initiated messages
+ * @returns {Object} Stream
+ */
+export function openStream(session, res, { standalone = false } = {}) {
+  const stream = {
+    id: randomUUID(),
+    res: null,
+    keepAliveTimer: null,
+    done: false,
+    standalone
+  };
+  session.streams.set(stream.id, stream);
+
+  if (standalone) {
+    // Only one standalone stream per session - a new GET replaces the old one
+    const previous = session.streams.get(session.standaloneStreamId);
+    if (previous) {
+      closeStream(session, previous.id);
+    }
+    session.standaloneStreamId = stream.id;
+  }
+
+  attachResponse(session, stream, res);
+  return stream;
+}
+
+/**
+ * Send a JSON-RPC message on a session stream, buffering it for replay
+ * @param {Object} session - Session
+ * @param {string} streamId - Stream id
+ * @param {Object} message - JSON-RPC message
+ */
+export function sendEvent(session, streamId, message) {
+  const stream = session.streams.get(streamId);
+  if (!stream) {
+    return;
+  }
+
+  const event = {
+    id: String(session.nextEventId++),
+    streamId,
+    message,
+    size: Buffer.byteLength(JSON.stringify(message))
+  };
+
+  session.events.push(event);
+  session.eventBytes += event.size;
+
+  // Drop the oldest events once either bound is passed (an event larger than
+  // the byte bound is sent, but can't be replayed)
+  const maxEvents = getEventBufferSize();
+  const maxBytes = getEventBufferBytes();
+  let overflow = 0;
+  while (overflow < session.events.length &&
+    (session.events.length - overflow > maxEvents || session.eventBytes > maxBytes)) {
+    session.eventBytes -= session.events[overflow].size;
+    overflow++;
+  }
+  if (overflow > 0) {
+    session.events.splice(0, overflow);
+    pruneStreams(session);
+  }
+
+  writeSseEvent(stream.res, message, event.id);
+}
+
+/**
+ * Mark a stream as complete and end its response
+ * Buffered events stay available for replay until they age out.
+ * @param {Object} session - Session
+ * @param {string} streamId - Stream id
+ */
+export function closeStream(session, streamId) {
+  const stream = session.streams.get(streamId);
+  if (!stream) {
+    return;
+  }
+  stream.done = true;
+  detachResponse(stream, true);
+  if (session.standaloneStreamId === streamId) {
+    session.standaloneStreamId = null;
+  }
+  pruneStreams(session);
+}
+
+/**
+ * Resume a stream after a disconnect, replaying events newer than lastEventId
+ * @param {Object} session - Session
+ * @param {string} lastEventId - Value of the Last-Event-ID header
+ * @param {http.ServerResponse} res - Response to continue the stream on
+ * @returns {Object|null} Resumed stream, or null if the event id is unknown
+ */
+export function resumeStream(session, lastEventId, res) {
+  const index = session.events.findIndex(event => event.id === lastEventId);
+  if (index === -1) {
+    return null;
+  }
+
+  const streamId = session.events[index].streamId;
+  const stream = session.streams.get(streamId);
+  if (!stream) {
+    return null;
+  }
+
+  attachResponse(session, stream, res);
+
+  const missed = session.events
+    .slice(index + 1)
+    .filter(event => event.streamId === streamId);
+  for (const event of missed) {
+    writeSseEvent(res, event.message, event.id);
+  }
+
+  logger.debug('MCP stream resumed', {
+    sessionId: session.id,
+    streamId,
+    lastEventId,
+    replayed: missed.length
+  });
+
+  // A finished request stream ends once its missed responses are delivered
+  if (stream.done) {
+    detachResponse(stream, true);
+  }
+
+  return stream;
+}
+
+/**
+ * Send a server-initiated notification to every session's standalone stream
+ * @param {string} method - Notification method (e.g. notifications/tools/list_changed)
+ * @param {Object} params - Notification params
+ */
+export function broadcastNotification(method, params) {
+  const message = { jsonrpc: '2.0', method };
+  if (params !== undefined) {
+    message.params = params;
+  }
+  for (const session of sessions.values()) {
+    if (session.standaloneStreamId) {
+      sendEvent(session, session.standaloneStreamId, message);
+    }
+  }
+}
+
+/**
+ * Get session statistics (for monitoring)
+ * @returns {Object} Session counts
+ */
+export function getSessionStats() {
+  let openStreams = 0;
+  for (const session of sessions.values()) {
+    for (const stream of session.streams.values()) {
+      if (stream.res) {
+        openStreams++;
+      }
+    }
+  }
+  return {
+    sessions: sessions.size,
+    openStreams
+  };
+}
+
+/**
+ * Attach a response to a stream, replacing any previous one
+ */
+function attachResponse(session, stream, res) {
+  detachResponse(stream, true);
+  stream.res = res;
+
+  const keepAlive = getKeepAliveInterval();
+  if (keepAlive > 0) {
+    stream.keepAliveTimer = setInterval(() => {
+      if (stream.res && !stream.res.writableEnded) {
+        stream.res.write(': keep-alive\n\n');
+      }
+    }, keepAlive);
+    stream.keepAliveTimer.unref();
+  }
+
+  res.on('close', () => {
+    if (stream.res === res) {
+      detachResponse(stream, false);
+      session.lastSeen = Date.now();
+      logger.debug('MCP stream disconnected', { sessionId: session.id, streamId: stream.id });
+    }
+  });
+}
+
+/**
+ * Detach the response from a stream, optionally ending it
+ */
+function detachResponse(stream, end) {
+  if (stream.keepAliveTimer) {
+    clearInterval(stream.keepAliveTimer);
+    stream.keepAliveTimer = null;
+  }
+  const res = stream.res;
+  stream.res = null;
+  if (end && res && !res.writableEnded) {
+    res.end();
+  }
+}
+
+/**
+ * Forget finished streams that no longer have buffered events to replay
+ */
+function pruneStreams(session) {
+  const buffered = new Set(session.events.map(event => event.streamId));
+  for (const [streamId, stream] of session.streams) {
+    if (stream.done && !stream.res && !buffered.has(streamId)) {
+      session.streams.delete(streamId);
+    }
+  }
+}
+
+/**
+ * Remove sessions without open streams that have been idle longer than the TTL
+ */
+function expireIdleSessions() {
+  const cutoff = Date.now() - getSessionTtl();
+  for (const [sessionId, session] of sessions) {
+    const hasOpenStream = Array.from(session.streams.values()).some(stream => stream.res);
+    if (!hasOpenStream && session.lastSeen < cutoff) {
+      logger.info('MCP session expired', { sessionId });
+      deleteSession(sessionId);
+    }
+  }
+}
+
+/**
+ * Periodically remove sessions that have been idle longer than the TTL
+ */
+function startSweeper() {
+  if (sweepTimer) {
+    return;
+  }
+  sweepTimer = setInterval(expireIdleSessions, 60000);
+  sweepTimer.unref();
+}
+
+export default {
+  createSession,
+  getSession,
+  deleteSession,
+  openSseResponse,
+  writeSseEvent,
+  openStream,
+  sendEvent,
+  closeStream,
+  resumeStream,
+  broadcastNotification,
+  getSessionStats
+};
@@ -1,16 +1,38 @@
 import { logger } from './logger.js';
-import { mcpApiKeyAuth } from './auth.js';
+import { mcpAuth, isOAuthEnabled } from './auth.js';
+import { registerOAuthMetadata, buildWwwAuthenticate } from './oauth.js';
+import { JSONRPC_ERRORS, createRpcError, isRpcError, errorResponse } from './util/jsonRpc.js';
+import {
+  createSession,
+  getSession,
+  deleteSession,
+  openSseResponse,
+  writeSseEvent,
+  openStream,
+  sendEvent,
+  closeStream,
+  resumeStream
+} from './mcpSessions.js';
+
+/**
+ * MCP protocol revisions this server can speak, newest first
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
 
 /**
  * HTTP Transport wrapper for MCP Server
  * 
  * The MCP SDK primarily supports STDIO transport. This module implements
- * an HTTP transport by manually routing JSON-RPC requests to the appropriate
- * MCP Server request handlers.
+ * the MCP Streamable HTTP transport by manually routing JSON-RPC requests to
+ * the appropriate MCP Server request handlers:
+ * - POST /mcp answers with JSON, or with an SSE stream when the client accepts text/event-stream
+ * - GET /mcp opens an SSE stream for server-initiated messages (resumable via Last-Event-ID)
+ * - DELETE /mcp ends the session issued (Mcp-Session-Id header) on initialize
  * 
  * The MCP protocol over HTTP uses JSON-RPC 2.0 format:
  * - Request: { jsonrpc: "2.0", id: <number>, method: <string>, params: <object> }
  * - Response: { jsonrpc: "2.0", id: <number>, result: <object> } or { error: <object> }
+ * - Batch: an array of requests/notifications, answered with an array of responses
  */
 export function createMcpHttpHandler(mcpServer) {
   // Store handlers for routing
@@ -37,14 +59,200 @@ export function createMcpHttpHandler(mcpServer) {
     };
   }
 
+  /**
+   * Route a single JSON-RPC method to the stored MCP handler
+   * @param {string} method - JSON-RPC method name
+   * @param {Object} params - JSON-RPC params
+   * @param {Object} context - Request context passed to handlers ({ principal, sessionId, signal })
+   * @returns {Promise<Object|null>} Handler result (null for notifications)
+   */
+  async function dispatch(method, params, context) {
+    logger.debug('Routing MCP request', { method });
+
+    if (method === 'tools/list') {
+      const handler = handlers.get('tools/list');
+      if (!handler) {
+        logger.error('tools/list handler not found in handlers map', {
+          allHandlers: Array.from(handlers.keys())
+        });
+        throw new Error('tools/list handler not registered');
+      }
+      const response = await handler({ params }, context);
+      // Add defensive logging after tool execution
+      console.log('[MCP] Tool result:', response);
+      return response;
+    }
+
+    if (method === 'tools/call') {
+      const handler = handlers.get('tools/call');
+      if (!handler) {
+        logger.error('tools/call handler not found in handlers map', {
+          allHandlers: Array.from(handlers.keys())
+        });
+        throw new Error('tools/call handler not registered');
+      }
+      // MCP tools/call expects { name, arguments } in params
+      const response = await handler({ params }, context);
+      // Add defensive logging after tool execution
+      console.log('[MCP] Tool result:', response);
+      return response;
+    }
+
+    if (method === 'initialize') {
+      // Handle initialize request (MCP protocol)
+      // Build tools capabilities object from registered tools
+      const toolsCapabilities = {};
+      const toolsListHandler = handlers.get('tools/list');
+      if (toolsListHandler) {
+        try {
+          const toolsListResult = await toolsListHandler({ params: {} }, context);
+          if (toolsListResult && Array.isArray(toolsListResult.tools)) {
+            for (const tool of toolsListResult.tools) {
+              if (tool && tool.name) {
+                toolsCapabilities[tool.name] = {};
+              }
+            }
+          }
+        } catch (error) {
+          logger.warn('Failed to get tools list for capabilities', { error: error.message });
+        }
+      }
+
+      // Echo the client's protocol version if we support it, otherwise offer our latest
+      const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+        ? params.protocolVersion
+        : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+      return {
+        protocolVersion,
+        capabilities: {
+          tools: toolsCapabilities
+        },
+        serverInfo: {
+          name: 'mcp-oracle-server',
+          version: '1.0.0'
+        }
+      };
+    }
+
+    if (method === 'notifications/initialized') {
+      // Sent by the client after receiving the initialize response
+      logger.info('Client initialized notification received');
+      return null;
+    }
+
+    if (method.startsWith('notifications/')) {
+      // Handle other notifications gracefully
+      logger.debug('Notification received', { method });
+      return null;
+    }
+
+    throw createRpcError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+
+  /**
+   * Process one JSON-RPC message (a single request or one batch element)
+   * Never throws - every failure is turned into a JSON-RPC error response.
+   * @param {Object} message - Parsed JSON-RPC message
+   * @param {Promise<never>} timeoutPromise - Rejects when the request deadline passes
+   * @param {Object} context - Request context passed to handlers ({ principal, sessionId, signal })
+   * @returns {Promise<Object|null>} JSON-RPC response, or null for notifications
+   */
+  async function processMessage(message, timeoutPromise, context) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST,
+        'Invalid Request: message must be a JSON object');
+    }
+
+    const requestId = message.id;
+    const method = message.method;
+    const params = message.params || {};
+
+    // Check if this is a notification (no id or id is null)
+    // JSON-RPC 2.0 notifications don't have an id and don't require a response
+    const isNotification = requestId === undefined || requestId === null;
+
+    // Responses posted by the client (to server-initiated requests) need no answer
+    if (method === undefined && ('result' in message || 'error' in message)) {
+      logger.debug('Client response received', { requestId });
+      return null;
+    }
+
+    if (message.jsonrpc !== '2.0') {
+      return errorResponse(requestId, JSONRPC_ERRORS.INVALID_REQUEST,
+        'Invalid Request: jsonrpc must be "2.0"');
+    }
+
+    if (typeof method !== 'string' || method.length === 0) {
+      return errorResponse(requestId, JSONRPC_ERRORS.INVALID_REQUEST,
+        'Invalid Request: method must be a non-empty string');
+    }
+
+    logger.debug('MCP HTTP request received', {
+      method,
+      requestId,
+      isNotification,
+      hasParams: Object.keys(params).length > 0
+    });
+
+    try {
+      const result = await Promise.race([dispatch(method, params, context), timeoutPromise]);
+
+      // Notifications never produce a response entry
+      if (isNotification) {
+        return null;
+      }
+
+      logger.debug('MCP HTTP request completed', {
+        method,
+        requestId,
+        hasResult: !!result
+      });
+
+      return {
+        jsonrpc: '2.0',
+        id: requestId,
+        result: result || {}
+      };
+    } catch (error) {
+      // Log error with defensive check
+      console.error('[MCP ERROR] Unhandled exception in /mcp handler:', error);
+
+      logger.error('MCP HTTP request error', {
+        method,
+        requestId,
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (isNotification) {
+        return null;
+      }
+
+      // Handle timeout specifically
+      if (error.message === 'Request timeout') {
+        return errorResponse(requestId, JSONRPC_ERRORS.REQUEST_TIMEOUT, 'Request timeout', {
+          timeout: getRequestTimeout()
+        });
+      }
+
+      // Errors raised with an explicit JSON-RPC code are passed through
+      if (isRpcError(error)) {
+        return errorResponse(requestId, error.code, error.message, error.data);
+      }
+
+      return errorResponse(requestId, JSONRPC_ERRORS.SERVER_ERROR, 'Internal MCP server error.');
+    }
+  }
+
   /**
    * Express route handler for /mcp endpoint
-   * Handles MCP protocol messages over HTTP
+   * Handles MCP protocol messages over HTTP, both single requests and
+   * JSON-RPC 2.0 batches (arrays of requests and notifications)
    */
   return async (req, res, next) => {
     // Declare timeoutId at function scope to ensure it's always defined
     let timeoutId = null;
-    let responseSent = false;
 
     try {
       logger.debug('MCP handler function called', {
@@ -60,216 +268,194 @@ export function createMcpHttpHandler(mcpServer) {
       const contentType = req.get('content-type') || '';
       if (!contentType.includes('application/json')) {
         logger.warn('Invalid content-type', { contentType });
-        return res.status(400).json({
-          jsonrpc: '2.0',
-          error: {
-            code: -32600,
-            message: 'Invalid Request: Content-Type must be application/json'
-          }
-        });
+        return res.status(400).json(errorResponse(undefined, JSONRPC_ERRORS.INVALID_REQUEST,
+          'Invalid Request: Content-Type must be application/json'));
       }
 
       // Validate request body
       if (!req.body || typeof req.body !== 'object') {
-        return res.status(400).json({
-          jsonrpc: '2.0',
-          error: {
-            code: -32600,
-            message: 'Invalid Request: Request body must be a JSON object'
-          }
-        });
+        return res.status(400).json(errorResponse(undefined, JSONRPC_ERRORS.INVALID_REQUEST,
+          'Invalid Request: Request body must be a JSON object or batch array'));
       }
 
-      // Validate JSON-RPC version
-      if (req.body.jsonrpc !== '2.0') {
-        return res.status(400).json({
-          jsonrpc: '2.0',
-          error: {
-            code: -32600,
-            message: 'Invalid Request: jsonrpc must be "2.0"'
-          }
-        });
+      const isBatch = Array.isArray(req.body);
+      const messages = isBatch ? req.body : [req.body];
+
+      if (isBatch && messages.length === 0) {
+        return res.status(400).json(errorResponse(undefined, JSONRPC_ERRORS.INVALID_REQUEST,
+          'Invalid Request: batch must not be empty'));
       }
 
-      const requestId = req.body.id;
-      const method = req.body.method;
-      const params = req.body.params || {};
+      const initializeMessage = messages.find(message => message && message.method === 'initialize');
+      if (initializeMessage && isBatch) {
+        return res.status(400).json(errorResponse(undefined, JSONRPC_ERRORS.INVALID_REQUEST,
+          'Invalid Request: initialize must not be part of a batch'));
+      }
 
-      // Check if this is a notification (no id or id is null)
-      // JSON-RPC 2.0 notifications don't have an id and don't require a response
-      const isNotification = requestId === undefined || requestId === null;
+      // Resolve the session (issued on initialize, echoed back by the client)
+      const sessionId = req.get('mcp-session-id');
+      let session = null;
+      if (sessionId && !initializeMessage) {
+        session = getSession(sessionId, req.principal || null);
+        if (!session) {
+          return res.status(404).json(errorResponse(undefined, JSONRPC_ERRORS.SESSION_NOT_FOUND,
+            'Session not found'));
+        }
+      } else if (!initializeMessage && isSessionRequired()) {
+        return res.status(400).json(errorResponse(undefined, JSONRPC_ERRORS.INVALID_REQUEST,
+          'Bad Request: Mcp-Session-Id header is required'));
+      }
 
-      logger.debug('MCP HTTP request received', {
-        method,
-        requestId,
-        isNotification,
-        hasParams: Object.keys(params).length > 0
+      const protocolVersion = req.get('mcp-protocol-version');
+      if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+        return res.status(400).json(errorResponse(undefined, JSONRPC_ERRORS.INVALID_REQUEST,
+          `Bad Request: unsupported MCP-Protocol-Version ${protocolVersion}`, {
+            supported: SUPPORTED_PROTOCOL_VERSIONS
+          }));
+      }
+
+      // Aborted when the request times out or the client goes away, so
+      // executeQuery can cancel the statements still running for it
+      const cancellation = new AbortController();
+      // Responses on a session's SSE stream are buffered for resumption, so a
+      // dropped connection doesn't cancel them
+      let resumable = false;
+      res.on('close', () => {
+        if (!res.writableEnded && !resumable) {
+          cancellation.abort(cancellationError('CLIENT_DISCONNECTED', 'Query cancelled: the client disconnected'));
+        }
       });
-    
+
+      // Handlers see who is calling (set by the auth middleware) and from which session
+      const context = {
+        principal: req.principal || null,
+        sessionId: session ? session.id : null,
+        signal: cancellation.signal
+      };
+
       // Set timeout for request handling (30 seconds default)
-      const timeout = parseInt(process.env.MCP_REQUEST_TIMEOUT || '30000');
+      // A batch shares one deadline across all of its elements
       const timeoutPromise = new Promise((_, reject) => {
-        timeoutId = setTimeout(() => reject(new Error('Request timeout')), timeout);
+        timeoutId = setTimeout(() => {
+          cancellation.abort(cancellationError('REQUEST_TIMEOUT', 'Query cancelled: the MCP request timed out'));
+          reject(new Error('Request timeout'));
+        }, getRequestTimeout());
       });
+      // Avoid an unhandled rejection when no element is still waiting on the deadline
+      timeoutPromise.catch(() => {});
 
-      // Route to appropriate handler
-      let response;
-      let handlerPromise = null;
-      
-      logger.debug('Routing MCP request', { method, isNotification });
-      
-      if (method === 'tools/list') {
-        const handler = handlers.get('tools/list');
-        if (handler) {
-          handlerPromise = handler().catch(err => {
-            // If response already sent (timeout occurred), ignore handler errors
-            if (responseSent) {
-              logger.debug('Ignoring handler error after timeout', { error: err.message });
-              return null;
-            }
-            throw err;
-          });
-          response = await Promise.race([handlerPromise, timeoutPromise]);
-          // Add defensive logging after tool execution
-          console.log('[MCP] Tool result:', response);
+      // Only notifications (or client responses): process them and acknowledge
+      if (!messages.some(expectsResponse)) {
+        await Promise.all(messages.map(message => processMessage(message, timeoutPromise, context)));
+        return res.status(202).end();
+      }
+
+      // Upgrade to an SSE stream when the client accepts it. initialize is always
+      // answered with JSON since the session id header depends on its result.
+      if (acceptsEventStream(req) && !initializeMessage) {
+        openSseResponse(res, session ? { 'Mcp-Session-Id': session.id } : {});
+
+        // Session streams are buffered so a dropped connection can be resumed
+        const stream = session ? openStream(session, res) : null;
+        resumable = Boolean(stream);
+        const send = (response) => {
+          if (stream) {
+            sendEvent(session, stream.id, response);
+          } else {
+            writeSseEvent(res, response);
+          }
+        };
+
+        // Each response is sent as soon as it is ready
+        await Promise.all(messages.map(async (message) => {
+          const response = await processMessage(message, timeoutPromise, context);
+          if (response !== null) {
+            send(response);
+          }
+        }));
+
+        if (stream) {
+          closeStream(session, stream.id);
         } else {
-          logger.error('tools/list handler not found in handlers map', {
-            allHandlers: Array.from(handlers.keys())
-          });
-          throw new Error('tools/list handler not registered');
+          res.end();
         }
-      } else if (method === 'tools/call') {
-        const handler = handlers.get('tools/call');
-        if (handler) {
-          // MCP tools/call expects { name, arguments } in params
-          handlerPromise = handler({ params }).catch(err => {
-            // If response already sent (timeout occurred), ignore handler errors
-            if (responseSent) {
-              logger.debug('Ignoring handler error after timeout', { error: err.message });
-              return null;
-            }
-            throw err;
-          });
-          response = await Promise.race([handlerPromise, timeoutPromise]);
-          // Add defensive logging after tool execution
-          console.log('[MCP] Tool result:', response);
-        } else {
-          logger.error('tools/call handler not found in handlers map', {
-            allHandlers: Array.from(handlers.keys())
+        return;
+      }
+
+      if (isBatch) {
+        logger.debug('MCP HTTP batch received', { size: messages.length });
+
+        // Each element is routed independently; notifications yield no entry
+        const responses = await Promise.all(
+          messages.map(message => processMessage(message, timeoutPromise, context))
+        );
+        const entries = responses.filter(response => response !== null);
+
+        return res.status(200).json(entries);
+      }
+
+      let response = await processMessage(req.body, timeoutPromise, context);
+
+      // Issue a session once initialize has succeeded
+      if (initializeMessage && response.result) {
+        try {
+          const newSession = createSession({
+            protocolVersion: response.result.protocolVersion,
+            clientInfo: initializeMessage.params?.clientInfo,
+            principal: req.principal || null
           });
-          throw new Error('tools/call handler not registered');
-        }
-      } else if (method === 'initialize') {
-        // Handle initialize request (MCP protocol)
-        // Build tools capabilities object from registered tools
-        const toolsCapabilities = {};
-        const toolsListHandler = handlers.get('tools/list');
-        if (toolsListHandler) {
-          try {
-            const toolsListResult = await toolsListHandler();
-            if (toolsListResult && Array.isArray(toolsListResult.tools)) {
-              for (const tool of toolsListResult.tools) {
-                if (tool && tool.name) {
-                  toolsCapabilities[tool.name] = {};
-                }
-              }
-            }
-          } catch (error) {
-            logger.warn('Failed to get tools list for capabilities', { error: error.message });
+          res.set('Mcp-Session-Id', newSession.id);
+        } catch (error) {
+          if (error.code !== 'TOO_MANY_SESSIONS') {
+            throw error;
           }
+          response = errorResponse(initializeMessage.id, JSONRPC_ERRORS.RATE_LIMITED, error.message, {
+            limit: 'sessions',
+            scope: error.scope,
+            maxSessions: error.maxSessions
+          });
         }
-        
-        response = {
-          protocolVersion: '2024-11-05',
-          capabilities: {
-            tools: toolsCapabilities
-          },
-          serverInfo: {
-            name: 'mcp-oracle-server',
-            version: '1.0.0'
-          }
-        };
-      } else if (method === 'notifications/initialized') {
-        // Handle initialized notification (no response needed)
-        // This is sent by the client after receiving the initialize response
-        logger.info('Client initialized notification received');
-        // Notifications don't require a response, just return 200 with no body
-        return res.status(200).end();
-      } else if (method && method.startsWith('notifications/')) {
-        // Handle other notifications gracefully
-        logger.debug('Notification received', { method });
-        // Notifications don't require a response
-        return res.status(200).end();
-      } else {
-        throw new Error(`Unsupported method: ${method}`);
+      } else if (session) {
+        res.set('Mcp-Session-Id', session.id);
       }
 
-      // Only send response if this is a request (not a notification)
-      if (!isNotification) {
-        // Send JSON-RPC response
-        responseSent = true;
-        res.status(200).json({
-          jsonrpc: '2.0',
-          id: requestId,
-          result: response
-        });
+      if (response.error?.code === JSONRPC_ERRORS.RATE_LIMITED && response.error.data?.retryAfter) {
+        res.set('Retry-After', String(response.error.data.retryAfter));
+      }
 
-        logger.debug('MCP HTTP request completed', {
-          method,
-          requestId,
-          hasResult: !!response
-        });
-      } else {
-        // This shouldn't happen (notification should have been handled above),
-        // but handle it gracefully just in case
-        logger.warn('Response generated for notification, but notification should have been handled', { method });
-        responseSent = true;
-        res.status(200).end();
+      // Tell OAuth clients which scopes would have allowed the call
+      if (response.error?.code === JSONRPC_ERRORS.FORBIDDEN && response.error.data?.requiredScopes) {
+        res.set('WWW-Authenticate', buildWwwAuthenticate(req, {
+          error: 'insufficient_scope',
+          description: response.error.message,
+          scopes: response.error.data.requiredScopes
+        }));
       }
 
+      return res.status(getHttpStatus(response)).json(response);
     } catch (error) {
       // Log error with defensive check
       console.error('[MCP ERROR] Unhandled exception in /mcp handler:', error);
 
       logger.error('MCP HTTP request error', {
-        method: req.body?.method,
-        requestId: req.body?.id,
         error: error.message,
         stack: error.stack
       });
 
-      // Don't send response if already sent (e.g., timeout already handled)
-      if (responseSent) {
+      if (res.headersSent) {
         logger.debug('Response already sent, ignoring error', { error: error.message });
+        if (!res.writableEnded) {
+          res.end();
+        }
         return;
       }
 
-      const requestId = req.body?.id;
-
-      // Handle timeout specifically
-      if (error.message === 'Request timeout') {
-        responseSent = true;
-        return res.status(504).json({
-          jsonrpc: '2.0',
-          id: requestId,
-          error: {
-            code: -32000,
-            message: 'Request timeout',
-            data: { timeout: parseInt(process.env.MCP_REQUEST_TIMEOUT || '30000') }
-          }
-        });
-      }
-
       // Handle other errors - return proper JSON-RPC error response
-      responseSent = true;
-      return res.status(500).json({
-        jsonrpc: '2.0',
-        id: requestId,
-        error: {
-          code: -32099,
-          message: 'Internal MCP server error.'
-        }
-      });
+      return res.status(500).json(errorResponse(
+        Array.isArray(req.body) ? null : req.body?.id,
+        JSONRPC_ERRORS.SERVER_ERROR,
+        'Internal MCP server error.'
+      ));
     } finally {
       // Ensure timeout is always cleared in all execution branches
       if (timeoutId) {
@@ -280,6 +466,153 @@ export function createMcpHttpHandler(mcpServer) {
   };
 }
 
+/**
+ * Express route handler for GET /mcp
+ * Opens an SSE stream for server-initiated messages, or resumes a dropped
+ * stream when the client sends Last-Event-ID.
+ */
+export function createMcpSseHandler() {
+  return (req, res) => {
+    if (!acceptsEventStream(req)) {
+      return res.status(406).json(errorResponse(undefined, JSONRPC_ERRORS.INVALID_REQUEST,
+        'Not Acceptable: client must accept text/event-stream'));
+    }
+
+    const session = resolveSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    openSseResponse(res, { 'Mcp-Session-Id': session.id });
+
+    const lastEventId = req.get('last-event-id');
+    if (lastEventId) {
+      if (resumeStream(session, lastEventId, res)) {
+        return;
+      }
+      logger.warn('Unknown Last-Event-ID, opening a new stream', {
+        sessionId: session.id,
+        lastEventId
+      });
+    }
+
+    openStream(session, res, { standalone: true });
+    logger.debug('MCP SSE stream opened', { sessionId: session.id });
+  };
+}
+
+/**
+ * Express route handler for DELETE /mcp
+ * Terminates the session named in the Mcp-Session-Id header.
+ */
+export function createMcpDeleteHandler() {
+  return (req, res) => {
+    const session = resolveSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    deleteSession(session.id);
+    res.status(200).end();
+  };
+}
+
+/**
+ * Look up the session named in the Mcp-Session-Id header, answering the
+ * request with 400/404 when it is missing, unknown or another principal's
+ * @returns {Object|null} Session, or null if a response was already sent
+ */
+function resolveSession(req, res) {
+  const sessionId = req.get('mcp-session-id');
+  if (!sessionId) {
+    res.status(400).json(errorResponse(undefined, JSONRPC_ERRORS.INVALID_REQUEST,
+      'Bad Request: Mcp-Session-Id header is required'));
+    return null;
+  }
+
+  const session = getSession(sessionId, req.principal || null);
+  if (!session) {
+    res.status(404).json(errorResponse(undefined, JSONRPC_ERRORS.SESSION_NOT_FOUND,
+      'Session not found'));
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Check whether a message will produce a response entry
+ * Only well-formed notifications and client responses don't.
+ */
+function expectsResponse(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return true;
+  }
+  return message.id !== undefined && message.id !== null && message.method !== undefined;
+}
+
+/**
+ * Check whether the client accepts an SSE response
+ */
+function acceptsEventStream(req) {
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Whether requests without an Mcp-Session-Id are rejected
+ * Off by default so request/response clients that never initialize keep working.
+ */
+function isSessionRequired() {
+  return process.env.MCP_REQUIRE_SESSION === 'true';
+}
+
+/**
+ * Get the configured MCP request timeout in milliseconds
+ * @returns {number} Timeout in milliseconds
+ */
+function getRequestTimeout() {
+  return parseInt(process.env.MCP_REQUEST_TIMEOUT || '30000');
+}
+
+/**
+ * Create the reason a request's database calls are cancelled with
+ * executeQuery reports the code to the tool (error.errorNum).
+ * @param {string} code - REQUEST_TIMEOUT or CLIENT_DISCONNECTED
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function cancellationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Map a single (non-batch) JSON-RPC response to an HTTP status code
+ * @param {Object} response - JSON-RPC response object
+ * @returns {number} HTTP status code
+ */
+function getHttpStatus(response) {
+  if (!response.error) {
+    return 200;
+  }
+
+  switch (response.error.code) {
+    case JSONRPC_ERRORS.REQUEST_TIMEOUT:
+      return 504;
+    case JSONRPC_ERRORS.INVALID_REQUEST:
+    case JSONRPC_ERRORS.METHOD_NOT_FOUND:
+    case JSONRPC_ERRORS.INVALID_PARAMS:
+      return 400;
+    case JSONRPC_ERRORS.FORBIDDEN:
+      return 403;
+    case JSONRPC_ERRORS.RATE_LIMITED:
+      return 429;
+    default:
+      return 500;
+  }
+}
+
 /**
  * Register MCP HTTP endpoint on Express app
  * @param {Express} app - Express application instance
@@ -289,11 +622,18 @@ export function registerMcpEndpoint(app, mcpServer) {
   try {
     const handler = createMcpHttpHandler(mcpServer);
 
-    // Apply API key authentication middleware
-    app.post('/mcp', mcpApiKeyAuth, handler);
+    // OAuth clients discover the authorization server from the resource metadata
+    if (isOAuthEnabled()) {
+      registerOAuthMetadata(app);
+    }
+
+    // Apply authentication middleware (API key and/or JWT, see MCP_AUTH_MODE)
+    app.post('/mcp', mcpAuth, handler);
+    app.get('/mcp', mcpAuth, createMcpSseHandler());
+    app.delete('/mcp', mcpAuth, createMcpDeleteHandler());
 
     logger.info('MCP HTTP endpoint registered at /mcp', {
-      authenticated: !!process.env.MCP_API_KEY
+      authModes: process.env.MCP_AUTH_MODE || 'api-key'
     });
   } catch (error) {
     logger.error('Failed to register MCP endpoint', {
@@ -304,22 +644,9 @@ export function registerMcpEndpoint(app, mcpServer) {
   }
 }
 
-/**
- * Note on streaming support:
- * 
- * The MCP SDK's streaming capabilities are primarily designed for STDIO.
- * For HTTP transport, we implement a request-response pattern.
- * 
- * If streaming is required in the future, we could:
- * 1. Use Server-Sent Events (SSE) for server-to-client streaming
- * 2. Use WebSockets for bidirectional streaming
- * 3. Implement chunked transfer encoding for large responses
- * 
- * Currently, all responses are sent as complete JSON objects.
- * Large result sets should be paginated using maxRows parameter.
- */
-
 export default {
   createMcpHttpHandler,
+  createMcpSseHandler,
+  createMcpDeleteHandler,
   registerMcpEndpoint
 };
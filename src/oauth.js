@@ -0,0 +1,201 @@
+import { logger } from './logger.js';
+
+/**
+ * OAuth 2.1 protected-resource support (MCP authorization spec)
+ *
+ * The /mcp endpoint acts as an OAuth resource server: it publishes
+ * RFC 9728 metadata naming the authorization server(s) clients should get
+ * tokens from, answers 401s with a WWW-Authenticate header pointing at that
+ * metadata, and maps token scopes to the tools they unlock.
+ *
+ * Configuration:
+ * - MCP_RESOURCE_URL: canonical URL of the /mcp endpoint; also the default
+ *   expected token audience (default: derived from the request)
+ * - MCP_AUTHORIZATION_SERVERS: comma-separated issuer URLs (default: JWT_ISSUER)
+ * - MCP_SCOPE_TOOLS: JSON object mapping scopes to tool names, "*" for all
+ *   tools (default: scopes don't restrict tools)
+ */
+
+const METADATA_PATH = '/.well-known/oauth-protected-resource';
+
+// Cache for the parsed MCP_SCOPE_TOOLS, keyed by its raw value
+let scopeToolsCache = { raw: undefined, map: null };
+
+/**
+ * Parse a comma-separated environment variable
+ * @param {string} value - Environment variable value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Get the scope -> tools mapping from MCP_SCOPE_TOOLS
+ * @returns {Object|null} Scope name -> array of tool names, or null if not configured
+ * @throws {Error} - If MCP_SCOPE_TOOLS is not a JSON object of string arrays
+ */
+export function getScopeToolMap() {
+  const raw = process.env.MCP_SCOPE_TOOLS;
+  if (scopeToolsCache.raw === raw) {
+    return scopeToolsCache.map;
+  }
+
+  let map = null;
+  if (raw && raw.trim()) {
+    try {
+      map = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Invalid MCP_SCOPE_TOOLS: ${error.message}`);
+    }
+
+    const valid = map && typeof map === 'object' && !Array.isArray(map) &&
+      Object.values(map).every(tools => Array.isArray(tools) && tools.every(tool => typeof tool === 'string'));
+    if (!valid) {
+      throw new Error('Invalid MCP_SCOPE_TOOLS: expected an object mapping scopes to arrays of tool names');
+    }
+  }
+
+  scopeToolsCache = { raw, map };
+  return map;
+}
+
+/**
+ * Resolve the tools a set of granted scopes unlocks
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {Array<string>|null} Tool names, or null for all tools
+ */
+export function getToolsForScopes(scopes) {
+  const map = getScopeToolMap();
+  if (!map) {
+    return null;
+  }
+
+  const tools = new Set();
+  for (const scope of scopes) {
+    for (const tool of map[scope] || []) {
+      if (tool === '*') {
+        return null;
+      }
+      tools.add(tool);
+    }
+  }
+  return Array.from(tools);
+}
+
+/**
+ * List the scopes that grant access to a tool
+ * @param {string} toolName - Tool name
+ * @returns {Array<string>} Scope names (empty if no mapping is configured)
+ */
+export function getScopesForTool(toolName) {
+  const map = getScopeToolMap();
+  if (!map) {
+    return [];
+  }
+  return Object.entries(map)
+    .filter(([, tools]) => tools.includes(toolName) || tools.includes('*'))
+    .map(([scope]) => scope);
+}
+
+/**
+ * Get the canonical URL of the /mcp resource
+ * @param {Object} req - Express request (used when MCP_RESOURCE_URL is not set)
+ * @returns {string}
+ */
+export function getResourceUrl(req) {
+  if (process.env.MCP_RESOURCE_URL) {
+    return process.env.MCP_RESOURCE_URL;
+  }
+  return `${req.protocol}://${req.get('host')}/mcp`;
+}
+
+/**
+ * Get the URL of the protected-resource metadata for the /mcp resource
+ * (RFC 9728: the well-known path is inserted before the resource path)
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+export function getResourceMetadataUrl(req) {
+  const resource = new URL(getResourceUrl(req));
+  const resourcePath = resource.pathname === '/' ? '' : resource.pathname;
+  return `${resource.origin}${METADATA_PATH}${resourcePath}`;
+}
+
+/**
+ * Build the protected-resource metadata document
+ * @param {Object} req - Express request
+ * @returns {Object} RFC 9728 metadata
+ */
+export function getProtectedResourceMetadata(req) {
+  const authorizationServers = parseList(process.env.MCP_AUTHORIZATION_SERVERS || process.env.JWT_ISSUER);
+  const scopeTools = getScopeToolMap();
+
+  const metadata = {
+    resource: getResourceUrl(req),
+    authorization_servers: authorizationServers,
+    bearer_methods_supported: ['header'],
+    resource_name: 'mcp-oracle-server'
+  };
+  if (scopeTools) {
+    metadata.scopes_supported = Object.keys(scopeTools);
+  }
+  return metadata;
+}
+
+/**
+ * Build a WWW-Authenticate challenge for the /mcp resource
+ * @param {Object} req - Express request
+ * @param {Object} details - Optional RFC 6750 error details
+ * @param {string} details.error - invalid_token | insufficient_scope
+ * @param {string} details.description - Human-readable description
+ * @param {Array<string>} details.scopes - Scopes that would grant access
+ * @returns {string} Header value
+ */
+export function buildWwwAuthenticate(req, { error, description, scopes } = {}) {
+  const quote = value => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+  const params = [`resource_metadata=${quote(getResourceMetadataUrl(req))}`];
+
+  if (error) {
+    params.push(`error=${quote(error)}`);
+  }
+  if (description) {
+    params.push(`error_description=${quote(description)}`);
+  }
+  if (scopes && scopes.length > 0) {
+    params.push(`scope=${quote(scopes.join(' '))}`);
+  }
+
+  return `Bearer ${params.join(', ')}`;
+}
+
+/**
+ * Register the protected-resource metadata endpoints (unauthenticated)
+ * Served at the root well-known path and at the path-specific one for /mcp.
+ * @param {Express} app - Express application instance
+ */
+export function registerOAuthMetadata(app) {
+  const handler = (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(getProtectedResourceMetadata(req));
+  };
+
+  app.get(METADATA_PATH, handler);
+  app.get(`${METADATA_PATH}/mcp`, handler);
+
+  logger.info('OAuth protected-resource metadata registered', {
+    path: METADATA_PATH,
+    authorizationServers: parseList(process.env.MCP_AUTHORIZATION_SERVERS || process.env.JWT_ISSUER)
+  });
+}
+
+export default {
+  getScopeToolMap,
+  getToolsForScopes,
+  getScopesForTool,
+  getResourceUrl,
+  getResourceMetadataUrl,
+  getProtectedResourceMetadata,
+  buildWwwAuthenticate,
+  registerOAuthMetadata
+};
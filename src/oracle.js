@@ -1,8 +1,26 @@
 import oracledb from 'oracledb';
 import { logger } from './logger.js';
 import { validateNoSemicolons } from './util/validators.js';
+import { getRequestContext } from './requestContext.js';
+import { convertLobs } from './lobs.js';
+import { extractBindVariables } from './util/templateEngine.js';
+import { DEFAULT_DATASOURCE, getDefaultDatasource, getToolDatasource } from './datasources.js';
 
-let pool = null;
+// Datasource name -> pool, and the error of pools that failed to start
+const pools = new Map();
+const poolErrors = new Map();
+// Datasource name -> session-init SQL (see initSession)
+const sessionInitSql = new Map();
+let clientInitialized = false;
+
+// Bind variables the session-init SQL may use
+const SESSION_INIT_BINDS = ['CLIENT_ID', 'PRINCIPAL_TYPE', 'TOOL', 'SESSION_ID'];
+
+// Longest values Oracle keeps for the session tags
+const SESSION_TAG_LIMITS = { clientId: 64, module: 48, action: 32, dbOp: 30 };
+
+// node-oracledb's error when a round trip exceeds connection.callTimeout
+const CALL_TIMEOUT_ERROR = 'NJS-123';
 
 /**
  * Initialize Oracle connection pool
@@ -15,99 +33,296 @@ export async function initializePool(config) {
 }
 
 /**
- * Initialize Oracle connection pool
- * @param {Object} config - Oracle connection configuration
- * @returns {Promise<void>}
+ * Load the Oracle Client libraries (once per process)
  */
-export async function initPool(config) {
-  try {
-    // Set Oracle Client library path (for Docker)
-    let clientPath = process.env.ORACLE_CLIENT_PATH;
+async function initClient() {
+  if (clientInitialized) {
+    return;
+  }
+  clientInitialized = true;
+
+  // Set Oracle Client library path (for Docker)
+  let clientPath = process.env.ORACLE_CLIENT_PATH;
+  
+  // Try to auto-detect the actual installation directory
+  if (!clientPath || clientPath === '/usr/lib/oracle') {
+    const fs = await import('fs');
+    const path = await import('path');
     
-    // Try to auto-detect the actual installation directory
-    if (!clientPath || clientPath === '/usr/lib/oracle') {
-      const fs = await import('fs');
-      const path = await import('path');
-      
-      // Check for stored path from build
-      const storedPath = '/etc/oracle_client_path.txt';
-      if (fs.existsSync(storedPath)) {
-        clientPath = fs.readFileSync(storedPath, 'utf8').trim();
-        logger.info('Using Oracle Client path from build', { path: clientPath });
-      } else {
-        // Auto-detect by scanning /usr/lib/oracle
-        const oracleBase = '/usr/lib/oracle';
-        if (fs.existsSync(oracleBase)) {
-          const dirs = fs.readdirSync(oracleBase).filter(dir => dir.startsWith('instantclient_'));
-          if (dirs.length > 0) {
-            clientPath = path.join(oracleBase, dirs[0]);
-            logger.info('Auto-detected Oracle Client path', { path: clientPath });
-          }
+    // Check for stored path from build
+    const storedPath = '/etc/oracle_client_path.txt';
+    if (fs.existsSync(storedPath)) {
+      clientPath = fs.readFileSync(storedPath, 'utf8').trim();
+      logger.info('Using Oracle Client path from build', { path: clientPath });
+    } else {
+      // Auto-detect by scanning /usr/lib/oracle
+      const oracleBase = '/usr/lib/oracle';
+      if (fs.existsSync(oracleBase)) {
+        const dirs = fs.readdirSync(oracleBase).filter(dir => dir.startsWith('instantclient_'));
+        if (dirs.length > 0) {
+          clientPath = path.join(oracleBase, dirs[0]);
+          logger.info('Auto-detected Oracle Client path', { path: clientPath });
         }
       }
     }
-    
-    if (clientPath && clientPath !== '/usr/lib/oracle') {
-      // Set LD_LIBRARY_PATH to the client path so libraries can be found
-      process.env.LD_LIBRARY_PATH = clientPath + (process.env.LD_LIBRARY_PATH ? ':' + process.env.LD_LIBRARY_PATH : '');
-      oracledb.initOracleClient({ libDir: clientPath });
-      logger.info('Oracle Client initialized', { libDir: clientPath, ldLibraryPath: process.env.LD_LIBRARY_PATH });
-    } else {
-      // Let oracledb try to find it automatically (may work if in standard location)
-      logger.warn('ORACLE_CLIENT_PATH not set, letting oracledb auto-detect');
+  }
+  
+  if (clientPath && clientPath !== '/usr/lib/oracle') {
+    // Set LD_LIBRARY_PATH to the client path so libraries can be found
+    process.env.LD_LIBRARY_PATH = clientPath + (process.env.LD_LIBRARY_PATH ? ':' + process.env.LD_LIBRARY_PATH : '');
+    oracledb.initOracleClient({ libDir: clientPath });
+    logger.info('Oracle Client initialized', { libDir: clientPath, ldLibraryPath: process.env.LD_LIBRARY_PATH });
+  } else {
+    // Let oracledb try to find it automatically (may work if in standard location)
+    logger.warn('ORACLE_CLIENT_PATH not set, letting oracledb auto-detect');
+  }
+}
+
+/**
+ * Initialize an Oracle connection pool
+ * @param {Object} config - Oracle connection configuration
+ * @param {string} config.name - Datasource name (default: "default")
+ * @param {number} config.poolMin - Pool sizes (default: ORACLE_POOL_* settings)
+ * @param {string} config.sessionInitSql - SQL run on the connection before each query
+ *   (default: ORACLE_SESSION_INIT_SQL)
+ * @returns {Promise<void>}
+ */
+export async function initPool(config) {
+  const name = config.name || DEFAULT_DATASOURCE;
+  const initSql = config.sessionInitSql || process.env.ORACLE_SESSION_INIT_SQL || null;
+
+  try {
+    const unknownBinds = initSql ? extractBindVariables(initSql).filter(bind => !SESSION_INIT_BINDS.includes(bind)) : [];
+    if (unknownBinds.length > 0) {
+      throw new Error(`Session init SQL uses unknown bind variables: ${unknownBinds.join(', ')} (available: ${SESSION_INIT_BINDS.join(', ')})`);
     }
 
-    pool = await oracledb.createPool({
+    await initClient();
+
+    const pool = await oracledb.createPool({
       user: config.user,
       password: config.password,
       connectString: config.connectionString,
-      poolMin: parseInt(process.env.ORACLE_POOL_MIN || '2'),
-      poolMax: parseInt(process.env.ORACLE_POOL_MAX || '10'),
-      poolIncrement: parseInt(process.env.ORACLE_POOL_INCREMENT || '1'),
-      poolTimeout: parseInt(process.env.ORACLE_POOL_TIMEOUT || '60'),
+      poolMin: config.poolMin ?? parseInt(process.env.ORACLE_POOL_MIN || '2'),
+      poolMax: config.poolMax ?? parseInt(process.env.ORACLE_POOL_MAX || '10'),
+      poolIncrement: config.poolIncrement ?? parseInt(process.env.ORACLE_POOL_INCREMENT || '1'),
+      poolTimeout: config.poolTimeout ?? parseInt(process.env.ORACLE_POOL_TIMEOUT || '60'),
       queueTimeout: parseInt(process.env.ORACLE_QUEUE_TIMEOUT || '60000'),
       stmtCacheSize: 30,
       enableStatistics: true
     });
+    pools.set(name, pool);
+    poolErrors.delete(name);
+    if (initSql) {
+      sessionInitSql.set(name, initSql);
+    } else {
+      sessionInitSql.delete(name);
+    }
 
     logger.info('Oracle connection pool initialized successfully', {
+      datasource: name,
       poolMin: pool.poolMin,
-      poolMax: pool.poolMax
+      poolMax: pool.poolMax,
+      sessionInit: Boolean(initSql)
     });
   } catch (error) {
-    logger.error('Failed to initialize Oracle connection pool', { error: error.message, stack: error.stack });
+    poolErrors.set(name, error.message);
+    logger.error('Failed to initialize Oracle connection pool', { datasource: name, error: error.message, stack: error.stack });
     throw error;
   }
 }
 
 /**
- * Get a connection from the pool
+ * Initialize the pools of several datasources
+ * A pool that fails to start is logged and skipped; the others still start.
+ * @param {Array<Object>} configs - Configurations as for initPool (see getDatasourceConfigs)
+ * @returns {Promise<Object>} { initialized: string[], failed: string[] }
+ */
+export async function initPools(configs) {
+  const initialized = [];
+  const failed = [];
+  for (const config of configs) {
+    try {
+      await initPool(config);
+      initialized.push(config.name);
+    } catch (error) {
+      failed.push(config.name);
+    }
+  }
+  return { initialized, failed };
+}
+
+/**
+ * Resolve which datasource a query runs on
+ * @param {string} datasource - Requested datasource (optional)
+ * @returns {string} The requested datasource, else the current tool's route
+ *   (ORACLE_TOOL_DATASOURCES), else the default datasource
+ */
+export function resolveDatasource(datasource) {
+  return datasource || getToolDatasource(getRequestContext()?.tool) || getDefaultDatasource();
+}
+
+// Cache for the parsed ORACLE_TOOL_CALL_TIMEOUTS, keyed by its raw value
+let toolCallTimeoutsCache = { raw: undefined, timeouts: {} };
+
+/**
+ * Get the call timeout a tool is given by ORACLE_TOOL_CALL_TIMEOUTS
+ * The variable is parsed (and an invalid value reported) once per value,
+ * not on every query.
+ * @param {string} tool - Tool name
+ * @returns {number|null} Timeout in ms
+ */
+function getToolCallTimeout(tool) {
+  const raw = process.env.ORACLE_TOOL_CALL_TIMEOUTS;
+  if (toolCallTimeoutsCache.raw !== raw) {
+    let timeouts = {};
+    if (raw) {
+      try {
+        timeouts = JSON.parse(raw) || {};
+      } catch (error) {
+        logger.warn('Ignoring invalid ORACLE_TOOL_CALL_TIMEOUTS', { error: error.message });
+      }
+    }
+    toolCallTimeoutsCache = { raw, timeouts };
+  }
+
+  const timeout = tool ? toolCallTimeoutsCache.timeouts[tool] : null;
+  return Number.isInteger(timeout) && timeout > 0 ? timeout : null;
+}
+
+/**
+ * Resolve the call timeout of a query (connection.callTimeout)
+ * Oracle aborts any round trip of the query that takes longer.
+ * @param {number} callTimeout - Requested timeout in ms, e.g. the mapping's
+ *   mcp_call_timeout_ms (optional)
+ * @returns {number} The requested timeout, else the current tool's
+ *   (ORACLE_TOOL_CALL_TIMEOUTS), else ORACLE_CALL_TIMEOUT (default: MCP_REQUEST_TIMEOUT,
+ *   else 30000); 0 means none
+ */
+export function resolveCallTimeout(callTimeout) {
+  return callTimeout ||
+    getToolCallTimeout(getRequestContext()?.tool) ||
+    parseInt(process.env.ORACLE_CALL_TIMEOUT || process.env.MCP_REQUEST_TIMEOUT || '30000');
+}
+
+/**
+ * Get the names of the datasources with a pool (or a failed pool)
+ * @returns {Array<string>}
+ */
+export function getDatasources() {
+  return Array.from(new Set([...pools.keys(), ...poolErrors.keys()]));
+}
+
+/**
+ * Get a connection from a datasource's pool
+ * @param {string} datasource - Datasource name (default: see resolveDatasource)
  * @returns {Promise<oracledb.Connection>}
+ * @throws {Error} - With code UNKNOWN_DATASOURCE for a datasource without a pool
  */
-export async function getConnection() {
+export async function getConnection(datasource) {
+  const name = resolveDatasource(datasource);
+  const pool = pools.get(name);
   if (!pool) {
-    throw new Error('Oracle pool not initialized. Call initializePool() first.');
+    if (pools.size === 0 && !poolErrors.has(name)) {
+      throw new Error('Oracle pool not initialized. Call initializePool() first.');
+    }
+    const error = new Error(poolErrors.has(name)
+      ? `Datasource ${name} is unavailable: ${poolErrors.get(name)}`
+      : `Unknown datasource: ${name}. Available datasources: ${Array.from(pools.keys()).join(', ')}`);
+    error.code = 'UNKNOWN_DATASOURCE';
+    throw error;
   }
 
   try {
     const connection = await pool.getConnection();
     return connection;
   } catch (error) {
-    logger.error('Failed to get connection from pool', { error: error.message });
+    logger.error('Failed to get connection from pool', { datasource: name, error: error.message });
     throw error;
   }
 }
 
+/**
+ * Tag a connection with the current call, for V$SESSION and the audit trail
+ * Sets CLIENT_IDENTIFIER to the principal, MODULE to ORACLE_SESSION_MODULE
+ * (default: mcp-oracle) and ACTION and the DB operation to the tool. Pooled
+ * connections keep their tags, so calls without a context clear them.
+ * The tags are sent with the next round trip, not on their own.
+ * @param {oracledb.Connection} connection - Connection from the pool
+ * @param {Object|null} context - Request context ({ principal, tool })
+ */
+function tagSession(connection, context) {
+  const tags = {
+    clientId: context?.principal?.name || '',
+    module: process.env.ORACLE_SESSION_MODULE || 'mcp-oracle',
+    action: context?.tool || '',
+    dbOp: context?.tool || ''
+  };
+  for (const [tag, value] of Object.entries(tags)) {
+    connection[tag] = value.substring(0, SESSION_TAG_LIMITS[tag]);
+  }
+}
+
+/**
+ * Run the datasource's session-init SQL on a connection
+ * The SQL (e.g. "BEGIN DBMS_SESSION.SET_IDENTIFIER(:client_id); END;" or a
+ * call setting a VPD application context) may bind :client_id,
+ * :principal_type, :tool and :session_id, which are null outside a tool call.
+ * It runs before every query, so it must also reset what a previous call set.
+ * @param {oracledb.Connection} connection - Connection from the pool
+ * @param {string} datasource - Datasource name
+ * @param {Object|null} context - Request context ({ principal, sessionId, tool })
+ * @returns {Promise<void>}
+ * @throws {Error} - With code SESSION_INIT_FAILED; the query must not run without it
+ */
+async function initSession(connection, datasource, context) {
+  const sql = sessionInitSql.get(datasource);
+  if (!sql) {
+    return;
+  }
+
+  const values = {
+    CLIENT_ID: context?.principal?.name ?? null,
+    PRINCIPAL_TYPE: context?.principal?.type ?? null,
+    TOOL: context?.tool ?? null,
+    SESSION_ID: context?.sessionId ?? null
+  };
+  const binds = Object.fromEntries(extractBindVariables(sql).map(bind => [bind.toLowerCase(), values[bind]]));
+
+  try {
+    await connection.execute(sql, binds);
+  } catch (error) {
+    const initError = new Error(`Session init failed on datasource ${datasource}: ${error.message}`);
+    initError.code = 'SESSION_INIT_FAILED';
+    throw initError;
+  }
+}
+
 /**
  * Execute a SQL query and return results as JSON-friendly objects
  * @param {string} sql - SQL query to execute
  * @param {Object} binds - Query bind parameters
  * @param {Object} options - Query options (outFormat, maxRows, etc.)
  * @param {boolean} options.approved - If true, bypasses semicolon check (for internal use)
+ * @param {Object} options.lobColumns - Column name -> x-mcp-lob settings (see lobs.js)
+ * @param {string} options.datasource - Datasource to run on (default: see resolveDatasource)
+ * @param {number} options.callTimeout - Round-trip timeout in ms (default: see resolveCallTimeout)
  * @returns {Promise<Object>} Query results
+ * @throws {Error} - error.errorNum is the Oracle error number or code; CALL_TIMEOUT when
+ *   the call timeout expired, or the code of the request's cancellation (e.g.
+ *   REQUEST_TIMEOUT, CLIENT_DISCONNECTED) when the call was cancelled
  */
 export async function executeQuery(sql, binds = {}, options = {}) {
   let connection;
+  const { lobColumns = {}, datasource: requestedDatasource, callTimeout: requestedCallTimeout, ...executeOptions } = options;
+  const datasource = resolveDatasource(requestedDatasource);
+  const callTimeout = resolveCallTimeout(requestedCallTimeout);
+  const requestContext = getRequestContext();
+  // Aborted by the transport when the MCP request times out or the client goes away
+  const signal = requestContext?.signal;
+  const cancel = () => {
+    connection.break().catch(error => logger.warn('Failed to cancel query', { datasource, error: error.message }));
+  };
   
   try {
     // Reject SQL containing semicolons (unless approved for internal use)
@@ -117,6 +332,10 @@ export async function executeQuery(sql, binds = {}, options = {}) {
     
     // SQL audit logging
     logger.info('DB_EXECUTE', {
+      principal: requestContext?.principal?.name,
+      tool: requestContext?.tool,
+      datasource,
+      callTimeout,
       sql: sql.substring(0, 500), // Truncate for logging
       binds: Object.keys(binds),
       bindCount: Object.keys(binds).length,
@@ -124,13 +343,19 @@ export async function executeQuery(sql, binds = {}, options = {}) {
       approved: options.approved || false
     });
     
-    connection = await getConnection();
+    signal?.throwIfAborted();
+    connection = await getConnection(datasource);
+    connection.callTimeout = callTimeout;
+    signal?.throwIfAborted();
+    signal?.addEventListener('abort', cancel, { once: true });
+    tagSession(connection, requestContext);
+    await initSession(connection, datasource, requestContext);
     
     // Default options
     const queryOptions = {
       outFormat: oracledb.OUT_FORMAT_OBJECT,
-      maxRows: options.maxRows || 1000,
-      ...options
+      maxRows: executeOptions.maxRows || 1000,
+      ...executeOptions
     };
 
     logger.debug('Executing query', { sql: sql.substring(0, 200), binds });
@@ -140,23 +365,8 @@ export async function executeQuery(sql, binds = {}, options = {}) {
     // Convert result to JSON-friendly format
     const rows = result.rows || [];
     
-    // Handle CLOB/BLOB by converting to string
-    const processedRows = rows.map(row => {
-      const processed = {};
-      for (const [key, value] of Object.entries(row)) {
-        if (value && typeof value === 'object') {
-          // Handle CLOB/BLOB
-          if (value.constructor && value.constructor.name === 'Lob') {
-            processed[key] = '[CLOB/BLOB]';
-          } else {
-            processed[key] = value;
-          }
-        } else {
-          processed[key] = value;
-        }
-      }
-      return processed;
-    });
+    // Read CLOB/BLOB values while the connection is still open
+    const processedRows = await convertLobs(rows, lobColumns);
 
     return {
       rows: processedRows,
@@ -167,10 +377,12 @@ export async function executeQuery(sql, binds = {}, options = {}) {
       }
     };
   } catch (error) {
-    // Normalize Oracle errors
+    // Normalize Oracle errors; a cancelled call fails with ORA-01013, reported as the reason it was cancelled
+    const cancelled = signal?.aborted ? signal.reason : null;
     const normalizedError = {
-      message: error.message || 'Unknown database error',
-      code: error.errorNum || error.code || 'UNKNOWN',
+      message: cancelled?.message || error.message || 'Unknown database error',
+      code: cancelled?.code || (error.code === CALL_TIMEOUT_ERROR ? 'CALL_TIMEOUT' : null) ||
+        error.errorNum || error.code || 'UNKNOWN',
       sqlState: error.sqlState || null,
       offset: error.offset || null
     };
@@ -192,6 +404,7 @@ export async function executeQuery(sql, binds = {}, options = {}) {
     
     throw dbError;
   } finally {
+    signal?.removeEventListener('abort', cancel);
     if (connection) {
       try {
         await connection.close();
@@ -214,27 +427,39 @@ export async function executeQuerySingle(sql, binds = {}) {
 }
 
 /**
- * Close the connection pool
+ * Close connection pools
+ * @param {string} datasource - Only close this datasource's pool (default: all)
  * @returns {Promise<void>}
  */
-export async function closePool() {
-  if (pool) {
+export async function closePool(datasource) {
+  const names = datasource ? [datasource] : Array.from(pools.keys());
+  for (const name of names) {
+    const pool = pools.get(name);
+    if (!pool) {
+      continue;
+    }
     try {
       await pool.close(10); // Wait up to 10 seconds
-      logger.info('Oracle connection pool closed successfully');
-      pool = null;
+      logger.info('Oracle connection pool closed successfully', { datasource: name });
+      pools.delete(name);
+      sessionInitSql.delete(name);
     } catch (error) {
-      logger.error('Error closing Oracle pool', { error: error.message });
+      logger.error('Error closing Oracle pool', { datasource: name, error: error.message });
       throw error;
     }
   }
+  if (!datasource) {
+    poolErrors.clear();
+  }
 }
 
 /**
  * Get pool statistics
- * @returns {Object} Pool statistics
+ * @param {string} datasource - Datasource name (default: the default datasource)
+ * @returns {Object|null} Pool statistics, or null without a pool
  */
-export function getPoolStats() {
+export function getPoolStats(datasource) {
+  const pool = pools.get(datasource || getDefaultDatasource());
   if (!pool) {
     return null;
   }
@@ -248,10 +473,24 @@ export function getPoolStats() {
 }
 
 /**
- * Check if the pool is ready to accept connections
+ * Get the statistics of every datasource's pool
+ * @returns {Object} Datasource name -> pool statistics, or { error } for a pool that failed to start
+ */
+export function getAllPoolStats() {
+  return Object.fromEntries(getDatasources().map(name => [
+    name,
+    pools.has(name) ? getPoolStats(name) : { error: poolErrors.get(name) }
+  ]));
+}
+
+/**
+ * Check if a pool is ready to accept connections
+ * @param {string} datasource - Datasource name (default: the default datasource)
  * @returns {Promise<boolean>} True if pool is ready
  */
-export async function isPoolReady() {
+export async function isPoolReady(datasource) {
+  const name = datasource || getDefaultDatasource();
+  const pool = pools.get(name);
   if (!pool) {
     return false;
   }
@@ -262,11 +501,21 @@ export async function isPoolReady() {
     await connection.close();
     return true;
   } catch (error) {
-    logger.warn('Pool readiness check failed', { error: error.message });
+    logger.warn('Pool readiness check failed', { datasource: name, error: error.message });
     return false;
   }
 }
 
+/**
+ * Check every datasource's pool
+ * @returns {Promise<Object>} Datasource name -> ready
+ */
+export async function checkPoolsReady() {
+  const names = getDatasources();
+  const ready = await Promise.all(names.map(name => isPoolReady(name)));
+  return Object.fromEntries(names.map((name, index) => [name, ready[index]]));
+}
+
 /**
  * Run a query (wrapper for executeQuery with better naming)
  * @param {string} sql - SQL query
@@ -281,12 +530,18 @@ export async function runQuery(sql, binds = {}, options = {}) {
 export default {
   initPool,
   initializePool, // Alias for backward compatibility
+  initPools,
+  resolveDatasource,
+  resolveCallTimeout,
+  getDatasources,
   getConnection,
   executeQuery,
   executeQuerySingle,
   runQuery,
   closePool,
   getPoolStats,
-  isPoolReady
+  getAllPoolStats,
+  isPoolReady,
+  checkPoolsReady
 };
 
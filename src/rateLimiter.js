@@ -0,0 +1,257 @@
+import { logger } from './logger.js';
+import { createRpcError, JSONRPC_ERRORS } from './util/jsonRpc.js';
+
+/**
+ * Rate limiting and concurrency caps for tool calls
+ *
+ * Every tools/call passes these checks before its handler runs:
+ * - a token bucket per principal (API key name / token subject)
+ * - a token bucket per tool, shared by all callers
+ * - a max-in-flight cap per tool
+ * - for tools that require the database, one max-in-flight budget shared by
+ *   all of them, so together they can't queue more calls than the pool serves
+ *
+ * Limits are expressed as requests per minute plus a burst size; 0 disables a limit.
+ * Configuration (most specific wins):
+ * - Principal: rateLimit { rpm, burst } on the API key entry, else
+ *   MCP_RATE_LIMIT_RPM (default: 120) / MCP_RATE_LIMIT_BURST (default: 20)
+ * - Tool: MCP_TOOL_LIMITS JSON ({ "runQuery": { "rpm": 30, "burst": 5, "maxInFlight": 3 } }),
+ *   else options.rateLimit / options.maxInFlight in the tool definition, else
+ *   MCP_TOOL_RATE_LIMIT_RPM / MCP_TOOL_RATE_LIMIT_BURST (default: 0, unlimited) and
+ *   MCP_TOOL_MAX_IN_FLIGHT (default: 0, unlimited)
+ * - Database tools together: MCP_DATABASE_MAX_IN_FLIGHT (default: ORACLE_POOL_MAX)
+ */
+
+// Buckets beyond this count are pruned (full buckets carry no state worth keeping)
+const MAX_BUCKETS = 10000;
+
+const buckets = new Map();
+const inFlight = new Map();
+const databaseSlots = { running: 0, max: 0 };
+const rejected = { principal: 0, tool: 0, concurrency: 0 };
+
+// Cache for the parsed MCP_TOOL_LIMITS, keyed by its raw value
+let toolLimitsCache = { raw: undefined, limits: {} };
+
+/**
+ * Get per-tool limit overrides from MCP_TOOL_LIMITS
+ * @returns {Object} Tool name -> { rpm, burst, maxInFlight }
+ */
+function getToolLimitOverrides() {
+  const raw = process.env.MCP_TOOL_LIMITS;
+  if (toolLimitsCache.raw === raw) {
+    return toolLimitsCache.limits;
+  }
+
+  let limits = {};
+  if (raw && raw.trim()) {
+    try {
+      limits = JSON.parse(raw);
+    } catch (error) {
+      logger.error('Invalid MCP_TOOL_LIMITS - ignoring per-tool overrides', { error: error.message });
+      limits = {};
+    }
+  }
+
+  toolLimitsCache = { raw, limits };
+  return limits;
+}
+
+/**
+ * Resolve the limits for a principal
+ * @param {Object} principal - Authenticated principal
+ * @returns {Object} { rpm, burst }
+ */
+function getPrincipalLimits(principal) {
+  const configured = principal?.rateLimit || {};
+  return {
+    rpm: configured.rpm ?? parseInt(process.env.MCP_RATE_LIMIT_RPM || '120'),
+    burst: configured.burst ?? parseInt(process.env.MCP_RATE_LIMIT_BURST || '20')
+  };
+}
+
+/**
+ * Resolve the limits for a tool
+ * @param {Object} tool - Registry entry
+ * @returns {Object} { rpm, burst, maxInFlight }
+ */
+function getToolLimits(tool) {
+  const override = getToolLimitOverrides()[tool.name] || {};
+  const options = tool.options || {};
+
+  return {
+    rpm: override.rpm ?? options.rateLimit?.rpm ?? parseInt(process.env.MCP_TOOL_RATE_LIMIT_RPM || '0'),
+    burst: override.burst ?? options.rateLimit?.burst ?? parseInt(process.env.MCP_TOOL_RATE_LIMIT_BURST || '0'),
+    maxInFlight: override.maxInFlight ?? options.maxInFlight ?? parseInt(process.env.MCP_TOOL_MAX_IN_FLIGHT || '0')
+  };
+}
+
+/**
+ * Get the in-flight budget shared by all tools that require the database
+ * @returns {number} Maximum concurrent database tool calls (0 = unlimited)
+ */
+function getDatabaseMaxInFlight() {
+  return parseInt(process.env.MCP_DATABASE_MAX_IN_FLIGHT || process.env.ORACLE_POOL_MAX || '10');
+}
+
+/**
+ * Get a token bucket, refilled up to now
+ * @param {string} key - Bucket key
+ * @param {Object} limits - { rpm, burst }
+ * @returns {Object|null} Bucket, or null if the limit is disabled
+ */
+function getBucket(key, { rpm, burst }) {
+  if (!rpm || rpm <= 0) {
+    return null;
+  }
+
+  const capacity = Math.max(burst || 0, 1);
+  const ratePerMs = rpm / 60000;
+  const now = Date.now();
+
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    if (buckets.size >= MAX_BUCKETS) {
+      pruneBuckets();
+    }
+    bucket = { tokens: capacity, updatedAt: now };
+    buckets.set(key, bucket);
+  }
+
+  bucket.capacity = capacity;
+  bucket.ratePerMs = ratePerMs;
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+  bucket.updatedAt = now;
+
+  return bucket;
+}
+
+/**
+ * Drop buckets that have refilled completely
+ */
+function pruneBuckets() {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    if (bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs >= bucket.capacity) {
+      buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * Seconds until a bucket has a token again
+ * @param {Object} bucket - Token bucket
+ * @returns {number}
+ */
+function secondsUntilToken(bucket) {
+  return Math.max(1, Math.ceil((1 - bucket.tokens) / bucket.ratePerMs / 1000));
+}
+
+/**
+ * Build the error returned for a limited call
+ */
+function rateLimitError(limit, message, retryAfter, tool, principal) {
+  rejected[limit] += 1;
+  logger.warn('Tool call rate limited', { limit, tool, principal, retryAfter });
+  return createRpcError(JSONRPC_ERRORS.RATE_LIMITED, `${message}; retry after ${retryAfter}s`, {
+    limit,
+    tool,
+    principal,
+    retryAfter
+  });
+}
+
+/**
+ * Reserve capacity for a tool call
+ * Tokens are only taken when every check passes, so a call rejected by the
+ * tool limit doesn't use up the principal's budget.
+ * @param {Object} tool - Registry entry
+ * @param {Object} principal - Authenticated principal (may be null)
+ * @returns {Function} Release function - call once the tool has finished
+ * @throws {Error} - JSON-RPC rate limit error with data.retryAfter (seconds)
+ */
+export function acquireToolSlot(tool, principal) {
+  const principalName = principal?.name || 'anonymous';
+  const principalBucket = getBucket(`principal:${principal?.type || 'anonymous'}:${principalName}`, getPrincipalLimits(principal));
+  const toolLimits = getToolLimits(tool);
+  const toolBucket = getBucket(`tool:${tool.name}`, toolLimits);
+
+  if (principalBucket && principalBucket.tokens < 1) {
+    throw rateLimitError('principal', `Rate limit exceeded for ${principalName}`,
+      secondsUntilToken(principalBucket), tool.name, principalName);
+  }
+
+  if (toolBucket && toolBucket.tokens < 1) {
+    throw rateLimitError('tool', `Rate limit exceeded for tool ${tool.name}`,
+      secondsUntilToken(toolBucket), tool.name, principalName);
+  }
+
+  const slots = inFlight.get(tool.name) || { running: 0, max: 0 };
+  slots.max = toolLimits.maxInFlight;
+  inFlight.set(tool.name, slots);
+  if (slots.max > 0 && slots.running >= slots.max) {
+    throw rateLimitError('concurrency', `Too many concurrent calls to tool ${tool.name} (max ${toolLimits.maxInFlight})`,
+      1, tool.name, principalName);
+  }
+
+  const usesDatabase = Boolean(tool.options?.requiresDatabase);
+  if (usesDatabase) {
+    databaseSlots.max = getDatabaseMaxInFlight();
+    if (databaseSlots.max > 0 && databaseSlots.running >= databaseSlots.max) {
+      throw rateLimitError('concurrency', `Too many concurrent database calls (max ${databaseSlots.max})`,
+        1, tool.name, principalName);
+    }
+  }
+
+  if (principalBucket) principalBucket.tokens -= 1;
+  if (toolBucket) toolBucket.tokens -= 1;
+  slots.running += 1;
+  if (usesDatabase) databaseSlots.running += 1;
+
+  let released = false;
+  return () => {
+    if (!released) {
+      released = true;
+      slots.running = Math.max(0, slots.running - 1);
+      if (usesDatabase) databaseSlots.running = Math.max(0, databaseSlots.running - 1);
+    }
+  };
+}
+
+/**
+ * Get current limiter state for monitoring
+ * @returns {Object} { buckets: [{ key, tokens, capacity }], inFlight: { tool: { running, max } },
+ *   database: { running, max }, rejected }
+ */
+export function getRateLimiterStats() {
+  const now = Date.now();
+  return {
+    buckets: Array.from(buckets.entries()).map(([key, bucket]) => ({
+      key,
+      tokens: Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs),
+      capacity: bucket.capacity
+    })),
+    inFlight: Object.fromEntries(Array.from(inFlight.entries()).map(([name, slots]) => [name, { ...slots }])),
+    database: { ...databaseSlots },
+    rejected: { ...rejected }
+  };
+}
+
+/**
+ * Clear all limiter state
+ */
+export function resetRateLimiter() {
+  buckets.clear();
+  inFlight.clear();
+  databaseSlots.running = 0;
+  databaseSlots.max = 0;
+  for (const limit of Object.keys(rejected)) {
+    rejected[limit] = 0;
+  }
+}
+
+export default {
+  acquireToolSlot,
+  getRateLimiterStats,
+  resetRateLimiter
+};
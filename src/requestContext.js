@@ -0,0 +1,33 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-call request context
+ *
+ * callTool runs each tool handler inside the caller's context so code deep
+ * in the call chain (e.g. the DB_EXECUTE audit log in oracle.js) can tell
+ * who made the call without every tool threading it through.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function within a request context
+ * @param {Object} context - Request context ({ principal, sessionId, tool, signal })
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the current call
+ * @returns {Object|null} Request context, or null outside a tool call
+ */
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+export default {
+  runWithContext,
+  getRequestContext
+};
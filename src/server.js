@@ -1,16 +1,16 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { initPool, closePool } from './oracle.js';
-import { logger } from './logger.js';
+import { initPools, closePool, getDatasources } from './oracle.js';
+import { getDatasourceConfigs } from './datasources.js';
+import { logger, redirectConsoleToStderr } from './logger.js';
 import { startWebServer, getApp, register404Handler } from './web.js';
 import { registerMcpEndpoint } from './mcpTransport.js';
-
-// Import tools
-import { runQuery, runQuerySchema } from './tools/runQuery.js';
-import { listTables, listTablesSchema } from './tools/listTables.js';
-import { getSchema, getSchemaSchema } from './tools/getSchema.js';
-import { nl2sql, nl2sqlSchema } from './tools/nl2sql.js';
-import { getSemanticMappings, getSemanticMappingsSchema } from './tools/getSemanticMappings.js';
-import { searchPatients, searchPatientsSchema } from './tools/searchPatients.js';
+import { registerToolHandlers } from './mcpHandlers.js';
+import { getToolSummary } from './toolRegistry.js';
+import { startStdioServer } from './stdioTransport.js';
+import { initAuth } from './auth.js';
+import { registerAdminEndpoints } from './admin.js';
+import { runDriftCheck } from './mappingDrift.js';
+import { reloadSemanticMappings, watchSemanticMappings, unwatchSemanticMappings, isStrictMappings } from './tools/getSemanticMappings.js';
 
 import dotenv from 'dotenv';
 import http from 'http';
@@ -19,163 +19,218 @@ import http from 'http';
 dotenv.config();
 
 let httpServer = null;
+let stdioServer = null;
 
 /**
- * Initialize and start the MCP HTTP server
+ * Determine which MCP transport to run
+ * `--stdio` on the command line or MCP_TRANSPORT=stdio selects stdio; default is http
+ * @returns {string} 'http' or 'stdio'
  */
-async function main() {
-  try {
-    // Validate required environment variables
-    const requiredEnvVars = ['ORACLE_USER', 'ORACLE_PASS', 'ORACLE_CONN'];
-    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-
-    if (missingVars.length > 0) {
-      logger.warn(`Missing Oracle environment variables: ${missingVars.join(', ')}`);
-      logger.warn('Server will start but Oracle-dependent endpoints will not work');
-      logger.warn('Set ORACLE_USER, ORACLE_PASS, and ORACLE_CONN to enable database features');
-    } else {
-      // Initialize Oracle connection pool
-      logger.info('Initializing Oracle connection pool...');
-      try {
-        await initPool({
-          user: process.env.ORACLE_USER,
-          password: process.env.ORACLE_PASS,
-          connectionString: process.env.ORACLE_CONN
-        });
-      } catch (error) {
-        logger.error('Failed to initialize Oracle pool, continuing without database', {
-          error: error.message
-        });
-        logger.warn('Server will start but database features will be unavailable');
-      }
-    }
+function getTransportMode() {
+  if (process.argv.includes('--stdio')) {
+    return 'stdio';
+  }
+  return (process.env.MCP_TRANSPORT || 'http').trim().toLowerCase();
+}
 
-    // Create MCP server
-    const mcpServer = new Server(
-      {
-        name: 'mcp-oracle-server',
-        version: '1.0.0',
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
-
-    // Initialize Express app first (before registering handlers)
-    const app = getApp();
-
-    // Register MCP endpoint (this wraps setRequestHandler)
-    // This must be called before startWebServer() to ensure route is registered
-    try {
-      registerMcpEndpoint(app, mcpServer);
-    } catch (error) {
-      logger.error('Failed to register MCP endpoint', {
-        error: error.message,
-        stack: error.stack
-      });
-      throw error;
+/**
+ * Initialize the Oracle connection pools of the configured datasources
+ * Failures are logged but don't stop the server from starting
+ */
+async function initDatabase() {
+  const configs = getDatasourceConfigs();
+
+  if (configs.length === 0) {
+    logger.warn('Missing Oracle environment variables: ORACLE_USER, ORACLE_PASS, ORACLE_CONN');
+    logger.warn('Server will start but Oracle-dependent endpoints will not work');
+    logger.warn('Set ORACLE_USER, ORACLE_PASS, and ORACLE_CONN (or ORACLE_DATASOURCES) to enable database features');
+    return;
+  }
+
+  // Validate required environment variables
+  const complete = configs.filter(config => {
+    if (config.missing.length > 0) {
+      logger.warn(`Missing Oracle environment variables for datasource ${config.name}: ${config.missing.join(', ')}`);
+      return false;
     }
+    return true;
+  });
 
-    // Register tools - handlers are stored by mcpTransport wrapper
-    // Note: We need to access the wrapped setRequestHandler
-    mcpServer.setRequestHandler('tools/list', async () => {
-      return {
-        tools: [
-          searchPatientsSchema,
-          runQuerySchema,
-          nl2sqlSchema,
-          getSemanticMappingsSchema
-        ]
-      };
-    });
+  // Initialize Oracle connection pools
+  logger.info('Initializing Oracle connection pools...', { datasources: complete.map(config => config.name) });
+  const { failed } = await initPools(complete);
+  if (failed.length > 0) {
+    logger.warn('Server will start but these datasources will be unavailable', { datasources: failed });
+  }
+}
 
-    mcpServer.setRequestHandler('tools/call', async (request) => {
-      const { name, arguments: args } = request.params || {};
+/**
+ * Load semantic mappings before serving requests
+ * With MAPPINGS_STRICT=true, a mapping file that fails to load or validate
+ * stops the boot; otherwise problems are logged and the server starts.
+ * @throws {Error} - In strict mode, if any mapping file was skipped
+ */
+async function initMappings() {
+  const report = await reloadSemanticMappings();
+  const problems = report.error ? [report.error] : report.skipped.map(entry => `${entry.file}: ${entry.reason}`);
 
-      logger.info('MCP tool called', { tool: name, args: Object.keys(args || {}) });
+  if (problems.length > 0 && isStrictMappings()) {
+    throw new Error(`Invalid semantic mappings (MAPPINGS_STRICT=true): ${problems.join('; ')}`);
+  }
+}
 
-      try {
-        let result;
-
-        switch (name) {
-          case 'searchPatients':
-            result = await searchPatients(args);
-            break;
-          case 'runQuery':
-            result = await runQuery(args);
-            break;
-          case 'nl2sql':
-            result = await nl2sql(args);
-            break;
-          case 'getSemanticMappings':
-            result = await getSemanticMappings(args);
-            break;
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
+/**
+ * Compare semantic mappings with the database in the background
+ * Drift is logged and shown on /health; it doesn't stop the server.
+ * Skipped without any database pool or with MAPPINGS_DRIFT_CHECK=false.
+ */
+function startDriftCheck() {
+  if (process.env.MAPPINGS_DRIFT_CHECK === 'false' || getDatasources().length === 0) {
+    return;
+  }
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2)
-            }
-          ]
-        };
-      } catch (error) {
-        logger.error('Tool execution error', { tool: name, error: error.message, stack: error.stack });
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                error: {
-                  message: error.message,
-                  code: 'TOOL_EXECUTION_ERROR'
-                }
-              }, null, 2)
-            }
-          ],
-          isError: true
-        };
-      }
+  runDriftCheck()
+    .then(report => {
+      logger.info('Mapping drift check complete', { status: report.status, ...report.summary });
+    })
+    .catch(error => {
+      logger.error('Mapping drift check failed', { error: error.message });
     });
+}
 
-    // Register 404 handler AFTER all routes are registered
-    register404Handler();
-    
-    // Start HTTP server
-    const PORT = process.env.PORT || 3000;
-    httpServer = await startWebServer();
+/**
+ * Start the MCP server on stdin/stdout (no web server)
+ */
+async function startStdio() {
+  const toolSummary = await getToolSummary();
+  stdioServer = await startStdioServer();
 
-    // Log startup summary
-    logger.info('MCP Oracle Server started successfully', {
+  logger.info('MCP Oracle Server started successfully', {
+    name: 'mcp-oracle-server',
+    version: '1.0.0',
+    transport: 'stdio',
+    tools: toolSummary.enabled,
+    disabledTools: toolSummary.disabled,
+    oraclePool: {
+      min: parseInt(process.env.ORACLE_POOL_MIN || '2'),
+      max: parseInt(process.env.ORACLE_POOL_MAX || '10')
+    },
+    datasources: getDatasources()
+  });
+}
+
+/**
+ * Start the MCP server behind the Express web server
+ */
+async function startHttp() {
+  const toolSummary = await getToolSummary();
+
+  // Fail fast on a broken keys file or JWKS rather than on the first request
+  const auth = await initAuth();
+
+  // Create MCP server
+  const mcpServer = new Server(
+    {
       name: 'mcp-oracle-server',
       version: '1.0.0',
-      port: PORT,
-      transport: 'HTTP',
-      endpoints: {
-        mcp: '/mcp',
-        health: '/health',
-        ready: '/ready',
-        metrics: '/metrics',
-        webhook: '/webhook/telnyx'
+    },
+    {
+      capabilities: {
+        tools: {},
       },
-      tools: ['searchPatients', 'runQuery', 'nl2sql', 'getSemanticMappings'],
-      authEnabled: !!process.env.MCP_API_KEY,
-      oraclePool: {
-        min: parseInt(process.env.ORACLE_POOL_MIN || '2'),
-        max: parseInt(process.env.ORACLE_POOL_MAX || '10')
-      }
+    }
+  );
+
+  // Initialize Express app first (before registering handlers)
+  const app = getApp();
+
+  // Register MCP endpoint (this wraps setRequestHandler)
+  // This must be called before startWebServer() to ensure route is registered
+  try {
+    registerMcpEndpoint(app, mcpServer);
+  } catch (error) {
+    logger.error('Failed to register MCP endpoint', {
+      error: error.message,
+      stack: error.stack
     });
+    throw error;
+  }
+
+  // Register tools - handlers are stored by mcpTransport wrapper
+  // Note: We need to access the wrapped setRequestHandler
+  registerToolHandlers(mcpServer);
+
+  // Register admin endpoints (reload mappings)
+  registerAdminEndpoints(app);
+
+  // Register 404 handler AFTER all routes are registered
+  register404Handler();
+  
+  // Start HTTP server
+  const PORT = process.env.PORT || 3000;
+  httpServer = await startWebServer();
+
+  // Log startup summary
+  logger.info('MCP Oracle Server started successfully', {
+    name: 'mcp-oracle-server',
+    version: '1.0.0',
+    port: PORT,
+    transport: 'HTTP',
+    endpoints: {
+      mcp: '/mcp',
+      health: '/health',
+      ready: '/ready',
+      metrics: '/metrics',
+      webhook: '/webhook/telnyx',
+      reloadMappings: '/admin/mappings/reload'
+    },
+    tools: toolSummary.enabled,
+    disabledTools: toolSummary.disabled,
+    authModes: auth.modes,
+    apiKeys: auth.apiKeys,
+    oraclePool: {
+      min: parseInt(process.env.ORACLE_POOL_MIN || '2'),
+      max: parseInt(process.env.ORACLE_POOL_MAX || '10')
+    },
+    datasources: getDatasources()
+  });
+}
+
+/**
+ * Initialize and start the MCP server on the selected transport
+ */
+async function main() {
+  try {
+    const transportMode = getTransportMode();
+
+    // stdout carries the protocol in stdio mode - keep logs off it
+    if (transportMode === 'stdio') {
+      redirectConsoleToStderr();
+    }
+
+    await initDatabase();
+    await initMappings();
+    startDriftCheck();
+
+    // Pick up mapping file changes without a restart (MAPPINGS_WATCH=false to disable)
+    if (process.env.MAPPINGS_WATCH !== 'false') {
+      watchSemanticMappings();
+    }
+
+    if (transportMode === 'stdio') {
+      await startStdio();
+    } else if (transportMode === 'http') {
+      await startHttp();
+    } else {
+      throw new Error(`Unsupported MCP_TRANSPORT: ${transportMode}. Use "http" or "stdio".`);
+    }
 
     // Handle graceful shutdown
     const shutdown = async (signal) => {
       logger.info(`Received ${signal}, shutting down gracefully...`);
       
+      unwatchSemanticMappings();
+
       // Stop accepting new connections
       if (httpServer) {
         httpServer.close(() => {
@@ -183,7 +238,16 @@ async function main() {
         });
       }
 
-      // Close Oracle pool
+      if (stdioServer) {
+        try {
+          await stdioServer.close();
+          logger.info('MCP stdio transport closed');
+        } catch (error) {
+          logger.error('Error closing stdio transport', { error: error.message });
+        }
+      }
+
+      // Close Oracle pools
       try {
         await closePool();
       } catch (error) {
@@ -200,6 +264,11 @@ async function main() {
     process.on('SIGINT', () => shutdown('SIGINT'));
     process.on('SIGTERM', () => shutdown('SIGTERM'));
 
+    // A stdio client ends the session by closing our stdin
+    if (transportMode === 'stdio') {
+      process.stdin.on('close', () => shutdown('stdin closed'));
+    }
+
     // Handle uncaught errors
     process.on('uncaughtException', (error) => {
       logger.error('Uncaught exception', { error: error.message, stack: error.stack });
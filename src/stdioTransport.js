@@ -0,0 +1,96 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from './logger.js';
+import { listTools, callTool } from './mcpHandlers.js';
+
+/**
+ * STDIO transport for MCP Server
+ *
+ * Used by desktop MCP clients that launch the server as a child process.
+ * Unlike the HTTP transport, this uses the SDK's own transport and request
+ * routing; only the tool handlers are shared (see mcpHandlers.js).
+ *
+ * stdout carries the protocol - nothing else may be written to it, so the
+ * logger must be redirected to stderr before this is started.
+ */
+
+// The client is whoever launched the process; it isn't authenticated further
+const STDIO_CONTEXT = {
+  principal: { type: 'local', name: 'stdio', tools: null, scopes: [] }
+};
+
+/**
+ * Create the error a tool call is cancelled with (the abort reason)
+ * @param {string} code - CLIENT_CANCELLED or CLIENT_DISCONNECTED
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function cancellationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Start the MCP server on stdin/stdout
+ * @returns {Promise<Server>} Connected MCP Server instance
+ */
+export async function startStdioServer() {
+  const mcpServer = new Server(
+    {
+      name: 'mcp-oracle-server',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+      },
+    }
+  );
+
+  // Cancellation of the running tool calls; the SDK aborts extra.signal on
+  // notifications/cancelled, and the calls still running when the transport
+  // closes are aborted here, so their statements are broken (see oracle.js)
+  const running = new Set();
+
+  mcpServer.setRequestHandler(ListToolsRequestSchema, async () => listTools(STDIO_CONTEXT));
+  mcpServer.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const cancellation = new AbortController();
+    const onCancelled = () => {
+      cancellation.abort(cancellationError('CLIENT_CANCELLED', 'Query cancelled: the client cancelled the request'));
+    };
+    if (extra?.signal?.aborted) {
+      onCancelled();
+    }
+    extra?.signal?.addEventListener('abort', onCancelled, { once: true });
+    running.add(cancellation);
+
+    try {
+      return await callTool(request.params, { ...STDIO_CONTEXT, signal: cancellation.signal });
+    } finally {
+      extra?.signal?.removeEventListener('abort', onCancelled);
+      running.delete(cancellation);
+    }
+  });
+
+  mcpServer.onclose = () => {
+    for (const cancellation of running) {
+      cancellation.abort(cancellationError('CLIENT_DISCONNECTED', 'Query cancelled: the client disconnected'));
+    }
+  };
+
+  mcpServer.onerror = (error) => {
+    logger.error('MCP stdio transport error', { error: error.message, stack: error.stack });
+  };
+
+  const transport = new StdioServerTransport();
+  await mcpServer.connect(transport);
+
+  logger.info('MCP stdio transport connected');
+  return mcpServer;
+}
+
+export default {
+  startStdioServer
+};
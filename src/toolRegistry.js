@@ -0,0 +1,308 @@
+import { readdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from './logger.js';
+
+// Get current directory for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Path to tools folder
+const TOOLS_DIR = join(__dirname, 'tools');
+
+// Cache for discovered tools
+let TOOL_REGISTRY = null;
+let loadPromise = null;
+
+/**
+ * Declarative MCP tool registry
+ *
+ * Every module in src/tools/ default-exports a tool definition:
+ *
+ *   export default {
+ *     schema: { name, description, inputSchema },  // as returned by tools/list
+ *     handler: async (args) => result,             // called by tools/call
+ *     options: { enabled, requiresDatabase },      // optional
+ *     resolveSchema: async () => schema,           // optional, see getToolSchema
+ *     variants: async () => [{ schema, handler }]  // optional, see getVariantTools
+ *   };
+ *
+ * Tools are discovered automatically at startup. tools/list, tools/call,
+ * initialize capabilities and the startup summary are all generated from here.
+ *
+ * Configuration:
+ * - MCP_ENABLED_TOOLS: comma-separated allowlist; only these tools are exposed
+ * - MCP_DISABLED_TOOLS: comma-separated denylist, applied after the allowlist
+ * - options.enabled=false: tool is off unless named in MCP_ENABLED_TOOLS
+ */
+
+/**
+ * Validate tool definitions and build the registry
+ * @param {Array<Object>} definitions - Tool definitions ({ schema, handler, options, source })
+ * @returns {Map<string, Object>} Tool name -> { name, schema, handler, options, resolveSchema, variants, source }
+ * @throws {Error} - If a definition is malformed or a name is used twice
+ */
+export function createToolRegistry(definitions) {
+  const registry = new Map();
+
+  for (const definition of definitions) {
+    const source = definition?.source || 'unknown';
+
+    if (!definition || typeof definition !== 'object') {
+      throw new Error(`Invalid tool definition in ${source}: expected { schema, handler, options }`);
+    }
+
+    const { schema, handler, options = {}, resolveSchema = null, variants = null } = definition;
+
+    if (!schema || typeof schema.name !== 'string' || !/^[A-Za-z][A-Za-z0-9_-]*$/.test(schema.name)) {
+      throw new Error(`Invalid tool definition in ${source}: schema.name must be a valid tool name`);
+    }
+
+    if (!schema.inputSchema || typeof schema.inputSchema !== 'object') {
+      throw new Error(`Invalid tool definition for ${schema.name}: schema.inputSchema must be an object`);
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Invalid tool definition for ${schema.name}: handler must be a function`);
+    }
+
+    if (resolveSchema !== null && typeof resolveSchema !== 'function') {
+      throw new Error(`Invalid tool definition for ${schema.name}: resolveSchema must be a function`);
+    }
+
+    if (variants !== null && typeof variants !== 'function') {
+      throw new Error(`Invalid tool definition for ${schema.name}: variants must be a function`);
+    }
+
+    if (registry.has(schema.name)) {
+      throw new Error(
+        `Duplicate tool name "${schema.name}" in ${source} (already registered by ${registry.get(schema.name).source})`
+      );
+    }
+
+    registry.set(schema.name, {
+      name: schema.name,
+      schema,
+      handler,
+      options,
+      resolveSchema,
+      variants,
+      source
+    });
+  }
+
+  return registry;
+}
+
+/**
+ * Discover tool modules in src/tools/ and build the registry
+ * @returns {Promise<Map<string, Object>>} Registry of all discovered tools
+ */
+export async function loadToolRegistry() {
+  // Return cached registry if already loaded
+  if (TOOL_REGISTRY !== null) {
+    return TOOL_REGISTRY;
+  }
+
+  // If already loading, wait for that promise
+  if (loadPromise) {
+    return loadPromise;
+  }
+
+  loadPromise = (async () => {
+    try {
+      const files = (await readdir(TOOLS_DIR))
+        .filter(file => file.endsWith('.js'))
+        .sort();
+
+      const definitions = [];
+      for (const file of files) {
+        const toolModule = await import(pathToFileURL(join(TOOLS_DIR, file)).href);
+
+        if (!toolModule.default) {
+          logger.warn('Skipping tool module without default export', { file });
+          continue;
+        }
+
+        definitions.push({ ...toolModule.default, source: file });
+      }
+
+      TOOL_REGISTRY = createToolRegistry(definitions);
+
+      logger.info('Tool registry loaded', {
+        tools: Array.from(TOOL_REGISTRY.keys())
+      });
+
+      return TOOL_REGISTRY;
+    } catch (error) {
+      loadPromise = null;
+      logger.error('Failed to load tool registry', { error: error.message, stack: error.stack });
+      throw error;
+    }
+  })();
+
+  return loadPromise;
+}
+
+/**
+ * Parse a comma-separated tool list from the environment
+ * @param {string} value - Environment variable value
+ * @returns {Set<string>|null} Tool names, or null if not configured
+ */
+function parseToolList(value) {
+  if (!value || !value.trim()) {
+    return null;
+  }
+  return new Set(value.split(',').map(name => name.trim()).filter(Boolean));
+}
+
+/**
+ * Resolve the variants of the tools that generate them
+ * Tools with variants (e.g. one search tool per mapped table) return extra
+ * definitions from variants(); they are resolved on every lookup, so they follow
+ * the data they are generated from. Variants inherit their parent's options and
+ * are skipped if malformed or if their name is already taken.
+ * @param {Map<string, Object>} registry - Registry of discovered tools
+ * @returns {Promise<Array<Object>>} Registry entries of the variants, with parent set
+ */
+async function getVariantTools(registry) {
+  const variants = [];
+
+  for (const tool of registry.values()) {
+    if (!tool.variants) {
+      continue;
+    }
+
+    let definitions;
+    try {
+      definitions = await tool.variants();
+    } catch (error) {
+      logger.warn('Failed to resolve tool variants', { tool: tool.name, error: error.message });
+      continue;
+    }
+
+    for (const definition of definitions) {
+      const name = definition?.schema?.name;
+      if (registry.has(name) || variants.some(variant => variant.name === name)) {
+        logger.warn('Skipping tool variant with a name already in use', { tool: tool.name, variant: name });
+        continue;
+      }
+      try {
+        const [entry] = createToolRegistry([{
+          schema: definition.schema,
+          handler: definition.handler,
+          options: { ...tool.options, ...definition.options },
+          source: tool.source
+        }]).values();
+        variants.push({ ...entry, parent: tool.name });
+      } catch (error) {
+        logger.warn('Skipping invalid tool variant', { tool: tool.name, error: error.message });
+      }
+    }
+  }
+
+  return variants;
+}
+
+/**
+ * Check whether a registered tool is enabled by configuration
+ * Variants can be enabled or disabled by their own name; otherwise they follow
+ * their parent tool.
+ * @param {Object} tool - Registry entry
+ * @param {Map<string, Object>} registry - Registry of discovered tools
+ * @returns {boolean}
+ */
+function isToolEnabled(tool, registry) {
+  const enabledList = parseToolList(process.env.MCP_ENABLED_TOOLS);
+  const disabledList = parseToolList(process.env.MCP_DISABLED_TOOLS);
+
+  if (disabledList && disabledList.has(tool.name)) {
+    return false;
+  }
+  if (tool.parent) {
+    return (enabledList && enabledList.has(tool.name)) || isToolEnabled(registry.get(tool.parent), registry);
+  }
+  if (enabledList) {
+    return enabledList.has(tool.name);
+  }
+  return tool.options.enabled !== false;
+}
+
+/**
+ * Get all enabled tools, including variants
+ * @returns {Promise<Array<Object>>} Registry entries of enabled tools
+ */
+export async function getEnabledTools() {
+  const registry = await loadToolRegistry();
+  const tools = [...registry.values(), ...await getVariantTools(registry)];
+  return tools.filter(tool => isToolEnabled(tool, registry));
+}
+
+/**
+ * Look up an enabled tool (or variant) by name
+ * @param {string} name - Tool name
+ * @returns {Promise<Object|null>} Registry entry, or null if unknown or disabled
+ */
+export async function getTool(name) {
+  const registry = await loadToolRegistry();
+  const tool = registry.get(name) || (await getVariantTools(registry)).find(variant => variant.name === name);
+  return tool && isToolEnabled(tool, registry) ? tool : null;
+}
+
+/**
+ * Get the current schema of a tool
+ * Tools whose inputSchema depends on data (e.g. fields declared in semantic
+ * mappings) provide resolveSchema; it is called on every tools/list and
+ * tools/call. The static schema is used if it fails or returns a different name.
+ * @param {Object} tool - Registry entry
+ * @returns {Promise<Object>} { name, description, inputSchema }
+ */
+export async function getToolSchema(tool) {
+  if (!tool.resolveSchema) {
+    return tool.schema;
+  }
+
+  try {
+    const schema = await tool.resolveSchema();
+    if (schema?.name === tool.name && schema.inputSchema && typeof schema.inputSchema === 'object') {
+      return schema;
+    }
+    logger.warn('Ignoring resolved tool schema with a different name or no inputSchema', { tool: tool.name });
+  } catch (error) {
+    logger.warn('Failed to resolve tool schema, using the static schema', { tool: tool.name, error: error.message });
+  }
+  return tool.schema;
+}
+
+/**
+ * Summarize the registry for startup logging
+ * Warns about configured tool names that don't exist.
+ * @returns {Promise<Object>} { enabled: string[], disabled: string[] }
+ */
+export async function getToolSummary() {
+  const registry = await loadToolRegistry();
+  const tools = [...registry.values(), ...await getVariantTools(registry)];
+  const names = new Set(tools.map(tool => tool.name));
+
+  for (const variable of ['MCP_ENABLED_TOOLS', 'MCP_DISABLED_TOOLS']) {
+    const configured = parseToolList(process.env[variable]) || new Set();
+    const unknown = Array.from(configured).filter(name => !names.has(name));
+    if (unknown.length > 0) {
+      logger.warn(`Unknown tool names in ${variable}`, { unknown });
+    }
+  }
+
+  return {
+    enabled: tools.filter(tool => isToolEnabled(tool, registry)).map(tool => tool.name),
+    disabled: tools.filter(tool => !isToolEnabled(tool, registry)).map(tool => tool.name)
+  };
+}
+
+export default {
+  createToolRegistry,
+  loadToolRegistry,
+  getEnabledTools,
+  getTool,
+  getToolSchema,
+  getToolSummary
+};
@@ -0,0 +1,63 @@
+import { logger } from '../logger.js';
+import { runDriftCheck } from '../mappingDrift.js';
+
+/**
+ * MCP Tool: Compare semantic mappings with the live Oracle dictionary
+ * @param {Object} args - Tool arguments
+ * @param {string} args.tableName - Optional mapped table to check (default: all mapped tables)
+ * @returns {Promise<Object>} Drift report (see mappingDrift.js)
+ */
+export async function checkMappingDrift(args = {}) {
+  try {
+    const { tableName } = args;
+
+    logger.info('Checking mapping drift via MCP tool', { tableName: tableName || 'all' });
+
+    const report = await runDriftCheck({ tableName });
+
+    return {
+      success: true,
+      data: report
+    };
+  } catch (error) {
+    logger.error('checkMappingDrift tool error', { error: error.message, stack: error.stack });
+    return {
+      success: false,
+      error: {
+        message: error.message,
+        code: error.errorNum || error.code || 'UNKNOWN'
+      }
+    };
+  }
+}
+
+export const checkMappingDriftSchema = {
+  name: 'checkMappingDrift',
+  description: `Compares semantic mappings with the live Oracle data dictionary (all_tab_columns).
+
+For each mapped table, reports:
+- missingColumns: columns in the mapping that don't exist in the table
+- unmappedColumns: table columns the mapping doesn't declare
+- mismatches: type, maxLength or nullability that disagree with the column (field, mapped, actual)
+- missingReferencedColumns: columns friendly search fields (mcp_friendly_fields) use that don't exist
+
+status is "ok", "drift" or "error" per table and overall.`,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tableName: {
+        type: 'string',
+        description: 'Optional mapped table (e.g., "PATIENT_MASTER" or "P_COMMONUSEROBJECT.PATIENT_MASTER"). If not provided, checks every mapped table.'
+      }
+    },
+    additionalProperties: false
+  }
+};
+
+export default {
+  schema: checkMappingDriftSchema,
+  handler: checkMappingDrift,
+  options: {
+    requiresDatabase: true
+  }
+};
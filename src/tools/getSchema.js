@@ -1,12 +1,130 @@
 import { executeQuery } from '../oracle.js';
 import { logger } from '../logger.js';
 import { validateIdentifier } from '../util/validators.js';
+import { getTableMapping, resolveMappedTable } from './getSemanticMappings.js';
+import { assertDatasourceAllowed } from '../datasources.js';
+
+/**
+ * Describe a table from the Oracle data dictionary
+ * Identifiers are interpolated (Oracle can't bind them), so they must already
+ * be validated.
+ * @param {string} validatedTableName - Validated, uppercase table name
+ * @param {string|null} validatedSchema - Validated, uppercase owner (null = current user)
+ * @param {string} datasource - Datasource to read the dictionary of (optional)
+ * @returns {Promise<Object>} { columns: [{ name, type, length, charLength, precision, scale, nullable,
+ *   default, primaryKey, position }], primaryKeys: string[] } - no columns if the table doesn't exist
+ */
+export async function describeTable(validatedTableName, validatedSchema = null, datasource) {
+  // Query to get column information
+  // Use validated interpolation for identifiers (schema/table names)
+  let sql;
+  let binds = {};
+
+  if (validatedSchema) {
+    sql = `
+      SELECT 
+        column_name,
+        data_type,
+        data_length,
+        char_length,
+        data_precision,
+        data_scale,
+        nullable,
+        data_default,
+        column_id
+      FROM all_tab_columns
+      WHERE owner = '${validatedSchema}' AND table_name = '${validatedTableName}'
+      ORDER BY column_id
+    `;
+    binds = {};
+  } else {
+    sql = `
+      SELECT 
+        column_name,
+        data_type,
+        data_length,
+        char_length,
+        data_precision,
+        data_scale,
+        nullable,
+        data_default,
+        column_id
+      FROM user_tab_columns
+      WHERE table_name = '${validatedTableName}'
+      ORDER BY column_id
+    `;
+    binds = {};
+  }
+
+  // Query to get primary key information
+  // Use validated interpolation for identifiers
+  let pkSql;
+  let pkBinds = {};
+
+  if (validatedSchema) {
+    pkSql = `
+      SELECT 
+        column_name,
+        acc.constraint_name
+      FROM all_cons_columns acc
+      JOIN all_constraints ac ON acc.constraint_name = ac.constraint_name
+        AND acc.owner = ac.owner
+      WHERE ac.constraint_type = 'P'
+        AND acc.owner = '${validatedSchema}'
+        AND acc.table_name = '${validatedTableName}'
+      ORDER BY acc.position
+    `;
+    pkBinds = {};
+  } else {
+    pkSql = `
+      SELECT 
+        column_name,
+        ucc.constraint_name
+      FROM user_cons_columns ucc
+      JOIN user_constraints uc ON ucc.constraint_name = uc.constraint_name
+      WHERE uc.constraint_type = 'P'
+        AND ucc.table_name = '${validatedTableName}'
+      ORDER BY ucc.position
+    `;
+    pkBinds = {};
+  }
+
+  const [columnsResult, pkResult] = await Promise.all([
+    executeQuery(sql, binds, { maxRows: 1000, datasource }),
+    executeQuery(pkSql, pkBinds, { maxRows: 100, datasource })
+  ]);
+
+  // Create a set of primary key column names
+  const pkColumns = new Set(pkResult.rows.map(row => row.COLUMN_NAME));
+
+  // Enhance columns with primary key information
+  const enhancedColumns = columnsResult.rows.map(col => ({
+    name: col.COLUMN_NAME,
+    type: col.DATA_TYPE,
+    length: col.DATA_LENGTH,
+    charLength: col.CHAR_LENGTH,
+    precision: col.DATA_PRECISION,
+    scale: col.DATA_SCALE,
+    nullable: col.NULLABLE === 'Y',
+    default: col.DATA_DEFAULT,
+    primaryKey: pkColumns.has(col.COLUMN_NAME),
+    position: col.COLUMN_ID
+  }));
+
+  return {
+    columns: enhancedColumns,
+    primaryKeys: pkResult.rows.map(row => row.COLUMN_NAME)
+  };
+}
 
 /**
  * MCP Tool: Get schema information for a table
+ * Only tables declared in semantic mappings can be described.
  * @param {Object} args - Tool arguments
  * @param {string} args.tableName - Name of the table
- * @param {string} args.schema - Optional schema name (default: current user)
+ * @param {string} args.schema - Optional schema name (default: schema from the mapping, else current user)
+ * @param {string} args.datasource - Optional datasource, the mapping's or one of its replica_datasources
+ *   (default: the mapping's datasource)
  * @returns {Promise<Object>} Table schema information
  */
 export async function getSchema(args) {
@@ -45,116 +163,35 @@ export async function getSchema(args) {
     }
 
     // Validate identifiers (Oracle doesn't allow binding identifiers)
-    const validatedTableName = validateIdentifier(tableName);
-    const validatedSchema = schema ? validateIdentifier(schema) : null;
-
-    // Query to get column information
-    // Use validated interpolation for identifiers (schema/table names)
-    let sql;
-    let binds = {};
-
-    if (validatedSchema) {
-      sql = `
-        SELECT 
-          column_name,
-          data_type,
-          data_length,
-          data_precision,
-          data_scale,
-          nullable,
-          data_default,
-          column_id
-        FROM all_tab_columns
-        WHERE owner = '${validatedSchema}' AND table_name = '${validatedTableName}'
-        ORDER BY column_id
-      `;
-      binds = {};
-    } else {
-      sql = `
-        SELECT 
-          column_name,
-          data_type,
-          data_length,
-          data_precision,
-          data_scale,
-          nullable,
-          data_default,
-          column_id
-        FROM user_tab_columns
-        WHERE table_name = '${validatedTableName}'
-        ORDER BY column_id
-      `;
-      binds = {};
-    }
+    const requestedTableName = validateIdentifier(tableName);
+    const requestedSchema = schema ? validateIdentifier(schema) : null;
 
-    // Query to get primary key information
-    // Use validated interpolation for identifiers
-    let pkSql;
-    let pkBinds = {};
-
-    if (validatedSchema) {
-      pkSql = `
-        SELECT 
-          column_name,
-          acc.constraint_name
-        FROM all_cons_columns acc
-        JOIN all_constraints ac ON acc.constraint_name = ac.constraint_name
-          AND acc.owner = ac.owner
-        WHERE ac.constraint_type = 'P'
-          AND acc.owner = '${validatedSchema}'
-          AND acc.table_name = '${validatedTableName}'
-        ORDER BY acc.position
-      `;
-      pkBinds = {};
-    } else {
-      pkSql = `
-        SELECT 
-          column_name,
-          ucc.constraint_name
-        FROM user_cons_columns ucc
-        JOIN user_constraints uc ON ucc.constraint_name = uc.constraint_name
-        WHERE uc.constraint_type = 'P'
-          AND ucc.table_name = '${validatedTableName}'
-        ORDER BY ucc.position
-      `;
-      pkBinds = {};
-    }
+    // Restrict to the semantic mapping allowlist
+    const mappedTable = await resolveMappedTable(requestedTableName, requestedSchema);
+    const validatedTableName = mappedTable.tableName;
+    const validatedSchema = mappedTable.schema;
+
+    // Describe it only where the mapped table lives, or on one of its replicas
+    assertDatasourceAllowed(args.datasource, [await getTableMapping(validatedTableName)], 'getSchema');
+    const datasource = args.datasource || mappedTable.datasource || undefined;
 
     logger.info('Getting schema via MCP tool', { 
       tableName: validatedTableName, 
-      schema: validatedSchema || 'current user' 
+      schema: validatedSchema || 'current user',
+      datasource
     });
 
-    const [columnsResult, pkResult] = await Promise.all([
-      executeQuery(sql, binds, { maxRows: 1000 }),
-      executeQuery(pkSql, pkBinds, { maxRows: 100 })
-    ]);
-
-    // Create a set of primary key column names
-    const pkColumns = new Set(pkResult.rows.map(row => row.COLUMN_NAME));
-
-    // Enhance columns with primary key information
-    const enhancedColumns = columnsResult.rows.map(col => ({
-      name: col.COLUMN_NAME,
-      type: col.DATA_TYPE,
-      length: col.DATA_LENGTH,
-      precision: col.DATA_PRECISION,
-      scale: col.DATA_SCALE,
-      nullable: col.NULLABLE === 'Y',
-      default: col.DATA_DEFAULT,
-      primaryKey: pkColumns.has(col.COLUMN_NAME),
-      position: col.COLUMN_ID
-    }));
+    const { columns, primaryKeys } = await describeTable(validatedTableName, validatedSchema, datasource);
 
     return {
       success: true,
       data: {
         tableName: validatedTableName, // Validated and normalized
         schema: validatedSchema || 'current user',
-        columns: enhancedColumns,
-        columnCount: enhancedColumns.length,
-        primaryKeys: pkResult.rows.map(row => row.COLUMN_NAME),
-        primaryKeyCount: pkResult.rowCount
+        columns,
+        columnCount: columns.length,
+        primaryKeys,
+        primaryKeyCount: primaryKeys.length
       }
     };
   } catch (error) {
@@ -163,7 +200,7 @@ export async function getSchema(args) {
       success: false,
       error: {
         message: error.message,
-        code: error.errorNum || 'UNKNOWN'
+        code: error.errorNum || error.code || 'UNKNOWN'
       }
     };
   }
@@ -171,7 +208,7 @@ export async function getSchema(args) {
 
 export const getSchemaSchema = {
   name: 'getSchema',
-  description: 'Get detailed schema information for a table including column names, types, nullable status, and primary keys.',
+  description: 'Get detailed schema information for a table including column names, types, nullable status, and primary keys. Only tables declared in semantic mappings (see getSemanticMappings) can be described.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -181,10 +218,21 @@ export const getSchemaSchema = {
       },
       schema: {
         type: 'string',
-        description: 'Optional schema/owner name. If not provided, uses current user schema.'
+        description: 'Optional schema/owner name. If not provided, uses the schema declared in the semantic mapping.'
+      },
+      datasource: {
+        type: 'string',
+        description: 'Optional datasource name: the datasource declared in the semantic mapping or one of its replica_datasources. If not provided, uses the datasource declared in the semantic mapping.'
       }
     },
     required: ['tableName']
   }
 };
 
+export default {
+  schema: getSchemaSchema,
+  handler: getSchema,
+  options: {
+    requiresDatabase: true
+  }
+};
@@ -1,7 +1,10 @@
 import { logger } from '../logger.js';
+import { watch } from 'fs';
 import { readdir, readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { validateMapping } from '../util/mappingValidator.js';
+import { formatViolations } from '../util/schemaValidator.js';
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -10,10 +13,64 @@ const __dirname = dirname(__filename);
 // Path to schemas folder
 const SCHEMAS_DIR = join(__dirname, '../schemas');
 
+// Tables any query may read without a mapping (name -> all of their columns)
+const ALWAYS_ALLOWED_TABLES = {
+  DUAL: { schemas: [null, 'SYS'], columns: ['DUMMY'] }
+};
+
+// Built-in scalar, aggregate and analytic functions any query may call
+// Anything else (packages, object types such as *URITYPE, XMLQUERY, methods
+// on objects) can read data or reach the network past the table checks.
+const ALWAYS_ALLOWED_FUNCTIONS = new Set([
+  // Numeric
+  'ABS', 'ACOS', 'ASIN', 'ATAN', 'ATAN2', 'BITAND', 'CEIL', 'COS', 'COSH', 'EXP', 'FLOOR', 'LN', 'LOG',
+  'MOD', 'NANVL', 'POWER', 'REMAINDER', 'ROUND', 'SIGN', 'SIN', 'SINH', 'SQRT', 'TAN', 'TANH', 'TRUNC',
+  'WIDTH_BUCKET',
+  // Character
+  'ASCII', 'CHR', 'CONCAT', 'INITCAP', 'INSTR', 'LENGTH', 'LOWER', 'LPAD', 'LTRIM', 'NLS_INITCAP',
+  'NLS_LOWER', 'NLS_UPPER', 'NLSSORT', 'REGEXP_COUNT', 'REGEXP_INSTR', 'REGEXP_LIKE', 'REGEXP_REPLACE',
+  'REGEXP_SUBSTR', 'REPLACE', 'RPAD', 'RTRIM', 'SOUNDEX', 'SUBSTR', 'TRANSLATE', 'TRIM', 'UPPER',
+  // Date and time
+  'ADD_MONTHS', 'CURRENT_TIMESTAMP', 'EXTRACT', 'FROM_TZ', 'LAST_DAY', 'LOCALTIMESTAMP', 'MONTHS_BETWEEN',
+  'NEW_TIME', 'NEXT_DAY', 'NUMTODSINTERVAL', 'NUMTOYMINTERVAL', 'SYS_EXTRACT_UTC', 'SYSTIMESTAMP', 'TZ_OFFSET',
+  // Conversion
+  'ASCIISTR', 'CAST', 'CONVERT', 'HEXTORAW', 'RAWTOHEX', 'ROWIDTOCHAR', 'TO_BINARY_DOUBLE', 'TO_BINARY_FLOAT',
+  'TO_CHAR', 'TO_CLOB', 'TO_DATE', 'TO_DSINTERVAL', 'TO_NCHAR', 'TO_NUMBER', 'TO_TIMESTAMP',
+  'TO_TIMESTAMP_TZ', 'TO_YMINTERVAL', 'UNISTR', 'VALIDATE_CONVERSION',
+  // Comparison and NULL handling
+  'COALESCE', 'DECODE', 'GREATEST', 'LEAST', 'LNNVL', 'NULLIF', 'NVL', 'NVL2', 'ORA_HASH', 'STANDARD_HASH',
+  // Aggregate
+  'ANY_VALUE', 'APPROX_COUNT_DISTINCT', 'AVG', 'CORR', 'COUNT', 'COVAR_POP', 'COVAR_SAMP', 'GROUPING',
+  'GROUPING_ID', 'LISTAGG', 'MAX', 'MEDIAN', 'MIN', 'PERCENTILE_CONT', 'PERCENTILE_DISC', 'STDDEV',
+  'STDDEV_POP', 'STDDEV_SAMP', 'SUM', 'VAR_POP', 'VAR_SAMP', 'VARIANCE', 'CUBE', 'ROLLUP',
+  // Analytic
+  'CUME_DIST', 'DENSE_RANK', 'FIRST_VALUE', 'LAG', 'LAST_VALUE', 'LEAD', 'NTH_VALUE', 'NTILE',
+  'PERCENT_RANK', 'RANK', 'RATIO_TO_REPORT', 'ROW_NUMBER', 'SYS_CONNECT_BY_PATH',
+  // JSON
+  'JSON_ARRAY', 'JSON_ARRAYAGG', 'JSON_OBJECT', 'JSON_OBJECTAGG', 'JSON_QUERY', 'JSON_VALUE',
+  // MODEL rules
+  'CV', 'PRESENTNNV', 'PRESENTV', 'PREVIOUS'
+]);
+
 // Cache for loaded semantic mappings
+// Replaced as a whole on reload (never mutated), so a call holding it keeps a
+// consistent set of mappings while files change.
 let SEMANTIC_MAPPINGS = null;
 let loadPromise = null;
 
+// Last good mapping per file (file name -> mapping)
+let FILE_MAPPINGS = new Map();
+
+// Report of the last (re)load
+let lastReport = null;
+
+// Reloads run one at a time
+let reloadQueue = Promise.resolve();
+
+// Watcher on the schemas folder
+let watcher = null;
+let reloadTimer = null;
+
 /**
  * Split schema.tableName into separate schema and tableName
  * @param {string} input - Input string (may be "schema.table" or just "table")
@@ -42,9 +99,190 @@ function splitTableName(input) {
   };
 }
 
+/**
+ * Get the schemas folder
+ * SEMANTIC_MAPPINGS_DIR overrides the bundled src/schemas folder.
+ * @returns {string} Directory path
+ */
+function getSchemasDir() {
+  return process.env.SEMANTIC_MAPPINGS_DIR || SCHEMAS_DIR;
+}
+
+/**
+ * Check whether mapping files must pass validation to load
+ * MAPPINGS_STRICT=true skips invalid files (and fails the boot, see server.js);
+ * otherwise they load with their violations logged as warnings.
+ * @returns {boolean}
+ */
+export function isStrictMappings() {
+  return process.env.MAPPINGS_STRICT === 'true';
+}
+
+/**
+ * Read and parse one semantic mapping file
+ * @param {string} file - File name in the schemas folder
+ * @returns {Promise<Object>} { mapping, violations } - mapping with normalized tableName,
+ *   oracleSchema and _sourceFile, and its violations of the mapping meta-schema
+ * @throws {Error} - If the file can't be read or parsed, has no valid tableName,
+ *   or (in strict mode) fails validation
+ */
+async function loadMappingFile(file) {
+  const fileContent = await readFile(join(getSchemasDir(), file), 'utf8');
+  const schemaData = JSON.parse(fileContent);
+
+  const violations = validateMapping(schemaData);
+  if (violations.length > 0 && isStrictMappings()) {
+    const error = new Error(`invalid mapping: ${formatViolations(violations)}`);
+    error.violations = violations;
+    throw error;
+  }
+
+  // tableName is needed even in lenient mode
+  if (!schemaData.tableName) {
+    throw new Error('missing tableName');
+  }
+
+  // Split schema.tableName if present
+  const { schema: extractedSchema, tableName: extractedTableName } = splitTableName(schemaData.tableName);
+  if (!extractedTableName) {
+    throw new Error(`invalid tableName: ${schemaData.tableName}`);
+  }
+
+  // Preserve the JSON schema object (schemaData.schema) but also store Oracle schema separately
+  const mapping = {
+    ...schemaData,
+    tableName: extractedTableName, // Store only table name (no schema prefix)
+    oracleSchema: extractedSchema || null, // Store Oracle schema name separately
+    _sourceFile: file // Track which file this came from
+  };
+  return { mapping, violations };
+}
+
+/**
+ * Read every semantic mapping file and swap in the result
+ * Uses lenient error handling - a file that fails to load is skipped, and if
+ * it loaded before, the last good version of its table is kept. If the folder
+ * itself can't be read, the current mappings stay as they are.
+ * @returns {Promise<Object>} Report: { loadedAt, strict, loaded: [{ file, tableName, violations? }],
+ *   skipped: [{ file, reason, keptPrevious, violations? }], removed: [file], tables: [tableName], error? }
+ */
+async function loadMappingFiles() {
+  const schemasDir = getSchemasDir();
+  const report = {
+    loadedAt: new Date().toISOString(),
+    strict: isStrictMappings(),
+    loaded: [],
+    skipped: [],
+    removed: [],
+    tables: []
+  };
+
+  let jsonFiles;
+  try {
+    const files = await readdir(schemasDir);
+    jsonFiles = files.filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    // If directory doesn't exist or can't be read, log error and keep what we have
+    logger.error('Failed to load semantic mappings from schemas folder', {
+      schemasDir,
+      error: error.message,
+      stack: error.stack
+    });
+    SEMANTIC_MAPPINGS = SEMANTIC_MAPPINGS || {};
+    report.error = error.message;
+    report.tables = Object.keys(SEMANTIC_MAPPINGS);
+    lastReport = report;
+    return report;
+  }
+
+  if (jsonFiles.length === 0) {
+    logger.warn('No semantic mapping JSON files found in schemas folder', { schemasDir });
+  } else {
+    logger.info('Loading semantic mappings from schemas folder', {
+      fileCount: jsonFiles.length,
+      files: jsonFiles
+    });
+  }
+
+  const fileMappings = new Map();
+  for (const file of jsonFiles) {
+    try {
+      const { mapping, violations } = await loadMappingFile(file);
+      fileMappings.set(file, mapping);
+      report.loaded.push(violations.length > 0
+        ? { file, tableName: mapping.tableName, violations }
+        : { file, tableName: mapping.tableName });
+      if (violations.length > 0) {
+        logger.warn('Semantic mapping file has validation errors - loaded anyway (MAPPINGS_STRICT is off)', {
+          file,
+          violations: formatViolations(violations)
+        });
+      }
+      logger.debug('Loaded semantic mapping', {
+        tableName: mapping.tableName,
+        file,
+        hasSchema: !!mapping.schema,
+        hasTemplates: !!mapping.mcp_sql_templates
+      });
+    } catch (error) {
+      // Keep serving the last good version of a file that is broken (e.g. mid-edit)
+      const previous = FILE_MAPPINGS.get(file);
+      if (previous) {
+        fileMappings.set(file, previous);
+      }
+      report.skipped.push(error.violations
+        ? { file, reason: error.message, keptPrevious: !!previous, violations: error.violations }
+        : { file, reason: error.message, keptPrevious: !!previous });
+      logger.warn('Failed to load schema file - skipping', {
+        file,
+        filePath: join(schemasDir, file),
+        error: error.message,
+        keptPrevious: !!previous
+      });
+    }
+  }
+
+  report.removed = Array.from(FILE_MAPPINGS.keys()).filter(file => !jsonFiles.includes(file));
+
+  // Mappings are looked up by table name alone, so a table (in any schema or
+  // datasource) is mapped by one file only; the first one in file order wins
+  const mappings = {};
+  for (const [file, mapping] of fileMappings) {
+    const existing = mappings[mapping.tableName];
+    if (existing) {
+      const reason = `tableName ${mapping.tableName} is already mapped by ${existing._sourceFile}`;
+      fileMappings.delete(file);
+      report.loaded = report.loaded.filter(entry => entry.file !== file);
+      report.skipped.push({ file, reason, keptPrevious: false });
+      logger.error('Duplicate tableName in schemas - skipping', {
+        tableName: mapping.tableName,
+        existingFile: existing._sourceFile,
+        file
+      });
+      continue;
+    }
+    mappings[mapping.tableName] = mapping;
+  }
+  report.tables = Object.keys(mappings);
+
+  logger.info('Semantic mappings loaded', {
+    loaded: report.loaded.length,
+    skipped: report.skipped.length,
+    removed: report.removed.length,
+    total: report.tables.length,
+    tables: report.tables
+  });
+
+  // Swap in the new set in one step
+  FILE_MAPPINGS = fileMappings;
+  SEMANTIC_MAPPINGS = mappings;
+  lastReport = report;
+  return report;
+}
+
 /**
  * Load all semantic mapping JSON files from the schemas folder
- * Uses lenient error handling - skips invalid files and continues loading others
+ * Loads once; later changes are picked up by reloadSemanticMappings.
  * @returns {Promise<Object>} Map of tableName -> schema object
  */
 async function loadSemanticMappings() {
@@ -54,131 +292,222 @@ async function loadSemanticMappings() {
   }
 
   // If already loading, wait for that promise
-  if (loadPromise) {
-    return loadPromise;
+  if (!loadPromise) {
+    loadPromise = reloadSemanticMappings().then(() => SEMANTIC_MAPPINGS);
   }
+  return loadPromise;
+}
+
+/**
+ * Re-read the schemas folder and replace the loaded mappings
+ * Reloads are serialized: a call made during a reload waits for it, then reads again.
+ * @returns {Promise<Object>} Report (see loadMappingFiles)
+ */
+export function reloadSemanticMappings() {
+  const reload = reloadQueue.then(loadMappingFiles);
+  reloadQueue = reload.catch(() => {});
+  return reload;
+}
 
-  // Start loading
-  loadPromise = (async () => {
-    const mappings = {};
-    let loadedCount = 0;
-    let skippedCount = 0;
+/**
+ * Get the report of the last (re)load
+ * @returns {Object|null} Report (see loadMappingFiles), or null before the first load
+ */
+export function getMappingsReport() {
+  return lastReport;
+}
 
-    try {
-      // Read all files in schemas directory
-      const files = await readdir(SCHEMAS_DIR);
-      const jsonFiles = files.filter(file => file.endsWith('.json') && file !== '.gitkeep');
-
-      if (jsonFiles.length === 0) {
-        logger.warn('No semantic mapping JSON files found in schemas folder', { schemasDir: SCHEMAS_DIR });
-        SEMANTIC_MAPPINGS = mappings;
-        return mappings;
+/**
+ * Watch the schemas folder and reload mappings when JSON files change
+ * Events are debounced (MAPPINGS_RELOAD_DEBOUNCE_MS, default 250) since editors
+ * and deploys often write a file in several steps.
+ * @returns {boolean} Whether the watcher is running
+ */
+export function watchSemanticMappings() {
+  if (watcher) {
+    return true;
+  }
+
+  const schemasDir = getSchemasDir();
+  const debounceMs = parseInt(process.env.MAPPINGS_RELOAD_DEBOUNCE_MS || '250');
+
+  try {
+    watcher = watch(schemasDir, (eventType, filename) => {
+      if (filename && !filename.endsWith('.json')) {
+        return;
       }
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        reloadTimer = null;
+        logger.info('Semantic mapping files changed - reloading', { file: filename || null });
+        reloadSemanticMappings().catch(error => {
+          logger.error('Semantic mapping reload failed', { error: error.message, stack: error.stack });
+        });
+      }, debounceMs);
+    });
+  } catch (error) {
+    logger.error('Failed to watch schemas folder - mapping changes need a restart', {
+      schemasDir,
+      error: error.message
+    });
+    watcher = null;
+    return false;
+  }
 
-      logger.info('Loading semantic mappings from schemas folder', { 
-        fileCount: jsonFiles.length,
-        files: jsonFiles 
-      });
+  watcher.on('error', (error) => {
+    logger.error('Schemas folder watcher failed - mapping changes need a restart', { schemasDir, error: error.message });
+    unwatchSemanticMappings();
+  });
 
-      // Load each JSON file
-      for (const file of jsonFiles) {
-        const filePath = join(SCHEMAS_DIR, file);
-        
-        try {
-          // Read and parse JSON file
-          const fileContent = await readFile(filePath, 'utf8');
-          const schemaData = JSON.parse(fileContent);
-
-          // Validate required fields (lenient - just check if tableName exists)
-          if (!schemaData.tableName) {
-            logger.warn('Skipping schema file - missing tableName', { 
-              file,
-              filePath 
-            });
-            skippedCount++;
-            continue;
-          }
+  logger.info('Watching schemas folder for mapping changes', { schemasDir, debounceMs });
+  return true;
+}
 
-          // Split schema.tableName if present
-          const { schema: extractedSchema, tableName: extractedTableName } = splitTableName(schemaData.tableName);
-          
-          if (!extractedTableName) {
-            logger.warn('Skipping schema file - invalid tableName', { 
-              file,
-              filePath,
-              tableName: schemaData.tableName
-            });
-            skippedCount++;
-            continue;
-          }
+/**
+ * Stop watching the schemas folder
+ */
+export function unwatchSemanticMappings() {
+  clearTimeout(reloadTimer);
+  reloadTimer = null;
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
 
-          // Normalize table name (without schema prefix)
-          const tableName = extractedTableName;
+/**
+ * Forget the loaded mappings (the next use loads them again)
+ */
+export function clearMappingsCache() {
+  SEMANTIC_MAPPINGS = null;
+  loadPromise = null;
+  FILE_MAPPINGS = new Map();
+  lastReport = null;
+}
 
-          // Check for duplicates (warn but use the last one)
-          if (mappings[tableName]) {
-            logger.warn('Duplicate tableName found in schemas - overwriting', { 
-              tableName,
-              existingFile: Object.keys(mappings).find(k => mappings[k]._sourceFile),
-              newFile: file 
-            });
-          }
+/**
+ * Get the tables declared in semantic mappings
+ * This is the allowlist for dictionary tools (listTables, getSchema), so they
+ * can't be used to enumerate the whole database.
+ * @returns {Promise<Array<Object>>} [{ schema: string|null, tableName: string, datasource: string|null }]
+ */
+export async function getMappedTables() {
+  const mappings = await loadSemanticMappings();
+  return Object.values(mappings).map(mapping => ({
+    schema: mapping.oracleSchema || null,
+    tableName: mapping.tableName,
+    datasource: mapping.datasource || null
+  }));
+}
 
-          // Store mapping with normalized tableName and extracted schema
-          // Note: schemaData.schema is the JSON schema object, extractedSchema is the Oracle schema name
-          const oracleSchema = extractedSchema || null;
-          
-          // Preserve the JSON schema object (schemaData.schema) but also store Oracle schema separately
-          mappings[tableName] = {
-            ...schemaData,
-            tableName: tableName, // Store only table name (no schema prefix)
-            oracleSchema: oracleSchema, // Store Oracle schema name separately
-            _sourceFile: file // Track which file this came from
-          };
-
-          loadedCount++;
-          logger.debug('Loaded semantic mapping', { 
-            tableName,
-            file,
-            hasSchema: !!schemaData.schema,
-            hasTemplates: !!schemaData.mcp_sql_templates
-          });
-
-        } catch (error) {
-          // Lenient error handling - log warning and continue
-          logger.warn('Failed to load schema file - skipping', { 
-            file,
-            filePath,
-            error: error.message 
-          });
-          skippedCount++;
-          continue;
-        }
-      }
+/**
+ * Resolve a table reference against the semantic mapping allowlist
+ * If no schema is given, the schema declared in the mapping is used.
+ * @param {string} tableName - Validated, uppercase table name
+ * @param {string|null} schema - Validated, uppercase schema name (optional)
+ * @returns {Promise<Object>} { schema: string|null, tableName: string, datasource: string|null }
+ * @throws {Error} - With code TABLE_NOT_ALLOWED if the table is not mapped
+ */
+export async function resolveMappedTable(tableName, schema = null) {
+  const mappedTables = await getMappedTables();
+  const match = mappedTables.find(entry =>
+    entry.tableName === tableName && (!schema || entry.schema === schema)
+  );
+
+  if (!match) {
+    const qualified = schema ? `${schema}.${tableName}` : tableName;
+    const error = new Error(
+      `Table ${qualified} is not declared in semantic mappings. ` +
+      `Allowed tables: ${mappedTables.map(formatMappedTable).join(', ') || 'none'}`
+    );
+    error.code = 'TABLE_NOT_ALLOWED';
+    throw error;
+  }
 
-      logger.info('Semantic mappings loaded successfully', { 
-        loaded: loadedCount,
-        skipped: skippedCount,
-        total: Object.keys(mappings).length,
-        tables: Object.keys(mappings)
-      });
+  return match;
+}
 
-      SEMANTIC_MAPPINGS = mappings;
-      return mappings;
+/**
+ * Get the semantic mapping of a table
+ * @param {string} tableName - Table name, optionally schema-qualified (case-insensitive)
+ * @returns {Promise<Object|null>} Mapping as loaded from the schemas folder (with
+ *   oracleSchema, and schema holding the JSON schema), or null if the table isn't mapped
+ */
+export async function getTableMapping(tableName) {
+  const mappings = await loadSemanticMappings();
+  const { schema, tableName: name } = splitTableName(tableName);
+  const mapping = name ? mappings[name] : null;
 
-    } catch (error) {
-      // If directory doesn't exist or can't be read, log error but return empty mappings
-      logger.error('Failed to load semantic mappings from schemas folder', { 
-        schemasDir: SCHEMAS_DIR,
-        error: error.message,
-        stack: error.stack
-      });
-      SEMANTIC_MAPPINGS = {};
-      return {};
+  if (!mapping || (schema && schema !== mapping.oracleSchema)) {
+    return null;
+  }
+  return mapping;
+}
+
+/**
+ * Check the tables, columns and functions a query references against semantic mappings
+ * Columns must be declared in the mapping's schema.properties of a table they
+ * may belong to; functions must be unqualified built-ins. A * over a mapped
+ * table would return its undeclared columns too, so only tables whose columns
+ * are all known (DUAL) may be read with *.
+ * @param {Object} references - { tables, columns, functions } from extractSqlReferences
+ * @returns {Promise<Object>} Undeclared references as { tables: string[], columns: string[], functions: string[] }
+ */
+export async function findUnmappedReferences(references) {
+  const mappings = await loadSemanticMappings();
+  const unmapped = { tables: new Set(), columns: new Set(), functions: new Set() };
+
+  // Columns declared for a table reference, or null if the table isn't allowed
+  const columnsOf = (table) => {
+    if (table.function) {
+      return null;
+    }
+    const builtin = ALWAYS_ALLOWED_TABLES[table.name];
+    if (builtin) {
+      return builtin.schemas.includes(table.schema) ? builtin.columns : null;
+    }
+    const mapping = mappings[table.name];
+    if (!mapping || (table.schema && table.schema !== mapping.oracleSchema)) {
+      return null;
+    }
+    return Object.keys(mapping.schema?.properties || {}).map(column => column.toUpperCase());
+  };
+
+  for (const table of references.tables) {
+    if (!columnsOf(table)) {
+      const name = table.schema && !table.function ? `${table.schema}.${table.name}` : table.name;
+      unmapped.tables.add(table.function ? `${name}(...)` : name);
     }
-  })();
+  }
 
-  return loadPromise;
+  for (const column of references.columns) {
+    const declared = column.name === '*'
+      ? column.tables.length > 0 && column.tables.every(table => columnsOf(table) && ALWAYS_ALLOWED_TABLES[table.name])
+      : column.tables.some(table => columnsOf(table)?.includes(column.name));
+    if (!declared) {
+      unmapped.columns.add(column.qualifier ? `${column.qualifier}.${column.name}` : column.name);
+    }
+  }
+
+  for (const call of references.functions || []) {
+    if (call.qualifier || call.method || !ALWAYS_ALLOWED_FUNCTIONS.has(call.name)) {
+      const name = call.qualifier ? `${call.qualifier}.${call.name}` : call.name;
+      unmapped.functions.add(call.method ? `.${name}(...)` : `${name}(...)`);
+    }
+  }
+
+  return {
+    tables: Array.from(unmapped.tables),
+    columns: Array.from(unmapped.columns),
+    functions: Array.from(unmapped.functions)
+  };
+}
+
+/**
+ * Format a mapped table as SCHEMA.TABLE (or TABLE if no schema)
+ */
+function formatMappedTable(entry) {
+  return entry.schema ? `${entry.schema}.${entry.tableName}` : entry.tableName;
 }
 
 /**
@@ -304,3 +633,11 @@ export const getSemanticMappingsSchema = {
     }
   }
 };
+
+export default {
+  schema: getSemanticMappingsSchema,
+  handler: getSemanticMappings,
+  options: {
+    requiresDatabase: false
+  }
+};
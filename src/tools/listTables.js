@@ -1,57 +1,115 @@
 import { executeQuery } from '../oracle.js';
 import { logger } from '../logger.js';
+import { validateIdentifier } from '../util/validators.js';
+import { getMappedTables, getTableMapping } from './getSemanticMappings.js';
+import { assertDatasourceAllowed } from '../datasources.js';
 
 /**
- * MCP Tool: List all user tables in the database
+ * Build the dictionary query for a set of mapped tables
+ * Use validated interpolation for identifiers (Oracle doesn't allow binding identifiers)
+ * @param {Array<Object>} mappedTables - Entries from getMappedTables
+ * @returns {string} SQL
+ */
+function buildListSql(mappedTables) {
+  // Group allowed tables by owner; mappings without a schema belong to the current user
+  const byOwner = new Map();
+  for (const entry of mappedTables) {
+    const owner = entry.schema ? `'${validateIdentifier(entry.schema)}'` : 'USER';
+    if (!byOwner.has(owner)) {
+      byOwner.set(owner, []);
+    }
+    byOwner.get(owner).push(`'${validateIdentifier(entry.tableName)}'`);
+  }
+
+  const conditions = Array.from(byOwner.entries()).map(([owner, tables]) =>
+    `(owner = ${owner} AND table_name IN (${tables.join(', ')}))`
+  );
+
+  return `
+    SELECT
+      owner,
+      table_name,
+      tablespace_name,
+      num_rows,
+      last_analyzed
+    FROM all_tables
+    WHERE ${conditions.join(' OR ')}
+    ORDER BY owner, table_name
+  `;
+}
+
+/**
+ * MCP Tool: List the tables available to the agent
+ * Only tables declared in semantic mappings are listed (and only if they exist).
  * @param {Object} args - Tool arguments
- * @param {string} args.schema - Optional schema name (default: current user)
+ * @param {string} args.schema - Optional schema name to filter by
+ * @param {string} args.datasource - Optional datasource to list all mapped tables from, which
+ *   every listed table must live in or list in replica_datasources (default: each table's mapped datasource)
  * @returns {Promise<Object>} List of tables
  */
 export async function listTables(args) {
   try {
     const { schema } = args;
 
-    // Query to get all user tables
-    let sql;
-    let binds = {};
+    const validatedSchema = schema ? validateIdentifier(schema) : null;
 
-    if (schema) {
-      sql = `
-        SELECT 
-          table_name,
-          tablespace_name,
-          num_rows,
-          last_analyzed
-        FROM all_tables
-        WHERE owner = UPPER(:schema)
-        ORDER BY table_name
-      `;
-      binds = { schema };
-    } else {
-      sql = `
-        SELECT 
-          table_name,
-          tablespace_name,
-          num_rows,
-          last_analyzed
-        FROM user_tables
-        ORDER BY table_name
-      `;
+    // Restrict to the semantic mapping allowlist
+    let mappedTables = await getMappedTables();
+    if (validatedSchema) {
+      mappedTables = mappedTables.filter(entry => entry.schema === validatedSchema);
+      if (mappedTables.length === 0) {
+        const error = new Error(`Schema ${validatedSchema} has no tables declared in semantic mappings`);
+        error.code = 'SCHEMA_NOT_ALLOWED';
+        throw error;
+      }
     }
 
-    logger.info('Listing tables via MCP tool', { schema: schema || 'current user' });
+    if (mappedTables.length === 0) {
+      return {
+        success: true,
+        data: {
+          tables: [],
+          count: 0,
+          schema: validatedSchema || 'all mapped schemas'
+        }
+      };
+    }
 
-    const result = await executeQuery(sql, binds, { maxRows: 10000 });
+    // A datasource argument must hold every listed table, or be one of its replicas
+    if (args.datasource) {
+      const mappings = await Promise.all(mappedTables.map(entry => getTableMapping(entry.tableName)));
+      assertDatasourceAllowed(args.datasource, mappings, 'listTables');
+    }
 
-    // Extract only table names (no schema prefix)
-    const tableNames = result.rows.map(row => row.TABLE_NAME);
+    // Each datasource's dictionary lists the tables mapped to it
+    const byDatasource = new Map();
+    for (const entry of mappedTables) {
+      const datasource = args.datasource || entry.datasource || undefined;
+      if (!byDatasource.has(datasource)) {
+        byDatasource.set(datasource, []);
+      }
+      byDatasource.get(datasource).push(entry);
+    }
+
+    logger.info('Listing tables via MCP tool', {
+      schema: validatedSchema || 'all mapped schemas',
+      allowedTables: mappedTables.length,
+      datasources: Array.from(byDatasource.keys()).map(datasource => datasource || 'default')
+    });
+
+    const tableNames = [];
+    for (const [datasource, entries] of byDatasource) {
+      const result = await executeQuery(buildListSql(entries), {}, { maxRows: 10000, datasource });
+      // Extract only table names (no schema prefix)
+      tableNames.push(...result.rows.map(row => row.TABLE_NAME));
+    }
 
     return {
       success: true,
       data: {
         tables: tableNames, // Return only table names, not full objects
-        count: result.rowCount,
-        schema: schema ? schema.toUpperCase() : 'current user'
+        count: tableNames.length,
+        schema: validatedSchema || 'all mapped schemas'
       }
     };
   } catch (error) {
@@ -60,7 +118,7 @@ export async function listTables(args) {
       success: false,
       error: {
         message: error.message,
-        code: error.errorNum || 'UNKNOWN'
+        code: error.errorNum || error.code || 'UNKNOWN'
       }
     };
   }
@@ -68,15 +126,26 @@ export async function listTables(args) {
 
 export const listTablesSchema = {
   name: 'listTables',
-  description: 'List all tables in the database. Optionally filter by schema name.',
+  description: 'List the database tables available to you. Only tables declared in semantic mappings are returned. Optionally filter by schema name.',
   inputSchema: {
     type: 'object',
     properties: {
       schema: {
         type: 'string',
-        description: 'Optional schema/owner name. If not provided, returns tables for current user.'
+        description: 'Optional schema/owner name. If not provided, returns mapped tables from all schemas.'
+      },
+      datasource: {
+        type: 'string',
+        description: 'Optional datasource name, which every listed table must be mapped to or list in replica_datasources. If not provided, each table is looked up in the datasource declared in its mapping.'
       }
     }
   }
 };
 
+export default {
+  schema: listTablesSchema,
+  handler: listTables,
+  options: {
+    requiresDatabase: true
+  }
+};
@@ -108,3 +108,10 @@ export const nl2sqlSchema = {
   }
 };
 
+export default {
+  schema: nl2sqlSchema,
+  handler: nl2sql,
+  options: {
+    requiresDatabase: false
+  }
+};
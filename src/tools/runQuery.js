@@ -1,6 +1,106 @@
 import { executeQuery } from '../oracle.js';
 import { logger } from '../logger.js';
 import { validateBindVariableName } from '../util/validators.js';
+import { assertSqlAllowed } from '../util/sqlClassifier.js';
+import { extractSqlReferences } from '../util/sqlReferences.js';
+import { findUnmappedReferences, getMappedTables, getTableMapping } from './getSemanticMappings.js';
+import { hasScope, SQL_WRITE_SCOPE } from '../auth.js';
+import { getLobOverrides } from '../lobs.js';
+import { assertDatasourceAllowed } from '../datasources.js';
+import { decodeCursor, getPage, getQueryShape, paginateQuery } from '../util/pagination.js';
+
+/**
+ * Reject a query that references tables or columns missing from semantic mappings,
+ * or calls functions other than the allowed built-ins
+ * @param {string} sql - SELECT or WITH query
+ * @throws {Error} - With code UNMAPPED_REFERENCES and the offending identifiers in error.unmapped,
+ *   or SQL_PARSE_ERROR if the references can't be determined
+ */
+async function assertMappedReferences(sql) {
+  const unmapped = await findUnmappedReferences(extractSqlReferences(sql));
+  if (unmapped.tables.length === 0 && unmapped.columns.length === 0 && unmapped.functions.length === 0) {
+    return;
+  }
+
+  const parts = [];
+  if (unmapped.tables.length > 0) {
+    parts.push(`tables ${unmapped.tables.join(', ')}`);
+  }
+  if (unmapped.columns.length > 0) {
+    parts.push(`columns ${unmapped.columns.join(', ')}`);
+  }
+  if (unmapped.functions.length > 0) {
+    parts.push(`functions ${unmapped.functions.join(', ')}`);
+  }
+  const allowedTables = (await getMappedTables())
+    .map(entry => entry.schema ? `${entry.schema}.${entry.tableName}` : entry.tableName);
+
+  const error = new Error(
+    `Query references identifiers not declared in semantic mappings: ${parts.join('; ')}. ` +
+    `Allowed tables: ${allowedTables.join(', ') || 'none'}`
+  );
+  error.code = 'UNMAPPED_REFERENCES';
+  error.unmapped = unmapped;
+  throw error;
+}
+
+/**
+ * Get the semantic mappings of the tables a query reads
+ * @param {string} sql - SELECT or WITH query
+ * @returns {Promise<Array<Object>>} Table mappings
+ */
+async function getQueryMappings(sql) {
+  const mappings = [];
+  for (const table of extractSqlReferences(sql).tables) {
+    if (table.function) {
+      continue;
+    }
+    const mapping = await getTableMapping(table.schema ? `${table.schema}.${table.name}` : table.name);
+    if (mapping && !mappings.includes(mapping)) {
+      mappings.push(mapping);
+    }
+  }
+  return mappings;
+}
+
+/**
+ * Get the datasource the mappings of a query's tables declare
+ * @param {Array<Object>} mappings - Mappings from getQueryMappings
+ * @returns {string|undefined} Declared datasource, or undefined if none is declared
+ * @throws {Error} - With code CROSS_DATASOURCE_QUERY if the tables live in different datasources
+ */
+function getQueryDatasource(mappings) {
+  const datasources = new Set(mappings.map(mapping => mapping.datasource || null));
+  if (datasources.size > 1) {
+    const error = new Error(
+      'Query reads tables from different datasources: ' +
+      mappings.map(mapping => `${mapping.tableName} (${mapping.datasource || 'default'})`).join(', ')
+    );
+    error.code = 'CROSS_DATASOURCE_QUERY';
+    throw error;
+  }
+  return [...datasources][0] || undefined;
+}
+
+/**
+ * Collect the LOB overrides (x-mcp-lob) of the mapped tables a query reads
+ * Overrides apply by result column name, so aliased LOB columns use the defaults.
+ * @param {Array<Object>} mappings - Mappings from getQueryMappings
+ * @returns {Object} Column name -> x-mcp-lob settings
+ */
+function getQueryLobOverrides(mappings) {
+  return Object.assign({}, ...mappings.map(mapping => getLobOverrides(mapping)));
+}
+
+/**
+ * Get the call timeout of a query from the mappings of its tables
+ * @param {Array<Object>} mappings - Mappings from getQueryMappings
+ * @returns {number|undefined} The shortest mcp_call_timeout_ms, or undefined if none is declared
+ */
+function getQueryCallTimeout(mappings) {
+  const timeouts = mappings.map(mapping => mapping.mcp_call_timeout_ms).filter(Boolean);
+  return timeouts.length > 0 ? Math.min(...timeouts) : undefined;
+}
 
 /**
  * MCP Tool: Execute a SQL query
@@ -8,11 +108,16 @@ import { validateBindVariableName } from '../util/validators.js';
  * @param {string} args.sql - SQL query to execute
  * @param {Object} args.binds - Optional bind parameters (as JSON string or object)
  * @param {number} args.maxRows - Maximum number of rows to return (default: 1000)
+ * @param {string} args.cursor - nextCursor of the previous page (queries only)
+ * @param {string} args.datasource - Datasource to run on, one of the tables' replica_datasources
+ *   (default: the one the mappings of the query's tables declare)
+ * @param {Object} context - Call context ({ principal }); statements other than
+ *   read-only queries need the principal to hold the sql:write scope
  * @returns {Promise<Object>} Query results
  */
-export async function runQuery(args) {
+export async function runQuery(args, context = {}) {
   try {
-    const { sql, binds = {}, maxRows = 1000, approved = false } = args;
+    const { sql, binds = {}, maxRows = 1000, approved = false, cursor, datasource: requestedDatasource } = args;
 
     // REJECT arbitrary SQL - require approved flag
     if (!approved) {
@@ -26,6 +131,15 @@ export async function runQuery(args) {
       throw new Error('SQL query is required and must be a string');
     }
 
+    // Only plain queries unless the principal was granted write access
+    const allowWrite = hasScope(context.principal, SQL_WRITE_SCOPE);
+    const classification = assertSqlAllowed(sql, { allowWrite });
+
+    // Queries may only read tables and columns declared in semantic mappings
+    if (classification.category === 'query') {
+      await assertMappedReferences(sql);
+    }
+
     // Parse binds if provided as string
     let parsedBinds = binds;
     if (typeof binds === 'string') {
@@ -54,41 +168,89 @@ export async function runQuery(args) {
       throw new Error('maxRows must be a positive integer');
     }
 
+    // Queries run where their tables are mapped, unless one of their replicas is asked for
+    const paged = classification.category === 'query';
+    const mappings = paged ? await getQueryMappings(sql) : [];
+    assertDatasourceAllowed(requestedDatasource, mappings, 'runQuery');
+    const datasource = requestedDatasource || getQueryDatasource(mappings);
+
+    // Queries are paged: maxRows per page, continued with nextCursor
+    const shape = paged ? getQueryShape('runQuery', { sql, binds: parsedBinds, datasource }) : null;
+    const offset = paged && cursor ? decodeCursor(cursor, shape) : 0;
+
     logger.info('Executing SQL query via MCP tool', { 
       sqlLength: sql.length,
       hasBinds: Object.keys(parsedBinds).length > 0,
       maxRows: maxRowsNum,
+      offset,
+      datasource,
+      category: classification.category,
       approved: true
     });
 
-    // Pass approved flag to executeQuery
-    const result = await executeQuery(sql, parsedBinds, { maxRows: maxRowsNum, approved: true });
+    if (!paged) {
+      // Pass approved flag to executeQuery; writes are committed as they run
+      const queryOptions = { maxRows: maxRowsNum, approved: true, datasource };
+      if (!classification.readOnly) {
+        queryOptions.autoCommit = true;
+      }
+      const result = await executeQuery(sql, parsedBinds, queryOptions);
+
+      return {
+        success: true,
+        data: {
+          rows: result.rows,
+          rowCount: result.rowCount,
+          columnNames: result.meta.columnNames,
+          columnCount: result.meta.columnCount
+        }
+      };
+    }
+
+    const page = paginateQuery(sql, parsedBinds, offset, maxRowsNum);
+    const result = await executeQuery(page.sql, page.binds, {
+      maxRows: page.maxRows,
+      approved: true,
+      datasource,
+      callTimeout: getQueryCallTimeout(mappings),
+      lobColumns: getQueryLobOverrides(mappings)
+    });
+    const { rows, hasMore, nextCursor } = getPage(result.rows, shape, offset, maxRowsNum);
 
     return {
       success: true,
       data: {
-        rows: result.rows,
-        rowCount: result.rowCount,
+        rows,
+        rowCount: rows.length,
         columnNames: result.meta.columnNames,
-        columnCount: result.meta.columnCount
+        columnCount: result.meta.columnCount,
+        hasMore,
+        nextCursor
       }
     };
   } catch (error) {
     logger.error('runQuery tool error', { error: error.message, stack: error.stack });
-    return {
+    const result = {
       success: false,
       error: {
         message: error.message,
-        code: error.errorNum || 'UNKNOWN',
+        code: error.errorNum || error.code || 'UNKNOWN',
         sqlState: error.sqlState || null
       }
     };
+    if (error.classification) {
+      result.error.classification = error.classification;
+    }
+    if (error.unmapped) {
+      result.error.unmapped = error.unmapped;
+    }
+    return result;
   }
 }
 
 export const runQuerySchema = {
   name: 'runQuery',
-  description: `Executes a SQL query against the Oracle database.
+  description: `Executes a read-only SQL query (SELECT or WITH) against the Oracle database.
 
 CRITICAL SECURITY REQUIREMENT:
 This tool REQUIRES approved=true. It will REJECT arbitrary SQL queries.
@@ -111,6 +273,21 @@ STRICT RULES:
 - Do NOT query ALL_CONSTRAINTS, ALL_TABLES, or similar views for schema discovery.
 - If getSchema() returns an error, STOP — do not execute SQL.
 - approved=true MUST be set, otherwise the query will be rejected.
+- Only a single SELECT/WITH query is accepted: no DML, DDL, PL/SQL, FOR UPDATE,
+  database links (@), DBMS_*/UTL_* packages or semicolons. Rejected statements
+  return error.code SQL_NOT_ALLOWED with error.classification explaining why.
+- Every table and column must be declared in semantic mappings; queries naming
+  anything else return error.code UNMAPPED_REFERENCES with the offending
+  identifiers in error.unmapped. Name the columns: SELECT * or t.* over a table
+  is refused.
+
+Results are paged: at most maxRows rows, with hasMore and nextCursor. To get the
+next page, call again with the same sql and binds plus cursor=nextCursor.
+
+Queries run on the datasource declared by the semantic mappings of their tables
+(tables from different datasources can't be mixed: CROSS_DATASOURCE_QUERY); pass
+datasource to run on a replica listed in their mappings' replica_datasources
+(other datasources are rejected with DATASOURCE_NOT_ALLOWED).
 
 This tool must be called ONLY after the above rules are satisfied.`,
   inputSchema: {
@@ -118,18 +295,27 @@ This tool must be called ONLY after the above rules are satisfied.`,
     properties: {
       sql: {
         type: 'string',
-        description: 'SQL query to execute (SELECT, INSERT, UPDATE, DELETE, etc.)'
+        description: 'SQL query to execute (a single SELECT or WITH query, without a trailing semicolon)'
       },
       binds: {
-        type: 'object',
-        description: 'Optional bind parameters as key-value pairs (e.g., {"id": 123, "name": "test"})',
+        type: ['object', 'string'],
+        description: 'Optional bind parameters as key-value pairs or a JSON string (e.g., {"id": 123, "name": "test"})',
         default: {}
       },
       maxRows: {
-        type: 'number',
-        description: 'Maximum number of rows to return (default: 1000)',
+        type: 'integer',
+        minimum: 1,
+        description: 'Maximum number of rows to return per page (default: 1000)',
         default: 1000
       },
+      cursor: {
+        type: 'string',
+        description: 'nextCursor of the previous page; repeat the original sql and binds with it'
+      },
+      datasource: {
+        type: 'string',
+        description: 'Optional datasource name (default: the datasource of the mapped tables)'
+      },
       approved: {
         type: 'boolean',
         description: 'MUST be true. Indicates that SQL was generated using semantic mappings and schema validation.',
@@ -140,3 +326,10 @@ This tool must be called ONLY after the above rules are satisfied.`,
   }
 };
 
+export default {
+  schema: runQuerySchema,
+  handler: runQuery,
+  options: {
+    requiresDatabase: true
+  }
+};
@@ -0,0 +1,256 @@
+import { executeQuery } from '../oracle.js';
+import { logger } from '../logger.js';
+import { getMappedTables, getTableMapping } from './getSemanticMappings.js';
+import { extractBindVariables, fillTemplate, getBindColumns, normalizeTemplate } from '../util/templateEngine.js';
+import { assertSqlAllowed } from '../util/sqlClassifier.js';
+import { getLobOverrides } from '../lobs.js';
+import { assertDatasourceAllowed } from '../datasources.js';
+import { decodeCursor, getPage, getQueryShape, paginateQuery } from '../util/pagination.js';
+
+/**
+ * Infer the declaration of a plain-string template parameter
+ * Binds compared with a mapped column take that column's declared type; LIKE
+ * patterns are plain strings (enum and format don't apply to wildcards).
+ * @param {Object} property - JSON schema of the column (may be undefined)
+ * @param {string} operator - Comparison operator from getBindColumns
+ * @returns {Object} Parameter declaration
+ */
+function inferParam(property, operator) {
+  if (!property) {
+    return {};
+  }
+  if (operator === 'LIKE') {
+    return { type: 'string' };
+  }
+  if (Array.isArray(property.enum)) {
+    return { type: 'enum', values: property.enum };
+  }
+  if (property.type === 'integer' || property.type === 'number') {
+    return { type: 'number' };
+  }
+  if (property.format === 'date' || property.format === 'date-time') {
+    return { type: 'date' };
+  }
+  if (property.type === 'string') {
+    return { type: 'string', maxLength: property.maxLength };
+  }
+  return {};
+}
+
+/**
+ * Get the declaration of a template
+ * Plain-string templates get their parameter types from the mapped columns
+ * their binds are compared with.
+ * @param {Object} mapping - Table mapping
+ * @param {string|Object} template - Template from mcp_sql_templates
+ * @returns {Object} Template declaration for fillTemplate
+ */
+function getTemplateDeclaration(mapping, template) {
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  const bindColumns = getBindColumns(template);
+  const params = {};
+  for (const name of extractBindVariables(template)) {
+    const bindColumn = bindColumns[name];
+    params[name.toLowerCase()] = inferParam(bindColumn && mapping.schema?.properties?.[bindColumn.column], bindColumn?.operator);
+  }
+  return { sql: template, params };
+}
+
+/**
+ * Describe a template's parameters for error messages
+ * @param {Object} declaration - Template declaration
+ * @returns {Object} Parameter name -> { type, required, description }
+ */
+function describeParams(declaration) {
+  const { params } = normalizeTemplate(declaration);
+  return Object.fromEntries(Object.values(params).map(param => [
+    param.name,
+    { type: param.type || 'any', required: param.required, description: param.description }
+  ]));
+}
+
+/**
+ * MCP Tool: Execute a named SQL template from semantic mappings
+ * @param {Object} args - Tool arguments
+ * @param {string} args.table - Mapped table name (optionally schema-qualified)
+ * @param {string} args.template - Template name from the mapping's mcp_sql_templates
+ * @param {Object} args.params - Values for the template's bind variables
+ * @param {number} args.maxRows - Maximum number of rows to return (default: 1000)
+ * @param {string} args.cursor - nextCursor of the previous page
+ * @param {string} args.datasource - Datasource to run on, one of the mapping's replica_datasources
+ *   (default: the mapping's datasource)
+ * @returns {Promise<Object>} Query results
+ */
+export async function runTemplate(args) {
+  try {
+    const { table, template, params = {}, maxRows = 1000, cursor } = args;
+    let { datasource } = args;
+
+    const mapping = await getTableMapping(table);
+    if (!mapping) {
+      return {
+        success: false,
+        error: {
+          message: `No semantic mapping found for table: ${table}`,
+          code: 'MAPPING_NOT_FOUND',
+          availableTables: (await getMappedTables()).map(entry => entry.tableName)
+        }
+      };
+    }
+
+    const templates = mapping.mcp_sql_templates || {};
+    if (!Object.prototype.hasOwnProperty.call(templates, template)) {
+      return {
+        success: false,
+        error: {
+          message: `No template ${template} for table ${mapping.tableName}`,
+          code: 'TEMPLATE_NOT_FOUND',
+          availableTemplates: Object.keys(templates)
+        }
+      };
+    }
+
+    const declaration = getTemplateDeclaration(mapping, templates[template]);
+
+    let filled;
+    try {
+      filled = fillTemplate(declaration, params);
+    } catch (error) {
+      if (error.code !== 'INVALID_TEMPLATE_PARAMS') {
+        throw error;
+      }
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code,
+          violations: error.violations,
+          parameters: describeParams(declaration)
+        }
+      };
+    }
+    const { sql, binds: filledBinds } = filled;
+
+    // Templates come from mapping files, but are held to the same read-only rule as runQuery
+    assertSqlAllowed(sql);
+    const qualifiedTable = mapping.oracleSchema ? `${mapping.oracleSchema}.${mapping.tableName}` : mapping.tableName;
+
+    assertDatasourceAllowed(datasource, [mapping], 'runTemplate');
+    datasource = datasource || mapping.datasource || undefined;
+
+    const shape = getQueryShape('runTemplate', { table: qualifiedTable, template, params, datasource });
+    const offset = cursor ? decodeCursor(cursor, shape) : 0;
+
+    logger.info('Executing SQL template via MCP tool', {
+      table: qualifiedTable,
+      template,
+      binds: Object.keys(filledBinds),
+      maxRows,
+      offset,
+      datasource
+    });
+
+    const page = paginateQuery(sql, filledBinds, offset, maxRows);
+    const result = await executeQuery(page.sql, page.binds, {
+      maxRows: page.maxRows,
+      approved: true,
+      datasource,
+      callTimeout: mapping.mcp_call_timeout_ms,
+      lobColumns: getLobOverrides(mapping)
+    });
+    const { rows, hasMore, nextCursor } = getPage(result.rows, shape, offset, maxRows);
+
+    return {
+      success: true,
+      data: {
+        table: qualifiedTable,
+        template,
+        rows,
+        rowCount: rows.length,
+        columnNames: result.meta.columnNames,
+        columnCount: result.meta.columnCount,
+        hasMore,
+        nextCursor
+      }
+    };
+  } catch (error) {
+    logger.error('runTemplate tool error', { error: error.message, stack: error.stack });
+    return {
+      success: false,
+      error: {
+        message: error.message,
+        code: error.errorNum || error.code || 'UNKNOWN',
+        sqlState: error.sqlState || null
+      }
+    };
+  }
+}
+
+export const runTemplateSchema = {
+  name: 'runTemplate',
+  description: `Executes a named SQL template declared in semantic mappings (mcp_sql_templates).
+
+Prefer this tool over runQuery for common lookups - no SQL needs to be written.
+
+1. Call getSemanticMappings(tableName) to see the table's mcp_sql_templates.
+2. Pass the template name and a value for every :bind variable in it, keyed by
+   the bind name without the colon (e.g. { "id": 12345 } for :id).
+
+Templates may declare their parameters (type, required, default, description);
+otherwise each parameter takes the declared type of the column it is compared
+with. Invalid parameters return error.code INVALID_TEMPLATE_PARAMS with the
+violations and the template's parameters.
+
+Results are paged: at most maxRows rows, with hasMore and nextCursor. To get the
+next page, call again with the same table, template and params plus
+cursor=nextCursor.
+
+Templates run on the datasource declared by the table's mapping; pass
+datasource to run on one of the mapping's replica_datasources instead.`,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      table: {
+        type: 'string',
+        description: 'Mapped table name (e.g., "PATIENT_MASTER" or "P_COMMONUSEROBJECT.PATIENT_MASTER")'
+      },
+      template: {
+        type: 'string',
+        description: 'Template name from the table\'s mcp_sql_templates (e.g., "select_by_id")'
+      },
+      params: {
+        type: 'object',
+        description: 'Bind variable values keyed by name without the colon (e.g., {"id": 12345})',
+        additionalProperties: { type: ['string', 'number'] },
+        default: {}
+      },
+      maxRows: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Maximum number of rows to return per page (default: 1000)',
+        default: 1000
+      },
+      cursor: {
+        type: 'string',
+        description: 'nextCursor of the previous page; repeat the original table, template and params with it'
+      },
+      datasource: {
+        type: 'string',
+        description: 'Optional datasource name (default: the datasource of the table\'s mapping)'
+      }
+    },
+    required: ['table', 'template'],
+    additionalProperties: false
+  }
+};
+
+export default {
+  schema: runTemplateSchema,
+  handler: runTemplate,
+  options: {
+    requiresDatabase: true
+  }
+};
@@ -0,0 +1,354 @@
+import { executeQuery } from '../oracle.js';
+import { logger } from '../logger.js';
+import { getMappedTables, getTableMapping } from './getSemanticMappings.js';
+import { validateIdentifier } from '../util/validators.js';
+import { validateSchema, formatViolations } from '../util/schemaValidator.js';
+import { buildFriendlyFilters, buildFriendlyInputSchema, getFriendlyFields } from '../util/friendlyFields.js';
+import { getLobOverrides } from '../lobs.js';
+
+// Rows returned when no limit is given, and the most a caller may ask for
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * Create a search error
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} details - Extra fields for the error result
+ * @returns {Error}
+ */
+function searchError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Get the friendly fields a search can sort by (fields with a single column)
+ * @param {Object} mapping - Table mapping
+ * @returns {Array<string>} Field names
+ */
+function getSortableFields(mapping) {
+  return getFriendlyFields(mapping).filter(field => field.columns.length === 1).map(field => field.name);
+}
+
+/**
+ * Get the name of a table's generated search tool, e.g. APPOINTMENTS -> searchAppointments
+ * @param {string} tableName - Mapped table name
+ * @returns {string}
+ */
+export function getSearchToolName(tableName) {
+  return 'search' + tableName.toLowerCase().split('_').filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Get the mapped tables that declare friendly fields
+ * @returns {Promise<Array<Object>>} Table mappings
+ */
+async function getSearchableMappings() {
+  const tables = await getMappedTables();
+  const mappings = await Promise.all(tables.map(entry => getTableMapping(entry.tableName)));
+  return mappings.filter(mapping => mapping && getFriendlyFields(mapping).length > 0);
+}
+
+/**
+ * Build the input schema of a table search
+ * @param {Object} mapping - Table mapping
+ * @returns {Object} JSON schema of { filters, sort, limit }
+ */
+function buildSearchInputSchema(mapping) {
+  const sortable = getSortableFields(mapping);
+  return {
+    type: 'object',
+    properties: {
+      filters: {
+        ...buildFriendlyInputSchema(mapping),
+        description: 'Friendly field values to match (all must match)',
+        default: {}
+      },
+      sort: {
+        type: 'array',
+        maxItems: 3,
+        description: 'Sort order, by friendly fields with a single column',
+        items: {
+          type: 'object',
+          properties: {
+            field: sortable.length > 0 ? { type: 'string', enum: sortable } : { type: 'string' },
+            direction: { type: 'string', enum: ['asc', 'desc'], default: 'asc' }
+          },
+          required: ['field'],
+          additionalProperties: false
+        }
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_LIMIT,
+        description: `Maximum number of rows to return (default: ${DEFAULT_LIMIT})`,
+        default: DEFAULT_LIMIT
+      }
+    },
+    additionalProperties: false
+  };
+}
+
+/**
+ * Search a mapped table by its friendly fields
+ * Columns come only from the mapping (validated as identifiers); every value
+ * is a bind variable, including the row limit.
+ * @param {Object} mapping - Table mapping
+ * @param {Object} options
+ * @param {Object} options.filters - Values keyed by friendly field name
+ * @param {Array<Object>} options.sort - [{ field, direction: asc|desc }]
+ * @param {number} options.limit - Maximum number of rows
+ * @returns {Promise<Object>} { table, rows, count, filters, sort, limit }
+ * @throws {Error} - With code INVALID_FILTERS or INVALID_SORT (and error.details)
+ */
+export async function searchEntity(mapping, { filters = {}, sort = [], limit = DEFAULT_LIMIT } = {}) {
+  const schemaName = mapping.oracleSchema ? validateIdentifier(mapping.oracleSchema) : null;
+  const tableName = validateIdentifier(mapping.tableName);
+  const qualifiedTable = schemaName ? `${schemaName}.${tableName}` : tableName;
+
+  const present = Object.fromEntries(
+    Object.entries(filters).filter(([_, value]) => value !== null && value !== undefined && value !== '')
+  );
+  const violations = validateSchema(buildFriendlyInputSchema(mapping), present, 'filters');
+  if (violations.length > 0) {
+    throw searchError('INVALID_FILTERS', `Invalid filters: ${formatViolations(violations)}`, {
+      violations,
+      availableFields: getFriendlyFields(mapping).map(field => field.name)
+    });
+  }
+
+  const { where, binds, used, ignored } = buildFriendlyFilters(mapping, present);
+  if (ignored.length > 0) {
+    throw searchError('INVALID_FILTERS', `Invalid filters: ${ignored.map(entry => `${entry.field} (${entry.reason})`).join(', ')}`, {
+      ignored,
+      availableFields: getFriendlyFields(mapping).map(field => field.name)
+    });
+  }
+
+  const fields = new Map(getFriendlyFields(mapping).map(field => [field.name, field]));
+  const orderBy = sort.map(({ field, direction = 'asc' }) => {
+    const friendly = fields.get(field);
+    if (!friendly || friendly.columns.length !== 1 || !['asc', 'desc'].includes(direction)) {
+      throw searchError('INVALID_SORT', `Cannot sort by ${field} ${direction}`, { sortableFields: getSortableFields(mapping) });
+    }
+    return `${validateIdentifier(friendly.columns[0])} ${direction.toUpperCase()}`;
+  });
+
+  const rowLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const sql = [
+    `SELECT * FROM ${qualifiedTable}`,
+    where ? `WHERE ${where}` : null,
+    orderBy.length > 0 ? `ORDER BY ${orderBy.join(', ')}` : null,
+    'FETCH FIRST :fetch_limit ROWS ONLY'
+  ].filter(Boolean).join(' ');
+
+  logger.info('Executing entity search', {
+    table: qualifiedTable,
+    filters: used,
+    sort: orderBy,
+    limit: rowLimit
+  });
+
+  const result = await executeQuery(sql, { ...binds, fetch_limit: rowLimit }, {
+    maxRows: rowLimit,
+    approved: true,
+    datasource: mapping.datasource || undefined,
+    callTimeout: mapping.mcp_call_timeout_ms,
+    lobColumns: getLobOverrides(mapping)
+  });
+
+  return {
+    table: qualifiedTable,
+    rows: result.rows,
+    count: result.rowCount,
+    filters: used,
+    sort,
+    limit: rowLimit
+  };
+}
+
+/**
+ * Turn a search error into a tool result
+ * @param {Error} error
+ * @param {string} toolName - Tool name for logging
+ * @returns {Object} { success: false, error }
+ */
+function searchErrorResult(error, toolName) {
+  if (error.details) {
+    return { success: false, error: { message: error.message, code: error.code, ...error.details } };
+  }
+  logger.error(`${toolName} tool error`, { error: error.message, stack: error.stack });
+  return {
+    success: false,
+    error: {
+      message: error.message,
+      code: error.errorNum || error.code || 'UNKNOWN'
+    }
+  };
+}
+
+/**
+ * MCP Tool: Search any mapped table by its friendly fields
+ * @param {Object} args - Tool arguments
+ * @param {string} args.table - Mapped table name (optionally schema-qualified)
+ * @param {Object} args.filters - Values keyed by friendly field name
+ * @param {Array<Object>} args.sort - [{ field, direction: asc|desc }]
+ * @param {number} args.limit - Maximum number of rows (default: 25, max: 100)
+ * @returns {Promise<Object>} Search results
+ */
+export async function searchEntities(args = {}) {
+  try {
+    const { table, ...options } = args;
+
+    const mapping = await getTableMapping(table);
+    if (!mapping || getFriendlyFields(mapping).length === 0) {
+      return {
+        success: false,
+        error: {
+          message: mapping
+            ? `Table ${table} declares no friendly fields (mcp_friendly_fields)`
+            : `No semantic mapping found for table: ${table}`,
+          code: mapping ? 'NOT_SEARCHABLE' : 'MAPPING_NOT_FOUND',
+          searchableTables: (await getSearchableMappings()).map(entry => entry.tableName)
+        }
+      };
+    }
+
+    return {
+      success: true,
+      data: await searchEntity(mapping, options)
+    };
+  } catch (error) {
+    return searchErrorResult(error, 'searchEntities');
+  }
+}
+
+export const searchEntitiesSchema = {
+  name: 'searchEntities',
+  description: `Deterministic search of any mapped table by its friendly fields (mcp_friendly_fields).
+
+Call getSemanticMappings(tableName) to see a table's friendly fields, or use the
+table's own search tool (e.g. searchAppointments), whose inputSchema lists them.
+Filters are matched as declared (exact, like, prefix, date, range) and all must
+match. Unknown fields or invalid values return error.code INVALID_FILTERS.`,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      table: {
+        type: 'string',
+        description: 'Mapped table name (e.g., "PATIENT_MASTER")'
+      },
+      filters: {
+        type: 'object',
+        description: 'Values keyed by friendly field name (e.g., {"lastName": "Doe"}); range fields take {"from", "to"}',
+        additionalProperties: { type: ['string', 'number', 'object'] },
+        default: {}
+      },
+      sort: {
+        type: 'array',
+        maxItems: 3,
+        description: 'Sort order, by friendly fields with a single column (e.g., [{"field": "lastName", "direction": "asc"}])',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            direction: { type: 'string', enum: ['asc', 'desc'], default: 'asc' }
+          },
+          required: ['field'],
+          additionalProperties: false
+        }
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_LIMIT,
+        description: `Maximum number of rows to return (default: ${DEFAULT_LIMIT})`,
+        default: DEFAULT_LIMIT
+      }
+    },
+    required: ['table'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Build the searchEntities schema with the searchable tables as an enum
+ * @returns {Promise<Object>} Tool schema
+ */
+export async function resolveSearchEntitiesSchema() {
+  const tables = (await getSearchableMappings()).map(mapping => mapping.tableName);
+  if (tables.length === 0) {
+    return searchEntitiesSchema;
+  }
+  return {
+    ...searchEntitiesSchema,
+    inputSchema: {
+      ...searchEntitiesSchema.inputSchema,
+      properties: {
+        ...searchEntitiesSchema.inputSchema.properties,
+        table: { ...searchEntitiesSchema.inputSchema.properties.table, enum: tables }
+      }
+    }
+  };
+}
+
+/**
+ * Generate a search tool per mapped table with friendly fields
+ * e.g. searchAppointments for APPOINTMENTS, taking { filters, sort, limit } with
+ * the table's fields in its inputSchema.
+ * @returns {Promise<Array<Object>>} Tool definitions ({ schema, handler })
+ */
+export async function getSearchEntityVariants() {
+  const variants = [];
+  for (const mapping of await getSearchableMappings()) {
+    try {
+      validateIdentifier(mapping.tableName);
+    } catch (error) {
+      continue;
+    }
+    const name = getSearchToolName(mapping.tableName);
+    const qualifiedTable = mapping.oracleSchema ? `${mapping.oracleSchema}.${mapping.tableName}` : mapping.tableName;
+    const fields = getFriendlyFields(mapping).map(field => field.name);
+
+    variants.push({
+      schema: {
+        name,
+        description: `Deterministic search of ${qualifiedTable} by its friendly fields (${fields.join(', ')}).` +
+          (mapping.schema?.description ? `\n\n${mapping.schema.description}` : ''),
+        inputSchema: buildSearchInputSchema(mapping)
+      },
+      handler: async (args = {}) => {
+        try {
+          // Resolve again: the mapping may have been reloaded since tools/list
+          const current = await getTableMapping(qualifiedTable);
+          if (!current) {
+            return {
+              success: false,
+              error: { message: `No semantic mapping found for table: ${qualifiedTable}`, code: 'MAPPING_NOT_FOUND' }
+            };
+          }
+          return { success: true, data: await searchEntity(current, args) };
+        } catch (error) {
+          return searchErrorResult(error, name);
+        }
+      }
+    });
+  }
+  return variants;
+}
+
+export default {
+  schema: searchEntitiesSchema,
+  resolveSchema: resolveSearchEntitiesSchema,
+  variants: getSearchEntityVariants,
+  handler: searchEntities,
+  options: {
+    requiresDatabase: true
+  }
+};
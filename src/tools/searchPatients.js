@@ -1,111 +1,70 @@
 import { executeQuery } from '../oracle.js';
 import { logger } from '../logger.js';
-import { getSemanticMappings } from './getSemanticMappings.js';
+import { getTableMapping } from './getSemanticMappings.js';
 import { validateIdentifier } from '../util/validators.js';
-import { fillTemplate } from '../util/templateEngine.js';
+import { buildFriendlyFilters, buildFriendlyInputSchema, getFriendlyFields } from '../util/friendlyFields.js';
+import { getLobOverrides } from '../lobs.js';
+import { AFTER_BIND, FETCH_BIND, assertNoReservedBinds, decodeKeysetCursor, getKeysetPage, getQueryShape } from '../util/pagination.js';
 
 /**
  * ============================================================
- * FRIENDLY FIELD MAPPINGS (Business → Oracle Columns)
- * These fields will appear in inputSchema and be preferred.
+ * FRIENDLY FIELDS (Business → Oracle Columns)
+ * Declared in the PATIENT_MASTER mapping (mcp_friendly_fields);
+ * the inputSchema and the WHERE clause are both built from them.
+ * See util/friendlyFields.js for the format.
  * ============================================================
  */
-const FRIENDLY_MAP = {
-  firstName: "EXT_FIRST_NAME",
-  middleName: "EXT_MIDDLE_NAME",
-  lastName: "EXT_LAST_NAME",
-  dob: "EXT_DATE_OF_BIRTH",
-  gender: "EXT_SEX",
-  mrn: "MEDICAL_RECORD_NUM",
-  ssn: "SSN",
+const PATIENT_TABLE = 'PATIENT_MASTER';
 
-  address: ["EXT_ADDRESS1", "EXT_ADDRESS2", "EXT_ADDRESS3", "EXT_ADDRESS4"],
-  city: "EXT_CITY",
-  state: "EXT_STATE",
-  zip: "EXT_ZIP_CODE",
-  country: "EXT_COUNTRY",
+// Patients per page
+const PAGE_SIZE = 25;
 
-  email: ["EXT_PERSONAL_EMAIL", "EXT_WORK_EMAIL"],
-  phone: ["EXT_CELL_PHONE_CALL", "EXT_HOME_PHONE", "EXT_WORK_PHONE"],
-
-  category: "EXT_CATEGORY",
-
-  visitCount: "VISIT_COUNT",
-  lastVisitDate: "LAST_VISIT_DATE",
-  apptDate: "APPT_DATE",
-  followupDate: "FOLLOWUP_DATE",
-
-  balanceDue: "DUE_PATIENT",
-  familyBalanceDue: "FAMILY_DUE_AMT",
-
-  notes: "EXT_NOTES"
-};
+// Column carrying each row's ROWID, the keyset of the search's pages
+const ROW_KEY = 'MCP_ROW_KEY';
 
 /**
- * ============================================================
- * Date Validators
- * ============================================================
+ * Run one page of a patient search
+ * Pages are ordered by ROWID and continue after the last ROWID of the
+ * previous page (keyset), so they stay stable and cheap however deep they go.
+ * @param {string} qualifiedTable - Validated table name
+ * @param {string|null} whereClause - Conditions from buildFriendlyFilters, or null for all patients
+ * @param {Object} binds - Bind variables of the conditions
+ * @param {Object} filters - Search arguments, without the cursor (query shape)
+ * @param {string} cursor - nextCursor of the previous page, if any
+ * @param {Object} mapping - PATIENT_MASTER mapping (datasource, call timeout and LOB overrides)
+ * @returns {Promise<Object>} { patients, count, hasMore, nextCursor }
  */
-function isValidDateYYYYMMDD(value) {
-  return /^\d{4}-\d{2}-\d{2}$/.test(value);
-}
+async function searchPage(qualifiedTable, whereClause, binds, filters, cursor, mapping) {
+  const shape = getQueryShape('searchPatients', { filters });
+  const after = cursor ? decodeKeysetCursor(cursor, shape) : null;
 
-/**
- * ============================================================
- * Build WHERE clause using ONLY friendly mappings
- * NO column guessing - all columns must be in FRIENDLY_MAP
- * ============================================================
- */
-function buildFilterExpressions(filters, binds) {
   const conditions = [];
+  if (whereClause) conditions.push(`(${whereClause})`);
+  if (after) conditions.push(`p.ROWID > CHARTOROWID(:${AFTER_BIND})`);
+  const sql = `
+      SELECT p.*, ROWIDTOCHAR(p.ROWID) AS ${ROW_KEY}
+      FROM ${qualifiedTable} p
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY p.ROWID
+      FETCH FIRST :${FETCH_BIND} ROWS ONLY
+    `;
 
-  for (const [friendlyField, value] of Object.entries(filters)) {
-    if (value === null || value === undefined || value === "") continue;
-
-    const mapped = FRIENDLY_MAP[friendlyField];
-
-    // REJECT any field not in friendly map
-    if (!mapped) {
-      logger.warn("Ignoring unknown field - not in friendly mappings", { field: friendlyField });
-      continue;
-    }
-
-    /**
-     * Handle array mappings (multiple columns for one field)
-     */
-    if (Array.isArray(mapped)) {
-      const orList = [];
-      mapped.forEach((col, i) => {
-        const bind = `${friendlyField}_${i}`;
-        binds[bind] = `%${value}%`;
-        orList.push(`UPPER(${col}) LIKE UPPER(:${bind})`);
-      });
-      conditions.push(`(${orList.join(" OR ")})`);
-    } else {
-      /**
-     * Handle single column mapping
-     */
-      const col = mapped;
-      const bind = friendlyField;
-
-      // Date handling
-      if (friendlyField === 'dob' || friendlyField === 'lastVisitDate' || 
-          friendlyField === 'apptDate' || friendlyField === 'followupDate') {
-        if (!isValidDateYYYYMMDD(value)) {
-          logger.warn("Invalid date format for friendly field", { field: friendlyField, value });
-          continue;
-        }
-        binds[bind] = value;
-        conditions.push(`${col} = TO_DATE(:${bind}, 'YYYY-MM-DD')`);
-      } else {
-        // String search (LIKE)
-        binds[bind] = `%${value}%`;
-        conditions.push(`UPPER(${col}) LIKE UPPER(:${bind})`);
-      }
-    }
+  assertNoReservedBinds(whereClause || '', binds);
+  const pageBinds = { ...binds, [FETCH_BIND]: PAGE_SIZE + 1 };
+  if (after) {
+    pageBinds[AFTER_BIND] = after;
   }
 
-  return conditions.join(" AND ");
+  const result = await executeQuery(sql, pageBinds, {
+    maxRows: PAGE_SIZE + 1,
+    approved: true,
+    datasource: mapping.datasource || undefined,
+    callTimeout: mapping.mcp_call_timeout_ms,
+    lobColumns: getLobOverrides(mapping)
+  });
+  const { rows, hasMore, nextCursor } = getKeysetPage(result.rows, shape, PAGE_SIZE, ROW_KEY);
+
+  return { patients: rows, count: rows.length, hasMore, nextCursor };
 }
 
 /**
@@ -117,9 +76,9 @@ function buildFilterExpressions(filters, binds) {
 export async function searchPatients(args = {}) {
   try {
     // Step 1: Get semantic mappings for PATIENT_MASTER
-    const mappingsResult = await getSemanticMappings({ tableName: 'PATIENT_MASTER' });
+    const mapping = await getTableMapping(PATIENT_TABLE);
     
-    if (!mappingsResult.success || !mappingsResult.data) {
+    if (!mapping) {
       return {
         success: false,
         error: {
@@ -130,56 +89,39 @@ export async function searchPatients(args = {}) {
       };
     }
 
-    const mapping = mappingsResult.data.mapping;
-    
     // Step 2: Validate schema and table from semantic mappings
-    const schemaName = mapping.schema ? validateIdentifier(mapping.schema) : null;
+    const schemaName = mapping.oracleSchema ? validateIdentifier(mapping.oracleSchema) : null;
     const tableName = validateIdentifier(mapping.tableName);
     
     // Build fully qualified table name
     const qualifiedTable = schemaName ? `${schemaName}.${tableName}` : tableName;
 
-    // Step 3: Filter out empty values
+    // Step 3: Filter out empty values (the cursor only selects the page)
+    const { cursor, ...searchArgs } = args;
     const filters = Object.fromEntries(
-      Object.entries(args).filter(([_, v]) => v !== null && v !== undefined && v !== "")
+      Object.entries(searchArgs).filter(([_, v]) => v !== null && v !== undefined && v !== "")
     );
 
     if (Object.keys(filters).length === 0) {
-      // No filters - use select_all template if available
-      const templates = mapping.mcp_sql_templates || {};
-      if (templates.select_all) {
-        const { sql, binds } = fillTemplate(templates.select_all, {});
-        const result = await executeQuery(sql, binds, { maxRows: 25, approved: true });
-        
-        return {
-          success: true,
-          data: {
-            patients: result.rows,
-            count: result.rowCount,
-            filters: [],
-            table: qualifiedTable
-          }
-        };
-      } else {
-        // Fallback: simple SELECT with limit
-        const sql = `SELECT * FROM ${qualifiedTable} FETCH FIRST 25 ROWS ONLY`;
-        const result = await executeQuery(sql, {}, { maxRows: 25, approved: true });
-        
-        return {
-          success: true,
-          data: {
-            patients: result.rows,
-            count: result.rowCount,
-            filters: [],
-            table: qualifiedTable
-          }
-        };
-      }
+      // No filters - every patient, a page at a time
+      const page = await searchPage(qualifiedTable, null, {}, filters, cursor, mapping);
+
+      return {
+        success: true,
+        data: {
+          ...page,
+          filters: [],
+          table: qualifiedTable
+        }
+      };
     }
 
-    // Step 4: Build WHERE clause using ONLY friendly mappings
-    const binds = {};
-    const whereClause = buildFilterExpressions(filters, binds);
+    // Step 4: Build WHERE clause using ONLY friendly fields
+    const { where: whereClause, binds, used, ignored } = buildFriendlyFilters(mapping, filters);
+
+    if (ignored.length > 0) {
+      logger.warn("Ignoring search fields", { ignored });
+    }
 
     if (!whereClause) {
       // No valid filters after processing
@@ -188,35 +130,30 @@ export async function searchPatients(args = {}) {
         error: {
           message: "No valid filter fields found. All fields must be in friendly mappings.",
           fieldsReceived: Object.keys(filters),
+          ignored,
+          availableFields: getFriendlyFields(mapping).map(field => field.name),
           code: 'NO_VALID_FILTERS'
         }
       };
     }
 
-    // Step 5: Build SQL using validated table name (never from LLM)
-    const sql = `
-      SELECT *
-      FROM ${qualifiedTable}
-      WHERE ${whereClause}
-      FETCH FIRST 25 ROWS ONLY
-    `;
-
+    // Step 5: Execute one page with approved flag; the SQL uses the
+    // validated table name (never from LLM)
     logger.info("Executing deterministic patient search", {
-      filters: Object.keys(filters),
+      filters: used,
       whereClause,
       bindCount: Object.keys(binds).length,
       table: qualifiedTable
     });
 
-    // Step 6: Execute with approved flag
-    const result = await executeQuery(sql, binds, { maxRows: 25, approved: true });
+    const page = await searchPage(qualifiedTable, whereClause, binds, filters, cursor, mapping);
 
     return {
       success: true,
       data: {
-        patients: result.rows,
-        count: result.rowCount,
-        filters: Object.keys(filters),
+        ...page,
+        filters: used,
+        ignoredFields: ignored,
         table: qualifiedTable
       }
     };
@@ -229,7 +166,7 @@ export async function searchPatients(args = {}) {
       success: false,
       error: {
         message: error.message,
-        code: error.errorNum || 'UNKNOWN'
+        code: error.errorNum || error.code || 'UNKNOWN'
       }
     };
   }
@@ -243,60 +180,45 @@ export async function searchPatients(args = {}) {
 export const searchPatientsSchema = {
   name: "searchPatients",
   description:
-    "Deterministic patient search using semantic mappings. Only uses validated friendly field mappings - no column guessing. Requires semantic mapping for PATIENT_MASTER table.",
+    "Deterministic patient search using semantic mappings. Only uses validated friendly field mappings - no column guessing. Requires semantic mapping for PATIENT_MASTER table. Returns 25 patients per page; when hasMore is true, call again with the same fields plus cursor=nextCursor for the next page.",
+  // Fields replaced by the friendly fields of the PATIENT_MASTER mapping (see resolveSearchPatientsSchema)
   inputSchema: {
     type: "object",
     properties: {
-      firstName: { type: "string" },
-      middleName: { type: "string" },
-      lastName: { type: "string" },
-
-      dob: {
-        type: "string",
-        description: "Date of birth (YYYY-MM-DD)"
-      },
-
-      gender: {
-        type: "string",
-        enum: ["M", "F", "O"]
-      },
-
-      mrn: { type: "string" },
-      ssn: { type: "string" },
-
-      phone: { type: "string" },
-      email: { type: "string" },
-
-      address: { type: "string" },
-
-      city: { type: "string" },
-      state: { type: "string" },
-      zip: { type: "string" },
-      country: { type: "string" },
-
-      category: { type: "string" },
-
-      notes: { type: "string" },
-
-      visitCount: { type: "string" },
-
-      lastVisitDate: {
-        type: "string",
-        description: "YYYY-MM-DD"
-      },
-
-      apptDate: {
+      cursor: {
         type: "string",
-        description: "YYYY-MM-DD"
-      },
-
-      followupDate: {
-        type: "string",
-        description: "YYYY-MM-DD"
-      },
+        description: "nextCursor of the previous page; repeat the original fields with it"
+      }
+    }
+  }
+};
 
-      balanceDue: { type: "string" },
-      familyBalanceDue: { type: "string" }
+/**
+ * Build the tool schema from the PATIENT_MASTER mapping's friendly fields
+ * Called by the registry for every tools/list and tools/call, so mapping
+ * reloads take effect immediately.
+ * @returns {Promise<Object>} Tool schema
+ */
+export async function resolveSearchPatientsSchema() {
+  const mapping = await getTableMapping(PATIENT_TABLE);
+  if (!mapping) {
+    return searchPatientsSchema;
+  }
+  const inputSchema = buildFriendlyInputSchema(mapping);
+  return {
+    ...searchPatientsSchema,
+    inputSchema: {
+      ...inputSchema,
+      properties: { ...inputSchema.properties, cursor: searchPatientsSchema.inputSchema.properties.cursor }
     }
+  };
+}
+
+export default {
+  schema: searchPatientsSchema,
+  resolveSchema: resolveSearchPatientsSchema,
+  handler: searchPatients,
+  options: {
+    requiresDatabase: true
   }
 };
@@ -0,0 +1,227 @@
+import { validateIdentifier } from './validators.js';
+import { escapeLike } from './templateEngine.js';
+
+/**
+ * Friendly search fields (mcp_friendly_fields in mapping files)
+ *
+ * Business-friendly aliases for a table's columns, used by the search tools
+ * both to build their inputSchema and to turn arguments into a WHERE clause:
+ *
+ *   "mcp_friendly_fields": {
+ *     "lastName": {
+ *       "columns": "EXT_LAST_NAME",          // one column, or an array searched with OR
+ *       "match": "like",                     // exact | like | prefix | date | range
+ *       "description": "Last name (partial match)"
+ *     }
+ *   }
+ *
+ * Match modes:
+ * - exact:  COL = :value (typed from the column: number, enum or string)
+ * - like:   case-insensitive "contains"
+ * - prefix: case-insensitive "starts with"
+ *           (% and _ in like/prefix values match literally)
+ * - date:   COL = TO_DATE(:value, 'YYYY-MM-DD')
+ * - range:  { from, to } bounds, inclusive; numbers, or YYYY-MM-DD dates for
+ *           date-formatted columns
+ *
+ * Columns are interpolated into SQL: mappings are validated (see
+ * mappingValidator.js) to only use columns declared in schema.properties, and
+ * every column is checked again as an identifier when the SQL is built.
+ */
+
+// Supported match modes
+export const MATCH_MODES = ['exact', 'like', 'prefix', 'date', 'range'];
+
+// Friendly field names become tool arguments and bind variable names
+export const FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get a mapping's friendly fields with their columns as arrays
+ * @param {Object} mapping - Table mapping
+ * @returns {Array<Object>} [{ name, columns, match, description }]
+ */
+export function getFriendlyFields(mapping) {
+  return Object.entries(mapping?.mcp_friendly_fields || {}).map(([name, field]) => ({
+    name,
+    columns: [].concat(field.columns),
+    match: field.match,
+    description: field.description || null
+  }));
+}
+
+/**
+ * Get the columns each friendly field searches
+ * @param {Object} mapping - Table mapping
+ * @returns {Object} Field name -> column names
+ */
+export function getFriendlyColumns(mapping) {
+  return Object.fromEntries(getFriendlyFields(mapping).map(field => [field.name, field.columns]));
+}
+
+/**
+ * Check whether a mapped column holds dates
+ * @param {Object} property - Column's JSON schema (may be undefined)
+ * @returns {boolean}
+ */
+function isDateColumn(property) {
+  return property?.format === 'date' || property?.format === 'date-time';
+}
+
+/**
+ * Build the JSON schema of one friendly field's argument
+ * @param {Object} field - Field from getFriendlyFields
+ * @param {Object} properties - The mapping's schema.properties
+ * @returns {Object}
+ */
+function buildFieldSchema(field, properties) {
+  const property = properties[field.columns[0]];
+  let schema;
+
+  switch (field.match) {
+    case 'date':
+      schema = { type: 'string', format: 'date' };
+      break;
+    case 'range': {
+      const bound = isDateColumn(property) ? { type: 'string', format: 'date' } : { type: 'number' };
+      schema = {
+        type: 'object',
+        properties: { from: bound, to: bound },
+        additionalProperties: false
+      };
+      break;
+    }
+    case 'exact':
+      if (Array.isArray(property?.enum)) {
+        schema = { type: 'string', enum: property.enum };
+      } else if (property?.type === 'integer' || property?.type === 'number') {
+        schema = { type: 'number' };
+      } else {
+        schema = { type: 'string' };
+      }
+      break;
+    default:
+      schema = { type: 'string' };
+  }
+
+  if (field.description) {
+    schema.description = field.description;
+  }
+  return schema;
+}
+
+/**
+ * Build a search tool's inputSchema from a mapping's friendly fields
+ * @param {Object} mapping - Table mapping
+ * @returns {Object} JSON schema with one property per friendly field
+ */
+export function buildFriendlyInputSchema(mapping) {
+  const properties = mapping?.schema?.properties || {};
+  return {
+    type: 'object',
+    properties: Object.fromEntries(getFriendlyFields(mapping).map(field => [field.name, buildFieldSchema(field, properties)])),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the condition of one column of a friendly field
+ * @param {Object} field - Field from getFriendlyFields
+ * @param {string} column - Column name
+ * @param {string} bind - Bind variable name for this column
+ * @param {*} value - Argument value
+ * @param {Object} property - Column's JSON schema (may be undefined)
+ * @param {Object} binds - Bind variables (modified in place)
+ * @returns {string|null} Condition, or null if the value doesn't fit the field
+ */
+function buildColumnCondition(field, column, bind, value, property, binds) {
+  switch (field.match) {
+    case 'exact':
+      binds[bind] = value;
+      return `${column} = :${bind}`;
+    case 'prefix':
+      binds[bind] = `${escapeLike(String(value))}%`;
+      return `UPPER(${column}) LIKE UPPER(:${bind}) ESCAPE '\\'`;
+    case 'date':
+      if (!DATE_PATTERN.test(String(value))) {
+        return null;
+      }
+      binds[bind] = value;
+      return `${column} = TO_DATE(:${bind}, 'YYYY-MM-DD')`;
+    case 'range': {
+      if (!value || typeof value !== 'object') {
+        return null;
+      }
+      const dates = isDateColumn(property);
+      const bounds = [];
+      for (const [key, operator] of [['from', '>='], ['to', '<=']]) {
+        const bound = value[key];
+        if (bound === null || bound === undefined || bound === '') {
+          continue;
+        }
+        if (dates ? !DATE_PATTERN.test(String(bound)) : !Number.isFinite(Number(bound))) {
+          return null;
+        }
+        binds[`${bind}_${key}`] = dates ? bound : Number(bound);
+        bounds.push(dates
+          ? `${column} ${operator} TO_DATE(:${bind}_${key}, 'YYYY-MM-DD')`
+          : `${column} ${operator} :${bind}_${key}`);
+      }
+      if (bounds.length === 0) {
+        return null;
+      }
+      return bounds.length === 1 ? bounds[0] : `(${bounds.join(' AND ')})`;
+    }
+    default:
+      binds[bind] = `%${escapeLike(String(value))}%`;
+      return `UPPER(${column}) LIKE UPPER(:${bind}) ESCAPE '\\'`;
+  }
+}
+
+/**
+ * Build a WHERE clause from search arguments
+ * Only friendly fields are used - never column names from the caller. Arguments
+ * that aren't friendly fields, or don't fit their field (e.g. a malformed date),
+ * are returned as ignored.
+ * @param {Object} mapping - Table mapping
+ * @param {Object} filters - Non-empty arguments keyed by friendly field name
+ * @returns {Object} { where, binds, used: string[], ignored: [{ field, reason }] }
+ * @throws {Error} - If a field's column is not a valid identifier
+ */
+export function buildFriendlyFilters(mapping, filters) {
+  const fields = new Map(getFriendlyFields(mapping).map(field => [field.name, field]));
+  const properties = mapping?.schema?.properties || {};
+  const conditions = [];
+  const binds = {};
+  const used = [];
+  const ignored = [];
+
+  for (const [name, value] of Object.entries(filters)) {
+    const field = fields.get(name);
+    if (!field) {
+      ignored.push({ field: name, reason: 'not a friendly field' });
+      continue;
+    }
+
+    const fieldBinds = {};
+    const columnConditions = field.columns.map((column, index) => buildColumnCondition(
+      field,
+      validateIdentifier(column),
+      field.columns.length === 1 ? name : `${name}_${index}`,
+      value,
+      properties[column],
+      fieldBinds
+    ));
+    if (columnConditions.some(condition => condition === null)) {
+      ignored.push({ field: name, reason: `invalid value for ${field.match} match` });
+      continue;
+    }
+
+    Object.assign(binds, fieldBinds);
+    used.push(name);
+    conditions.push(columnConditions.length === 1 ? columnConditions[0] : `(${columnConditions.join(' OR ')})`);
+  }
+
+  return { where: conditions.join(' AND '), binds, used, ignored };
+}
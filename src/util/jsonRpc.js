@@ -0,0 +1,73 @@
+/**
+ * JSON-RPC 2.0 helpers shared by the MCP transports
+ */
+
+/**
+ * Standard and server-defined JSON-RPC error codes
+ */
+export const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  REQUEST_TIMEOUT: -32000,
+  UNAUTHORIZED: -32001,
+  SESSION_NOT_FOUND: -32002,
+  FORBIDDEN: -32003,
+  RATE_LIMITED: -32004,
+  SERVER_ERROR: -32099
+};
+
+/**
+ * Create an error that is reported to the client as a JSON-RPC error object.
+ * Uses `code` and `data` so the SDK's own transports pick them up as well.
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {Object} data - Optional structured error data
+ * @returns {Error} Error carrying the JSON-RPC code
+ */
+export function createRpcError(code, message, data) {
+  const error = new Error(message);
+  error.code = code;
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return error;
+}
+
+/**
+ * Check whether an error carries an explicit JSON-RPC error code
+ * @param {Error} error - Error to inspect
+ * @returns {boolean} True if error.code is an integer JSON-RPC code
+ */
+export function isRpcError(error) {
+  return !!error && Number.isInteger(error.code);
+}
+
+/**
+ * Build a JSON-RPC error response envelope
+ * @param {string|number|null} id - Request id (null if it could not be determined)
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {Object} data - Optional structured error data
+ * @returns {Object} JSON-RPC response object
+ */
+export function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return {
+    jsonrpc: '2.0',
+    id: id === undefined ? null : id,
+    error
+  };
+}
+
+export default {
+  JSONRPC_ERRORS,
+  createRpcError,
+  isRpcError,
+  errorResponse
+};
@@ -0,0 +1,234 @@
+import { createHmac, createPublicKey, createSecretKey, timingSafeEqual, verify } from 'crypto';
+import { readFile } from 'fs/promises';
+
+/**
+ * JWT (JWS compact serialization) verification
+ * Supports RS256, ES256 and HS256 against keys from a local JWKS file or a
+ * shared secret. Keys are never fetched over the network.
+ */
+
+// Algorithm -> digest and the key type it must be verified with
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', keyType: 'rsa' },
+  ES256: { hash: 'sha256', keyType: 'ec', namedCurve: 'prime256v1' },
+  HS256: { hash: 'sha256', keyType: 'secret' }
+};
+
+export const SUPPORTED_ALGORITHMS = Object.keys(ALGORITHMS);
+
+/**
+ * Create an error carrying a token validation code
+ * @param {string} code - Error code (e.g. TOKEN_EXPIRED)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function tokenError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment - base64url encoded JSON
+ * @param {string} name - Segment name (for error messages)
+ * @returns {Object}
+ */
+function decodeSegment(segment, name) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('not an object');
+    }
+    return value;
+  } catch (error) {
+    throw tokenError('MALFORMED_TOKEN', `Malformed token: invalid ${name}`);
+  }
+}
+
+/**
+ * Check whether a string looks like a JWT (three base64url segments)
+ * @param {string} token - Candidate token
+ * @returns {boolean}
+ */
+export function isJwt(token) {
+  return typeof token === 'string' && /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/.test(token);
+}
+
+/**
+ * Split and decode a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {Object} { header, payload, signingInput, signature }
+ * @throws {Error} - If the token is malformed
+ */
+export function decodeJwt(token) {
+  if (!isJwt(token)) {
+    throw tokenError('MALFORMED_TOKEN', 'Malformed token: expected header.payload.signature');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+
+  return {
+    header: decodeSegment(headerSegment, 'header'),
+    payload: decodeSegment(payloadSegment, 'payload'),
+    signingInput: `${headerSegment}.${payloadSegment}`,
+    signature: Buffer.from(signatureSegment, 'base64url')
+  };
+}
+
+/**
+ * Import the keys of a JWKS document
+ * @param {Object} jwks - JWKS document ({ keys: [...] })
+ * @returns {Array<Object>} Keys as { kid, alg, key } with key a KeyObject
+ * @throws {Error} - If a key can't be imported
+ */
+export function importJwks(jwks) {
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error('JWKS must contain a "keys" array');
+  }
+
+  return jwks.keys
+    .filter(jwk => !jwk.use || jwk.use === 'sig')
+    .map((jwk, index) => {
+      try {
+        const key = jwk.kty === 'oct'
+          ? createSecretKey(Buffer.from(jwk.k, 'base64url'))
+          : createPublicKey({ key: jwk, format: 'jwk' });
+        return { kid: jwk.kid || null, alg: jwk.alg || null, key };
+      } catch (error) {
+        throw new Error(`Invalid JWKS key ${jwk.kid || `#${index}`}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Load and import a JWKS file
+ * @param {string} file - Path to the JWKS JSON file
+ * @returns {Promise<Array<Object>>} Imported keys
+ */
+export async function loadJwksFile(file) {
+  return importJwks(JSON.parse(await readFile(file, 'utf8')));
+}
+
+/**
+ * Check that a key can be used with an algorithm (prevents algorithm confusion)
+ * @param {KeyObject} key - Verification key
+ * @param {Object} algorithm - Entry of ALGORITHMS
+ * @returns {boolean}
+ */
+function keyMatchesAlgorithm(key, algorithm) {
+  if (algorithm.keyType === 'secret') {
+    return key.type === 'secret';
+  }
+  if (key.type !== 'public' || key.asymmetricKeyType !== algorithm.keyType) {
+    return false;
+  }
+  return !algorithm.namedCurve || key.asymmetricKeyDetails?.namedCurve === algorithm.namedCurve;
+}
+
+/**
+ * Verify a signature with one key
+ * @returns {boolean}
+ */
+function verifySignature(alg, key, signingInput, signature) {
+  const { hash, keyType } = ALGORITHMS[alg];
+
+  if (keyType === 'secret') {
+    const expected = createHmac(hash, key).update(signingInput).digest();
+    return expected.length === signature.length && timingSafeEqual(expected, signature);
+  }
+
+  const keyInput = keyType === 'ec' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+  return verify(hash, Buffer.from(signingInput), keyInput, signature);
+}
+
+/**
+ * Check a string claim against a list of accepted values
+ * @param {string|Array<string>} claim - Claim value (aud may be an array)
+ * @param {Array<string>} accepted - Accepted values
+ * @returns {boolean}
+ */
+function claimMatches(claim, accepted) {
+  const values = Array.isArray(claim) ? claim : [claim];
+  return values.some(value => typeof value === 'string' && accepted.includes(value));
+}
+
+/**
+ * Verify a JWT's signature and registered claims
+ * @param {string} token - JWT
+ * @param {Object} options - Verification options
+ * @param {Array<Object>} options.keys - Keys from importJwks (asymmetric and/or oct)
+ * @param {string} options.secret - Shared secret for HS256
+ * @param {Array<string>} options.algorithms - Accepted algorithms
+ * @param {Array<string>} options.issuers - Accepted iss values (not checked if empty)
+ * @param {Array<string>} options.audiences - Accepted aud values (not checked if empty)
+ * @param {number} options.clockSkew - Tolerance in seconds for exp/nbf (default: 60)
+ * @param {number} options.now - Current time in seconds (for testing)
+ * @returns {Object} Verified payload
+ * @throws {Error} - With code MALFORMED_TOKEN, UNSUPPORTED_ALGORITHM, UNKNOWN_KEY,
+ *   INVALID_SIGNATURE, TOKEN_EXPIRED, TOKEN_NOT_YET_VALID, INVALID_ISSUER or INVALID_AUDIENCE
+ */
+export function verifyJwt(token, options = {}) {
+  const {
+    keys = [],
+    secret = null,
+    algorithms = SUPPORTED_ALGORITHMS,
+    issuers = [],
+    audiences = [],
+    clockSkew = 60,
+    now = Math.floor(Date.now() / 1000)
+  } = options;
+
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+
+  if (!ALGORITHMS[header.alg] || !algorithms.includes(header.alg)) {
+    throw tokenError('UNSUPPORTED_ALGORITHM', `Unsupported token algorithm: ${header.alg}`);
+  }
+  const algorithm = ALGORITHMS[header.alg];
+
+  // Candidate keys: those named by kid (if any) that fit the algorithm
+  const candidates = keys
+    .filter(entry => !header.kid || entry.kid === header.kid)
+    .filter(entry => !entry.alg || entry.alg === header.alg)
+    .map(entry => entry.key);
+  if (secret) {
+    candidates.push(createSecretKey(Buffer.from(secret, 'utf8')));
+  }
+
+  const usable = candidates.filter(key => keyMatchesAlgorithm(key, algorithm));
+  if (usable.length === 0) {
+    throw tokenError('UNKNOWN_KEY', `No verification key for ${header.alg}${header.kid ? ` (kid ${header.kid})` : ''}`);
+  }
+
+  if (!usable.some(key => verifySignature(header.alg, key, signingInput, signature))) {
+    throw tokenError('INVALID_SIGNATURE', 'Invalid token signature');
+  }
+
+  if (typeof payload.exp !== 'number') {
+    throw tokenError('MALFORMED_TOKEN', 'Token has no exp claim');
+  }
+  if (now - clockSkew >= payload.exp) {
+    throw tokenError('TOKEN_EXPIRED', 'Token has expired');
+  }
+  if (payload.nbf !== undefined && (typeof payload.nbf !== 'number' || now + clockSkew < payload.nbf)) {
+    throw tokenError('TOKEN_NOT_YET_VALID', 'Token is not yet valid');
+  }
+
+  if (issuers.length > 0 && !claimMatches(payload.iss, issuers)) {
+    throw tokenError('INVALID_ISSUER', `Token issuer not accepted: ${payload.iss}`);
+  }
+  if (audiences.length > 0 && !claimMatches(payload.aud, audiences)) {
+    throw tokenError('INVALID_AUDIENCE', 'Token audience not accepted');
+  }
+
+  return payload;
+}
+
+export default {
+  SUPPORTED_ALGORITHMS,
+  isJwt,
+  decodeJwt,
+  importJwks,
+  loadJwksFile,
+  verifyJwt
+};
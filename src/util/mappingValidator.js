@@ -0,0 +1,371 @@
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { validateSchema } from './schemaValidator.js';
+import { classifySql, tokenizeSql } from './sqlClassifier.js';
+import { extractSqlReferences } from './sqlReferences.js';
+import { normalizeTemplate } from './templateEngine.js';
+import { MATCH_MODES, FIELD_NAME_PATTERN } from './friendlyFields.js';
+import { LOB_MODES } from '../lobs.js';
+import { DATASOURCE_NAME_PATTERN } from '../datasources.js';
+import { validateIdentifier, validateBindVariableName } from './validators.js';
+
+/**
+ * Validation of semantic mapping files (src/schemas/*.json)
+ *
+ * A mapping is checked in two passes:
+ * - structure, against MAPPING_META_SCHEMA (tableName, the embedded JSON Schema
+ *   describing the columns, and the shape of mcp_sql_templates)
+ * - content: column names are identifiers, templates parse as read-only queries
+ *   without semicolons, bind variables are identifiers matching the declared
+ *   parameters, and every column a template reads from the table is declared
+ *   in schema.properties, and friendly fields only search declared columns
+ */
+
+// Oracle identifier, optionally schema-qualified
+const TABLE_NAME_PATTERN = '^[A-Za-z][A-Za-z0-9_$#]*(\\.[A-Za-z][A-Za-z0-9_$#]*)?$';
+
+// Template names are used as tool arguments
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Types a column may declare
+const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean', 'null', 'object', 'array'];
+
+// JSON Schema of a column in schema.properties
+const COLUMN_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: ['string', 'array'], minItems: 1, items: { type: 'string' } },
+    description: { type: 'string' },
+    format: { type: 'string' },
+    enum: { type: 'array', minItems: 1 },
+    maxLength: { type: 'integer', minimum: 0 },
+    minLength: { type: 'integer', minimum: 0 },
+    minimum: { type: 'number' },
+    maximum: { type: 'number' },
+    pattern: { type: 'string' },
+    examples: { type: 'array' },
+    'x-mcp-lob': {
+      type: 'object',
+      properties: {
+        mode: { enum: LOB_MODES },
+        maxChars: { type: 'integer', minimum: 1 },
+        maxBytes: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+// JSON Schema of a declared template (see templateEngine.js for the format)
+const TEMPLATE_SCHEMA = {
+  type: 'object',
+  required: ['sql'],
+  properties: {
+    sql: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    params: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          type: { enum: ['number', 'string', 'date', 'enum'] },
+          required: { type: 'boolean' },
+          default: { type: ['string', 'number'] },
+          like: { enum: ['contains', 'startsWith', 'endsWith'] },
+          maxLength: { type: 'integer', minimum: 1 },
+          values: { type: 'array', minItems: 1, items: { type: ['string', 'number'] } },
+          description: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+// JSON Schema of a friendly search field (see friendlyFields.js for the format)
+const FRIENDLY_FIELD_SCHEMA = {
+  type: 'object',
+  required: ['columns', 'match'],
+  properties: {
+    columns: {
+      type: ['string', 'array'],
+      minItems: 1,
+      items: { type: 'string' }
+    },
+    match: { enum: MATCH_MODES },
+    description: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Meta-schema of a mapping file
+ */
+export const MAPPING_META_SCHEMA = {
+  type: 'object',
+  required: ['tableName', 'schema'],
+  properties: {
+    tableName: { type: 'string', pattern: TABLE_NAME_PATTERN },
+    description: { type: 'string' },
+    datasource: { type: 'string', pattern: DATASOURCE_NAME_PATTERN.source },
+    // Other datasources callers may ask to read the table from (e.g. read replicas)
+    replica_datasources: { type: 'array', items: { type: 'string', pattern: DATASOURCE_NAME_PATTERN.source } },
+    // connection.callTimeout (ms) of queries on the table
+    mcp_call_timeout_ms: { type: 'integer', minimum: 1 },
+    schema: {
+      type: 'object',
+      required: ['properties'],
+      properties: {
+        $schema: { type: 'string' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        type: { const: 'object' },
+        properties: { type: 'object', additionalProperties: COLUMN_SCHEMA },
+        required: { type: 'array', items: { type: 'string' } },
+        examples: { type: 'array', items: { type: 'object' } }
+      }
+    },
+    mcp_sql_templates: {
+      type: 'object',
+      additionalProperties: { type: ['string', 'object'] }
+    },
+    mcp_friendly_fields: {
+      type: 'object',
+      additionalProperties: FRIENDLY_FIELD_SCHEMA
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Split a mapping's tableName into Oracle schema and table
+ * @param {string} tableName - "SCHEMA.TABLE" or "TABLE"
+ * @returns {Object} { schema: string|null, name: string }
+ */
+function splitTableName(tableName) {
+  const [first, second] = tableName.toUpperCase().split('.');
+  return second ? { schema: first, name: second } : { schema: null, name: first };
+}
+
+/**
+ * Check the columns of schema.properties
+ * @param {Object} schema - Embedded JSON Schema
+ * @returns {Array<Object>} Violations
+ */
+function validateColumns(schema) {
+  const violations = [];
+  const properties = schema.properties;
+
+  for (const [column, definition] of Object.entries(properties)) {
+    const path = `mapping.schema.properties.${column}`;
+    try {
+      validateIdentifier(column);
+    } catch (error) {
+      violations.push({ path, message: `is not a valid column name (${error.message})` });
+    }
+    const types = Array.isArray(definition.type) ? definition.type : (definition.type ? [definition.type] : []);
+    const unknown = types.filter(type => !COLUMN_TYPES.includes(type));
+    if (unknown.length > 0) {
+      violations.push({ path: `${path}.type`, message: `must be one of: ${COLUMN_TYPES.join(', ')} (got ${unknown.join(', ')})` });
+    }
+  }
+
+  (schema.required || []).forEach((column, index) => {
+    if (!properties[column]) {
+      violations.push({ path: `mapping.schema.required[${index}]`, message: `${column} is not declared in schema.properties` });
+    }
+  });
+
+  // Examples must describe rows of this table
+  (schema.examples || []).forEach((example, index) => {
+    violations.push(...validateSchema({ ...schema, additionalProperties: false }, example, `mapping.schema.examples[${index}]`));
+  });
+
+  return violations;
+}
+
+/**
+ * Check one SQL template
+ * @param {string} name - Template name
+ * @param {string|Object} template - Template from mcp_sql_templates
+ * @param {Object} mapping - Mapping the template belongs to
+ * @returns {Array<Object>} Violations
+ */
+function validateTemplate(name, template, mapping) {
+  const path = `mapping.mcp_sql_templates.${name}`;
+  const violations = [];
+
+  if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    violations.push({ path, message: 'name must start with a letter and contain only letters, digits and _' });
+  }
+
+  if (typeof template === 'object') {
+    const shape = validateSchema(TEMPLATE_SCHEMA, template, path);
+    if (shape.length > 0) {
+      return [...violations, ...shape];
+    }
+  }
+  const sql = typeof template === 'string' ? template : template.sql;
+  const sqlPath = typeof template === 'string' ? path : `${path}.sql`;
+
+  let tokens;
+  try {
+    tokens = tokenizeSql(sql);
+  } catch (error) {
+    return [...violations, { path: sqlPath, message: `does not parse: ${error.message}` }];
+  }
+
+  for (const token of tokens) {
+    if (token.type === 'bind') {
+      try {
+        validateBindVariableName(token.value);
+      } catch (error) {
+        violations.push({ path: sqlPath, message: `bind variable :${token.value} is not an identifier` });
+      }
+    }
+  }
+
+  const classification = classifySql(sql);
+  for (const reason of classification.reasons) {
+    violations.push({ path: sqlPath, message: reason.message });
+  }
+  if (!classification.readOnly) {
+    return violations;
+  }
+
+  try {
+    normalizeTemplate(template);
+  } catch (error) {
+    violations.push({ path, message: error.message });
+  }
+
+  // Columns that can only come from this table must be declared
+  let references;
+  try {
+    references = extractSqlReferences(sql);
+  } catch (error) {
+    violations.push({ path: sqlPath, message: `does not parse: ${error.message}` });
+    return violations;
+  }
+
+  const table = splitTableName(mapping.tableName);
+  const declared = Object.keys(mapping.schema.properties).map(column => column.toUpperCase());
+  const isThisTable = ref => !ref.function && ref.name === table.name && (!ref.schema || ref.schema === table.schema);
+  const undeclared = new Set();
+
+  for (const column of references.columns) {
+    if (column.name === '*' || column.tables.length === 0 || !column.tables.every(isThisTable)) {
+      continue;
+    }
+    if (!declared.includes(column.name)) {
+      undeclared.add(column.name);
+    }
+  }
+  for (const column of undeclared) {
+    violations.push({ path: sqlPath, message: `column ${column} is not declared in schema.properties` });
+  }
+
+  return violations;
+}
+
+/**
+ * Check one friendly search field
+ * @param {string} name - Field name
+ * @param {Object} field - Field from mcp_friendly_fields
+ * @param {Object} properties - The mapping's schema.properties
+ * @returns {Array<Object>} Violations
+ */
+function validateFriendlyField(name, field, properties) {
+  const path = `mapping.mcp_friendly_fields.${name}`;
+  const violations = [];
+
+  if (!FIELD_NAME_PATTERN.test(name)) {
+    violations.push({ path, message: 'name must start with a letter and contain only letters, digits and _' });
+  }
+
+  for (const column of [].concat(field.columns)) {
+    if (!properties[column]) {
+      violations.push({ path: `${path}.columns`, message: `column ${column} is not declared in schema.properties` });
+      continue;
+    }
+    const property = properties[column];
+    const isDate = property.format === 'date' || property.format === 'date-time';
+    if (field.match === 'date' && !isDate) {
+      violations.push({ path: `${path}.match`, message: `date match needs a date column (${column} has no date format)` });
+    }
+    if (field.match === 'range' && !isDate && property.type !== 'number' && property.type !== 'integer') {
+      violations.push({ path: `${path}.match`, message: `range match needs a number or date column (${column} is neither)` });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validate a parsed mapping file
+ * @param {Object} mapping - Mapping file contents
+ * @returns {Array<Object>} Violations as { path, message }; empty if valid
+ */
+export function validateMapping(mapping) {
+  const violations = validateSchema(MAPPING_META_SCHEMA, mapping, 'mapping');
+  if (violations.length > 0) {
+    // Content checks assume the structure is right
+    return violations;
+  }
+
+  violations.push(...validateColumns(mapping.schema));
+  for (const [name, template] of Object.entries(mapping.mcp_sql_templates || {})) {
+    violations.push(...validateTemplate(name, template, mapping));
+  }
+  for (const [name, field] of Object.entries(mapping.mcp_friendly_fields || {})) {
+    violations.push(...validateFriendlyField(name, field, mapping.schema.properties));
+  }
+
+  return violations;
+}
+
+/**
+ * Validate every mapping file in a folder
+ * Also reports files that can't be parsed and tables mapped by more than one file.
+ * @param {string} dir - Schemas folder
+ * @returns {Promise<Array<Object>>} [{ file, tableName, violations }] per JSON file
+ */
+export async function validateMappingFiles(dir) {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  const results = [];
+  const tables = new Map();
+
+  for (const file of files) {
+    const result = { file, tableName: null, violations: [] };
+    results.push(result);
+
+    let mapping;
+    try {
+      mapping = JSON.parse(await readFile(join(dir, file), 'utf8'));
+    } catch (error) {
+      result.violations.push({ path: 'mapping', message: `is not valid JSON: ${error.message}` });
+      continue;
+    }
+
+    result.violations.push(...validateMapping(mapping));
+
+    if (typeof mapping?.tableName === 'string') {
+      result.tableName = mapping.tableName;
+      const { name } = splitTableName(mapping.tableName);
+      if (tables.has(name)) {
+        result.violations.push({ path: 'mapping.tableName', message: `${name} is already mapped by ${tables.get(name)}` });
+      } else {
+        tables.set(name, file);
+      }
+    }
+  }
+
+  return results;
+}
+
+export default {
+  MAPPING_META_SCHEMA,
+  validateMapping,
+  validateMappingFiles
+};
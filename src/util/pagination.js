@@ -0,0 +1,299 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { tokenizeSql } from './sqlClassifier.js';
+
+/**
+ * Cursor-based pagination of query results across tool calls
+ *
+ * A page is fetched with one row more than its size, so hasMore is known
+ * without counting. When there is more, the result carries nextCursor: an
+ * opaque token "payload.signature" where the payload (base64url JSON) holds
+ * the query shape, the offset of the next page and an expiry, signed with
+ * HMAC-SHA256 so callers can't forge offsets or reuse a cursor for another
+ * query. The query shape is a hash of everything that defines the result
+ * (tool, SQL or template, binds), recomputed from the arguments of the next
+ * call - which must therefore repeat the original arguments plus the cursor.
+ *
+ * Offset cursors (paginateQuery/getPage) work for any query: the first page
+ * runs the SQL unchanged, later pages add
+ * "OFFSET :mcp_offset ROWS FETCH NEXT :mcp_fetch ROWS ONLY". Pages are only
+ * stable for queries with an ORDER BY. Keyset cursors (getKeysetPage) hold the
+ * sort key of the last row instead, for tools that build their own SQL ordered
+ * by a unique key and continue with "key > :mcp_after". The mcp_ bind names
+ * are reserved: queries using them are rejected with RESERVED_BIND_NAME.
+ *
+ * - MCP_CURSOR_SECRET: signing key; without it a random key is used, so
+ *   cursors don't survive a restart or work across replicas
+ * - MCP_CURSOR_TTL: cursor lifetime in ms (default: 3600000)
+ */
+
+// Bind variables added for pages after the first
+export const OFFSET_BIND = 'mcp_offset';
+export const FETCH_BIND = 'mcp_fetch';
+export const AFTER_BIND = 'mcp_after';
+
+const RESERVED_BINDS = [OFFSET_BIND, FETCH_BIND, AFTER_BIND].map(name => name.toUpperCase());
+
+const CURSOR_VERSION = 1;
+
+let generatedSecret = null;
+
+/**
+ * Create a cursor error
+ * @param {string} code - Error code (INVALID_CURSOR or CURSOR_EXPIRED)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function cursorError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get the cursor signing key
+ * @returns {string}
+ */
+function getCursorSecret() {
+  if (process.env.MCP_CURSOR_SECRET) {
+    return process.env.MCP_CURSOR_SECRET;
+  }
+  if (!generatedSecret) {
+    generatedSecret = randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Sign a cursor payload
+ * @param {string} payload - base64url encoded payload
+ * @returns {Buffer}
+ */
+function sign(payload) {
+  return createHmac('sha256', getCursorSecret()).update(payload).digest();
+}
+
+/**
+ * Hash the arguments that define a query's result
+ * @param {string} tool - Tool name
+ * @param {Object} parts - e.g. { sql, binds } or { table, template, params }
+ * @returns {string} Query shape
+ */
+export function getQueryShape(tool, parts) {
+  return createHash('sha256').update(JSON.stringify({ tool, ...parts })).digest('base64url');
+}
+
+/**
+ * Sign a cursor for a query
+ * @param {string} shape - Query shape (see getQueryShape)
+ * @param {Object} position - { o: offset } or { k: key of the last row }
+ * @returns {string} Cursor token
+ */
+function writeCursor(shape, position) {
+  const ttl = parseInt(process.env.MCP_CURSOR_TTL || '3600000');
+  const payload = Buffer.from(JSON.stringify({
+    v: CURSOR_VERSION,
+    s: shape,
+    ...position,
+    e: Date.now() + ttl
+  })).toString('base64url');
+  return `${payload}.${sign(payload).toString('base64url')}`;
+}
+
+/**
+ * Verify a cursor for a query
+ * @param {string} cursor - Cursor token from nextCursor
+ * @param {string} shape - Shape of the query being continued
+ * @param {Function} isPosition - Check of the decoded payload's position
+ * @returns {Object} Decoded payload
+ * @throws {Error} - With code INVALID_CURSOR (malformed, forged, of the other
+ *   kind or for another query) or CURSOR_EXPIRED
+ */
+function readCursor(cursor, shape, isPosition) {
+  const [payload, signature, extra] = typeof cursor === 'string' ? cursor.split('.') : [];
+  if (!payload || !signature || extra !== undefined) {
+    throw cursorError('INVALID_CURSOR', 'Invalid cursor: expected a nextCursor value from a previous result');
+  }
+
+  const expected = sign(payload);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw cursorError('INVALID_CURSOR', 'Invalid cursor: signature mismatch');
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw cursorError('INVALID_CURSOR', 'Invalid cursor: malformed payload');
+  }
+  if (decoded.v !== CURSOR_VERSION || !isPosition(decoded)) {
+    throw cursorError('INVALID_CURSOR', 'Invalid cursor: unsupported payload');
+  }
+  if (decoded.s !== shape) {
+    throw cursorError('INVALID_CURSOR', 'Invalid cursor: it belongs to a different query; repeat the original arguments with the cursor');
+  }
+  if (decoded.e < Date.now()) {
+    throw cursorError('CURSOR_EXPIRED', 'Cursor expired; run the query again without a cursor');
+  }
+  return decoded;
+}
+
+/**
+ * Create a cursor for the page starting at an offset
+ * @param {string} shape - Query shape (see getQueryShape)
+ * @param {number} offset - Rows to skip
+ * @returns {string} Cursor token
+ */
+export function encodeCursor(shape, offset) {
+  return writeCursor(shape, { o: offset });
+}
+
+/**
+ * Verify a cursor and get the offset it continues from
+ * @param {string} cursor - Cursor token from nextCursor
+ * @param {string} shape - Shape of the query being continued
+ * @returns {number} Offset
+ * @throws {Error} - With code INVALID_CURSOR (malformed, forged or for another
+ *   query) or CURSOR_EXPIRED
+ */
+export function decodeCursor(cursor, shape) {
+  return readCursor(cursor, shape, decoded => Number.isInteger(decoded.o) && decoded.o >= 0).o;
+}
+
+/**
+ * Create a cursor for the page after a row
+ * @param {string} shape - Query shape (see getQueryShape)
+ * @param {string} key - Sort key of the last row returned
+ * @returns {string} Cursor token
+ */
+export function encodeKeysetCursor(shape, key) {
+  return writeCursor(shape, { k: key });
+}
+
+/**
+ * Verify a keyset cursor and get the sort key it continues after
+ * @param {string} cursor - Cursor token from nextCursor
+ * @param {string} shape - Shape of the query being continued
+ * @returns {string} Sort key, to bind as :mcp_after
+ * @throws {Error} - With code INVALID_CURSOR (malformed, forged or for another
+ *   query) or CURSOR_EXPIRED
+ */
+export function decodeKeysetCursor(cursor, shape) {
+  return readCursor(cursor, shape, decoded => typeof decoded.k === 'string' && decoded.k !== '').k;
+}
+
+/**
+ * Reject queries that use the bind variables reserved for pagination
+ * @param {string} sql - SQL query
+ * @param {Object|Array} binds - Named or positional bind values
+ * @throws {Error} - With code RESERVED_BIND_NAME
+ */
+export function assertNoReservedBinds(sql, binds) {
+  const names = tokenizeSql(sql).filter(token => token.type === 'bind').map(token => token.value);
+  if (binds && typeof binds === 'object' && !Array.isArray(binds)) {
+    names.push(...Object.keys(binds));
+  }
+  const reserved = [...new Set(names.filter(name => RESERVED_BINDS.includes(name.toUpperCase())))];
+  if (reserved.length > 0) {
+    throw cursorError('RESERVED_BIND_NAME', `Bind variable names ${reserved.join(', ')} are reserved for pagination; rename them`);
+  }
+}
+
+/**
+ * Check whether a query already limits its rows (OFFSET or FETCH at the top level)
+ * @param {string} sql - SQL query
+ * @returns {boolean}
+ */
+function hasRowLimit(sql) {
+  let depth = 0;
+  for (const token of tokenizeSql(sql)) {
+    if (token.type === 'punctuation' && token.value === '(') {
+      depth++;
+    } else if (token.type === 'punctuation' && token.value === ')') {
+      depth--;
+    } else if (depth === 0 && token.type === 'word' && (token.upper === 'OFFSET' || token.upper === 'FETCH')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Build the SQL and binds of one page of a query
+ * Queries with their own row limit are wrapped in an inline view so the
+ * page is taken from their result.
+ * @param {string} sql - SQL query
+ * @param {Object|Array} binds - Named or positional bind values
+ * @param {number} offset - Rows to skip
+ * @param {number} pageSize - Rows per page
+ * @returns {Object} { sql, binds, maxRows } - maxRows is pageSize + 1
+ * @throws {Error} - With code RESERVED_BIND_NAME if the query uses a pagination bind name
+ */
+export function paginateQuery(sql, binds, offset, pageSize) {
+  assertNoReservedBinds(sql, binds);
+  const maxRows = pageSize + 1;
+  if (offset === 0) {
+    return { sql, binds, maxRows };
+  }
+
+  const rowLimit = `OFFSET :${OFFSET_BIND} ROWS FETCH NEXT :${FETCH_BIND} ROWS ONLY`;
+  return {
+    sql: hasRowLimit(sql) ? `SELECT * FROM (${sql}) ${rowLimit}` : `${sql} ${rowLimit}`,
+    // Positional binds are matched by order, and the new binds come last
+    binds: Array.isArray(binds)
+      ? [...binds, offset, maxRows]
+      : { ...binds, [OFFSET_BIND]: offset, [FETCH_BIND]: maxRows },
+    maxRows
+  };
+}
+
+/**
+ * Cut fetched rows down to a page
+ * @param {Array<Object>} rows - Rows fetched with paginateQuery (up to pageSize + 1)
+ * @param {string} shape - Query shape
+ * @param {number} offset - Offset of this page
+ * @param {number} pageSize - Rows per page
+ * @returns {Object} { rows, hasMore, nextCursor }
+ */
+export function getPage(rows, shape, offset, pageSize) {
+  const hasMore = rows.length > pageSize;
+  return {
+    rows: hasMore ? rows.slice(0, pageSize) : rows,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(shape, offset + pageSize) : null
+  };
+}
+
+/**
+ * Cut rows fetched in key order down to a page
+ * @param {Array<Object>} rows - Rows fetched with up to pageSize + 1 rows, each
+ *   with its sort key in keyColumn
+ * @param {string} shape - Query shape
+ * @param {number} pageSize - Rows per page
+ * @param {string} keyColumn - Column holding the sort key (dropped from the rows)
+ * @returns {Object} { rows, hasMore, nextCursor }
+ */
+export function getKeysetPage(rows, shape, pageSize, keyColumn) {
+  const hasMore = rows.length > pageSize;
+  const page = hasMore ? rows.slice(0, pageSize) : rows;
+  return {
+    rows: page.map(({ [keyColumn]: _, ...row }) => row),
+    hasMore,
+    nextCursor: hasMore ? encodeKeysetCursor(shape, page[page.length - 1][keyColumn]) : null
+  };
+}
+
+export default {
+  OFFSET_BIND,
+  FETCH_BIND,
+  AFTER_BIND,
+  getQueryShape,
+  encodeCursor,
+  decodeCursor,
+  encodeKeysetCursor,
+  decodeKeysetCursor,
+  assertNoReservedBinds,
+  paginateQuery,
+  getPage,
+  getKeysetPage
+};
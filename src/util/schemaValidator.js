@@ -0,0 +1,166 @@
+/**
+ * JSON Schema validation for tool arguments
+ * Supports the subset of JSON Schema used by tool inputSchemas:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * minLength/maxLength, minimum/maximum, minItems/maxItems, pattern and format.
+ */
+
+// Formats checked by the "format" keyword (unknown formats are not enforced)
+const FORMATS = {
+  date: (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+      return false;
+    }
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  },
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value))
+};
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Expected type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+  }
+  return actual === type;
+}
+
+/**
+ * Build the path of a nested value
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string}
+ */
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Collects every violation rather than stopping at the first one.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in violation reports (default: 'arguments')
+ * @returns {Array<Object>} - Violations as { path, message }; empty if valid
+ */
+export function validateSchema(schema, value, path = 'arguments') {
+  const violations = [];
+
+  if (!schema || typeof schema !== 'object') {
+    return violations;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      violations.push({ path, message: `must be of type ${types.join(' or ')} (got ${typeOf(value)})` });
+      // Remaining keywords assume the declared type
+      return violations;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    violations.push({ path, message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (schema.const !== undefined && schema.const !== value) {
+    violations.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violations.push({ path, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violations.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      violations.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      violations.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push({ path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violations.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(...validateSchema(schema.items, item, childPath(path, index)));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name) || value[name] === undefined) {
+        violations.push({ path: childPath(path, name), message: 'is required' });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+
+      // Own keys only: "constructor" or "__proto__" must not resolve to Object.prototype
+      if (Object.hasOwn(properties, name)) {
+        violations.push(...validateSchema(properties[name], propertyValue, childPath(path, name)));
+      } else if (schema.additionalProperties === false) {
+        violations.push({ path: childPath(path, name), message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        violations.push(...validateSchema(schema.additionalProperties, propertyValue, childPath(path, name)));
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Format violations as a single human-readable message
+ * @param {Array<Object>} violations - Violations from validateSchema
+ * @returns {string}
+ */
+export function formatViolations(violations) {
+  return violations.map(violation => `${violation.path} ${violation.message}`).join('; ');
+}
+
+export default {
+  validateSchema,
+  formatViolations
+};
@@ -0,0 +1,408 @@
+/**
+ * Oracle SQL tokenizer and statement classifier
+ * Decides whether a statement is a plain read-only query without trusting
+ * substring checks: comments, quoted identifiers, string literals (including
+ * N'...' and q'[...]' quoting) and bind variables are tokenized first, so
+ * keywords inside them are never mistaken for SQL.
+ */
+
+// Leading keyword -> statement category
+const STATEMENT_CATEGORIES = {
+  SELECT: 'query',
+  WITH: 'query',
+  INSERT: 'dml',
+  UPDATE: 'dml',
+  DELETE: 'dml',
+  MERGE: 'dml',
+  EXPLAIN: 'dml',
+  CREATE: 'ddl',
+  ALTER: 'ddl',
+  DROP: 'ddl',
+  TRUNCATE: 'ddl',
+  RENAME: 'ddl',
+  GRANT: 'ddl',
+  REVOKE: 'ddl',
+  COMMENT: 'ddl',
+  AUDIT: 'ddl',
+  NOAUDIT: 'ddl',
+  PURGE: 'ddl',
+  FLASHBACK: 'ddl',
+  ANALYZE: 'ddl',
+  ASSOCIATE: 'ddl',
+  DISASSOCIATE: 'ddl',
+  BEGIN: 'plsql',
+  DECLARE: 'plsql',
+  CALL: 'plsql',
+  EXEC: 'plsql',
+  EXECUTE: 'plsql',
+  COMMIT: 'transaction',
+  ROLLBACK: 'transaction',
+  SAVEPOINT: 'transaction',
+  SET: 'transaction',
+  LOCK: 'transaction'
+};
+
+// Reason codes per non-query category
+const CATEGORY_REASONS = {
+  dml: { code: 'DML', message: 'modifies data' },
+  ddl: { code: 'DDL', message: 'changes the schema or privileges' },
+  plsql: { code: 'PLSQL', message: 'runs PL/SQL' },
+  transaction: { code: 'TRANSACTION_CONTROL', message: 'controls transactions or session state' }
+};
+
+// Reasons that write access can't waive (the statement is malformed, not merely privileged)
+const UNWAIVABLE_REASONS = ['PARSE_ERROR', 'EMPTY_STATEMENT', 'SEMICOLON'];
+
+// Package prefixes that reach outside plain querying (files, network, locks, jobs, ...)
+const DANGEROUS_PACKAGE_PATTERN = /^(DBMS|UTL|OWA)_/i;
+
+// Object types and functions that fetch URLs, files or other tables by name
+// (HTTPURITYPE, DBURITYPE, XDBURITYPE, URIFACTORY, BFILENAME)
+const DANGEROUS_FUNCTION_PATTERN = /^(\w*URITYPE|URIFACTORY|BFILENAME)$/i;
+
+// XQuery functions that read tables by name (ora:view, fn:collection('oradb:/...'))
+const XQUERY_TABLE_ACCESS_PATTERN = /ora:view|oradb:/i;
+
+// Closing delimiter for q'<open>...<close>' literals
+const Q_QUOTE_CLOSERS = { '[': ']', '{': '}', '(': ')', '<': '>' };
+
+// Multi-character operators, longest first
+const OPERATORS = ['||', '<=', '>=', '<>', '!=', '^=', '~=', ':=', '=>', '**', '..'];
+
+// Square brackets address MODEL cells (s[2001])
+const PUNCTUATION = '(),.;@[]';
+const SINGLE_OPERATORS = '+-*/=<>!^|%';
+
+/**
+ * Create a tokenizer error
+ * @param {string} message - Error message
+ * @param {number} position - Offset in the SQL text
+ * @returns {Error}
+ */
+function parseError(message, position) {
+  const error = new Error(`${message} at position ${position}`);
+  error.code = 'SQL_PARSE_ERROR';
+  error.position = position;
+  return error;
+}
+
+/**
+ * Find the end of a string literal starting at a quote
+ * @param {string} sql - SQL text
+ * @param {number} start - Offset of the opening quote
+ * @returns {number} Offset just past the closing quote
+ */
+function scanStringLiteral(sql, start) {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (sql[i] === "'") {
+      if (sql[i + 1] === "'") {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  throw parseError('Unterminated string literal', start);
+}
+
+/**
+ * Find the end of a q-quoted literal (q'[...]', q'{...}', q'!...!', ...)
+ * @param {string} sql - SQL text
+ * @param {number} start - Offset of the opening quote (after the q)
+ * @returns {number} Offset just past the closing quote
+ */
+function scanQuotedLiteral(sql, start) {
+  const open = sql[start + 1];
+  if (open === undefined || /\s/.test(open)) {
+    throw parseError('Invalid q-quote delimiter', start);
+  }
+  const close = Q_QUOTE_CLOSERS[open] || open;
+  const end = sql.indexOf(`${close}'`, start + 2);
+  if (end === -1) {
+    throw parseError('Unterminated q-quoted literal', start);
+  }
+  return end + 2;
+}
+
+/**
+ * Split SQL into tokens
+ * Comments and whitespace are dropped. Token types:
+ * - word: unquoted keyword or identifier (upper is its uppercased form)
+ * - identifier: double-quoted identifier (value is the text between the quotes)
+ * - string: string literal (value is the raw literal, quotes included)
+ * - number, bind (value is the name without the colon), operator, punctuation
+ * @param {string} sql - SQL text
+ * @returns {Array<Object>} Tokens as { type, value, upper?, position }
+ * @throws {Error} - With code SQL_PARSE_ERROR for unterminated literals/comments or unexpected characters
+ */
+export function tokenizeSql(sql) {
+  if (typeof sql !== 'string') {
+    throw new Error('SQL must be a string');
+  }
+
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const rest = sql.slice(i, i + 3);
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // -- line comment
+    if (rest.startsWith('--')) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+
+    // /* block comment */ (optimizer hints included)
+    if (rest.startsWith('/*')) {
+      const end = sql.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw parseError('Unterminated comment', i);
+      }
+      i = end + 2;
+      continue;
+    }
+
+    // String literals: '...', N'...', q'[...]', Nq'[...]'
+    const literal = /^(n?q)?'|^n'/i.exec(rest);
+    if (literal) {
+      const quoteAt = i + literal[0].length - 1;
+      const end = /q/i.test(literal[0]) ? scanQuotedLiteral(sql, quoteAt) : scanStringLiteral(sql, quoteAt);
+      tokens.push({ type: 'string', value: sql.slice(i, end), position: i });
+      i = end;
+      continue;
+    }
+
+    // "Quoted identifier"
+    if (char === '"') {
+      const end = sql.indexOf('"', i + 1);
+      if (end === -1) {
+        throw parseError('Unterminated quoted identifier', i);
+      }
+      tokens.push({ type: 'identifier', value: sql.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    // :bind (but not the := assignment operator)
+    if (char === ':' && /[\p{L}\p{N}_]/u.test(sql[i + 1] || '')) {
+      const match = /^:[\p{L}\p{N}_$#]+/u.exec(sql.slice(i));
+      tokens.push({ type: 'bind', value: match[0].slice(1), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/\p{L}/u.test(char)) {
+      const match = /^[\p{L}\p{N}_$#]+/u.exec(sql.slice(i));
+      tokens.push({ type: 'word', value: match[0], upper: match[0].toUpperCase(), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    const number = /^(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?[fd]?/i.exec(sql.slice(i));
+    if (number && !(char === '.' && sql[i + 1] === '.')) {
+      tokens.push({ type: 'number', value: number[0], position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => sql.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    if (PUNCTUATION.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (SINGLE_OPERATORS.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw parseError(`Unexpected character "${char}"`, i);
+  }
+
+  return tokens;
+}
+
+/**
+ * Check whether a token is a given (unquoted) keyword
+ * @param {Object} token - Token
+ * @param {string} keyword - Uppercase keyword
+ * @returns {boolean}
+ */
+function isKeyword(token, keyword) {
+  return token?.type === 'word' && token.upper === keyword;
+}
+
+/**
+ * Classify a SQL statement
+ * @param {string} sql - SQL text
+ * @returns {Object} Classification:
+ *   - statementType: leading keyword (e.g. SELECT, INSERT, BEGIN) or null
+ *   - category: query | dml | ddl | plsql | transaction | unknown | invalid
+ *   - readOnly: true only for a single query with no reasons against it
+ *   - reasons: [{ code, message, position }] explaining why it isn't read-only
+ */
+export function classifySql(sql) {
+  let tokens;
+  try {
+    tokens = tokenizeSql(sql);
+  } catch (error) {
+    return {
+      statementType: null,
+      category: 'invalid',
+      readOnly: false,
+      reasons: [{ code: 'PARSE_ERROR', message: error.message, position: error.position ?? null }]
+    };
+  }
+
+  // Parenthesized queries: (SELECT ...) UNION (SELECT ...)
+  const first = tokens.find(token => token.value !== '(');
+  if (!first) {
+    return {
+      statementType: null,
+      category: 'invalid',
+      readOnly: false,
+      reasons: [{ code: 'EMPTY_STATEMENT', message: 'SQL contains no statement', position: 0 }]
+    };
+  }
+
+  const statementType = first.type === 'word' ? first.upper : null;
+  let category = STATEMENT_CATEGORIES[statementType] || 'unknown';
+  const reasons = [];
+
+  // WITH FUNCTION / WITH PROCEDURE declares PL/SQL inline
+  const firstIndex = tokens.indexOf(first);
+  if (statementType === 'WITH' && ['FUNCTION', 'PROCEDURE'].includes(tokens[firstIndex + 1]?.upper)) {
+    category = 'plsql';
+  }
+
+  if (CATEGORY_REASONS[category]) {
+    const { code, message } = CATEGORY_REASONS[category];
+    reasons.push({ code, message: `${statementType} statement ${message}`, position: first.position });
+  } else if (category === 'unknown') {
+    reasons.push({
+      code: 'UNKNOWN_STATEMENT',
+      message: `Unrecognized statement starting with ${first.type === 'word' ? first.upper : `"${first.value}"`}`,
+      position: first.position
+    });
+  }
+
+  tokens.forEach((token, index) => {
+    // PL/SQL blocks legitimately contain statement terminators
+    if (token.value === ';' && token.type === 'punctuation' && category !== 'plsql') {
+      reasons.push({
+        code: 'SEMICOLON',
+        message: index === tokens.length - 1
+          ? 'Statement terminator ";" is not allowed'
+          : 'Multiple statements are not allowed',
+        position: token.position
+      });
+    }
+
+    if (isKeyword(token, 'FOR') && isKeyword(tokens[index + 1], 'UPDATE')) {
+      reasons.push({ code: 'FOR_UPDATE', message: 'FOR UPDATE locks rows', position: token.position });
+    }
+
+    if (token.type === 'punctuation' && token.value === '@') {
+      const link = tokens[index + 1];
+      reasons.push({
+        code: 'DB_LINK',
+        message: `Database link${link && link.type !== 'punctuation' ? ` ${link.value}` : ''} is not allowed`,
+        position: token.position
+      });
+    }
+
+    if ((token.type === 'word' || token.type === 'identifier') && DANGEROUS_PACKAGE_PATTERN.test(token.value)) {
+      reasons.push({
+        code: 'DANGEROUS_PACKAGE',
+        message: `Package ${token.value.toUpperCase()} is not allowed`,
+        position: token.position
+      });
+    }
+
+    if ((token.type === 'word' || token.type === 'identifier') && DANGEROUS_FUNCTION_PATTERN.test(token.value)) {
+      reasons.push({
+        code: 'DANGEROUS_FUNCTION',
+        message: `${token.value.toUpperCase()} is not allowed`,
+        position: token.position
+      });
+    }
+
+    // SYS.package.member(...) / SYS.function(...); SYS.DUAL stays a plain table
+    const member = tokens[index + 2];
+    const isSys = isKeyword(token, 'SYS') || (token.type === 'identifier' && token.value === 'SYS');
+    if (isSys && tokens[index + 1]?.value === '.' && member &&
+      (tokens[index + 3]?.value === '(' || (tokens[index + 3]?.value === '.' && tokens[index + 5]?.value === '(')) &&
+      !DANGEROUS_PACKAGE_PATTERN.test(member.value) && !DANGEROUS_FUNCTION_PATTERN.test(member.value)) {
+      reasons.push({
+        code: 'DANGEROUS_PACKAGE',
+        message: `Package SYS.${member.type === 'word' ? member.upper : member.value} is not allowed`,
+        position: token.position
+      });
+    }
+
+    if (token.type === 'string' && XQUERY_TABLE_ACCESS_PATTERN.test(token.value)) {
+      reasons.push({
+        code: 'XQUERY_TABLE_ACCESS',
+        message: 'XQuery table access (ora:view, oradb:) is not allowed',
+        position: token.position
+      });
+    }
+  });
+
+  return {
+    statementType,
+    category,
+    readOnly: category === 'query' && reasons.length === 0,
+    reasons
+  };
+}
+
+/**
+ * Check a statement against the read-only policy
+ * @param {string} sql - SQL text
+ * @param {Object} options - Policy options
+ * @param {boolean} options.allowWrite - Waive the read-only rules (malformed SQL and
+ *   multiple statements are still rejected)
+ * @returns {Object} Classification from classifySql
+ * @throws {Error} - With code SQL_NOT_ALLOWED and the classification attached
+ */
+export function assertSqlAllowed(sql, { allowWrite = false } = {}) {
+  const classification = classifySql(sql);
+  const blocking = allowWrite
+    ? classification.reasons.filter(reason => UNWAIVABLE_REASONS.includes(reason.code))
+    : classification.reasons;
+
+  if (blocking.length > 0) {
+    const error = new Error(
+      `SQL not allowed (${classification.category}): ${blocking.map(reason => reason.message).join('; ')}`
+    );
+    error.code = 'SQL_NOT_ALLOWED';
+    error.classification = classification;
+    throw error;
+  }
+
+  return classification;
+}
+
+export default {
+  tokenizeSql,
+  classifySql,
+  assertSqlAllowed
+};
@@ -0,0 +1,826 @@
+import { tokenizeSql } from './sqlClassifier.js';
+
+/**
+ * Table and column reference extraction for Oracle queries
+ * Parses SELECT statements (CTEs, set operators, joins, derived tables and
+ * nested/correlated subqueries) far enough to find every table or view a
+ * query reads and every column it names, with columns resolved to the tables
+ * in scope where they're used. Derived tables and CTEs carry the columns their
+ * query projects, so a column read through them is either one of those or is
+ * resolved to the tables behind a * in their select list. It is not a
+ * validating parser: anything Oracle accepts should parse, but not everything
+ * that parses is valid SQL.
+ */
+
+// Words that are never column references when unquoted
+const KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'LIKE2', 'LIKE4', 'LIKEC',
+  'BETWEEN', 'EXISTS', 'ESCAPE', 'ANY', 'SOME', 'ALL', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AS', 'ON',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'USING', 'LATERAL', 'APPLY',
+  'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'UNION', 'INTERSECT',
+  'MINUS', 'EXCEPT', 'DISTINCT', 'UNIQUE', 'FETCH', 'NEXT', 'ROWS', 'ROW', 'ONLY', 'OFFSET', 'WITH',
+  'TIES', 'PERCENT', 'PARTITION', 'OVER', 'RANGE', 'GROUPS', 'UNBOUNDED', 'PRECEDING', 'FOLLOWING',
+  'CURRENT', 'CONNECT', 'START', 'PRIOR', 'NOCYCLE', 'SIBLINGS', 'INTERVAL', 'DATE', 'TIMESTAMP',
+  'YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND', 'TO', 'ZONE', 'TIME', 'LOCAL', 'AT', 'LEADING',
+  'TRAILING', 'BOTH', 'KEEP', 'DENSE_RANK', 'WITHIN', 'PIVOT', 'UNPIVOT', 'FOR', 'UPDATE', 'OF',
+  'NOWAIT', 'WAIT', 'SKIP', 'LOCKED', 'SAMPLE', 'SEED', 'IGNORE', 'RESPECT', 'INCLUDE', 'EXCLUDE',
+  'TIMEZONE_HOUR', 'TIMEZONE_MINUTE', 'TIMEZONE_REGION', 'TIMEZONE_ABBR', 'MEMBER', 'SUBMULTISET'
+]);
+
+// Keywords that end an operand, so a word right after them is an alias (CASE ... END alias)
+const OPERAND_KEYWORDS = new Set([
+  'NULL', 'END', 'SYSDATE', 'SYSTIMESTAMP', 'CURRENT_DATE', 'CURRENT_TIMESTAMP', 'LOCALTIMESTAMP',
+  'ROWNUM', 'ROWID', 'LEVEL', 'USER', 'UID', 'DBTIMEZONE', 'SESSIONTIMEZONE', 'TRUE', 'FALSE'
+]);
+
+// Interval qualifiers also end an operand (INTERVAL '1' DAY alias)
+const INTERVAL_UNITS = new Set(['YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND']);
+
+// Pseudo-columns and niladic functions that don't belong to any table
+const PSEUDO_COLUMNS = new Set([
+  ...OPERAND_KEYWORDS, 'CONNECT_BY_ISLEAF', 'CONNECT_BY_ISCYCLE', 'ORA_ROWSCN', 'ITERATION_NUMBER'
+]);
+
+// Clause keywords of a query block, at the block's own parenthesis depth
+const CLAUSES = ['SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'CONNECT', 'START', 'FETCH', 'OFFSET', 'FOR', 'MODEL', 'WINDOW'];
+
+const SET_OPERATORS = ['UNION', 'INTERSECT', 'MINUS', 'EXCEPT'];
+
+// Words that end a FROM item (no alias can follow)
+const FROM_ITEM_END = new Set([
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'OUTER', 'ON', 'USING', 'PIVOT',
+  'UNPIVOT', 'SAMPLE', 'SEED', 'PARTITION', 'AS', 'LATERAL', 'APPLY'
+]);
+
+// Clauses after a FROM item that may be followed by the item's alias
+const FROM_ITEM_MODIFIERS = ['PIVOT', 'UNPIVOT', 'SAMPLE', 'SEED', 'PARTITION'];
+
+// Lists of a MODEL clause whose items (and aliases) become model columns
+const MODEL_COLUMN_LISTS = ['PARTITION', 'DIMENSION', 'MEASURES'];
+
+// Words of MODEL rules that aren't column references
+const MODEL_RULE_WORDS = ['UPSERT', 'INCREMENT', 'DECREMENT', 'PRESENT'];
+
+/**
+ * Create a parse error
+ * @param {string} message - Error message
+ * @param {Object} token - Token the error relates to (optional)
+ * @returns {Error}
+ */
+function parseError(message, token) {
+  const position = token?.position ?? null;
+  const error = new Error(position === null ? message : `${message} at position ${position}`);
+  error.code = 'SQL_PARSE_ERROR';
+  error.position = position;
+  return error;
+}
+
+function isWord(token, keyword) {
+  return token?.type === 'word' && (keyword === undefined || token.upper === keyword);
+}
+
+function isPunctuation(token, value) {
+  return token?.type === 'punctuation' && token.value === value;
+}
+
+/**
+ * Normalized name of an identifier token (unquoted names fold to uppercase)
+ */
+function nameOf(token) {
+  return token.type === 'word' ? token.upper : token.value;
+}
+
+function isName(token) {
+  return token?.type === 'identifier' || (token?.type === 'word' && !KEYWORDS.has(token.upper));
+}
+
+/**
+ * Find the closing parenthesis matching the one at index
+ * @returns {number} Index of the closing parenthesis
+ */
+function matchParen(tokens, index) {
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    if (isPunctuation(tokens[i], '(')) depth++;
+    if (isPunctuation(tokens[i], ')')) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  throw parseError('Unbalanced parentheses', tokens[index]);
+}
+
+/**
+ * Check whether the parenthesized group starting at index holds a query
+ */
+function isSubquery(tokens, index) {
+  let i = index;
+  while (isPunctuation(tokens[i], '(')) i++;
+  return isWord(tokens[i], 'SELECT') || isWord(tokens[i], 'WITH');
+}
+
+/**
+ * Split a range at top-level occurrences of a predicate
+ * @returns {Array<Object>} Ranges as { start, end, token } (token = separator that opened the range)
+ */
+function splitTopLevel(tokens, start, end, isSeparator) {
+  const ranges = [];
+  let depth = 0;
+  let rangeStart = start;
+  let opener = null;
+
+  for (let i = start; i < end; i++) {
+    if (isPunctuation(tokens[i], '(')) depth++;
+    else if (isPunctuation(tokens[i], ')')) depth--;
+    else if (depth === 0 && isSeparator(tokens[i], i)) {
+      ranges.push({ start: rangeStart, end: i, token: opener });
+      rangeStart = i + 1;
+      opener = tokens[i];
+    }
+  }
+  ranges.push({ start: rangeStart, end, token: opener });
+  return ranges;
+}
+
+/**
+ * Look up a qualifier (table alias, table name or CTE name) in the scope chain
+ * @returns {Object|null} Source
+ */
+function resolveQualifier(scope, parts) {
+  for (let current = scope; current; current = current.parent) {
+    const source = current.sources.find(candidate => {
+      if (parts.length === 2) {
+        return !candidate.derived && candidate.schema === parts[0] && candidate.name === parts[1];
+      }
+      return candidate.alias ? candidate.alias === parts[0] : candidate.name === parts[0];
+    });
+    if (source) return source;
+  }
+  return null;
+}
+
+/**
+ * Look up a CTE name visible from a scope
+ * @returns {Object|null} Projection of the CTE
+ */
+function findCte(scope, name) {
+  for (let current = scope; current; current = current.parent) {
+    if (current.ctes.has(name)) return current.ctes.get(name);
+  }
+  return null;
+}
+
+/**
+ * Check whether a derived table or CTE projects a column
+ * Opaque sources (pivoted, table functions) can't list their columns.
+ */
+function projects(source, name) {
+  return source.opaque || source.columns.includes(name);
+}
+
+/**
+ * Find the name a select-list (or MODEL list) item is known by
+ * @returns {Object} { name, exprEnd } - name is the alias, or the column of a plain
+ *   column reference, else null; exprEnd is where the expression before an alias ends
+ */
+function readItemName(tokens, start, end) {
+  const last = tokens[end - 1];
+  if (end - start >= 2 && isName(last)) {
+    const previous = tokens[end - 2];
+    if (isWord(previous, 'AS')) return { name: nameOf(last), exprEnd: end - 2 };
+    if (endsOperand(previous)) return { name: nameOf(last), exprEnd: end - 1 };
+  }
+
+  // A plain column reference (col, t.col, schema.t.col) keeps the column's name
+  let i = start;
+  while (i < end && (isName(tokens[i]) || (i > start && isWord(tokens[i])))) {
+    if (i + 1 === end) return { name: nameOf(tokens[i]), exprEnd: end };
+    if (!isPunctuation(tokens[i + 1], '.')) break;
+    i += 2;
+  }
+  return { name: null, exprEnd: end };
+}
+
+/**
+ * Parse a query expression: [WITH ...] block {set operator block} [ORDER BY ...]
+ * @param {Object} options
+ * @param {boolean} options.existsOnly - True for an EXISTS subquery, whose select list is never read
+ * @returns {Object} Projection: { columns, tables, opaque } - the names of the columns
+ *   the query returns (taken from its first branch), the tables behind a * in a select
+ *   list, and whether the columns can't be listed
+ */
+function parseQuery(state, start, end, parentScope, options = {}) {
+  const { tokens } = state;
+  const scope = { sources: [], ctes: new Map(), parent: parentScope };
+  let i = start;
+
+  if (isWord(tokens[i], 'WITH')) {
+    i = parseWith(state, i + 1, end, scope);
+  }
+
+  let projection = null;
+  const branches = splitTopLevel(tokens, i, end, token => token.type === 'word' && SET_OPERATORS.includes(token.upper));
+  for (const branch of branches) {
+    let branchStart = branch.start;
+    while (isWord(tokens[branchStart], 'ALL') || isWord(tokens[branchStart], 'DISTINCT')) branchStart++;
+    const branchProjection = parseBranch(state, branchStart, branch.end, scope, options);
+    if (!projection) {
+      projection = branchProjection;
+    } else {
+      projection.tables.push(...branchProjection.tables);
+      projection.opaque = projection.opaque || branchProjection.opaque;
+    }
+  }
+  return projection;
+}
+
+/**
+ * Parse the CTE list of a WITH clause
+ * @returns {number} Index after the last CTE
+ */
+function parseWith(state, start, end, scope) {
+  const { tokens } = state;
+  let i = start;
+
+  while (i < end) {
+    if (!isName(tokens[i])) {
+      throw parseError('Expected a CTE name', tokens[i]);
+    }
+    const name = nameOf(tokens[i]);
+    i++;
+
+    // Optional column list: name (c1, c2), which a recursive CTE can read itself through
+    let columns = null;
+    if (isPunctuation(tokens[i], '(')) {
+      const close = matchParen(tokens, i);
+      columns = tokens.slice(i + 1, close).filter(isName).map(nameOf);
+      scope.ctes.set(name, { columns, tables: [], opaque: false });
+      i = close + 1;
+    }
+    if (!isWord(tokens[i], 'AS')) {
+      throw parseError('Expected AS in WITH clause', tokens[i]);
+    }
+    i++;
+    if (!isPunctuation(tokens[i], '(')) {
+      throw parseError('Expected a subquery in WITH clause', tokens[i]);
+    }
+    const close = matchParen(tokens, i);
+    const projection = parseQuery(state, i + 1, close, scope);
+    scope.ctes.set(name, columns ? { ...projection, columns } : projection);
+    i = close + 1;
+
+    // SEARCH / CYCLE clauses of recursive CTEs
+    while (i < end && !isPunctuation(tokens[i], ',') && !isWord(tokens[i], 'SELECT') && !isPunctuation(tokens[i], '(')) {
+      i++;
+    }
+    if (!isPunctuation(tokens[i], ',')) {
+      return i;
+    }
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Parse one branch of a set operation (a SELECT, possibly parenthesized)
+ * @returns {Object} Projection of the branch
+ */
+function parseBranch(state, start, end, scope, options) {
+  const { tokens } = state;
+
+  if (isPunctuation(tokens[start], '(')) {
+    const close = matchParen(tokens, start);
+    const projection = parseQuery(state, start + 1, close, scope, options);
+    // ORDER BY / FETCH after a parenthesized branch apply to the whole query
+    scanExpression(state, close + 1, end, scope, new Set());
+    return projection;
+  }
+
+  if (!isWord(tokens[start], 'SELECT')) {
+    throw parseError('Expected SELECT', tokens[start]);
+  }
+  return parseSelect(state, start, end, scope, options);
+}
+
+/**
+ * Parse a SELECT block
+ * @returns {Object} Projection of the block
+ */
+function parseSelect(state, start, end, queryScope, options) {
+  const { tokens } = state;
+  // ORDER after AUTOMATIC / SEQUENTIAL belongs to the rules of a MODEL clause
+  const clauses = splitTopLevel(tokens, start, end, (token, i) => token.type === 'word' && CLAUSES.includes(token.upper) &&
+    !(token.upper === 'ORDER' && (isWord(tokens[i - 1], 'AUTOMATIC') || isWord(tokens[i - 1], 'SEQUENTIAL'))));
+  const scope = { sources: [], ctes: new Map(), parent: queryScope };
+  const aliases = new Set();
+  let modelColumns = new Set();
+  const conditions = [];
+
+  const fromClause = clauses.find(clause => isWord(clause.token, 'FROM'));
+  if (fromClause) {
+    parseFromItems(state, fromClause.start, fromClause.end, scope, conditions);
+  }
+
+  // The select list and ORDER BY of a MODEL query name model columns
+  const modelClause = clauses.find(clause => isWord(clause.token, 'MODEL'));
+  if (modelClause) {
+    modelColumns = scanModel(state, modelClause.start, modelClause.end, scope);
+  }
+
+  const selectClause = clauses.find(clause => isWord(clause.token, 'SELECT'));
+  const projection = projectSelectList(state, selectClause.start, selectClause.end, scope, options);
+
+  for (const clause of clauses) {
+    if (!clause.token || isWord(clause.token, 'FROM') || isWord(clause.token, 'MODEL')) continue;
+    // Only ORDER BY may name select-list aliases; elsewhere the name is a column
+    if (isWord(clause.token, 'SELECT')) {
+      scanExpression(state, clause.start, clause.end, scope, modelColumns, aliases);
+    } else if (isWord(clause.token, 'ORDER')) {
+      scanExpression(state, clause.start, clause.end, scope, new Set([...aliases, ...modelColumns]));
+    } else {
+      scanExpression(state, clause.start, clause.end, scope, new Set());
+    }
+  }
+  for (const condition of conditions) {
+    scanExpression(state, condition.start, condition.end, scope, new Set());
+  }
+  return projection;
+}
+
+/**
+ * Work out the columns a select list projects, recording each * over a table
+ * A * (or t.*) over a table returns every column the table has, declared or not.
+ * @returns {Object} Projection: { columns, tables, opaque }
+ */
+function projectSelectList(state, start, end, scope, { existsOnly = false } = {}) {
+  const { tokens } = state;
+  const projection = { columns: [], tables: [], opaque: false };
+  let i = start;
+  while (isWord(tokens[i], 'DISTINCT') || isWord(tokens[i], 'UNIQUE') || isWord(tokens[i], 'ALL')) i++;
+
+  // Add the columns of the sources a * stands for
+  const expand = (sources, qualifier, position) => {
+    for (const source of sources) {
+      if (source.derived) {
+        projection.columns.push(...source.columns);
+        projection.tables.push(...source.tables);
+        projection.opaque = projection.opaque || source.opaque;
+      } else {
+        projection.tables.push(source);
+        if (!existsOnly) {
+          state.columns.push({ name: '*', qualifier, position, tables: [source] });
+        }
+      }
+    }
+  };
+
+  for (const item of splitTopLevel(tokens, i, end, token => isPunctuation(token, ','))) {
+    const last = tokens[item.end - 1];
+    if (last?.type === 'operator' && last.value === '*' && item.end - item.start === 1) {
+      expand(scope.sources, null, last.position);
+    } else if (last?.type === 'operator' && last.value === '*' && isPunctuation(tokens[item.end - 2], '.')) {
+      const parts = tokens.slice(item.start, item.end - 2).filter(token => !isPunctuation(token, '.')).map(nameOf);
+      const source = parts.length <= 2 ? resolveQualifier(scope, parts) : null;
+      if (source) {
+        expand([source], parts.join('.'), tokens[item.start].position);
+      } else if (!existsOnly) {
+        state.columns.push({ name: '*', qualifier: parts.join('.'), position: tokens[item.start].position, tables: [] });
+      }
+    } else {
+      const { name } = readItemName(tokens, item.start, item.end);
+      if (name) projection.columns.push(name);
+    }
+  }
+  return projection;
+}
+
+/**
+ * Parse a MODEL clause
+ * Items of its PARTITION BY, DIMENSION BY and MEASURES lists are columns of the
+ * FROM items; they and their aliases become model columns, which the rules, the
+ * select list and ORDER BY refer to. The lists of a REFERENCE
+ * model read its own subquery.
+ * @returns {Set<string>} Model columns
+ */
+function scanModel(state, start, end, scope) {
+  const { tokens } = state;
+  const modelColumns = new Set();
+  const rules = [];
+  let reference = false;
+  let i = start;
+
+  while (i < end) {
+    const token = tokens[i];
+    if (isWord(token, 'REFERENCE') || isWord(token, 'MAIN')) {
+      // REFERENCE name ON (subquery) ... MAIN name
+      reference = token.upper === 'REFERENCE';
+      i += 2;
+      continue;
+    }
+    if (!isPunctuation(token, '(')) {
+      i++;
+      continue;
+    }
+
+    const close = matchParen(tokens, i);
+    const listWord = isWord(tokens[i - 1], 'BY') ? tokens[i - 2] : tokens[i - 1];
+    if (isWord(listWord) && MODEL_COLUMN_LISTS.includes(listWord.upper)) {
+      for (const item of splitTopLevel(tokens, i + 1, close, entry => isPunctuation(entry, ','))) {
+        const { name, exprEnd } = readItemName(tokens, item.start, item.end);
+        if (name) modelColumns.add(name);
+        if (!reference) {
+          scanExpression(state, item.start, exprEnd, scope, new Set());
+        }
+      }
+    } else {
+      // RULES (...), ITERATE (n), UNTIL (...) and reference model subqueries
+      rules.push({ start: i, end: close + 1 });
+    }
+    i = close + 1;
+  }
+
+  const ruleNames = new Set([...modelColumns, ...MODEL_RULE_WORDS]);
+  for (const range of rules) {
+    scanExpression(state, range.start, range.end, scope, ruleNames);
+  }
+  return modelColumns;
+}
+
+/**
+ * Parse the items of a FROM clause into scope.sources
+ * Join conditions are collected and scanned once every source is known.
+ */
+function parseFromItems(state, start, end, scope, conditions) {
+  const { tokens } = state;
+  let i = start;
+
+  while (i < end) {
+    const token = tokens[i];
+
+    if (isPunctuation(token, ',') || (token.type === 'word' && ['INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'JOIN', 'LATERAL', 'APPLY'].includes(token.upper))) {
+      i++;
+      continue;
+    }
+
+    if (isWord(token, 'ON')) {
+      const conditionEnd = findJoinConditionEnd(state, i + 1, end);
+      conditions.push({ start: i + 1, end: conditionEnd });
+      i = conditionEnd;
+      continue;
+    }
+
+    if (isWord(token, 'USING') && isPunctuation(tokens[i + 1], '(')) {
+      const close = matchParen(tokens, i + 1);
+      conditions.push({ start: i + 2, end: close });
+      i = close + 1;
+      continue;
+    }
+
+    // PIVOT (...), UNPIVOT (...), SAMPLE (...) [SEED (...)], PARTITION (...), then maybe the alias
+    if (token.type === 'word' && FROM_ITEM_MODIFIERS.includes(token.upper)) {
+      const source = scope.sources[scope.sources.length - 1];
+      // The columns of a pivoted derived table are made up by the pivot
+      if (source?.derived && (token.upper === 'PIVOT' || token.upper === 'UNPIVOT')) {
+        source.opaque = true;
+      }
+      let next = i + 1;
+      while (isWord(tokens[next]) && !isPunctuation(tokens[next], '(')) next++;
+      if (isPunctuation(tokens[next], '(')) {
+        const close = matchParen(tokens, next);
+        conditions.push({ start: next + 1, end: close });
+        i = close + 1;
+      } else {
+        i = next;
+      }
+      i = readSourceAlias(state, i, end, scope);
+      continue;
+    }
+
+    // AS OF after a PARTITION or SAMPLE clause
+    if (isWord(token, 'AS') && isWord(tokens[i + 1], 'OF')) {
+      i = parseFlashback(state, i + 2, end, conditions);
+      i = readSourceAlias(state, i, end, scope);
+      continue;
+    }
+
+    if (isPunctuation(token, '(')) {
+      const close = matchParen(tokens, i);
+      if (isSubquery(tokens, i + 1)) {
+        // Only lateral inline views see the FROM items before them
+        const lateral = isWord(tokens[i - 1], 'LATERAL') || isWord(tokens[i - 1], 'APPLY');
+        const projection = parseQuery(state, i + 1, close, lateral ? scope : scope.parent);
+        i = close + 1;
+        const alias = readAlias(state, i, end);
+        scope.sources.push({ derived: true, name: null, alias: alias.name, ...projection });
+        i = alias.next;
+      } else {
+        // Parenthesized join
+        parseFromItems(state, i + 1, close, scope, conditions);
+        i = close + 1;
+      }
+      continue;
+    }
+
+    if (isName(token) || token.type === 'word') {
+      i = parseTableReference(state, i, end, scope, conditions);
+      continue;
+    }
+
+    throw parseError(`Unexpected "${token.value}" in FROM clause`, token);
+  }
+}
+
+/**
+ * Parse a table reference: [schema.]name[@link] [alias], or a table function
+ * @returns {number} Index after the reference
+ */
+function parseTableReference(state, start, end, scope, conditions) {
+  const { tokens } = state;
+  const parts = [tokens[start]];
+  let i = start + 1;
+
+  while (isPunctuation(tokens[i], '.') && (tokens[i + 1]?.type === 'word' || tokens[i + 1]?.type === 'identifier')) {
+    parts.push(tokens[i + 1]);
+    i += 2;
+  }
+
+  // Database links are refused by the classifier; skip the link name
+  if (isPunctuation(tokens[i], '@')) {
+    i += 2;
+    while (isPunctuation(tokens[i], '.')) i += 2;
+  }
+
+  const names = parts.map(nameOf);
+  const position = tokens[start].position;
+
+  // TABLE(...), XMLTABLE(...), JSON_TABLE(...) and other table functions
+  if (isPunctuation(tokens[i], '(')) {
+    const close = matchParen(tokens, i);
+    state.tables.push({ schema: names.length > 1 ? names[0] : null, name: names.join('.'), alias: null, function: true, position });
+    conditions.push({ start: i + 1, end: close });
+    i = close + 1;
+    const alias = readAlias(state, i, end);
+    scope.sources.push({ derived: true, name: null, alias: alias.name, columns: [], tables: [], opaque: true });
+    return alias.next;
+  }
+
+  // Flashback query: AS OF TIMESTAMP | SCN | PERIOD FOR ... expr
+  if (isWord(tokens[i], 'AS') && isWord(tokens[i + 1], 'OF')) {
+    i = parseFlashback(state, i + 2, end, conditions);
+  }
+
+  const alias = readAlias(state, i, end);
+  const name = names[names.length - 1];
+  const schema = names.length > 1 ? names[names.length - 2] : null;
+  const cte = schema ? null : findCte(scope, name);
+
+  if (cte) {
+    scope.sources.push({ derived: true, name, alias: alias.name, ...cte });
+  } else {
+    const table = { schema, name, alias: alias.name, position };
+    state.tables.push(table);
+    scope.sources.push(table);
+  }
+  return alias.next;
+}
+
+/**
+ * Read an optional alias after a FROM item
+ * @returns {Object} { name, next }
+ */
+function readAlias(state, start, end) {
+  const { tokens } = state;
+  let i = start;
+  if (isWord(tokens[i], 'AS') && i + 1 < end && isName(tokens[i + 1])) {
+    i++;
+  }
+  const token = tokens[i];
+  if (i < end && token && (token.type === 'identifier' || (token.type === 'word' && !FROM_ITEM_END.has(token.upper) && !KEYWORDS.has(token.upper)))) {
+    return { name: nameOf(token), next: i + 1 };
+  }
+  return { name: null, next: start };
+}
+
+/**
+ * Read the alias after a FROM item's modifiers, which names the last FROM item
+ * @returns {number} Index after the alias
+ */
+function readSourceAlias(state, start, end, scope) {
+  const alias = readAlias(state, start, end);
+  const source = scope.sources[scope.sources.length - 1];
+  if (alias.name && source) {
+    source.alias = alias.name;
+  }
+  return alias.next;
+}
+
+/**
+ * Skip the point in time of a flashback query (after AS OF), collecting its expression
+ * The expression ends at a FROM item separator or at a name after a complete
+ * operand, which is the table's alias.
+ * @returns {number} Index after the expression
+ */
+function parseFlashback(state, start, end, conditions) {
+  const { tokens } = state;
+  let i = start;
+  if (isWord(tokens[i], 'PERIOD') && isWord(tokens[i + 1], 'FOR')) {
+    // PERIOD FOR valid_time_column
+    i += 3;
+  } else if (isWord(tokens[i], 'TIMESTAMP') || isWord(tokens[i], 'SCN')) {
+    i++;
+  } else {
+    throw parseError('Expected TIMESTAMP, SCN or PERIOD FOR after AS OF', tokens[i]);
+  }
+
+  const expressionStart = i;
+  while (i < end) {
+    const token = tokens[i];
+    if (isPunctuation(token, '(')) {
+      i = matchParen(tokens, i) + 1;
+      continue;
+    }
+    if (isPunctuation(token, ',') || (token.type === 'word' && FROM_ITEM_END.has(token.upper))) break;
+    if (i > expressionStart && isName(token) && endsOperand(tokens[i - 1])) break;
+    i++;
+  }
+  conditions.push({ start: expressionStart, end: i });
+  return i;
+}
+
+/**
+ * Find where a join condition ends (next join keyword or comma at the same depth)
+ */
+function findJoinConditionEnd(state, start, end) {
+  const { tokens } = state;
+  let depth = 0;
+  for (let i = start; i < end; i++) {
+    if (isPunctuation(tokens[i], '(')) depth++;
+    else if (isPunctuation(tokens[i], ')')) depth--;
+    else if (depth === 0 && (isPunctuation(tokens[i], ',') ||
+      (tokens[i].type === 'word' && ['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'PIVOT', 'UNPIVOT'].includes(tokens[i].upper)))) {
+      return i;
+    }
+  }
+  return end;
+}
+
+/**
+ * Record column references in an expression range and parse nested subqueries
+ * @param {Set<string>} aliases - Names that aren't columns here (select-list aliases, model columns)
+ * @param {Set<string>} [collected] - Collects the aliases of a select list
+ */
+function scanExpression(state, start, end, scope, aliases, collected = null) {
+  const { tokens } = state;
+  let i = start;
+
+  while (i < end) {
+    const token = tokens[i];
+
+    if (isPunctuation(token, '(') && isSubquery(tokens, i + 1)) {
+      const close = matchParen(tokens, i);
+      parseQuery(state, i + 1, close, scope, { existsOnly: isWord(tokens[i - 1], 'EXISTS') });
+      i = close + 1;
+      continue;
+    }
+
+    if (!isName(token)) {
+      i++;
+      continue;
+    }
+
+    // Identifier chain: a, a.b, a.b.c, a.*
+    const parts = [token];
+    let next = i + 1;
+    let star = false;
+    while (isPunctuation(tokens[next], '.')) {
+      const part = tokens[next + 1];
+      if (part?.type === 'operator' && part.value === '*') {
+        star = true;
+        next += 2;
+        break;
+      }
+      if (part?.type !== 'word' && part?.type !== 'identifier') break;
+      parts.push(part);
+      next += 2;
+    }
+
+    const previous = tokens[i - 1];
+    const isFunctionCall = isPunctuation(tokens[next], '(');
+    const afterAs = isWord(previous, 'AS') && i > start;
+    const isAlias = afterAs || (parts.length === 1 && i > start && endsOperand(previous));
+
+    if (isAlias) {
+      collected?.add(nameOf(token));
+    } else if (star) {
+      // t.* is resolved with the select list (projectSelectList)
+    } else if (isFunctionCall) {
+      // A call right after "." is a method of an object (dburitype(...).getclob())
+      state.functions.push({
+        name: nameOf(parts[parts.length - 1]),
+        qualifier: parts.length > 1 ? parts.slice(0, -1).map(nameOf).join('.') : null,
+        method: isPunctuation(previous, '.'),
+        position: token.position
+      });
+    } else if (!(parts.length === 1 && isWord(token) && PSEUDO_COLUMNS.has(token.upper))) {
+      recordColumn(state, parts.map(nameOf), token.position, scope, aliases);
+    }
+    i = next;
+  }
+}
+
+/**
+ * Check whether a token ends an operand (so an identifier after it is an alias)
+ */
+function endsOperand(token) {
+  if (!token) return false;
+  if (['string', 'number', 'bind', 'identifier'].includes(token.type)) return true;
+  if (token.type === 'word') {
+    return !KEYWORDS.has(token.upper) || OPERAND_KEYWORDS.has(token.upper) || INTERVAL_UNITS.has(token.upper);
+  }
+  return isPunctuation(token, ')');
+}
+
+/**
+ * Resolve and record a column reference
+ * A column a derived table or CTE projects was checked in its own query and
+ * isn't recorded again; any other name read through one may only come from the
+ * tables behind a * in its select list.
+ */
+function recordColumn(state, names, position, scope, aliases) {
+  const name = names[names.length - 1];
+  const qualifierParts = names.slice(0, -1);
+  const qualifier = qualifierParts.length > 0 ? qualifierParts.join('.') : null;
+
+  if (qualifier) {
+    const source = qualifierParts.length <= 2 ? resolveQualifier(scope, qualifierParts) : null;
+    if (source?.derived) {
+      if (!projects(source, name)) {
+        state.columns.push({ name, qualifier, position, tables: source.tables });
+      }
+      return;
+    }
+    state.columns.push({ name, qualifier, position, tables: source ? [source] : [] });
+    return;
+  }
+
+  if (aliases.has(name)) return;
+
+  // Unqualified columns may come from any table in scope, up to the nearest
+  // scope with a derived table or CTE projecting the name (a table of an inner
+  // scope would still take precedence if it has the column)
+  const tables = [];
+  for (let current = scope; current; current = current.parent) {
+    if (current.sources.some(source => source.derived && projects(source, name))) {
+      if (tables.length > 0) {
+        state.columns.push({ name, qualifier: null, position, tables });
+      }
+      return;
+    }
+    for (const source of current.sources) {
+      tables.push(...(source.derived ? source.tables : [source]));
+    }
+  }
+  state.columns.push({ name, qualifier: null, position, tables });
+}
+
+/**
+ * Extract the tables and columns a query references
+ * @param {string} sql - SELECT or WITH query
+ * @returns {Object} References:
+ *   - tables: [{ schema, name, alias, position, function? }] - tables/views read (CTEs excluded)
+ *   - columns: [{ name, qualifier, position, tables }] - columns with the tables they may belong
+ *     to (an unresolved qualifier has no tables); name is * for a * or t.* over a table.
+ *     Columns derived tables and CTEs project are checked inside their own query and not
+ *     repeated here.
+ *   - functions: [{ name, qualifier, method, position }] - functions called in expressions
+ *     (qualifier is the package or schema, method is true for calls on an object)
+ * @throws {Error} - With code SQL_PARSE_ERROR if the query can't be parsed
+ */
+export function extractSqlReferences(sql) {
+  const tokens = tokenizeSql(sql);
+  // Parser state shared by all query blocks of the statement
+  const state = { tokens, tables: [], columns: [], functions: [] };
+
+  if (tokens.length === 0) {
+    throw parseError('SQL contains no statement');
+  }
+
+  let depth = 0;
+  for (const token of tokens) {
+    if (isPunctuation(token, '(')) depth++;
+    if (isPunctuation(token, ')') && --depth < 0) {
+      throw parseError('Unbalanced parentheses', token);
+    }
+  }
+  if (depth !== 0) {
+    throw parseError('Unbalanced parentheses');
+  }
+
+  parseQuery(state, 0, tokens.length, null);
+
+  return { tables: state.tables, columns: state.columns, functions: state.functions };
+}
+
+export default {
+  extractSqlReferences
+};
@@ -1,56 +1,466 @@
+import oracledb from 'oracledb';
+import { tokenizeSql } from './sqlClassifier.js';
+import { validateSchema, formatViolations } from './schemaValidator.js';
+
 /**
  * Safe template engine for SQL templates
  * Only replaces bind placeholders, never identifiers
  */
 
+// Operators that compare a column with a bind variable
+const COMPARISON_OPERATORS = ['=', '<>', '!=', '^=', '<', '>', '<=', '>='];
+
+// Declarable parameter types
+const PARAM_TYPES = ['number', 'string', 'date', 'enum'];
+
+// LIKE wrapping modes for string parameters; % and _ in the value match literally
+const LIKE_PATTERNS = {
+  contains: value => `%${escapeLike(value)}%`,
+  startsWith: value => `${escapeLike(value)}%`,
+  endsWith: value => `%${escapeLike(value)}`
+};
+
+// Escape clause added after every LIKE pattern holding a wrapped parameter
+const LIKE_ESCAPE = "ESCAPE '\\'";
+
+// Pattern-matching operators
+const LIKE_OPERATORS = ['LIKE', 'LIKEC', 'LIKE2', 'LIKE4'];
+
+// Keywords that end the pattern operand of a LIKE condition
+const LIKE_OPERAND_END = [
+  'AND', 'OR', 'ESCAPE', 'THEN', 'WHEN', 'ELSE', 'END', 'WHERE', 'GROUP', 'HAVING', 'ORDER',
+  'UNION', 'INTERSECT', 'MINUS', 'EXCEPT', 'FETCH', 'OFFSET', 'CONNECT', 'START', 'FOR'
+];
+
+// oracledb bind type per coerced value type
+const BIND_TYPES = {
+  number: oracledb.NUMBER,
+  string: oracledb.STRING,
+  date: oracledb.DATE
+};
+
+/**
+ * Template declaration format (mcp_sql_templates in mapping files)
+ * A template is either a plain SQL string, or an object declaring its parameters:
+ *
+ *   "select_by_name": {
+ *     "sql": "SELECT * FROM T WHERE UPPER(LAST_NAME) LIKE UPPER(:name)",
+ *     "description": "Patients whose last name contains a string",
+ *     "params": {
+ *       "name": {
+ *         "type": "string",          // number | string | date | enum (omit for any scalar)
+ *         "required": true,          // defaults to true unless a default is given
+ *         "default": "A",            // used when the parameter is omitted
+ *         "like": "contains",        // string only: contains | startsWith | endsWith (LIKE patterns only)
+ *         "maxLength": 100,          // string only
+ *         "values": ["M", "F"],      // enum only
+ *         "description": "Part of the last name"
+ *       }
+ *     }
+ *   }
+ *
+ * Plain-string templates behave as if every bind variable were declared required
+ * with no type.
+ */
+
+/**
+ * Escape the LIKE wildcards of a value for an ESCAPE '\' clause
+ * @param {string} value - Value to match literally
+ * @returns {string}
+ */
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Create a template error
+ * @param {string} code - INVALID_TEMPLATE (bad declaration) or INVALID_TEMPLATE_PARAMS (bad values)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function templateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalize a template to its declaration form
+ * @param {string|Object} template - Plain SQL string or { sql, description, params }
+ * @returns {Object} - { sql, description, params } with params keyed by uppercase bind name
+ * @throws {Error} - With code INVALID_TEMPLATE if the declaration is malformed or
+ * doesn't match the template's bind variables, or uses a like parameter outside a
+ *   LIKE pattern
+ */
+export function normalizeTemplate(template) {
+  if (typeof template === 'string') {
+    const params = {};
+    for (const name of extractBindVariables(template)) {
+      params[name] = { name: name.toLowerCase(), type: null, required: true, default: undefined, like: null, description: null };
+    }
+    return { sql: template, description: null, params };
+  }
+
+  if (!template || typeof template !== 'object' || Array.isArray(template) || typeof template.sql !== 'string') {
+    throw templateError('INVALID_TEMPLATE', 'Template must be a SQL string or an object with a "sql" string');
+  }
+
+  const declared = template.params || {};
+  if (typeof declared !== 'object' || Array.isArray(declared)) {
+    throw templateError('INVALID_TEMPLATE', 'Template "params" must be an object');
+  }
+
+  const params = {};
+  for (const [name, declaration] of Object.entries(declared)) {
+    params[name.toUpperCase()] = normalizeParam(name, declaration || {});
+  }
+
+  const bindVariables = extractBindVariables(template.sql);
+  const undeclared = bindVariables.filter(name => !params[name]);
+  const unused = Object.keys(params).filter(name => !bindVariables.includes(name));
+  if (undeclared.length > 0 || unused.length > 0) {
+    const problems = [];
+    if (undeclared.length > 0) problems.push(`undeclared bind variables ${undeclared.join(', ')}`);
+    if (unused.length > 0) problems.push(`declared parameters not in SQL ${unused.join(', ')}`);
+    throw templateError('INVALID_TEMPLATE', `Template parameters don't match its SQL: ${problems.join('; ')}`);
+  }
+
+  const tokens = tokenizeSql(template.sql);
+  const patterns = findLikePatterns(tokens);
+  for (const [name, param] of Object.entries(params)) {
+    if (!param.like) {
+      continue;
+    }
+    const uses = tokens.filter(token => token.type === 'bind' && token.value.toUpperCase() === name).length;
+    const patternUses = patterns.flatMap(pattern => pattern.binds).filter(bind => bind === name).length;
+    if (patternUses !== uses) {
+      throw templateError('INVALID_TEMPLATE', `Parameter ${param.name}: like parameters can only be used in the pattern of a LIKE condition`);
+    }
+    if (patterns.some(pattern => pattern.binds.includes(name) && pattern.escape !== null && pattern.escape !== "'\\'")) {
+      throw templateError('INVALID_TEMPLATE', `Parameter ${param.name}: LIKE patterns with like parameters escape with '\\' - remove their ESCAPE clause`);
+    }
+  }
+
+  return { sql: template.sql, description: template.description || null, params };
+}
+
+/**
+ * Get the offset just past a token
+ * @param {Object} token - Token from tokenizeSql
+ * @returns {number}
+ */
+function tokenEnd(token) {
+  if (token.type === 'identifier') return token.position + token.value.length + 2;
+  if (token.type === 'bind') return token.position + token.value.length + 1;
+  return token.position + token.value.length;
+}
+
+/**
+ * Find the pattern operands of a statement's LIKE conditions
+ * An operand runs from the operator to the next keyword, comma or closing
+ * parenthesis at its own nesting level (e.g. UPPER(:name) in
+ * UPPER(COL) LIKE UPPER(:name) AND ...).
+ * @param {Array<Object>} tokens - Tokens from tokenizeSql
+ * @returns {Array<Object>} - [{ binds, end, escape }] with binds the operand's bind names
+ *   (uppercase), end the offset just past the operand and escape the literal of its
+ *   ESCAPE clause (null without one)
+ */
+function findLikePatterns(tokens) {
+  const patterns = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'word' || !LIKE_OPERATORS.includes(token.upper)) {
+      return;
+    }
+
+    const binds = [];
+    let last = token;
+    let depth = 0;
+    let next = index + 1;
+    for (; next < tokens.length; next++) {
+      const current = tokens[next];
+      const punctuation = current.type === 'punctuation' ? current.value : null;
+      if (depth === 0 && ((current.type === 'word' && LIKE_OPERAND_END.includes(current.upper)) || [',', ';', ')'].includes(punctuation))) {
+        break;
+      }
+      if (punctuation === '(') depth++;
+      if (punctuation === ')') depth--;
+      if (current.type === 'bind') binds.push(current.value.toUpperCase());
+      last = current;
+    }
+
+    const stop = tokens[next];
+    patterns.push({
+      binds,
+      end: tokenEnd(last),
+      escape: stop?.type === 'word' && stop.upper === 'ESCAPE' ? tokens[next + 1]?.value ?? '' : null
+    });
+  });
+
+  return patterns;
+}
+
+/**
+ * Add LIKE_ESCAPE to the LIKE conditions whose pattern holds a wrapped parameter
+ * @param {string} sql - Template SQL
+ * @param {Object} params - Normalized parameter declarations keyed by uppercase name
+ * @returns {string}
+ */
+function addLikeEscapes(sql, params) {
+  return findLikePatterns(tokenizeSql(sql))
+    .filter(pattern => pattern.escape === null && pattern.binds.some(name => params[name]?.like))
+    .reverse()
+    .reduce((escaped, pattern) => `${escaped.slice(0, pattern.end)} ${LIKE_ESCAPE}${escaped.slice(pattern.end)}`, sql);
+}
+
+/**
+ * Validate and normalize one parameter declaration
+ * @param {string} name - Parameter name as declared
+ * @param {Object} declaration - Raw declaration
+ * @returns {Object} - { name, type, required, default, like, maxLength, values, description }
+ */
+function normalizeParam(name, declaration) {
+  const { type = null, like = null, values, maxLength } = declaration;
+
+  if (type !== null && !PARAM_TYPES.includes(type)) {
+    throw templateError('INVALID_TEMPLATE', `Parameter ${name}: type must be one of ${PARAM_TYPES.join(', ')}`);
+  }
+  if (like !== null && (type !== 'string' || !LIKE_PATTERNS[like])) {
+    throw templateError('INVALID_TEMPLATE', `Parameter ${name}: like must be one of ${Object.keys(LIKE_PATTERNS).join(', ')} on a string parameter`);
+  }
+  if (type === 'enum' && (!Array.isArray(values) || values.length === 0)) {
+    throw templateError('INVALID_TEMPLATE', `Parameter ${name}: enum parameters need a non-empty "values" array`);
+  }
+  if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1)) {
+    throw templateError('INVALID_TEMPLATE', `Parameter ${name}: maxLength must be a positive integer`);
+  }
+
+  return {
+    name,
+    type,
+    required: declaration.required ?? declaration.default === undefined,
+    default: declaration.default,
+    like,
+    maxLength,
+    values: type === 'enum' ? values : undefined,
+    description: declaration.description || null
+  };
+}
+
+/**
+ * Coerce a parameter value to its declared type
+ * @param {Object} param - Normalized parameter declaration
+ * @param {*} value - Supplied value (not null/undefined)
+ * @returns {Object} - { value } on success, { message } on failure
+ */
+function coerceParam(param, value) {
+  switch (param.type) {
+    case 'number': {
+      const number = typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value) ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number)
+        ? { value: number }
+        : { message: 'must be a number' };
+    }
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { message: 'must be a string' };
+      }
+      const string = String(value);
+      if (param.maxLength !== undefined && string.length > param.maxLength) {
+        return { message: `must be at most ${param.maxLength} characters long` };
+      }
+      return { value: param.like ? LIKE_PATTERNS[param.like](string) : string };
+    }
+    case 'date': {
+      const date = parseDate(value);
+      return date ? { value: date } : { message: 'must be a date (YYYY-MM-DD) or an ISO 8601 date-time' };
+    }
+    case 'enum':
+      return param.values.includes(value)
+        ? { value }
+        : { message: `must be one of: ${param.values.map(option => JSON.stringify(option)).join(', ')}` };
+    default:
+      return typeof value === 'string' || typeof value === 'number'
+        ? { value }
+        : { message: 'must be a string or number' };
+  }
+}
+
+/**
+ * Parse a date parameter
+ * Plain dates become local midnight, matching how oracledb binds Date values.
+ * @param {*} value - YYYY-MM-DD or ISO 8601 date-time string
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (validateSchema({ format: 'date' }, value).length === 0) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  if (validateSchema({ format: 'date-time' }, value).length === 0) {
+    return new Date(value);
+  }
+  return null;
+}
+
+/**
+ * Build the oracledb bind definition for a coerced value
+ * @param {Object} param - Normalized parameter declaration
+ * @param {*} value - Coerced value (may be null)
+ * @returns {Object} - { dir, type, val, maxSize? }
+ */
+function toBindDefinition(param, value) {
+  const type = param.type === 'enum'
+    ? (param.values.every(option => typeof option === 'number') ? 'number' : 'string')
+    : param.type || (typeof value === 'number' ? 'number' : 'string');
+
+  const bind = { dir: oracledb.BIND_IN, type: BIND_TYPES[type], val: value };
+  if (type === 'string') {
+    const sizes = param.type === 'enum' ? param.values.map(option => String(option)) : [value ?? ''];
+    bind.maxSize = Math.max(1, ...sizes.map(size => Buffer.byteLength(size, 'utf8')));
+  }
+  return bind;
+}
+
 /**
  * Fill a SQL template with bind variables
- * This function does NOT modify the template - it only returns the template and binds
- * The template must already be safe (no identifiers from LLM)
- * @param {string} template - SQL template with :bind placeholders
- * @param {Object} binds - Bind variable values
- * @returns {Object} - { sql: string, binds: Object }
+ * Values only ever travel as binds, so the template must already be safe (no
+ * identifiers from LLM); the only change to the SQL is an ESCAPE '\' clause after
+ * LIKE patterns holding a wrapped parameter. Values are validated and coerced
+ * against the template's parameter declarations (LIKE wrapping and escaping,
+ * defaults, date parsing) and returned as oracledb bind definitions.
+ * @param {string|Object} template - SQL template with :bind placeholders, or a template declaration
+ * @param {Object} binds - Parameter values keyed by bind name (case-insensitive)
+ * @returns {Object} - { sql: string, binds: Object } with binds keyed by uppercase bind name
+ * @throws {Error} - With code INVALID_TEMPLATE_PARAMS and error.violations ([{ path, message }])
+ *   if values are missing, unknown or of the wrong type; INVALID_TEMPLATE for a bad declaration
  */
 export function fillTemplate(template, binds = {}) {
-  if (typeof template !== 'string') {
-    throw new Error('Template must be a string');
+  if (typeof template !== 'string' && (!template || typeof template !== 'object')) {
+    throw templateError('INVALID_TEMPLATE', 'Template must be a SQL string or an object with a "sql" string');
   }
-  
+
   if (typeof binds !== 'object' || binds === null || Array.isArray(binds)) {
     throw new Error('Binds must be an object');
   }
-  
-  // The template should already be safe (from semantic mappings)
-  // We just return it as-is with the binds
-  // No interpolation of identifiers - only bind variables are used
+
+  const { sql, params } = normalizeTemplate(template);
+  const values = {};
+  const violations = [];
+
+  for (const [key, value] of Object.entries(binds)) {
+    const name = key.toUpperCase();
+    if (!params[name]) {
+      violations.push({ path: `params.${key}`, message: 'is not a parameter of this template' });
+    } else if (name in values) {
+      violations.push({ path: `params.${key}`, message: 'is given more than once' });
+    } else {
+      values[name] = value;
+    }
+  }
+
+  const bindDefinitions = {};
+  for (const [name, param] of Object.entries(params)) {
+    const value = values[name] ?? param.default ?? null;
+
+    if (value === null) {
+      if (param.required) {
+        violations.push({ path: `params.${param.name}`, message: 'is required' });
+      }
+      bindDefinitions[name] = toBindDefinition(param, null);
+      continue;
+    }
+
+    const coerced = coerceParam(param, value);
+    if (coerced.message) {
+      violations.push({ path: `params.${param.name}`, message: coerced.message });
+    } else {
+      bindDefinitions[name] = toBindDefinition(param, coerced.value);
+    }
+  }
+
+  if (violations.length > 0) {
+    const error = templateError('INVALID_TEMPLATE_PARAMS', `Invalid template parameters: ${formatViolations(violations)}`);
+    error.violations = violations;
+    throw error;
+  }
+
   return {
-    sql: template,
-    binds: binds
+    sql: addLikeEscapes(sql, params),
+    binds: bindDefinitions
   };
 }
 
 /**
  * Extract bind variable names from a SQL template
+ * Placeholders inside string literals and comments (e.g. 'HH24:MI') are not binds.
  * @param {string} template - SQL template
  * @returns {Array<string>} - Array of bind variable names (without colons)
+ * @throws {Error} - With code SQL_PARSE_ERROR if the template can't be tokenized
  */
 export function extractBindVariables(template) {
   if (typeof template !== 'string') {
     return [];
   }
-  
-  // Match :bindVariableName pattern
-  const bindPattern = /:([A-Z0-9_]+)/gi;
-  const matches = template.matchAll(bindPattern);
-  const bindVars = [];
-  
-  for (const match of matches) {
-    if (match[1]) {
-      bindVars.push(match[1].toUpperCase());
-    }
-  }
-  
+
+  const bindVars = tokenizeSql(template)
+    .filter(token => token.type === 'bind')
+    .map(token => token.value.toUpperCase());
+
   // Return unique bind variables
   return [...new Set(bindVars)];
 }
 
+/**
+ * Find the column each bind variable of a template is compared with
+ * Recognizes COLUMN <op> :bind, :bind <op> COLUMN, COLUMN [NOT] LIKE :bind and
+ * COLUMN BETWEEN :low AND :high; binds used any other way (e.g. inside a
+ * function call) are not listed.
+ * @param {string} template - SQL template
+ * @returns {Object} - Bind variable name (uppercase) -> { column, operator } with the
+ *   column uppercase and unqualified, operator one of the comparisons, LIKE or BETWEEN
+ */
+export function getBindColumns(template) {
+  const tokens = tokenizeSql(template);
+  const columns = {};
+
+  const columnAt = (index) => {
+    const token = tokens[index];
+    if (token?.type === 'word') return token.upper;
+    if (token?.type === 'identifier') return token.value;
+    return null;
+  };
+  const isComparison = (token) => token?.type === 'operator' && COMPARISON_OPERATORS.includes(token.value);
+  const isWord = (token, word) => token?.type === 'word' && token.upper === word;
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'bind') {
+      return;
+    }
+
+    const previous = tokens[index - 1];
+    let column = null;
+    let operator = null;
+
+    if (isComparison(previous) || isWord(previous, 'LIKE') || isWord(previous, 'BETWEEN')) {
+      column = columnAt(isWord(tokens[index - 2], 'NOT') ? index - 3 : index - 2);
+      operator = previous.type === 'word' ? previous.upper : previous.value;
+    } else if (isComparison(tokens[index + 1])) {
+      column = columnAt(index + 2);
+      operator = tokens[index + 1].value;
+    } else if (isWord(previous, 'AND') && tokens[index - 2]?.type === 'bind' && isWord(tokens[index - 3], 'BETWEEN')) {
+      column = columnAt(index - 4);
+      operator = 'BETWEEN';
+    }
+
+    if (column && !(token.value.toUpperCase() in columns)) {
+      columns[token.value.toUpperCase()] = { column, operator };
+    }
+  });
+
+  return columns;
+}
+
@@ -2,7 +2,11 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import { logger } from './logger.js';
-import { getPoolStats, isPoolReady } from './oracle.js';
+import { getPoolStats, getAllPoolStats, checkPoolsReady } from './oracle.js';
+import { getDefaultDatasource } from './datasources.js';
+import { getRateLimiterStats } from './rateLimiter.js';
+import { getMappingsReport } from './tools/getSemanticMappings.js';
+import { getDriftStatus } from './mappingDrift.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,7 +25,16 @@ const corsOptions = {
   origin: process.env.CORS_ORIGIN || '*', // TODO: Restrict to specific domains in production
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-mcp-api-key', 'x-api-key']
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'x-mcp-api-key',
+    'x-api-key',
+    'Mcp-Session-Id',
+    'Mcp-Protocol-Version',
+    'Last-Event-ID'
+  ],
+  exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate', 'Retry-After']
 };
 app.use(cors(corsOptions));
 
@@ -43,11 +56,14 @@ app.use((req, res, next) => {
 
 /**
  * Health check endpoint
- * Returns basic service status
+ * Returns basic service status, the pool of each datasource (oracle is the
+ * default datasource), plus the state of semantic mappings (last load and drift
+ * from the database) - informational, it doesn't affect status
  */
 app.get('/health', async (req, res) => {
   try {
     const poolStats = getPoolStats();
+    const mappingsReport = getMappingsReport();
     
     const health = {
       status: 'ok',
@@ -63,6 +79,16 @@ app.get('/health', async (req, res) => {
       } : {
         connected: false,
         message: 'Pool not initialized'
+      },
+      datasources: Object.fromEntries(Object.entries(getAllPoolStats()).map(([name, stats]) => [
+        name,
+        stats.error ? { connected: false, error: stats.error } : { connected: true, ...stats }
+      ])),
+      mappings: {
+        loadedAt: mappingsReport?.loadedAt || null,
+        tables: mappingsReport?.tables.length || 0,
+        skippedFiles: mappingsReport?.skipped.map(entry => entry.file) || [],
+        drift: getDriftStatus()
       }
     };
 
@@ -79,28 +105,35 @@ app.get('/health', async (req, res) => {
 
 /**
  * Readiness check endpoint
- * Verifies that the service is ready to accept requests (DB pool is ready)
+ * Verifies that the service is ready to accept requests (the default
+ * datasource's pool is ready); other datasources that aren't ready make the
+ * status "degraded" without failing the check
  */
 app.get('/ready', async (req, res) => {
   try {
-    const ready = await isPoolReady();
+    const defaultDatasource = getDefaultDatasource();
+    const datasources = await checkPoolsReady();
+    const ready = datasources[defaultDatasource] === true;
     
     if (ready) {
       const poolStats = getPoolStats();
+      const degraded = Object.values(datasources).some(poolReady => !poolReady);
       res.status(200).json({
-        status: 'ready',
+        status: degraded ? 'degraded' : 'ready',
         timestamp: new Date().toISOString(),
         oracle: {
           poolReady: true,
           connectionsOpen: poolStats?.connectionsOpen || 0,
           connectionsInUse: poolStats?.connectionsInUse || 0
-        }
+        },
+        datasources
       });
     } else {
       res.status(503).json({
         status: 'not ready',
         timestamp: new Date().toISOString(),
-        message: 'Oracle connection pool is not ready'
+        message: `Oracle connection pool is not ready (datasource ${defaultDatasource})`,
+        datasources
       });
     }
   } catch (error) {
@@ -119,8 +152,14 @@ app.get('/ready', async (req, res) => {
  */
 app.get('/metrics', async (req, res) => {
   try {
-    const poolStats = getPoolStats();
+    const poolStats = Object.entries(getAllPoolStats()).filter(([_, stats]) => !stats.error);
+    const limiterStats = getRateLimiterStats();
+    // Principal buckets are only counted - their keys name API keys and token subjects
+    const toolBuckets = limiterStats.buckets.filter(bucket => bucket.key.startsWith('tool:'));
+    const principalBuckets = limiterStats.buckets.filter(bucket => bucket.key.startsWith('principal:'));
     const uptime = process.uptime();
+    // Escape Prometheus label values
+    const label = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
     
     // Prometheus-formatted metrics
     const metrics = [
@@ -128,21 +167,61 @@ app.get('/metrics', async (req, res) => {
       '# TYPE mcp_oracle_uptime_seconds gauge',
       `mcp_oracle_uptime_seconds ${uptime}`,
       '',
+      '# HELP mcp_oracle_pool_up Whether each datasource\'s pool started (1) or failed (0)',
+      '# TYPE mcp_oracle_pool_up gauge',
+      ...Object.entries(getAllPoolStats()).map(([name, stats]) => `mcp_oracle_pool_up{datasource="${label(name)}"} ${stats.error ? 0 : 1}`),
+      '',
       '# HELP mcp_oracle_pool_connections_open Current number of open connections',
       '# TYPE mcp_oracle_pool_connections_open gauge',
-      `mcp_oracle_pool_connections_open ${poolStats?.connectionsOpen || 0}`,
+      ...poolStats.map(([name, stats]) => `mcp_oracle_pool_connections_open{datasource="${label(name)}"} ${stats.connectionsOpen || 0}`),
       '',
       '# HELP mcp_oracle_pool_connections_in_use Current number of connections in use',
       '# TYPE mcp_oracle_pool_connections_in_use gauge',
-      `mcp_oracle_pool_connections_in_use ${poolStats?.connectionsInUse || 0}`,
+      ...poolStats.map(([name, stats]) => `mcp_oracle_pool_connections_in_use{datasource="${label(name)}"} ${stats.connectionsInUse || 0}`),
       '',
       '# HELP mcp_oracle_pool_min Minimum pool size',
       '# TYPE mcp_oracle_pool_min gauge',
-      `mcp_oracle_pool_min ${poolStats?.poolMin || 0}`,
+      ...poolStats.map(([name, stats]) => `mcp_oracle_pool_min{datasource="${label(name)}"} ${stats.poolMin || 0}`),
       '',
       '# HELP mcp_oracle_pool_max Maximum pool size',
       '# TYPE mcp_oracle_pool_max gauge',
-      `mcp_oracle_pool_max ${poolStats?.poolMax || 0}`
+      ...poolStats.map(([name, stats]) => `mcp_oracle_pool_max{datasource="${label(name)}"} ${stats.poolMax || 0}`),
+      '',
+      '# HELP mcp_rate_limit_tokens Tokens left in each tool rate limit bucket (tool:<name>)',
+      '# TYPE mcp_rate_limit_tokens gauge',
+      ...toolBuckets.map(bucket => `mcp_rate_limit_tokens{bucket="${label(bucket.key)}"} ${bucket.tokens.toFixed(2)}`),
+      '',
+      '# HELP mcp_rate_limit_capacity Burst capacity of each tool rate limit bucket',
+      '# TYPE mcp_rate_limit_capacity gauge',
+      ...toolBuckets.map(bucket => `mcp_rate_limit_capacity{bucket="${label(bucket.key)}"} ${bucket.capacity}`),
+      '',
+      '# HELP mcp_rate_limit_principals Principals with a rate limit bucket',
+      '# TYPE mcp_rate_limit_principals gauge',
+      `mcp_rate_limit_principals ${principalBuckets.length}`,
+      '',
+      '# HELP mcp_rate_limit_principals_exhausted Principals that have used up their rate limit',
+      '# TYPE mcp_rate_limit_principals_exhausted gauge',
+      `mcp_rate_limit_principals_exhausted ${principalBuckets.filter(bucket => bucket.tokens < 1).length}`,
+      '',
+      '# HELP mcp_tool_calls_in_flight Tool calls currently running',
+      '# TYPE mcp_tool_calls_in_flight gauge',
+      ...Object.entries(limiterStats.inFlight).map(([tool, slots]) => `mcp_tool_calls_in_flight{tool="${label(tool)}"} ${slots.running}`),
+      '',
+      '# HELP mcp_tool_calls_max_in_flight Concurrency cap per tool (0 = unlimited)',
+      '# TYPE mcp_tool_calls_max_in_flight gauge',
+      ...Object.entries(limiterStats.inFlight).map(([tool, slots]) => `mcp_tool_calls_max_in_flight{tool="${label(tool)}"} ${slots.max}`),
+      '',
+      '# HELP mcp_database_calls_in_flight Calls to database tools currently running',
+      '# TYPE mcp_database_calls_in_flight gauge',
+      `mcp_database_calls_in_flight ${limiterStats.database.running}`,
+      '',
+      '# HELP mcp_database_calls_max_in_flight Concurrency cap shared by database tools (0 = unlimited)',
+      '# TYPE mcp_database_calls_max_in_flight gauge',
+      `mcp_database_calls_max_in_flight ${limiterStats.database.max}`,
+      '',
+      '# HELP mcp_rate_limit_rejected_total Tool calls rejected by rate limits and concurrency caps',
+      '# TYPE mcp_rate_limit_rejected_total counter',
+      ...Object.entries(limiterStats.rejected).map(([limit, count]) => `mcp_rate_limit_rejected_total{limit="${limit}"} ${count}`)
     ].join('\n');
 
     res.set('Content-Type', 'text/plain; version=0.0.4');
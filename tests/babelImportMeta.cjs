@@ -0,0 +1,15 @@
+/**
+ * Babel plugin for Jest: replaces import.meta.url with the module's file URL
+ * Uses module.filename because the sources declare their own __filename.
+ */
+module.exports = function importMetaUrl({ template }) {
+  return {
+    visitor: {
+      MetaProperty(path) {
+        if (path.parentPath.isMemberExpression() && path.parent.property.name === 'url') {
+          path.parentPath.replaceWith(template.expression.ast`require('url').pathToFileURL(module.filename).href`);
+        }
+      }
+    }
+  };
+};
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for API key authentication
+ * Tests the keys file, per-key tool permissions and the attached principal
+ */
+import { describe, it, expect, jest, beforeEach, afterEach, afterAll } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { mcpApiKeyAuth, hashApiKey, loadApiKeys, clearAuthCache, isToolAllowed, requireScope, ADMIN_SCOPE } from '../../src/auth.js';
+import { listTools, callTool } from '../../src/mcpHandlers.js';
+import { JSONRPC_ERRORS } from '../../src/util/jsonRpc.js';
+
+// Mock oracle module
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+const tempDir = mkdtempSync(join(tmpdir(), 'mcp-auth-'));
+
+function writeKeysFile(keys) {
+  const file = join(tempDir, `keys-${Math.random().toString(36).slice(2)}.json`);
+  writeFileSync(file, JSON.stringify({ keys }));
+  return file;
+}
+
+function createRequest(headers = {}) {
+  return { headers, path: '/mcp', ip: '127.0.0.1' };
+}
+
+function createResponse() {
+  return {
+    statusCode: null,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+}
+
+async function authenticate(headers) {
+  const req = createRequest(headers);
+  const res = createResponse();
+  const next = jest.fn();
+  await mcpApiKeyAuth(req, res, next);
+  return { req, res, next };
+}
+
+describe('mcpApiKeyAuth', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.MCP_API_KEY;
+    delete process.env.MCP_API_KEYS_FILE;
+    delete process.env.NODE_ENV;
+    clearAuthCache();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should attach the principal of the matching key', async () => {
+    process.env.MCP_API_KEYS_FILE = writeKeysFile([
+      { name: 'telnyx-agent', hash: hashApiKey('voice-secret'), tools: ['searchPatients'], scopes: ['patients:read'] },
+      { name: 'analyst-bot', hash: hashApiKey('analyst-secret') }
+    ]);
+
+    const { req, next } = await authenticate({ 'x-mcp-api-key': 'voice-secret' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.principal).toEqual({
+      type: 'api-key',
+      name: 'telnyx-agent',
+      tools: ['searchPatients'],
+      scopes: ['patients:read']
+    });
+
+    const bearer = await authenticate({ authorization: 'Bearer analyst-secret' });
+    expect(bearer.req.principal.name).toBe('analyst-bot');
+    expect(bearer.req.principal.tools).toBeNull();
+  });
+
+  it('should reject unknown, disabled and expired keys', async () => {
+    process.env.MCP_API_KEYS_FILE = writeKeysFile([
+      { name: 'old-job', hash: hashApiKey('old-secret'), expiresAt: '2020-01-01T00:00:00Z' },
+      { name: 'paused', hash: hashApiKey('paused-secret'), enabled: false }
+    ]);
+
+    const unknown = await authenticate({ 'x-api-key': 'nope' });
+    expect(unknown.res.statusCode).toBe(401);
+    expect(unknown.res.body.error.code).toBe(JSONRPC_ERRORS.UNAUTHORIZED);
+    expect(unknown.next).not.toHaveBeenCalled();
+
+    const expired = await authenticate({ 'x-api-key': 'old-secret' });
+    expect(expired.res.statusCode).toBe(401);
+    expect(expired.res.body.error.message).toBe('Unauthorized: API key has expired');
+
+    const disabled = await authenticate({ 'x-api-key': 'paused-secret' });
+    expect(disabled.res.statusCode).toBe(401);
+    expect(disabled.res.body.error.message).toBe('Unauthorized: API key is disabled');
+
+    const missing = await authenticate({});
+    expect(missing.res.statusCode).toBe(401);
+  });
+
+  it('should keep accepting the single MCP_API_KEY as the "default" principal', async () => {
+    process.env.MCP_API_KEY = 'shared-secret';
+
+    const { req, next } = await authenticate({ 'x-mcp-api-key': 'shared-secret' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.principal.name).toBe('default');
+    expect(req.principal.tools).toBeNull();
+  });
+
+  it('should reject a keys file entry named like the MCP_API_KEY principal', async () => {
+    process.env.MCP_API_KEY = 'shared-secret';
+    process.env.MCP_API_KEYS_FILE = writeKeysFile([{ name: 'default', hash: hashApiKey('other-secret') }]);
+
+    await expect(loadApiKeys()).rejects.toThrow('API key name "default" is reserved for MCP_API_KEY');
+
+    const { res, next } = await authenticate({ 'x-mcp-api-key': 'other-secret' });
+    expect(res.statusCode).toBe(500);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should fail closed when the keys file is malformed', async () => {
+    process.env.MCP_API_KEYS_FILE = writeKeysFile([{ name: 'plain', hash: 'voice-secret' }]);
+
+    const { res, next } = await authenticate({ 'x-mcp-api-key': 'voice-secret' });
+
+    expect(res.statusCode).toBe(500);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('per-key tool permissions', () => {
+  const principal = { type: 'api-key', name: 'telnyx-agent', tools: ['searchPatients'], scopes: [] };
+
+  it('should allow every tool when the principal has no tool list', () => {
+    expect(isToolAllowed(null, 'runQuery')).toBe(true);
+    expect(isToolAllowed({ name: 'analyst-bot', tools: null }, 'runQuery')).toBe(true);
+    expect(isToolAllowed(principal, 'runQuery')).toBe(false);
+  });
+
+  it('should only list permitted tools', async () => {
+    const result = await listTools({ principal });
+    expect(result.tools.map(tool => tool.name)).toEqual(['searchPatients']);
+  });
+
+  it('should reject calls to tools outside the key\'s permissions', async () => {
+    await expect(callTool(
+      { name: 'runQuery', arguments: { sql: 'SELECT 1 FROM dual', approved: true } },
+      { principal }
+    )).rejects.toMatchObject({
+      code: JSONRPC_ERRORS.FORBIDDEN,
+      data: { tool: 'runQuery', principal: 'telnyx-agent' }
+    });
+  });
+});
+
+describe('requireScope', () => {
+  it('should only let principals with the scope through', () => {
+    const middleware = requireScope(ADMIN_SCOPE);
+
+    const allowed = { ...createRequest(), principal: { name: 'ops', scopes: ['admin'] } };
+    const next = jest.fn();
+    middleware(allowed, createResponse(), next);
+    expect(next).toHaveBeenCalled();
+
+    const denied = { ...createRequest(), principal: { type: 'anonymous', name: 'anonymous', tools: null, scopes: [] } };
+    const res = createResponse();
+    const deniedNext = jest.fn();
+    middleware(denied, res, deniedNext);
+    expect(deniedNext).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error.code).toBe(JSONRPC_ERRORS.FORBIDDEN);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for named datasources and query routing
+ */
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import oracledb from 'oracledb';
+import { initPools, executeQuery, closePool, getAllPoolStats, checkPoolsReady } from '../../src/oracle.js';
+import { getDatasourceConfigs, getDefaultDatasource, getToolDatasource } from '../../src/datasources.js';
+import { runWithContext } from '../../src/requestContext.js';
+
+jest.mock('oracledb', () => ({
+  OUT_FORMAT_OBJECT: 'object',
+  createPool: jest.fn(),
+  initOracleClient: jest.fn()
+}));
+
+/**
+ * Fake pool whose connections answer every query with the pool's name
+ */
+function fakePool(config) {
+  const connection = {
+    execute: jest.fn(async () => ({ rows: [{ DATASOURCE: config.connectString }], metaData: [] })),
+    close: jest.fn()
+  };
+  return {
+    poolMin: config.poolMin,
+    poolMax: config.poolMax,
+    connectionsOpen: 1,
+    connectionsInUse: 0,
+    getConnection: jest.fn(async () => connection),
+    close: jest.fn()
+  };
+}
+
+describe('datasource configuration', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should read each datasource from its own variables', () => {
+    Object.assign(process.env, {
+      ORACLE_USER: 'app',
+      ORACLE_PASS: 'secret',
+      ORACLE_CONN: 'primary/APP',
+      ORACLE_POOL_MAX: '8',
+      ORACLE_DATASOURCES: 'replica, bad-name',
+      ORACLE_REPLICA_USER: 'reader',
+      ORACLE_REPLICA_CONN: 'replica/APP',
+      ORACLE_REPLICA_POOL_MAX: '4'
+    });
+    delete process.env.ORACLE_REPLICA_PASS;
+
+    const configs = getDatasourceConfigs();
+
+    expect(configs.map(config => config.name)).toEqual(['default', 'replica']);
+    expect(configs[0]).toMatchObject({ user: 'app', connectionString: 'primary/APP', poolMax: 8, missing: [] });
+    expect(configs[1]).toMatchObject({ user: 'reader', connectionString: 'replica/APP', poolMax: 4, missing: ['ORACLE_REPLICA_PASS'] });
+  });
+
+  it('should pick the default datasource and tool routes', () => {
+    delete process.env.ORACLE_CONN;
+    delete process.env.ORACLE_DEFAULT_DATASOURCE;
+    process.env.ORACLE_DATASOURCES = 'clinic2,replica';
+    process.env.ORACLE_TOOL_DATASOURCES = '{"listTables":"replica"}';
+
+    expect(getDefaultDatasource()).toBe('clinic2');
+    expect(getToolDatasource('listTables')).toBe('replica');
+    expect(getToolDatasource('runQuery')).toBeNull();
+
+    process.env.ORACLE_TOOL_DATASOURCES = 'not json';
+    expect(getToolDatasource('listTables')).toBeNull();
+  });
+});
+
+describe('datasource routing', () => {
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    process.env.ORACLE_CONN = 'primary';
+    process.env.ORACLE_DATASOURCES = 'replica,broken';
+    delete process.env.ORACLE_DEFAULT_DATASOURCE;
+    delete process.env.ORACLE_TOOL_DATASOURCES;
+    oracledb.createPool.mockImplementation(async config => {
+      if (config.connectString === 'broken') {
+        throw new Error('ORA-12154: TNS:could not resolve the connect identifier');
+      }
+      return fakePool(config);
+    });
+
+    await initPools([
+      { name: 'default', connectionString: 'primary' },
+      { name: 'replica', connectionString: 'replica', poolMax: 4 },
+      { name: 'broken', connectionString: 'broken' }
+    ]);
+  });
+
+  afterEach(async () => {
+    await closePool();
+    process.env = { ...env };
+  });
+
+  it('should start the pools that can start', async () => {
+    expect(oracledb.createPool).toHaveBeenCalledWith(expect.objectContaining({ connectString: 'replica', poolMax: 4 }));
+    expect(getAllPoolStats()).toEqual({
+      default: expect.objectContaining({ connectionsOpen: 1 }),
+      replica: expect.objectContaining({ poolMax: 4 }),
+      broken: { error: 'ORA-12154: TNS:could not resolve the connect identifier' }
+    });
+    expect(await checkPoolsReady()).toEqual({ default: true, replica: true, broken: false });
+  });
+
+  it('should run queries on the requested datasource', async () => {
+    expect((await executeQuery('SELECT 1 FROM DUAL')).rows).toEqual([{ DATASOURCE: 'primary' }]);
+    expect((await executeQuery('SELECT 1 FROM DUAL', {}, { datasource: 'replica' })).rows).toEqual([{ DATASOURCE: 'replica' }]);
+  });
+
+  it('should route tools by ORACLE_TOOL_DATASOURCES unless a datasource is requested', async () => {
+    process.env.ORACLE_TOOL_DATASOURCES = '{"listTables":"replica"}';
+
+    const routed = await runWithContext({ tool: 'listTables' }, () => executeQuery('SELECT 1 FROM DUAL'));
+    const requested = await runWithContext({ tool: 'listTables' }, () => executeQuery('SELECT 1 FROM DUAL', {}, { datasource: 'default' }));
+
+    expect(routed.rows).toEqual([{ DATASOURCE: 'replica' }]);
+    expect(requested.rows).toEqual([{ DATASOURCE: 'primary' }]);
+  });
+
+  it('should reject unknown and unavailable datasources', async () => {
+    await expect(executeQuery('SELECT 1 FROM DUAL', {}, { datasource: 'nope' }))
+      .rejects.toMatchObject({ errorNum: 'UNKNOWN_DATASOURCE', message: expect.stringContaining('default, replica') });
+    await expect(executeQuery('SELECT 1 FROM DUAL', {}, { datasource: 'broken' }))
+      .rejects.toMatchObject({ errorNum: 'UNKNOWN_DATASOURCE', message: expect.stringContaining('ORA-12154') });
+  });
+});
@@ -1,6 +1,7 @@
 /**
  * Unit tests for getSchema tool
  * Tests that it uses validated interpolation instead of bind variables for identifiers
+ * and only describes tables declared in semantic mappings
  */
 import { describe, it, expect, jest, beforeEach } from '@jest/globals';
 import { getSchema } from '../../src/tools/getSchema.js';
@@ -26,14 +27,14 @@ describe('getSchema', () => {
 
     await getSchema({
       tableName: 'PATIENT_MASTER',
-      schema: 'PS_MCPUSER'
+      schema: 'P_COMMONUSEROBJECT'
     });
 
     expect(executeQuery).toHaveBeenCalled();
     const sql = executeQuery.mock.calls[0][0];
     
     // Should use string interpolation, not bind variables for identifiers
-    expect(sql).toContain("owner = 'PS_MCPUSER'");
+    expect(sql).toContain("owner = 'P_COMMONUSEROBJECT'");
     expect(sql).toContain("table_name = 'PATIENT_MASTER'");
     expect(sql).not.toContain(':schema');
     expect(sql).not.toContain(':tableName');
@@ -54,7 +55,7 @@ describe('getSchema', () => {
     expect(result.error.message).toContain('illegal characters');
   });
 
-  it('should handle table name without schema', async () => {
+  it('should use the mapping schema when no schema is given', async () => {
     executeQuery.mockResolvedValue({
       rows: [],
       rowCount: 0
@@ -65,11 +66,32 @@ describe('getSchema', () => {
     });
 
     const sql = executeQuery.mock.calls[0][0];
-    // Should use user_tab_columns when no schema
-    expect(sql).toContain('user_tab_columns');
+    expect(sql).toContain('all_tab_columns');
+    expect(sql).toContain("owner = 'P_COMMONUSEROBJECT'");
     expect(sql).toContain("table_name = 'PATIENT_MASTER'");
   });
 
+  it('should reject tables not declared in semantic mappings', async () => {
+    const result = await getSchema({
+      tableName: 'SYS.ALL_USERS'
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('TABLE_NOT_ALLOWED');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should reject a mapped table under a different schema', async () => {
+    const result = await getSchema({
+      tableName: 'PATIENT_MASTER',
+      schema: 'PS_MCPUSER'
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('TABLE_NOT_ALLOWED');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
   it('should normalize table and schema names to uppercase', async () => {
     executeQuery.mockResolvedValue({
       rows: [],
@@ -78,12 +100,23 @@ describe('getSchema', () => {
 
     await getSchema({
       tableName: 'patient_master',
-      schema: 'ps_mcpuser'
+      schema: 'p_commonuserobject'
     });
 
     const sql = executeQuery.mock.calls[0][0];
     expect(sql).toContain("table_name = 'PATIENT_MASTER'");
-    expect(sql).toContain("owner = 'PS_MCPUSER'");
+    expect(sql).toContain("owner = 'P_COMMONUSEROBJECT'");
   });
-});
 
+  it('should only describe tables on their mapped datasource', async () => {
+    executeQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+
+    const allowed = await getSchema({ tableName: 'PATIENT_MASTER', datasource: 'default' });
+    const other = await getSchema({ tableName: 'PATIENT_MASTER', datasource: 'billing' });
+
+    expect(allowed.success).toBe(true);
+    expect(other.success).toBe(false);
+    expect(other.error.code).toBe('DATASOURCE_NOT_ALLOWED');
+    expect(executeQuery.mock.calls.map(call => call[2].datasource)).toEqual(['default', 'default']);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Local stand-in OAuth 2.1 authorization server for tests
+ * Publishes RFC 8414 metadata and a JWKS, and issues RS256 access tokens
+ * from a throwaway key pair via the client_credentials grant.
+ */
+import express from 'express';
+import { createKeyPair, signToken } from './tokens.js';
+
+export const TEST_CLIENT = { id: 'test-client', secret: 'test-client-secret' };
+
+/**
+ * Start the authorization server on a random local port
+ * @returns {Promise<Object>} { issuer, jwks, close }
+ */
+export async function startAuthServer() {
+  const key = createKeyPair('RS256', 'test-key-1');
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  let issuer = null;
+
+  app.get('/.well-known/oauth-authorization-server', (req, res) => {
+    res.json({
+      issuer,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks.json`,
+      grant_types_supported: ['client_credentials'],
+      token_endpoint_auth_methods_supported: ['client_secret_post']
+    });
+  });
+
+  app.get('/jwks.json', (req, res) => {
+    res.json({ keys: [key.jwk] });
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, client_id, client_secret, scope = '', resource } = req.body;
+
+    if (grant_type !== 'client_credentials') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    if (client_id !== TEST_CLIENT.id || client_secret !== TEST_CLIENT.secret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!resource) {
+      return res.status(400).json({ error: 'invalid_target' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = signToken({
+      iss: issuer,
+      sub: client_id,
+      aud: resource,
+      scope,
+      iat: now,
+      exp: now + 300
+    }, key);
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, scope });
+  });
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Test helpers for issuing JWTs from throwaway key pairs
+ */
+import { generateKeyPairSync, createHmac, sign } from 'crypto';
+
+/**
+ * Generate a signing key pair and its public JWK
+ * @param {string} alg - RS256 or ES256
+ * @param {string} kid - Key id
+ * @returns {Object} { alg, kid, privateKey, jwk }
+ */
+export function createKeyPair(alg, kid) {
+  const { publicKey, privateKey } = alg === 'ES256'
+    ? generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  return {
+    alg,
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' }
+  };
+}
+
+/**
+ * Sign a JWT
+ * @param {Object} payload - Claims
+ * @param {Object} signer - Key pair from createKeyPair, or { alg: 'HS256', secret }
+ * @param {Object} header - Extra header fields
+ * @returns {string} Compact JWT
+ */
+export function signToken(payload, signer, header = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: signer.alg, typ: 'JWT', kid: signer.kid, ...header })}.${encode(payload)}`;
+
+  let signature;
+  if (signer.alg === 'HS256') {
+    signature = createHmac('sha256', signer.secret).update(signingInput).digest();
+  } else if (signer.alg === 'ES256') {
+    signature = sign('sha256', Buffer.from(signingInput), { key: signer.privateKey, dsaEncoding: 'ieee-p1363' });
+  } else {
+    signature = sign('sha256', Buffer.from(signingInput), signer.privateKey);
+  }
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
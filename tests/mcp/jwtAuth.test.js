@@ -0,0 +1,209 @@
+/**
+ * Unit tests for JWT bearer authentication
+ * Tests signature verification, registered claims and the principal mapping
+ */
+import { describe, it, expect, jest, beforeEach, afterEach, afterAll } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { jwtAuth, mcpAuth, clearAuthCache, initAuth } from '../../src/auth.js';
+import { verifyJwt, importJwks } from '../../src/util/jwt.js';
+import { createKeyPair, signToken } from './helpers/tokens.js';
+
+const tempDir = mkdtempSync(join(tmpdir(), 'mcp-jwt-'));
+const rsaKey = createKeyPair('RS256', 'rsa-1');
+const ecKey = createKeyPair('ES256', 'ec-1');
+const jwksFile = join(tempDir, 'jwks.json');
+writeFileSync(jwksFile, JSON.stringify({ keys: [rsaKey.jwk, ecKey.jwk] }));
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function claims(overrides = {}) {
+  return {
+    iss: 'https://sso.example.com',
+    aud: 'mcp-oracle',
+    sub: 'analyst@example.com',
+    scope: 'patients:read sql:read',
+    tenant: 'clinic-42',
+    exp: now() + 300,
+    ...overrides
+  };
+}
+
+async function authenticate(middleware, headers) {
+  const req = {
+    headers,
+    path: '/mcp',
+    ip: '127.0.0.1',
+    protocol: 'http',
+    get(name) {
+      return name.toLowerCase() === 'host' ? 'localhost:3000' : undefined;
+    }
+  };
+  const res = {
+    statusCode: null,
+    body: undefined,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+}
+
+describe('verifyJwt', () => {
+  const keys = importJwks({ keys: [rsaKey.jwk, ecKey.jwk] });
+  const options = { keys, issuers: ['https://sso.example.com'], audiences: ['mcp-oracle'], clockSkew: 60 };
+
+  it('should verify RS256, ES256 and HS256 tokens', () => {
+    expect(verifyJwt(signToken(claims(), rsaKey), options).sub).toBe('analyst@example.com');
+    expect(verifyJwt(signToken(claims(), ecKey), options).sub).toBe('analyst@example.com');
+
+    const hsToken = signToken(claims(), { alg: 'HS256', secret: 'shared-secret' });
+    expect(verifyJwt(hsToken, { ...options, keys: [], secret: 'shared-secret' }).tenant).toBe('clinic-42');
+  });
+
+  it('should apply clock skew to exp and nbf', () => {
+    expect(() => verifyJwt(signToken(claims({ exp: now() - 30 }), rsaKey), options)).not.toThrow();
+    expect(() => verifyJwt(signToken(claims({ exp: now() - 120 }), rsaKey), options))
+      .toThrow(expect.objectContaining({ code: 'TOKEN_EXPIRED' }));
+    expect(() => verifyJwt(signToken(claims({ nbf: now() + 30 }), rsaKey), options)).not.toThrow();
+    expect(() => verifyJwt(signToken(claims({ nbf: now() + 120 }), rsaKey), options))
+      .toThrow(expect.objectContaining({ code: 'TOKEN_NOT_YET_VALID' }));
+  });
+
+  it('should reject wrong issuer and audience', () => {
+    expect(() => verifyJwt(signToken(claims({ iss: 'https://evil.example.com' }), rsaKey), options))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ISSUER' }));
+    expect(() => verifyJwt(signToken(claims({ aud: ['other-api'] }), rsaKey), options))
+      .toThrow(expect.objectContaining({ code: 'INVALID_AUDIENCE' }));
+  });
+
+  it('should reject forged and unsigned tokens', () => {
+    const otherKey = createKeyPair('RS256', 'rsa-1');
+    expect(() => verifyJwt(signToken(claims(), otherKey), options))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+
+    const unsigned = signToken(claims(), rsaKey).split('.').slice(0, 2).join('.') + '.';
+    const noneToken = unsigned.replace(/^[^.]+/, Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url'));
+    expect(() => verifyJwt(noneToken, options))
+      .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_ALGORITHM' }));
+  });
+
+  it('should not verify HS256 tokens with a public key (algorithm confusion)', () => {
+    const publicKeyPem = keys[0].key.export({ format: 'pem', type: 'spki' });
+    const forged = signToken(claims(), { alg: 'HS256', kid: 'rsa-1', secret: publicKeyPem });
+
+    expect(() => verifyJwt(forged, options)).toThrow(expect.objectContaining({ code: 'UNKNOWN_KEY' }));
+  });
+});
+
+describe('jwtAuth', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    clearAuthCache();
+    delete process.env.MCP_API_KEY;
+    delete process.env.MCP_API_KEYS_FILE;
+    delete process.env.JWT_SECRET;
+    process.env.JWT_JWKS_FILE = jwksFile;
+    process.env.JWT_ISSUER = 'https://sso.example.com';
+    process.env.JWT_AUDIENCE = 'mcp-oracle';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should map claims onto the principal', async () => {
+    process.env.JWT_TENANT_CLAIM = 'org';
+    const token = signToken(claims({ org: 'clinic-7' }), ecKey);
+
+    const { req, next } = await authenticate(jwtAuth, { authorization: `Bearer ${token}` });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.principal).toEqual({
+      type: 'jwt',
+      name: 'analyst@example.com',
+      subject: 'analyst@example.com',
+      issuer: 'https://sso.example.com',
+      tenant: 'clinic-7',
+      tools: null,
+      scopes: ['patients:read', 'sql:read']
+    });
+  });
+
+  it('should reject missing and invalid tokens with 401', async () => {
+    const missing = await authenticate(jwtAuth, {});
+    expect(missing.res.statusCode).toBe(401);
+    expect(missing.next).not.toHaveBeenCalled();
+
+    const expired = await authenticate(jwtAuth, {
+      authorization: `Bearer ${signToken(claims({ exp: now() - 3600 }), rsaKey)}`
+    });
+    expect(expired.res.statusCode).toBe(401);
+    expect(expired.res.body.error.message).toBe('Unauthorized: Token has expired');
+    expect(expired.res.headers['WWW-Authenticate']).toBe(
+      'Bearer resource_metadata="http://localhost:3000/.well-known/oauth-protected-resource/mcp", ' +
+      'error="invalid_token", error_description="Unauthorized: Token has expired"'
+    );
+  });
+
+  it('should accept API keys and JWTs side by side', async () => {
+    process.env.MCP_AUTH_MODE = 'api-key,jwt';
+    process.env.MCP_API_KEY = 'shared-secret';
+
+    const viaKey = await authenticate(mcpAuth, { 'x-mcp-api-key': 'shared-secret' });
+    expect(viaKey.req.principal.name).toBe('default');
+
+    const viaBearerKey = await authenticate(mcpAuth, { authorization: 'Bearer shared-secret' });
+    expect(viaBearerKey.req.principal.name).toBe('default');
+
+    const viaJwt = await authenticate(mcpAuth, { authorization: `Bearer ${signToken(claims(), rsaKey)}` });
+    expect(viaJwt.req.principal.type).toBe('jwt');
+
+    const anonymous = await authenticate(mcpAuth, {});
+    expect(anonymous.res.statusCode).toBe(401);
+  });
+
+  it('should refuse to start or accept tokens without an issuer and audience', async () => {
+    process.env.MCP_AUTH_MODE = 'jwt';
+    const token = signToken(claims(), rsaKey);
+
+    for (const variable of ['JWT_ISSUER', 'JWT_AUDIENCE']) {
+      clearAuthCache();
+      process.env.JWT_ISSUER = 'https://sso.example.com';
+      process.env.JWT_AUDIENCE = 'mcp-oracle';
+      delete process.env[variable];
+
+      await expect(initAuth()).rejects.toThrow(variable);
+      const { res, next } = await authenticate(jwtAuth, { authorization: `Bearer ${token}` });
+      expect(res.statusCode).toBe(500);
+      expect(next).not.toHaveBeenCalled();
+    }
+  });
+
+  it('should only accept JWTs in jwt mode', async () => {
+    process.env.MCP_AUTH_MODE = 'jwt';
+    process.env.MCP_API_KEY = 'shared-secret';
+
+    const { res, next } = await authenticate(mcpAuth, { 'x-mcp-api-key': 'shared-secret' });
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
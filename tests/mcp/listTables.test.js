@@ -0,0 +1,73 @@
+/**
+ * Unit tests for listTables tool
+ * Tests that only tables declared in semantic mappings are listed
+ */
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import { listTables } from '../../src/tools/listTables.js';
+import { executeQuery } from '../../src/oracle.js';
+
+// Mock oracle module
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+describe('listTables', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should only query tables declared in semantic mappings', async () => {
+    executeQuery.mockResolvedValue({
+      rows: [{ OWNER: 'P_COMMONUSEROBJECT', TABLE_NAME: 'PATIENT_MASTER' }],
+      rowCount: 1
+    });
+
+    const result = await listTables({});
+
+    expect(result.success).toBe(true);
+    expect(result.data.tables).toEqual(['PATIENT_MASTER']);
+
+    const sql = executeQuery.mock.calls[0][0];
+    expect(sql).toContain("owner = 'P_COMMONUSEROBJECT'");
+    expect(sql).toContain("table_name IN ('PATIENT_MASTER')");
+    expect(executeQuery.mock.calls[0][1]).toEqual({});
+  });
+
+  it('should filter by a mapped schema', async () => {
+    executeQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+
+    const result = await listTables({ schema: 'p_commonuserobject' });
+
+    expect(result.success).toBe(true);
+    expect(result.data.schema).toBe('P_COMMONUSEROBJECT');
+  });
+
+  it('should reject schemas without mapped tables', async () => {
+    const result = await listTables({ schema: 'SYS' });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('SCHEMA_NOT_ALLOWED');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should validate the schema identifier', async () => {
+    const result = await listTables({ schema: "SYS' OR '1'='1" });
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toContain('illegal characters');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should only list tables on their mapped datasource', async () => {
+    executeQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+
+    const allowed = await listTables({ datasource: 'default' });
+    const other = await listTables({ datasource: 'billing' });
+
+    expect(allowed.success).toBe(true);
+    expect(other.success).toBe(false);
+    expect(other.error.code).toBe('DATASOURCE_NOT_ALLOWED');
+    expect(executeQuery).toHaveBeenCalledTimes(1);
+    expect(executeQuery.mock.calls[0][2].datasource).toBe('default');
+  });
+});
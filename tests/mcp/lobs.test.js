@@ -0,0 +1,135 @@
+/**
+ * Unit tests for LOB conversion of query results
+ */
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import oracledb from 'oracledb';
+import { convertLobs, detectMimeType, getLobOverrides } from '../../src/lobs.js';
+
+// Stand-in for oracledb's Lob class, recognised by its constructor name
+class Lob {
+  constructor(type, content) {
+    this.type = type;
+    this.length = content.length;
+    this.getData = jest.fn(async (offset, amount) => content.slice(offset - 1, offset - 1 + amount));
+    this.destroy = jest.fn();
+  }
+}
+
+function clob(text) {
+  return new Lob(oracledb.DB_TYPE_CLOB, text);
+}
+
+function blob(buffer) {
+  return new Lob(oracledb.DB_TYPE_BLOB, buffer);
+}
+
+const PDF = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(1000, 0x20)]);
+
+describe('convertLobs', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.LOB_MAX_CHARS;
+    delete process.env.LOB_BLOB_MODE;
+    delete process.env.LOB_MAX_BYTES;
+    delete process.env.LOB_MAX_TOTAL_BYTES;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should return CLOB text and mark truncated values', async () => {
+    process.env.LOB_MAX_CHARS = '5';
+    const short = clob('abc');
+    const long = clob('abcdefghij');
+
+    const [row] = await convertLobs([{ ID: 1, A: short, B: long }]);
+
+    expect(row).toEqual({ ID: 1, A: 'abc', B: 'abcde\n[truncated: 5 of 10 characters]' });
+    expect(long.getData).toHaveBeenCalledWith(1, 5);
+    expect(short.destroy).toHaveBeenCalled();
+    expect(long.destroy).toHaveBeenCalled();
+  });
+
+  it('should return BLOB metadata with the detected MIME type', async () => {
+    const scan = blob(PDF);
+
+    const [row] = await convertLobs([{ SCAN: scan }]);
+
+    expect(row.SCAN).toEqual({ type: 'BLOB', length: PDF.length, mimeType: 'application/pdf' });
+    expect(scan.getData).toHaveBeenCalledWith(1, 512);
+  });
+
+  it('should return BLOB prefixes as base64', async () => {
+    process.env.LOB_BLOB_MODE = 'base64';
+    process.env.LOB_MAX_BYTES = '100';
+
+    const [row] = await convertLobs([{ SCAN: blob(PDF) }]);
+
+    expect(row.SCAN).toEqual({
+      type: 'BLOB',
+      length: PDF.length,
+      mimeType: 'application/pdf',
+      encoding: 'base64',
+      data: PDF.subarray(0, 100).toString('base64'),
+      truncated: true
+    });
+  });
+
+  it('should apply per-column overrides', async () => {
+    process.env.LOB_MAX_CHARS = '5';
+
+    const [row] = await convertLobs(
+      [{ NOTES: clob('abcdefghij'), SCAN: blob(PDF) }],
+      { NOTES: { maxChars: 20 }, SCAN: { mode: 'base64', maxBytes: 4 } }
+    );
+
+    expect(row.NOTES).toBe('abcdefghij');
+    expect(row.SCAN).toMatchObject({ encoding: 'base64', data: Buffer.from('%PDF').toString('base64'), truncated: true });
+  });
+
+  it('should omit LOB data once the result budget is used up', async () => {
+    process.env.LOB_MAX_TOTAL_BYTES = '45';
+    const rows = [{ NOTES: clob('x'.repeat(10)) }, { NOTES: clob('y'.repeat(10)) }];
+
+    const converted = await convertLobs(rows);
+
+    expect(converted[0].NOTES).toBe('x'.repeat(10));
+    expect(converted[1].NOTES).toEqual({ type: 'CLOB', length: 10, omitted: 'result LOB size limit reached' });
+    expect(rows[1].NOTES.getData).not.toHaveBeenCalled();
+    expect(rows[1].NOTES.destroy).toHaveBeenCalled();
+  });
+
+  it('should always read with an amount and release LOBs on errors', async () => {
+    const broken = clob('abc');
+    broken.getData.mockRejectedValue(new Error('ORA-22922: nonexistent LOB value'));
+
+    await expect(convertLobs([{ NOTES: broken }])).rejects.toThrow('ORA-22922');
+    expect(broken.getData).toHaveBeenCalledWith(1, 3);
+    expect(broken.destroy).toHaveBeenCalled();
+  });
+});
+
+describe('detectMimeType', () => {
+  it('should recognise common signatures', () => {
+    expect(detectMimeType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBe('image/png');
+    expect(detectMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(detectMimeType(Buffer.concat([Buffer.alloc(128), Buffer.from('DICM')]))).toBe('application/dicom');
+    expect(detectMimeType(Buffer.from('plain'))).toBe('application/octet-stream');
+  });
+});
+
+describe('getLobOverrides', () => {
+  it('should collect x-mcp-lob settings by column', () => {
+    expect(getLobOverrides({
+      schema: {
+        properties: {
+          ID: { type: 'integer' },
+          notes: { type: 'string', 'x-mcp-lob': { maxChars: 100 } }
+        }
+      }
+    })).toEqual({ NOTES: { maxChars: 100 } });
+    expect(getLobOverrides(null)).toEqual({});
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for the mapping drift check
+ */
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import { compareMapping, runDriftCheck, getDriftStatus, resetDriftStatus } from '../../src/mappingDrift.js';
+import { checkMappingDrift } from '../../src/tools/checkMappingDrift.js';
+import { getFriendlyColumns } from '../../src/util/friendlyFields.js';
+import { getTableMapping } from '../../src/tools/getSemanticMappings.js';
+import { executeQuery } from '../../src/oracle.js';
+
+// Mock oracle module
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+function column(name, type, { length = null, precision = null, scale = null, nullable = true } = {}) {
+  return { name, type, length, precision, scale, nullable };
+}
+
+function dictionaryRow(name, type, { length = null, precision = null, scale = null, nullable = true } = {}) {
+  return {
+    COLUMN_NAME: name,
+    DATA_TYPE: type,
+    DATA_LENGTH: length,
+    DATA_PRECISION: precision,
+    DATA_SCALE: scale,
+    NULLABLE: nullable ? 'Y' : 'N'
+  };
+}
+
+describe('compareMapping', () => {
+  const mapping = {
+    schema: {
+      properties: {
+        ID: { type: 'integer' },
+        NAME: { type: 'string', maxLength: 200 },
+        DOB: { type: 'string', format: 'date' },
+        BALANCE: { type: 'integer' },
+        EMAIL: { type: 'string' }
+      },
+      required: ['ID', 'NAME']
+    }
+  };
+
+  it('should report missing, unmapped and mismatched columns', () => {
+    const drift = compareMapping(mapping, [
+      column('ID', 'NUMBER', { precision: 10, scale: 0, nullable: false }),
+      column('NAME', 'VARCHAR2', { length: 100 }),
+      column('DOB', 'VARCHAR2', { length: 10 }),
+      column('BALANCE', 'NUMBER', { precision: 10, scale: 2, nullable: false }),
+      column('CREATED_AT', 'TIMESTAMP(6)')
+    ], { searchPatients: ['NAME', 'PERSONAL_EMAIL'] });
+
+    expect(drift).toEqual({
+      missingColumns: ['EMAIL'],
+      unmappedColumns: ['CREATED_AT'],
+      mismatches: [
+        { column: 'NAME', field: 'maxLength', mapped: 200, actual: 100 },
+        { column: 'NAME', field: 'nullable', mapped: 'required', actual: 'NULL' },
+        { column: 'DOB', field: 'type', mapped: 'string (date)', actual: 'VARCHAR2(10)' },
+        { column: 'BALANCE', field: 'type', mapped: 'integer', actual: 'NUMBER(10,2)' },
+        { column: 'BALANCE', field: 'nullable', mapped: 'optional', actual: 'NOT NULL' }
+      ],
+      missingReferencedColumns: [{ column: 'PERSONAL_EMAIL', usedBy: 'searchPatients' }]
+    });
+  });
+
+  it('should accept compatible types', () => {
+    const drift = compareMapping({
+      schema: {
+        properties: {
+          CREATED: { type: 'string', format: 'date-time' },
+          AMOUNT: { type: 'number' },
+          CODE: { type: ['string', 'null'] },
+          ANY: {}
+        }
+      }
+    }, [
+      column('CREATED', 'TIMESTAMP(6) WITH TIME ZONE'),
+      column('AMOUNT', 'BINARY_DOUBLE'),
+      column('CODE', 'CHAR', { length: 3 }),
+      column('ANY', 'BLOB')
+    ]);
+
+    expect(drift.mismatches).toEqual([]);
+  });
+
+  it('should compare maxLength with the length in characters', () => {
+    const drift = compareMapping({
+      schema: { properties: { NAME: { type: 'string', maxLength: 50 } } }
+    }, [
+      { ...column('NAME', 'VARCHAR2', { length: 200 }), charLength: 40 }
+    ]);
+
+    expect(drift.mismatches).toEqual([{ column: 'NAME', field: 'maxLength', mapped: 50, actual: 40 }]);
+  });
+});
+
+describe('runDriftCheck', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetDriftStatus();
+  });
+
+  it('should check mapped tables against all_tab_columns', async () => {
+    executeQuery.mockImplementation(async (sql) => {
+      if (sql.includes('all_tab_columns')) {
+        return {
+          rows: [
+            dictionaryRow('PATIENT_PKEY', 'NUMBER', { precision: 12, scale: 0, nullable: false }),
+            dictionaryRow('EXT_LAST_NAME', 'VARCHAR2', { length: 60, nullable: false })
+          ]
+        };
+      }
+      return { rows: [{ COLUMN_NAME: 'PATIENT_PKEY' }], rowCount: 1 };
+    });
+
+    const report = await runDriftCheck();
+
+    expect(executeQuery.mock.calls[0][0]).toContain("owner = 'P_COMMONUSEROBJECT' AND table_name = 'PATIENT_MASTER'");
+    expect(report.status).toBe('drift');
+    expect(report.summary).toEqual({ tables: 1, drifted: 1, errors: 0 });
+
+    const [table] = report.tables;
+    expect(table.table).toBe('P_COMMONUSEROBJECT.PATIENT_MASTER');
+    expect(table.exists).toBe(true);
+    expect(table.missingColumns).toContain('EXT_EMAIL');
+    expect(table.missingColumns).not.toContain('EXT_LAST_NAME');
+    expect(table.missingReferencedColumns).toContainEqual({ column: 'EXT_PERSONAL_EMAIL', usedBy: 'mcp_friendly_fields.email' });
+    const friendlyColumns = Object.values(getFriendlyColumns(await getTableMapping('PATIENT_MASTER'))).flat();
+    expect(table.missingReferencedColumns).toHaveLength(friendlyColumns.length - 1);
+
+    expect(getDriftStatus()).toEqual({
+      status: 'drift',
+      checkedAt: report.checkedAt,
+      driftedTables: ['P_COMMONUSEROBJECT.PATIENT_MASTER'],
+      failedTables: []
+    });
+  });
+
+  it('should report tables that do not exist and dictionary errors', async () => {
+    executeQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+    const missing = await runDriftCheck();
+    expect(missing.tables[0]).toMatchObject({ status: 'drift', exists: false });
+    expect(missing.tables[0].missingColumns).toContain('PATIENT_PKEY');
+
+    executeQuery.mockRejectedValue(Object.assign(new Error('ORA-00942: table or view does not exist'), { errorNum: 942 }));
+    const failed = await runDriftCheck();
+    expect(failed.status).toBe('error');
+    expect(failed.tables[0]).toEqual({
+      table: 'P_COMMONUSEROBJECT.PATIENT_MASTER',
+      status: 'error',
+      error: 'ORA-00942: table or view does not exist'
+    });
+    expect(getDriftStatus().failedTables).toEqual(['P_COMMONUSEROBJECT.PATIENT_MASTER']);
+  });
+
+  it('should start unchecked', () => {
+    expect(getDriftStatus()).toEqual({ status: 'unchecked' });
+  });
+});
+
+describe('checkMappingDrift tool', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should reject tables without a mapping', async () => {
+    const result = await checkMappingDrift({ tableName: 'ALL_USERS' });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('MAPPING_NOT_FOUND');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should check a single table', async () => {
+    executeQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+
+    const result = await checkMappingDrift({ tableName: 'patient_master' });
+
+    expect(result.success).toBe(true);
+    expect(result.data.tables.map(table => table.table)).toEqual(['P_COMMONUSEROBJECT.PATIENT_MASTER']);
+  });
+});
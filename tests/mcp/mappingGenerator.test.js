@@ -0,0 +1,270 @@
+/**
+ * Unit tests for semantic mapping generation
+ */
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildMapping, mergeMapping, generateMappingFile } from '../../src/mappingGenerator.js';
+import { validateMapping } from '../../src/util/mappingValidator.js';
+import { executeQuery } from '../../src/oracle.js';
+
+// Mock oracle module
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+function column(name, type, { length = null, charLength = null, precision = null, scale = null, nullable = true } = {}) {
+  return { name, type, length, charLength, precision, scale, nullable };
+}
+
+const dictionary = {
+  owner: 'APP',
+  tableName: 'ORDERS',
+  comment: 'Customer orders',
+  columns: [
+    column('ORDER_ID', 'NUMBER', { precision: 10, scale: 0, nullable: false }),
+    column('STATUS', 'VARCHAR2', { length: 40, charLength: 10, nullable: false }),
+    column('TOTAL', 'NUMBER', { precision: 10, scale: 2 }),
+    column('CREATED_AT', 'TIMESTAMP(6)'),
+    column('NOTES', 'CLOB'),
+    column('ATTACHMENT', 'BLOB'),
+    column('Mixed', 'VARCHAR2', { length: 10, charLength: 10 })
+  ],
+  primaryKeys: ['ORDER_ID'],
+  comments: { STATUS: 'Order status' },
+  enums: { STATUS: ['NEW', 'SHIPPED'] }
+};
+
+describe('buildMapping', () => {
+  it('should map columns, required, enums and comments', () => {
+    const { mapping, skippedColumns } = buildMapping(dictionary);
+
+    expect(mapping.tableName).toBe('APP.ORDERS');
+    expect(mapping.schema.description).toBe('Customer orders');
+    expect(mapping.schema.properties).toEqual({
+      ORDER_ID: { type: 'integer' },
+      STATUS: { type: 'string', maxLength: 10, enum: ['NEW', 'SHIPPED'], description: 'Order status' },
+      TOTAL: { type: 'number' },
+      CREATED_AT: { type: 'string', format: 'date-time' },
+      NOTES: { type: 'string' },
+      ATTACHMENT: {}
+    });
+    expect(mapping.schema.required).toEqual(['ORDER_ID', 'STATUS']);
+    expect(skippedColumns).toEqual(['Mixed']);
+  });
+
+  it('should generate valid starter templates', () => {
+    const { mapping } = buildMapping(dictionary);
+
+    expect(mapping.mcp_sql_templates).toEqual({
+      select_all: 'SELECT * FROM APP.ORDERS FETCH FIRST 10 ROWS ONLY',
+      select_by_id: {
+        sql: 'SELECT * FROM APP.ORDERS WHERE ORDER_ID = :id',
+        description: 'Look up one row by primary key.',
+        params: { id: { type: 'number', required: true, description: 'ORDER_ID (primary key).' } }
+      }
+    });
+    expect(validateMapping(mapping)).toEqual([]);
+  });
+
+  it('should bind composite keys by column name', () => {
+    const { mapping } = buildMapping({ ...dictionary, primaryKeys: ['ORDER_ID', 'STATUS'] });
+
+    expect(mapping.mcp_sql_templates.select_by_id.sql)
+      .toBe('SELECT * FROM APP.ORDERS WHERE ORDER_ID = :order_id AND STATUS = :status');
+    expect(Object.keys(mapping.mcp_sql_templates.select_by_id.params)).toEqual(['order_id', 'status']);
+  });
+
+  it('should only generate select_all without a primary key', () => {
+    const { mapping } = buildMapping({ ...dictionary, primaryKeys: [] });
+
+    expect(Object.keys(mapping.mcp_sql_templates)).toEqual(['select_all']);
+  });
+});
+
+describe('mergeMapping', () => {
+  const existing = {
+    tableName: 'APP.ORDERS',
+    description: 'Hand-written table notes',
+    schema: {
+      title: 'Orders',
+      description: 'Orders placed through the web shop',
+      properties: {
+        ORDER_ID: { type: 'integer', description: 'Order number shown to customers' },
+        TOTAL: { type: 'integer', description: 'Order total in EUR' },
+        LEGACY_CODE: { type: 'string' }
+      },
+      required: ['ORDER_ID']
+    },
+    mcp_sql_templates: {
+      select_all: 'SELECT ORDER_ID FROM APP.ORDERS',
+      recent_orders: 'SELECT * FROM APP.ORDERS WHERE CREATED_AT > SYSDATE - 7'
+    }
+  };
+
+  it('should keep hand-written descriptions, templates and keys', () => {
+    const { mapping: generated } = buildMapping(dictionary);
+    const { mapping, addedColumns, removedColumns } = mergeMapping(existing, generated);
+
+    expect(mapping.description).toBe('Hand-written table notes');
+    expect(mapping.schema.title).toBe('Orders');
+    expect(mapping.schema.description).toBe('Orders placed through the web shop');
+    expect(mapping.schema.properties.ORDER_ID).toEqual({ type: 'integer', description: 'Order number shown to customers' });
+    expect(mapping.mcp_sql_templates.select_all).toBe('SELECT ORDER_ID FROM APP.ORDERS');
+    expect(mapping.mcp_sql_templates.recent_orders).toBe(existing.mcp_sql_templates.recent_orders);
+    expect(mapping.mcp_sql_templates.select_by_id).toEqual(generated.mcp_sql_templates.select_by_id);
+    expect(addedColumns).toEqual(['STATUS', 'CREATED_AT', 'NOTES', 'ATTACHMENT']);
+    expect(removedColumns).toEqual(['LEGACY_CODE']);
+  });
+
+  it('should take types, lengths and required from the dictionary', () => {
+    const { mapping: generated } = buildMapping(dictionary);
+    const { mapping } = mergeMapping(existing, generated);
+
+    expect(mapping.schema.properties.TOTAL).toEqual({ type: 'number', description: 'Order total in EUR' });
+    expect(mapping.schema.properties.LEGACY_CODE).toBeUndefined();
+    expect(mapping.schema.required).toEqual(['ORDER_ID', 'STATUS']);
+  });
+
+  it('should keep hand-written LOB overrides', () => {
+    const { mapping: generated } = buildMapping(dictionary);
+    const { mapping } = mergeMapping({
+      ...existing,
+      schema: {
+        ...existing.schema,
+        properties: { NOTES: { type: 'string', 'x-mcp-lob': { mode: 'text', maxChars: 200000 } } }
+      }
+    }, generated);
+
+    expect(mapping.schema.properties.NOTES).toEqual({
+      type: 'string', 'x-mcp-lob': { mode: 'text', maxChars: 200000 }
+    });
+  });
+
+  it('should prefer check constraint enums over hand-written ones', () => {
+    const { mapping: generated } = buildMapping(dictionary);
+    const { mapping } = mergeMapping({
+      ...existing,
+      schema: { ...existing.schema, properties: { STATUS: { type: 'string', enum: ['OPEN'], description: 'State' } } }
+    }, generated);
+
+    expect(mapping.schema.properties.STATUS).toEqual({
+      type: 'string', maxLength: 10, enum: ['NEW', 'SHIPPED'], description: 'State'
+    });
+  });
+});
+
+describe('generateMappingFile', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mcp-generate-'));
+    executeQuery.mockReset();
+    executeQuery.mockImplementation(async (sql) => {
+      if (sql.includes('all_tab_columns')) {
+        return {
+          rows: [
+            { COLUMN_NAME: 'ORDER_ID', DATA_TYPE: 'NUMBER', DATA_LENGTH: 22, CHAR_LENGTH: 0, DATA_PRECISION: 10, DATA_SCALE: 0, NULLABLE: 'N', COLUMN_ID: 1 },
+            { COLUMN_NAME: 'STATUS', DATA_TYPE: 'VARCHAR2', DATA_LENGTH: 40, CHAR_LENGTH: 10, DATA_PRECISION: null, DATA_SCALE: null, NULLABLE: 'Y', COLUMN_ID: 2 }
+          ]
+        };
+      }
+      if (sql.includes('all_cons_columns')) {
+        return { rows: [{ COLUMN_NAME: 'ORDER_ID' }] };
+      }
+      if (sql.includes('all_col_comments')) {
+        return { rows: [{ COLUMN_NAME: 'STATUS', COMMENTS: 'Order status' }] };
+      }
+      if (sql.includes('all_tab_comments')) {
+        return { rows: [{ COMMENTS: null }] };
+      }
+      if (sql.includes('all_constraints')) {
+        return {
+          rows: [
+            { SEARCH_CONDITION: '"ORDER_ID" IS NOT NULL' },
+            { SEARCH_CONDITION: "STATUS IN ('NEW', 'SHIPPED', 'CAN''T SHIP')" }
+          ]
+        };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should create a mapping file from the dictionary', async () => {
+    const result = await generateMappingFile('app', 'orders', { dir });
+
+    expect(result.created).toBe(true);
+    expect(result.file).toBe(join(dir, 'orders.json'));
+    expect(result.violations).toEqual([]);
+    expect(result.written).toBe(true);
+
+    const written = JSON.parse(readFileSync(result.file, 'utf8'));
+    expect(written.tableName).toBe('APP.ORDERS');
+    expect(written.schema.properties.STATUS).toEqual({
+      type: 'string', maxLength: 10, enum: ['NEW', 'SHIPPED', "CAN'T SHIP"], description: 'Order status'
+    });
+    expect(written.schema.required).toEqual(['ORDER_ID']);
+    expect(executeQuery.mock.calls.every(([sql]) => !sql.includes('user_'))).toBe(true);
+  });
+
+  it('should merge into an existing file', async () => {
+    writeFileSync(join(dir, 'orders.json'), JSON.stringify({
+      tableName: 'APP.ORDERS',
+      schema: { properties: { ORDER_ID: { type: 'integer', description: 'Order number' } } },
+      mcp_sql_templates: { by_status: 'SELECT * FROM APP.ORDERS WHERE STATUS = :status' }
+    }));
+
+    const result = await generateMappingFile('APP', 'ORDERS', { dir });
+
+    expect(result.created).toBe(false);
+    expect(result.addedColumns).toEqual(['STATUS']);
+    const written = JSON.parse(readFileSync(result.file, 'utf8'));
+    expect(written.schema.properties.ORDER_ID.description).toBe('Order number');
+    expect(Object.keys(written.mcp_sql_templates)).toEqual(['by_status', 'select_all', 'select_by_id']);
+  });
+
+  it('should only write a mapping with violations when forced', async () => {
+    const original = JSON.stringify({
+      tableName: 'APP.ORDERS',
+      schema: { properties: { ORDER_ID: { type: 'integer' }, SHIP_DATE: { type: 'string' } } },
+      mcp_sql_templates: { by_ship_date: 'SELECT * FROM APP.ORDERS WHERE SHIP_DATE = :ship_date' },
+      mcp_friendly_fields: { shipDate: { columns: 'SHIP_DATE', match: 'exact' } }
+    });
+    writeFileSync(join(dir, 'orders.json'), original);
+
+    const result = await generateMappingFile('APP', 'ORDERS', { dir });
+
+    expect(result.removedColumns).toEqual(['SHIP_DATE']);
+    expect(result.violations.length).toBeGreaterThan(0);
+    expect(result.written).toBe(false);
+    expect(readFileSync(result.file, 'utf8')).toBe(original);
+
+    const forced = await generateMappingFile('APP', 'ORDERS', { dir, force: true });
+
+    expect(forced.written).toBe(true);
+    expect(JSON.parse(readFileSync(result.file, 'utf8')).schema.properties.SHIP_DATE).toBeUndefined();
+  });
+
+  it('should not write in dry-run mode', async () => {
+    const result = await generateMappingFile('APP', 'ORDERS', { dir, dryRun: true });
+
+    expect(result.mapping.tableName).toBe('APP.ORDERS');
+    expect(existsSync(result.file)).toBe(false);
+  });
+
+  it('should fail for unknown tables', async () => {
+    executeQuery.mockImplementation(async () => ({ rows: [] }));
+
+    await expect(generateMappingFile('APP', 'MISSING', { dir })).rejects.toMatchObject({ code: 'TABLE_NOT_FOUND' });
+  });
+
+  it('should reject invalid identifiers', async () => {
+    await expect(generateMappingFile('APP', 'ORDERS; DROP', { dir })).rejects.toThrow();
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for semantic mapping validation
+ */
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { validateMapping, validateMappingFiles } from '../../src/util/mappingValidator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+function mapping(overrides = {}) {
+  return {
+    tableName: 'APP.PATIENTS',
+    schema: {
+      type: 'object',
+      properties: {
+        ID: { type: 'integer' },
+        LAST_NAME: { type: 'string' }
+      },
+      required: ['ID']
+    },
+    mcp_sql_templates: {
+      select_by_id: 'SELECT ID, LAST_NAME FROM APP.PATIENTS WHERE ID = :id'
+    },
+    ...overrides
+  };
+}
+
+function messages(violations) {
+  return violations.map(violation => `${violation.path} ${violation.message}`);
+}
+
+describe('validateMapping', () => {
+  it('should accept a valid mapping', () => {
+    expect(validateMapping(mapping())).toEqual([]);
+  });
+
+  it('should validate the structure against the meta-schema', () => {
+    expect(messages(validateMapping({ tableName: 'APP.PATIENTS;', schema: [], mcp_sql_template: {} }))).toEqual([
+      'mapping.tableName must match pattern ^[A-Za-z][A-Za-z0-9_$#]*(\\.[A-Za-z][A-Za-z0-9_$#]*)?$',
+      'mapping.schema must be of type object (got array)',
+      'mapping.mcp_sql_template is not an allowed property'
+    ]);
+    expect(messages(validateMapping({ schema: { properties: {} } }))).toEqual(['mapping.tableName is required']);
+    expect(validateMapping(mapping({ datasource: 'replica' }))).toEqual([]);
+    expect(messages(validateMapping(mapping({ datasource: 'bad-name' })))).toEqual([
+      'mapping.datasource must match pattern ^[A-Za-z][A-Za-z0-9_]*$'
+    ]);
+    expect(validateMapping(mapping({ mcp_call_timeout_ms: 5000 }))).toEqual([]);
+    expect(messages(validateMapping(mapping({ mcp_call_timeout_ms: 0 })))).toEqual(['mapping.mcp_call_timeout_ms must be >= 1']);
+  });
+
+  it('should check LOB overrides', () => {
+    const valid = mapping();
+    valid.schema.properties.NOTES = { type: 'string', 'x-mcp-lob': { mode: 'text', maxChars: 1000 } };
+    expect(validateMapping(valid)).toEqual([]);
+
+    const invalid = mapping();
+    invalid.schema.properties.SCAN = { 'x-mcp-lob': { mode: 'hex', maxBytes: 0, stream: true } };
+    expect(messages(validateMapping(invalid))).toEqual([
+      'mapping.schema.properties.SCAN.x-mcp-lob.mode must be one of: "text", "metadata", "base64"',
+      'mapping.schema.properties.SCAN.x-mcp-lob.maxBytes must be >= 1',
+      'mapping.schema.properties.SCAN.x-mcp-lob.stream is not an allowed property'
+    ]);
+  });
+
+  it('should check columns and examples', () => {
+    const violations = validateMapping(mapping({
+      schema: {
+        properties: { ID: { type: 'integer' }, 'LAST-NAME': { type: 'text' } },
+        required: ['ID', 'FIRST_NAME'],
+        examples: [{ ID: 'x', CITY: 'Dallas' }]
+      },
+      mcp_sql_templates: {}
+    }));
+
+    expect(messages(violations)).toEqual([
+      'mapping.schema.properties.LAST-NAME is not a valid column name (Invalid identifier: illegal characters. Only A-Z, 0-9, and _ are allowed)',
+      'mapping.schema.properties.LAST-NAME.type must be one of: string, number, integer, boolean, null, object, array (got text)',
+      'mapping.schema.required[1] FIRST_NAME is not declared in schema.properties',
+      'mapping.schema.examples[0].FIRST_NAME is required',
+      'mapping.schema.examples[0].ID must be of type integer (got string)',
+      'mapping.schema.examples[0].CITY is not an allowed property'
+    ]);
+  });
+
+  it('should reject templates with semicolons or writes', () => {
+    const violations = validateMapping(mapping({
+      mcp_sql_templates: {
+        two: 'SELECT ID FROM APP.PATIENTS; SELECT ID FROM APP.PATIENTS',
+        remove: 'DELETE FROM APP.PATIENTS WHERE ID = :id'
+      }
+    }));
+
+    expect(messages(violations)).toEqual([
+      'mapping.mcp_sql_templates.two Multiple statements are not allowed',
+      'mapping.mcp_sql_templates.remove DELETE statement modifies data'
+    ]);
+  });
+
+  it('should require bind variables to be identifiers matching the declared parameters', () => {
+    const violations = validateMapping(mapping({
+      mcp_sql_templates: {
+        odd_bind: 'SELECT ID FROM APP.PATIENTS WHERE ID = :pat$id',
+        mismatch: { sql: 'SELECT ID FROM APP.PATIENTS WHERE ID = :id', params: { pid: { type: 'number' } } },
+        bad_param: { sql: 'SELECT ID FROM APP.PATIENTS WHERE ID = :id', params: { id: { type: 'integer' } } }
+      }
+    }));
+
+    expect(messages(violations)).toEqual([
+      'mapping.mcp_sql_templates.odd_bind bind variable :pat$id is not an identifier',
+      'mapping.mcp_sql_templates.mismatch Template parameters don\'t match its SQL: undeclared bind variables ID; declared parameters not in SQL PID',
+      'mapping.mcp_sql_templates.bad_param.params.id.type must be one of: "number", "string", "date", "enum"'
+    ]);
+  });
+
+  it('should require columns read from the table to be declared', () => {
+    const violations = validateMapping(mapping({
+      mcp_sql_templates: {
+        typo: 'SELECT ID, LAST_NAEM FROM APP.PATIENTS p WHERE p.FIRST_NAME = :name',
+        joined: 'SELECT p.ID, v.VISIT_DATE, NOTES FROM APP.PATIENTS p JOIN APP.VISITS v ON v.PATIENT_ID = p.ID'
+      }
+    }));
+
+    expect(messages(violations)).toEqual([
+      'mapping.mcp_sql_templates.typo column LAST_NAEM is not declared in schema.properties',
+      'mapping.mcp_sql_templates.typo column FIRST_NAME is not declared in schema.properties'
+    ]);
+  });
+
+  it('should check friendly fields', () => {
+    expect(validateMapping(mapping({
+      mcp_friendly_fields: {
+        lastName: { columns: 'LAST_NAME', match: 'like', description: 'Last name' },
+        id: { columns: ['ID'], match: 'range' }
+      }
+    }))).toEqual([]);
+
+    expect(messages(validateMapping(mapping({
+      mcp_friendly_fields: { lastName: { columns: 'LAST_NAME', match: 'soundex' } }
+    })))).toEqual([
+      'mapping.mcp_friendly_fields.lastName.match must be one of: "exact", "like", "prefix", "date", "range"'
+    ]);
+
+    expect(messages(validateMapping(mapping({
+      mcp_friendly_fields: {
+        'last-name': { columns: 'LAST_NAME', match: 'like' },
+        email: { columns: ['EMAIL', 'LAST_NAME'], match: 'like' },
+        born: { columns: 'LAST_NAME', match: 'date' },
+        name: { columns: 'LAST_NAME', match: 'range' }
+      }
+    })))).toEqual([
+      'mapping.mcp_friendly_fields.last-name name must start with a letter and contain only letters, digits and _',
+      'mapping.mcp_friendly_fields.email.columns column EMAIL is not declared in schema.properties',
+      'mapping.mcp_friendly_fields.born.match date match needs a date column (LAST_NAME has no date format)',
+      'mapping.mcp_friendly_fields.name.match range match needs a number or date column (LAST_NAME is neither)'
+    ]);
+  });
+});
+
+describe('validateMappingFiles', () => {
+  const tempDir = mkdtempSync(join(tmpdir(), 'mcp-validate-'));
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should accept the bundled mapping files', async () => {
+    const results = await validateMappingFiles(join(__dirname, '../../src/schemas'));
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.filter(result => result.violations.length > 0)).toEqual([]);
+  });
+
+  it('should report unparseable files and duplicate tables', async () => {
+    writeFileSync(join(tempDir, 'a.json'), JSON.stringify(mapping()));
+    writeFileSync(join(tempDir, 'b.json'), JSON.stringify(mapping({ tableName: 'PATIENTS' })));
+    writeFileSync(join(tempDir, 'c.json'), '{ "tableName": ');
+
+    const results = await validateMappingFiles(tempDir);
+
+    expect(results.map(result => [result.file, messages(result.violations)])).toEqual([
+      ['a.json', []],
+      ['b.json', ['mapping.tableName PATIENTS is already mapped by a.json']],
+      ['c.json', [expect.stringMatching(/^mapping is not valid JSON/)]]
+    ]);
+  });
+});
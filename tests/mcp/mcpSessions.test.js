@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the MCP session store
+ * Covers the session limits and the bounds of the replay buffer
+ */
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import {
+  createSession,
+  deleteSession,
+  getSessionStats,
+  openStream,
+  sendEvent,
+  closeStream,
+  resumeStream
+} from '../../src/mcpSessions.js';
+
+/**
+ * Minimal SSE response double collecting what is written to it
+ */
+function createResponse() {
+  return {
+    chunks: [],
+    writableEnded: false,
+    destroyed: false,
+    on() {
+      return this;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.writableEnded = true;
+    }
+  };
+}
+
+/**
+ * Get the event ids written to a response
+ */
+function eventIds(res) {
+  return res.chunks.join('').match(/^id: .+$/gm).map(line => line.substring(4));
+}
+
+describe('MCP sessions', () => {
+  const originalEnv = { ...process.env };
+  let created;
+
+  const create = (name) => {
+    const session = createSession({
+      protocolVersion: '2025-06-18',
+      principal: name ? { type: 'api-key', name } : null
+    });
+    created.push(session.id);
+    return session;
+  };
+
+  beforeEach(() => {
+    created = [];
+    process.env.MCP_SSE_KEEPALIVE = '0';
+  });
+
+  afterEach(() => {
+    created.forEach(deleteSession);
+    process.env = { ...originalEnv };
+  });
+
+  it('should limit the number of sessions per principal', () => {
+    process.env.MCP_MAX_SESSIONS_PER_PRINCIPAL = '2';
+
+    create('alice');
+    create('alice');
+    create('bob');
+
+    expect(() => create('alice')).toThrow(expect.objectContaining({
+      code: 'TOO_MANY_SESSIONS',
+      scope: 'principal',
+      maxSessions: 2
+    }));
+    expect(getSessionStats().sessions).toBe(3);
+
+    deleteSession(created[0]);
+    expect(() => create('alice')).not.toThrow();
+  });
+
+  it('should limit the number of sessions overall', () => {
+    process.env.MCP_MAX_SESSIONS = '2';
+
+    create('alice');
+    create('bob');
+
+    expect(() => create('carol')).toThrow(expect.objectContaining({
+      code: 'TOO_MANY_SESSIONS',
+      scope: 'server'
+    }));
+  });
+
+  it('should make room by expiring idle sessions', () => {
+    process.env.MCP_MAX_SESSIONS = '1';
+
+    const idle = create('alice');
+    idle.lastSeen = Date.now() - 3600000;
+
+    expect(() => create('bob')).not.toThrow();
+    expect(getSessionStats().sessions).toBe(1);
+  });
+
+  it('should bound the replay buffer by total size as well as event count', () => {
+    process.env.MCP_SSE_EVENT_BUFFER = '10';
+    process.env.MCP_SSE_EVENT_BUFFER_BYTES = '300';
+
+    const session = create('alice');
+    const res = createResponse();
+    const stream = openStream(session, res);
+    const message = (id) => ({ jsonrpc: '2.0', id, result: { text: 'x'.repeat(80) } });
+    for (let id = 1; id <= 4; id++) {
+      sendEvent(session, stream.id, message(id));
+    }
+    closeStream(session, stream.id);
+
+    // Every event is sent, but only the newest that fit in 300 bytes are kept
+    const ids = eventIds(res);
+    expect(ids).toHaveLength(4);
+    expect(session.events.map(event => event.id)).toEqual(ids.slice(2));
+    expect(session.eventBytes).toBeLessThanOrEqual(300);
+
+    expect(resumeStream(session, ids[0], createResponse())).toBeNull();
+    const resumed = createResponse();
+    expect(resumeStream(session, ids[2], resumed)).not.toBeNull();
+    expect(eventIds(resumed)).toEqual([ids[3]]);
+  });
+});
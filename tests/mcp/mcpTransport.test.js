@@ -0,0 +1,445 @@
+/**
+ * Unit tests for the MCP HTTP transport
+ * Covers single requests, JSON-RPC 2.0 batch semantics and the
+ * Streamable HTTP session/SSE behaviour
+ */
+import { describe, it, expect, beforeEach, afterEach, beforeAll, afterAll } from '@jest/globals';
+import express from 'express';
+import {
+  createMcpHttpHandler,
+  createMcpSseHandler,
+  createMcpDeleteHandler
+} from '../../src/mcpTransport.js';
+
+/**
+ * Minimal Express request/response doubles
+ */
+function createRequest(body) {
+  return {
+    body,
+    path: '/mcp',
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    }
+  };
+}
+
+function createResponse() {
+  return {
+    statusCode: null,
+    body: undefined,
+    ended: false,
+    headersSent: false,
+    writableEnded: false,
+    listeners: {},
+    on(event, listener) {
+      (this.listeners[event] ||= []).push(listener);
+      return this;
+    },
+    emit(event) {
+      (this.listeners[event] || []).forEach(listener => listener());
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set() {
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      this.headersSent = true;
+      this.writableEnded = true;
+      return this;
+    },
+    end() {
+      this.ended = true;
+      this.headersSent = true;
+      this.writableEnded = true;
+      return this;
+    }
+  };
+}
+
+describe('createMcpHttpHandler', () => {
+  let mcpServer;
+  let handler;
+  let signals;
+  const originalTimeout = process.env.MCP_REQUEST_TIMEOUT;
+
+  beforeEach(() => {
+    mcpServer = { setRequestHandler: () => {} };
+    handler = createMcpHttpHandler(mcpServer);
+    signals = [];
+
+    mcpServer.setRequestHandler('tools/list', async () => ({
+      tools: [{ name: 'searchPatients' }]
+    }));
+    mcpServer.setRequestHandler('tools/call', async (request, context) => {
+      const { name, arguments: args } = request.params;
+      signals.push(context.signal);
+      if (name === 'slow') {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+      if (name === 'hang') {
+        await new Promise(resolve => context.signal.addEventListener('abort', resolve));
+      }
+      return { content: [{ type: 'text', text: JSON.stringify({ name, args }) }] };
+    });
+  });
+
+  afterEach(() => {
+    if (originalTimeout === undefined) {
+      delete process.env.MCP_REQUEST_TIMEOUT;
+    } else {
+      process.env.MCP_REQUEST_TIMEOUT = originalTimeout;
+    }
+  });
+
+  it('should answer a single request with a single response', async () => {
+    const res = createResponse();
+    await handler(createRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      jsonrpc: '2.0',
+      id: 1,
+      result: { tools: [{ name: 'searchPatients' }] }
+    });
+  });
+
+  it('should route every batch element independently and keep their ids', async () => {
+    const res = createResponse();
+    await handler(createRequest([
+      { jsonrpc: '2.0', id: 'a', method: 'tools/list' },
+      { jsonrpc: '2.0', id: 'b', method: 'tools/call', params: { name: 'searchPatients', arguments: { lastName: 'Doe' } } },
+      { jsonrpc: '2.0', id: 'c', method: 'tools/call', params: { name: 'runQuery', arguments: {} } }
+    ]), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(Array.isArray(res.body)).toBe(true);
+    expect(res.body.map(entry => entry.id)).toEqual(['a', 'b', 'c']);
+    expect(res.body[0].result.tools).toHaveLength(1);
+    expect(res.body[1].result.content[0].text).toContain('Doe');
+  });
+
+  it('should not produce entries for notifications in a batch', async () => {
+    const res = createResponse();
+    await handler(createRequest([
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 7, method: 'tools/list' }
+    ]), res);
+
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0].id).toBe(7);
+  });
+
+  it('should return 202 with no body for a batch of notifications only', async () => {
+    const res = createResponse();
+    await handler(createRequest([
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', method: 'notifications/cancelled' }
+    ]), res);
+
+    expect(res.statusCode).toBe(202);
+    expect(res.ended).toBe(true);
+    expect(res.body).toBeUndefined();
+  });
+
+  it('should report per-element errors with their own ids', async () => {
+    const res = createResponse();
+    await handler(createRequest([
+      { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+      { jsonrpc: '1.0', id: 2, method: 'tools/list' },
+      { jsonrpc: '2.0', id: 3, method: 'unknown/method' },
+      42
+    ]), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveLength(4);
+    expect(res.body[0].result).toBeDefined();
+    expect(res.body[1]).toMatchObject({ id: 2, error: { code: -32600 } });
+    expect(res.body[2]).toMatchObject({ id: 3, error: { code: -32601 } });
+    expect(res.body[3]).toMatchObject({ id: null, error: { code: -32600 } });
+  });
+
+  it('should reject an empty batch', async () => {
+    const res = createResponse();
+    await handler(createRequest([]), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error.code).toBe(-32600);
+  });
+
+  it('should apply MCP_REQUEST_TIMEOUT across the whole batch', async () => {
+    process.env.MCP_REQUEST_TIMEOUT = '50';
+
+    const res = createResponse();
+    await handler(createRequest([
+      { jsonrpc: '2.0', id: 'fast', method: 'tools/list' },
+      { jsonrpc: '2.0', id: 'slow', method: 'tools/call', params: { name: 'slow', arguments: {} } }
+    ]), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body[0].result).toBeDefined();
+    expect(res.body[1]).toMatchObject({
+      id: 'slow',
+      error: { code: -32000, message: 'Request timeout', data: { timeout: 50 } }
+    });
+  });
+
+  it('should return 504 when a single request times out', async () => {
+    process.env.MCP_REQUEST_TIMEOUT = '50';
+
+    const res = createResponse();
+    await handler(createRequest({
+      jsonrpc: '2.0', id: 9, method: 'tools/call', params: { name: 'slow', arguments: {} }
+    }), res);
+
+    expect(res.statusCode).toBe(504);
+    expect(res.body.error.code).toBe(-32000);
+  });
+
+  it('should cancel the call when the request times out', async () => {
+    process.env.MCP_REQUEST_TIMEOUT = '50';
+
+    await handler(createRequest({
+      jsonrpc: '2.0', id: 10, method: 'tools/call', params: { name: 'slow', arguments: {} }
+    }), createResponse());
+
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[0].reason.code).toBe('REQUEST_TIMEOUT');
+  });
+
+  it('should cancel the call when the client disconnects', async () => {
+    const res = createResponse();
+    const pending = handler(createRequest({
+      jsonrpc: '2.0', id: 11, method: 'tools/call', params: { name: 'hang', arguments: {} }
+    }), res);
+
+    await new Promise(resolve => setImmediate(resolve));
+    res.emit('close');
+    await pending;
+
+    expect(signals[0].reason.code).toBe('CLIENT_DISCONNECTED');
+  });
+
+  it('should not cancel calls that completed', async () => {
+    const res = createResponse();
+    await handler(createRequest({
+      jsonrpc: '2.0', id: 12, method: 'tools/call', params: { name: 'searchPatients', arguments: {} }
+    }), res);
+    res.emit('close');
+
+    expect(signals[0].aborted).toBe(false);
+  });
+});
+
+/**
+ * Parse an SSE body into { id, data } events
+ */
+function parseSse(text) {
+  return text
+    .split('\n\n')
+    .filter(frame => frame.includes('data: '))
+    .map(frame => {
+      const event = {};
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('id: ')) event.id = line.substring(4);
+        if (line.startsWith('data: ')) event.data = JSON.parse(line.substring(6));
+      }
+      return event;
+    });
+}
+
+describe('Streamable HTTP transport', () => {
+  let server;
+  let baseUrl;
+
+  const post = (body, headers = {}) => fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+
+  const initialize = async (headers = {}) => {
+    const response = await post({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', clientInfo: { name: 'test', version: '1.0' } }
+    }, headers);
+    return { response, body: await response.json(), sessionId: response.headers.get('mcp-session-id') };
+  };
+
+  beforeAll(async () => {
+    const mcpServer = { setRequestHandler: () => {} };
+    const app = express();
+    app.use(express.json());
+    // Stands in for the auth middleware
+    app.use((req, res, next) => {
+      const name = req.get('x-test-principal');
+      req.principal = name ? { type: 'api-key', name } : undefined;
+      next();
+    });
+    app.post('/mcp', createMcpHttpHandler(mcpServer));
+    app.get('/mcp', createMcpSseHandler());
+    app.delete('/mcp', createMcpDeleteHandler());
+
+    mcpServer.setRequestHandler('tools/list', async () => ({ tools: [{ name: 'searchPatients' }] }));
+    mcpServer.setRequestHandler('tools/call', async (request) => ({
+      content: [{ type: 'text', text: request.params.name }]
+    }));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should issue an Mcp-Session-Id on initialize and negotiate the protocol version', async () => {
+    const { response, body, sessionId } = await initialize();
+
+    expect(response.status).toBe(200);
+    expect(sessionId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(body.result.protocolVersion).toBe('2025-03-26');
+    expect(body.result.capabilities.tools).toEqual({ searchPatients: {} });
+  });
+
+  it('should upgrade POST responses to SSE when the client accepts it', async () => {
+    const { sessionId } = await initialize();
+
+    const response = await post(
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      { Accept: 'application/json, text/event-stream', 'Mcp-Session-Id': sessionId }
+    );
+
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+    const events = parseSse(await response.text());
+    expect(events).toHaveLength(1);
+    expect(events[0].id).toBeDefined();
+    expect(events[0].data).toMatchObject({ id: 2, result: { tools: [{ name: 'searchPatients' }] } });
+  });
+
+  it('should acknowledge notifications with 202', async () => {
+    const { sessionId } = await initialize();
+
+    const response = await post(
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { 'Mcp-Session-Id': sessionId }
+    );
+
+    expect(response.status).toBe(202);
+  });
+
+  it('should replay missed events when a stream is resumed with Last-Event-ID', async () => {
+    const { sessionId } = await initialize();
+
+    const response = await post([
+      { jsonrpc: '2.0', id: 'first', method: 'tools/call', params: { name: 'one' } },
+      { jsonrpc: '2.0', id: 'second', method: 'tools/call', params: { name: 'two' } }
+    ], { Accept: 'application/json, text/event-stream', 'Mcp-Session-Id': sessionId });
+    const events = parseSse(await response.text());
+    expect(events).toHaveLength(2);
+
+    // Pretend only the first event arrived before the connection dropped
+    const resumed = await fetch(`${baseUrl}/mcp`, {
+      headers: {
+        Accept: 'text/event-stream',
+        'Mcp-Session-Id': sessionId,
+        'Last-Event-ID': events[0].id
+      }
+    });
+    const replayed = parseSse(await resumed.text());
+
+    expect(replayed).toHaveLength(1);
+    expect(replayed[0]).toEqual(events[1]);
+  });
+
+  it('should reject GET without an event-stream Accept header', async () => {
+    const { sessionId } = await initialize();
+
+    const response = await fetch(`${baseUrl}/mcp`, {
+      headers: { Accept: 'application/json', 'Mcp-Session-Id': sessionId }
+    });
+
+    expect(response.status).toBe(406);
+  });
+
+  it('should end a session on DELETE and reject it afterwards', async () => {
+    const { sessionId } = await initialize();
+
+    const deleted = await fetch(`${baseUrl}/mcp`, {
+      method: 'DELETE',
+      headers: { 'Mcp-Session-Id': sessionId }
+    });
+    expect(deleted.status).toBe(200);
+
+    const response = await post(
+      { jsonrpc: '2.0', id: 3, method: 'tools/list' },
+      { 'Mcp-Session-Id': sessionId }
+    );
+    expect(response.status).toBe(404);
+  });
+
+  it('should not let another principal use a session', async () => {
+    const { sessionId } = await initialize({ 'X-Test-Principal': 'alice' });
+    const as = (name) => (name ? { 'X-Test-Principal': name, 'Mcp-Session-Id': sessionId } : { 'Mcp-Session-Id': sessionId });
+
+    const stream = await post(
+      { jsonrpc: '2.0', id: 5, method: 'tools/list' },
+      { ...as('alice'), Accept: 'application/json, text/event-stream' }
+    );
+    const [event] = parseSse(await stream.text());
+
+    for (const name of ['bob', null]) {
+      expect((await post({ jsonrpc: '2.0', id: 6, method: 'tools/list' }, as(name))).status).toBe(404);
+      expect((await fetch(`${baseUrl}/mcp`, { headers: { ...as(name), Accept: 'text/event-stream' } })).status).toBe(404);
+      expect((await fetch(`${baseUrl}/mcp`, {
+        headers: { ...as(name), Accept: 'text/event-stream', 'Last-Event-ID': event.id }
+      })).status).toBe(404);
+      expect((await fetch(`${baseUrl}/mcp`, { method: 'DELETE', headers: as(name) })).status).toBe(404);
+    }
+
+    expect((await post({ jsonrpc: '2.0', id: 7, method: 'tools/list' }, as('alice'))).status).toBe(200);
+    expect((await fetch(`${baseUrl}/mcp`, { method: 'DELETE', headers: as('alice') })).status).toBe(200);
+  });
+
+  it('should reject initialize once the principal holds the maximum number of sessions', async () => {
+    process.env.MCP_MAX_SESSIONS_PER_PRINCIPAL = '1';
+    try {
+      const first = await initialize({ 'X-Test-Principal': 'carol' });
+      const second = await initialize({ 'X-Test-Principal': 'carol' });
+
+      expect(first.response.status).toBe(200);
+      expect(second.response.status).toBe(429);
+      expect(second.sessionId).toBeNull();
+      expect(second.body.error.data).toMatchObject({ limit: 'sessions', scope: 'principal', maxSessions: 1 });
+
+      await fetch(`${baseUrl}/mcp`, {
+        method: 'DELETE',
+        headers: { 'X-Test-Principal': 'carol', 'Mcp-Session-Id': first.sessionId }
+      });
+      expect((await initialize({ 'X-Test-Principal': 'carol' })).response.status).toBe(200);
+    } finally {
+      delete process.env.MCP_MAX_SESSIONS_PER_PRINCIPAL;
+    }
+  });
+
+  it('should keep serving clients that never initialize', async () => {
+    const response = await post({ jsonrpc: '2.0', id: 4, method: 'tools/list' });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).result.tools).toHaveLength(1);
+  });
+});
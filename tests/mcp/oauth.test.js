@@ -0,0 +1,157 @@
+/**
+ * Integration tests for OAuth protected-resource support on /mcp
+ * Runs against a local stand-in authorization server issuing test tokens
+ */
+import { describe, it, expect, jest, beforeAll, afterAll } from '@jest/globals';
+import express from 'express';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { registerMcpEndpoint } from '../../src/mcpTransport.js';
+import { registerToolHandlers } from '../../src/mcpHandlers.js';
+import { clearAuthCache } from '../../src/auth.js';
+import { startAuthServer, TEST_CLIENT } from './helpers/authServer.js';
+
+// Mock oracle module
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+describe('OAuth protected resource', () => {
+  const originalEnv = { ...process.env };
+  const tempDir = mkdtempSync(join(tmpdir(), 'mcp-oauth-'));
+  let authServer;
+  let mcpHttpServer;
+  let baseUrl;
+
+  beforeAll(async () => {
+    authServer = await startAuthServer();
+
+    // The resource server verifies against a locally configured JWKS
+    const jwks = await (await fetch(`${authServer.issuer}/jwks.json`)).json();
+    const jwksFile = join(tempDir, 'jwks.json');
+    writeFileSync(jwksFile, JSON.stringify(jwks));
+
+    const app = express();
+    app.use(express.json());
+    mcpHttpServer = await new Promise(resolve => {
+      const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    baseUrl = `http://127.0.0.1:${mcpHttpServer.address().port}`;
+
+    Object.assign(process.env, {
+      MCP_AUTH_MODE: 'jwt',
+      JWT_JWKS_FILE: jwksFile,
+      JWT_ISSUER: authServer.issuer,
+      MCP_RESOURCE_URL: `${baseUrl}/mcp`,
+      MCP_SCOPE_TOOLS: JSON.stringify({
+        'patients:read': ['searchPatients'],
+        'schema:read': ['getSemanticMappings', 'listTables', 'getSchema']
+      })
+    });
+    delete process.env.JWT_AUDIENCE;
+    clearAuthCache();
+
+    const mcpServer = { setRequestHandler: () => {} };
+    registerMcpEndpoint(app, mcpServer);
+    registerToolHandlers(mcpServer);
+  });
+
+  afterAll(async () => {
+    process.env = { ...originalEnv };
+    clearAuthCache();
+    await new Promise(resolve => mcpHttpServer.close(resolve));
+    await authServer.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function getToken(scope, resource = `${baseUrl}/mcp`) {
+    const response = await fetch(`${authServer.issuer}/token`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: TEST_CLIENT.id,
+        client_secret: TEST_CLIENT.secret,
+        scope,
+        resource
+      })
+    });
+    return (await response.json()).access_token;
+  }
+
+  function callMcp(body, token) {
+    const headers = { 'content-type': 'application/json' };
+    if (token) {
+      headers.authorization = `Bearer ${token}`;
+    }
+    return fetch(`${baseUrl}/mcp`, { method: 'POST', headers, body: JSON.stringify(body) });
+  }
+
+  it('should answer unauthenticated requests with a resource_metadata challenge', async () => {
+    const response = await callMcp({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('www-authenticate')).toBe(
+      `Bearer resource_metadata="${baseUrl}/.well-known/oauth-protected-resource/mcp"`
+    );
+  });
+
+  it('should publish protected-resource metadata pointing at the authorization server', async () => {
+    const response = await fetch(`${baseUrl}/.well-known/oauth-protected-resource/mcp`);
+    const metadata = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(metadata).toEqual({
+      resource: `${baseUrl}/mcp`,
+      authorization_servers: [authServer.issuer],
+      bearer_methods_supported: ['header'],
+      resource_name: 'mcp-oracle-server',
+      scopes_supported: ['patients:read', 'schema:read']
+    });
+
+    const root = await (await fetch(`${baseUrl}/.well-known/oauth-protected-resource`)).json();
+    expect(root).toEqual(metadata);
+  });
+
+  it('should complete discovery and expose only the tools granted by the token scopes', async () => {
+    const resourceMetadata = await (await fetch(`${baseUrl}/.well-known/oauth-protected-resource/mcp`)).json();
+    const serverMetadata = await (
+      await fetch(`${resourceMetadata.authorization_servers[0]}/.well-known/oauth-authorization-server`)
+    ).json();
+    expect(serverMetadata.token_endpoint).toBe(`${authServer.issuer}/token`);
+
+    const token = await getToken('patients:read');
+    const response = await callMcp({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, token);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.result.tools.map(tool => tool.name)).toEqual(['searchPatients']);
+  });
+
+  it('should reject tools outside the token scopes with insufficient_scope', async () => {
+    const token = await getToken('patients:read');
+    const response = await callMcp({
+      jsonrpc: '2.0',
+      id: 3,
+      method: 'tools/call',
+      params: { name: 'getSchema', arguments: { tableName: 'PATIENT_MASTER' } }
+    }, token);
+    const body = await response.json();
+
+    expect(response.status).toBe(403);
+    expect(body.error.data.requiredScopes).toEqual(['schema:read']);
+    expect(response.headers.get('www-authenticate')).toContain('error="insufficient_scope"');
+    expect(response.headers.get('www-authenticate')).toContain('scope="schema:read"');
+  });
+
+  it('should reject tokens issued for another resource', async () => {
+    const token = await getToken('patients:read schema:read', 'https://other.example.com/mcp');
+    const response = await callMcp({ jsonrpc: '2.0', id: 4, method: 'tools/list' }, token);
+    const body = await response.json();
+
+    expect(response.status).toBe(401);
+    expect(body.error.message).toBe('Unauthorized: Token audience not accepted');
+    expect(response.headers.get('www-authenticate')).toContain('error="invalid_token"');
+  });
+});
@@ -1,36 +1,35 @@
 /**
  * Unit tests for oracle.js executeQuery hardening
  */
-import { describe, it, expect, jest, beforeEach } from '@jest/globals';
-import { executeQuery } from '../../src/oracle.js';
-import { getConnection } from '../../src/oracle.js';
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import oracledb from 'oracledb';
+import { executeQuery, initPool, closePool } from '../../src/oracle.js';
 
-// Mock oracledb
+// Mock oracledb; connections come from the pool created by initPool
 jest.mock('oracledb', () => ({
   OUT_FORMAT_OBJECT: 'object',
   createPool: jest.fn(),
   initOracleClient: jest.fn()
 }));
 
-// Mock getConnection
-jest.mock('../../src/oracle.js', () => {
-  const actualModule = jest.requireActual('../../src/oracle.js');
-  return {
-    ...actualModule,
-    getConnection: jest.fn()
-  };
-});
-
 describe('executeQuery hardening', () => {
   let mockConnection;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
     mockConnection = {
       execute: jest.fn(),
       close: jest.fn()
     };
-    getConnection.mockResolvedValue(mockConnection);
+    oracledb.createPool.mockResolvedValue({
+      getConnection: jest.fn(async () => mockConnection),
+      close: jest.fn()
+    });
+    await initPool({ connectionString: 'test' });
+  });
+
+  afterEach(async () => {
+    await closePool();
   });
 
   it('should reject SQL with semicolons (unless approved)', async () => {
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for cursor-based pagination
+ */
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  decodeCursor, decodeKeysetCursor, encodeCursor, encodeKeysetCursor, getKeysetPage, getPage, getQueryShape, paginateQuery
+} from '../../src/util/pagination.js';
+
+describe('cursors', () => {
+  const env = { ...process.env };
+  const shape = getQueryShape('runQuery', { sql: 'SELECT 1 FROM DUAL', binds: {} });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should round-trip the offset for the same query', () => {
+    expect(decodeCursor(encodeCursor(shape, 50), shape)).toBe(50);
+  });
+
+  it('should reject cursors for another query', () => {
+    const other = getQueryShape('runQuery', { sql: 'SELECT 1 FROM DUAL', binds: { id: 1 } });
+
+    expect(() => decodeCursor(encodeCursor(shape, 50), other)).toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+  });
+
+  it('should reject forged and malformed cursors', () => {
+    const [payload, signature] = encodeCursor(shape, 50).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), o: 0 })).toString('base64url');
+
+    expect(() => decodeCursor(`${forged}.${signature}`, shape)).toThrow('signature mismatch');
+    expect(() => decodeCursor('not-a-cursor', shape)).toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+    expect(() => decodeCursor(undefined, shape)).toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+  });
+
+  it('should only accept cursors signed with the current secret', () => {
+    process.env.MCP_CURSOR_SECRET = 'first';
+    const cursor = encodeCursor(shape, 50);
+    process.env.MCP_CURSOR_SECRET = 'second';
+
+    expect(() => decodeCursor(cursor, shape)).toThrow('signature mismatch');
+  });
+
+  it('should round-trip keyset positions and keep the two kinds apart', () => {
+    expect(decodeKeysetCursor(encodeKeysetCursor(shape, 'AAAR3nAAEAAAACHAAA'), shape)).toBe('AAAR3nAAEAAAACHAAA');
+    expect(() => decodeCursor(encodeKeysetCursor(shape, 'AAAR3nAAEAAAACHAAA'), shape)).toThrow('unsupported payload');
+    expect(() => decodeKeysetCursor(encodeCursor(shape, 50), shape)).toThrow('unsupported payload');
+  });
+
+  it('should reject expired cursors', () => {
+    process.env.MCP_CURSOR_TTL = '-1';
+
+    expect(() => decodeCursor(encodeCursor(shape, 50), shape)).toThrow(expect.objectContaining({ code: 'CURSOR_EXPIRED' }));
+  });
+});
+
+describe('paginateQuery', () => {
+  it('should run the first page unchanged with one extra row', () => {
+    expect(paginateQuery('SELECT * FROM T', { id: 1 }, 0, 10)).toEqual({ sql: 'SELECT * FROM T', binds: { id: 1 }, maxRows: 11 });
+  });
+
+  it('should add an offset to later pages', () => {
+    expect(paginateQuery('SELECT * FROM T ORDER BY ID', { id: 1 }, 20, 10)).toEqual({
+      sql: 'SELECT * FROM T ORDER BY ID OFFSET :mcp_offset ROWS FETCH NEXT :mcp_fetch ROWS ONLY',
+      binds: { id: 1, mcp_offset: 20, mcp_fetch: 11 },
+      maxRows: 11
+    });
+    expect(paginateQuery('SELECT * FROM T WHERE ID = :1', [5], 20, 10).binds).toEqual([5, 20, 11]);
+  });
+
+  it('should wrap queries that limit their own rows', () => {
+    expect(paginateQuery('SELECT * FROM T FETCH FIRST 5 ROWS ONLY', {}, 2, 2).sql)
+      .toBe('SELECT * FROM (SELECT * FROM T FETCH FIRST 5 ROWS ONLY) OFFSET :mcp_offset ROWS FETCH NEXT :mcp_fetch ROWS ONLY');
+    expect(paginateQuery("SELECT * FROM T WHERE X IN (SELECT X FROM U FETCH FIRST 5 ROWS ONLY) AND Y = 'FETCH'", {}, 2, 2).sql)
+      .toMatch(/^SELECT \* FROM T WHERE .* OFFSET :mcp_offset/);
+  });
+
+  it('should reject queries using the reserved bind names', () => {
+    expect(() => paginateQuery('SELECT * FROM T WHERE ID > :MCP_OFFSET', { MCP_OFFSET: 1 }, 0, 10))
+      .toThrow(expect.objectContaining({ code: 'RESERVED_BIND_NAME', message: expect.stringContaining('MCP_OFFSET') }));
+    expect(() => paginateQuery('SELECT * FROM T WHERE ID > :1', { mcp_fetch: 1 }, 20, 10))
+      .toThrow(expect.objectContaining({ code: 'RESERVED_BIND_NAME' }));
+    expect(() => paginateQuery("SELECT ':mcp_after' FROM T", {}, 20, 10)).not.toThrow();
+  });
+});
+
+describe('getPage', () => {
+  it('should cut the extra row and point at the next page', () => {
+    const shape = getQueryShape('runQuery', { sql: 'SELECT * FROM T' });
+
+    const page = getPage([1, 2, 3], shape, 4, 2);
+
+    expect(page.rows).toEqual([1, 2]);
+    expect(page.hasMore).toBe(true);
+    expect(decodeCursor(page.nextCursor, shape)).toBe(6);
+    expect(getPage([1, 2], shape, 4, 2)).toEqual({ rows: [1, 2], hasMore: false, nextCursor: null });
+  });
+});
+
+describe('getKeysetPage', () => {
+  it('should cut the extra row, drop the key column and continue after the last key', () => {
+    const shape = getQueryShape('searchPatients', { filters: {} });
+
+    const page = getKeysetPage([{ ID: 1, K: 'a' }, { ID: 2, K: 'b' }, { ID: 3, K: 'c' }], shape, 2, 'K');
+
+    expect(page.rows).toEqual([{ ID: 1 }, { ID: 2 }]);
+    expect(page.hasMore).toBe(true);
+    expect(decodeKeysetCursor(page.nextCursor, shape)).toBe('b');
+    expect(getKeysetPage([{ ID: 1, K: 'a' }], shape, 2, 'K')).toEqual({ rows: [{ ID: 1 }], hasMore: false, nextCursor: null });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for call timeouts and cancellation of running queries
+ */
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import oracledb from 'oracledb';
+import { initPool, executeQuery, closePool } from '../../src/oracle.js';
+import { runWithContext } from '../../src/requestContext.js';
+import { logger } from '../../src/logger.js';
+
+jest.mock('oracledb', () => ({
+  OUT_FORMAT_OBJECT: 'object',
+  createPool: jest.fn(),
+  initOracleClient: jest.fn()
+}));
+
+function cancellation(code) {
+  const error = new Error(`Query cancelled: ${code}`);
+  error.code = code;
+  return error;
+}
+
+describe('query call timeouts and cancellation', () => {
+  const env = { ...process.env };
+  let pool;
+  let connection;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete process.env.ORACLE_CALL_TIMEOUT;
+    delete process.env.ORACLE_TOOL_CALL_TIMEOUTS;
+    delete process.env.MCP_REQUEST_TIMEOUT;
+    connection = {
+      execute: jest.fn(async () => ({ rows: [{ ID: 1 }], metaData: [{ name: 'ID' }] })),
+      break: jest.fn(async () => {}),
+      close: jest.fn()
+    };
+    pool = { getConnection: jest.fn(async () => connection), close: jest.fn() };
+    oracledb.createPool.mockResolvedValue(pool);
+    await initPool({ connectionString: 'primary' });
+  });
+
+  afterEach(async () => {
+    await closePool();
+    process.env = { ...env };
+  });
+
+  it('should set the call timeout from the request, the tool or the default', async () => {
+    await executeQuery('SELECT 1 FROM DUAL');
+    expect(connection.callTimeout).toBe(30000);
+
+    process.env.MCP_REQUEST_TIMEOUT = '20000';
+    await executeQuery('SELECT 1 FROM DUAL');
+    expect(connection.callTimeout).toBe(20000);
+
+    process.env.ORACLE_CALL_TIMEOUT = '10000';
+    process.env.ORACLE_TOOL_CALL_TIMEOUTS = '{"runQuery":60000}';
+    await runWithContext({ tool: 'runQuery' }, () => executeQuery('SELECT 1 FROM DUAL'));
+    expect(connection.callTimeout).toBe(60000);
+
+    await runWithContext({ tool: 'runQuery' }, () => executeQuery('SELECT 1 FROM DUAL', {}, { callTimeout: 5000 }));
+    expect(connection.callTimeout).toBe(5000);
+
+    await runWithContext({ tool: 'listTables' }, () => executeQuery('SELECT 1 FROM DUAL'));
+    expect(connection.callTimeout).toBe(10000);
+  });
+
+  it('should parse ORACLE_TOOL_CALL_TIMEOUTS once per value', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    process.env.ORACLE_TOOL_CALL_TIMEOUTS = '{not json';
+
+    await runWithContext({ tool: 'runQuery' }, () => executeQuery('SELECT 1 FROM DUAL'));
+    await runWithContext({ tool: 'runQuery' }, () => executeQuery('SELECT 1 FROM DUAL'));
+
+    expect(connection.callTimeout).toBe(30000);
+    expect(warn.mock.calls.filter(([message]) => message.includes('ORACLE_TOOL_CALL_TIMEOUTS'))).toHaveLength(1);
+    warn.mockRestore();
+  });
+
+  it('should report expired call timeouts as CALL_TIMEOUT', async () => {
+    const timeout = new Error('NJS-123: call timeout of 5000 ms exceeded');
+    timeout.code = 'NJS-123';
+    connection.execute.mockRejectedValue(timeout);
+
+    await expect(executeQuery('SELECT 1 FROM DUAL', {}, { callTimeout: 5000 }))
+      .rejects.toMatchObject({ errorNum: 'CALL_TIMEOUT', message: expect.stringContaining('NJS-123') });
+  });
+
+  it.each(['REQUEST_TIMEOUT', 'CLIENT_DISCONNECTED'])('should break the running statement on %s', async (code) => {
+    const controller = new AbortController();
+    connection.execute.mockImplementation(() => new Promise((_, reject) => {
+      connection.break.mockImplementation(async () => {
+        const cancelled = new Error('ORA-01013: user requested cancel of current operation');
+        cancelled.errorNum = 1013;
+        reject(cancelled);
+      });
+      controller.abort(cancellation(code));
+    }));
+
+    await expect(runWithContext({ tool: 'runQuery', signal: controller.signal }, () => executeQuery('SELECT 1 FROM DUAL')))
+      .rejects.toMatchObject({ errorNum: code, message: `Query cancelled: ${code}` });
+    expect(connection.break).toHaveBeenCalledTimes(1);
+    expect(connection.close).toHaveBeenCalled();
+  });
+
+  it('should not start queries for cancelled requests', async () => {
+    const controller = new AbortController();
+    controller.abort(cancellation('CLIENT_DISCONNECTED'));
+
+    await expect(runWithContext({ signal: controller.signal }, () => executeQuery('SELECT 1 FROM DUAL')))
+      .rejects.toMatchObject({ errorNum: 'CLIENT_DISCONNECTED' });
+    expect(pool.getConnection).not.toHaveBeenCalled();
+  });
+
+  it('should stop listening for cancellation once the query is done', async () => {
+    const controller = new AbortController();
+
+    await runWithContext({ signal: controller.signal }, () => executeQuery('SELECT 1 FROM DUAL'));
+    controller.abort(cancellation('CLIENT_DISCONNECTED'));
+
+    expect(connection.break).not.toHaveBeenCalled();
+  });
+});
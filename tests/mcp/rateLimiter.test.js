@@ -0,0 +1,149 @@
+/**
+ * Unit tests for tool call rate limiting
+ * Tests per-principal and per-tool token buckets and per-tool concurrency caps
+ */
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { acquireToolSlot, getRateLimiterStats, resetRateLimiter } from '../../src/rateLimiter.js';
+import { callTool } from '../../src/mcpHandlers.js';
+import { JSONRPC_ERRORS } from '../../src/util/jsonRpc.js';
+
+// Mock oracle module
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+const runQueryTool = { name: 'runQuery', options: { requiresDatabase: true } };
+const nl2sqlTool = { name: 'nl2sql', options: { requiresDatabase: false } };
+const voiceAgent = { type: 'api-key', name: 'telnyx-agent', tools: null, scopes: [] };
+const analystBot = { type: 'api-key', name: 'analyst-bot', tools: null, scopes: [] };
+
+describe('acquireToolSlot', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    resetRateLimiter();
+    process.env.MCP_RATE_LIMIT_RPM = '60';
+    process.env.MCP_RATE_LIMIT_BURST = '2';
+    delete process.env.MCP_TOOL_LIMITS;
+    delete process.env.MCP_TOOL_RATE_LIMIT_RPM;
+    delete process.env.MCP_TOOL_MAX_IN_FLIGHT;
+    delete process.env.MCP_DATABASE_MAX_IN_FLIGHT;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should limit each principal to its own bucket', () => {
+    acquireToolSlot(nl2sqlTool, voiceAgent)();
+    acquireToolSlot(nl2sqlTool, voiceAgent)();
+
+    expect(() => acquireToolSlot(nl2sqlTool, voiceAgent)).toThrow(expect.objectContaining({
+      code: JSONRPC_ERRORS.RATE_LIMITED,
+      data: { limit: 'principal', tool: 'nl2sql', principal: 'telnyx-agent', retryAfter: 1 }
+    }));
+
+    // Other callers are unaffected
+    expect(() => acquireToolSlot(nl2sqlTool, analystBot)()).not.toThrow();
+  });
+
+  it('should honour a per-key rate limit', () => {
+    const reportingJob = { ...analystBot, name: 'reporting-job', rateLimit: { rpm: 1, burst: 1 } };
+
+    acquireToolSlot(nl2sqlTool, reportingJob)();
+    expect(() => acquireToolSlot(nl2sqlTool, reportingJob)).toThrow(expect.objectContaining({
+      data: expect.objectContaining({ limit: 'principal', retryAfter: 60 })
+    }));
+  });
+
+  it('should limit a tool across principals without charging the principal', () => {
+    process.env.MCP_TOOL_LIMITS = JSON.stringify({ runQuery: { rpm: 6, burst: 1 } });
+
+    acquireToolSlot(runQueryTool, voiceAgent)();
+    expect(() => acquireToolSlot(runQueryTool, analystBot)).toThrow(expect.objectContaining({
+      data: expect.objectContaining({ limit: 'tool', tool: 'runQuery', retryAfter: 10 })
+    }));
+
+    // The rejected call didn't use analyst-bot's budget
+    acquireToolSlot(nl2sqlTool, analystBot)();
+    acquireToolSlot(nl2sqlTool, analystBot)();
+  });
+
+  it('should cap concurrent calls per tool', () => {
+    process.env.MCP_TOOL_LIMITS = JSON.stringify({ runQuery: { maxInFlight: 1 } });
+    process.env.MCP_RATE_LIMIT_BURST = '10';
+
+    const release = acquireToolSlot(runQueryTool, voiceAgent);
+    expect(() => acquireToolSlot(runQueryTool, analystBot)).toThrow(expect.objectContaining({
+      data: expect.objectContaining({ limit: 'concurrency', retryAfter: 1 })
+    }));
+
+    release();
+    expect(() => acquireToolSlot(runQueryTool, analystBot)()).not.toThrow();
+  });
+
+  it('should share one concurrency budget, sized to the pool, across database tools', () => {
+    process.env.ORACLE_POOL_MAX = '3';
+    delete process.env.MCP_DATABASE_MAX_IN_FLIGHT;
+    process.env.MCP_RATE_LIMIT_BURST = '10';
+    const runTemplateTool = { name: 'runTemplate', options: { requiresDatabase: true } };
+
+    const releases = [runQueryTool, runQueryTool, runTemplateTool].map(tool => acquireToolSlot(tool, voiceAgent));
+    expect(() => acquireToolSlot(runTemplateTool, analystBot)).toThrow(expect.objectContaining({
+      message: 'Too many concurrent database calls (max 3); retry after 1s',
+      data: expect.objectContaining({ limit: 'concurrency', tool: 'runTemplate' })
+    }));
+    // Tools that don't use the database aren't held back
+    expect(() => acquireToolSlot(nl2sqlTool, analystBot)()).not.toThrow();
+    expect(getRateLimiterStats().database).toEqual({ running: 3, max: 3 });
+
+    releases[0]();
+    expect(() => acquireToolSlot(runTemplateTool, analystBot)()).not.toThrow();
+    releases.slice(1).forEach(release => release());
+    expect(getRateLimiterStats().database.running).toBe(0);
+  });
+
+  it('should report limiter state', () => {
+    process.env.MCP_TOOL_LIMITS = JSON.stringify({ runQuery: { maxInFlight: 2 } });
+
+    const release = acquireToolSlot(runQueryTool, voiceAgent);
+    acquireToolSlot(runQueryTool, voiceAgent)();
+    expect(() => acquireToolSlot(runQueryTool, voiceAgent)).toThrow();
+
+    const stats = getRateLimiterStats();
+    expect(stats.buckets).toEqual([
+      { key: 'principal:api-key:telnyx-agent', tokens: expect.any(Number), capacity: 2 }
+    ]);
+    expect(stats.buckets[0].tokens).toBeLessThan(1);
+    expect(stats.inFlight).toEqual({ runQuery: { running: 1, max: 2 } });
+    expect(stats.rejected).toEqual({ principal: 1, tool: 0, concurrency: 0 });
+    release();
+  });
+});
+
+describe('tools/call rate limiting', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    resetRateLimiter();
+    process.env.MCP_RATE_LIMIT_RPM = '60';
+    process.env.MCP_RATE_LIMIT_BURST = '1';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should reject calls over the limit with a retry-after hint', async () => {
+    const params = { name: 'getSemanticMappings', arguments: {} };
+
+    const first = await callTool(params, { principal: voiceAgent });
+    expect(first.isError).toBeUndefined();
+
+    await expect(callTool(params, { principal: voiceAgent })).rejects.toMatchObject({
+      code: JSONRPC_ERRORS.RATE_LIMITED,
+      message: 'Rate limit exceeded for telnyx-agent; retry after 1s',
+      data: { retryAfter: 1 }
+    });
+  });
+});
@@ -2,8 +2,13 @@
  * Unit tests for runQuery tool
  */
 import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { runQuery } from '../../src/tools/runQuery.js';
 import { executeQuery } from '../../src/oracle.js';
+import { findUnmappedReferences, clearMappingsCache } from '../../src/tools/getSemanticMappings.js';
+import { extractSqlReferences } from '../../src/util/sqlReferences.js';
 
 // Mock oracle module
 jest.mock('../../src/oracle.js', () => ({
@@ -34,22 +39,55 @@ describe('runQuery', () => {
     });
 
     const result = await runQuery({
-      sql: 'SELECT * FROM PATIENT_MASTER WHERE id = :id',
+      sql: 'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM PATIENT_MASTER WHERE PATIENT_PKEY = :id',
       binds: { id: 123 },
       approved: true
     });
 
     expect(result.success).toBe(true);
     expect(executeQuery).toHaveBeenCalledWith(
-      'SELECT * FROM PATIENT_MASTER WHERE id = :id',
+      'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM PATIENT_MASTER WHERE PATIENT_PKEY = :id',
       { id: 123 },
-      expect.objectContaining({ maxRows: 1000, approved: true })
+      expect.objectContaining({ maxRows: 1001, approved: true })
     );
   });
 
+  it('should page query results with a signed cursor', async () => {
+    executeQuery.mockResolvedValueOnce({
+      rows: [{ id: 1 }, { id: 2 }, { id: 3 }],
+      rowCount: 3,
+      meta: { columnNames: ['id'], columnCount: 1 }
+    });
+    const args = {
+      sql: 'SELECT PATIENT_PKEY FROM PATIENT_MASTER WHERE EXT_SEX = :sex ORDER BY PATIENT_PKEY',
+      binds: { sex: 'F' },
+      maxRows: 2,
+      approved: true
+    };
+
+    const first = await runQuery(args);
+
+    expect(first.data).toMatchObject({ rows: [{ id: 1 }, { id: 2 }], rowCount: 2, hasMore: true });
+    expect(executeQuery.mock.calls[0][2].maxRows).toBe(3);
+
+    executeQuery.mockResolvedValueOnce({ rows: [{ id: 3 }], rowCount: 1, meta: { columnNames: ['id'], columnCount: 1 } });
+    const second = await runQuery({ ...args, cursor: first.data.nextCursor });
+
+    expect(second.data).toMatchObject({ rows: [{ id: 3 }], hasMore: false, nextCursor: null });
+    expect(executeQuery).toHaveBeenLastCalledWith(
+      `${args.sql} OFFSET :mcp_offset ROWS FETCH NEXT :mcp_fetch ROWS ONLY`,
+      { sex: 'F', mcp_offset: 2, mcp_fetch: 3 },
+      expect.objectContaining({ maxRows: 3 })
+    );
+
+    const tampered = await runQuery({ ...args, binds: { sex: 'M' }, cursor: first.data.nextCursor });
+    expect(tampered.error.code).toBe('INVALID_CURSOR');
+    expect(executeQuery).toHaveBeenCalledTimes(2);
+  });
+
   it('should validate bind variable names', async () => {
     const result = await runQuery({
-      sql: 'SELECT * FROM TABLE WHERE id = :id',
+      sql: 'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM PATIENT_MASTER WHERE PATIENT_PKEY = :id',
       binds: { 'id;DROP': 123 },
       approved: true
     });
@@ -59,6 +97,18 @@ describe('runQuery', () => {
     expect(executeQuery).not.toHaveBeenCalled();
   });
 
+  it('should reject the bind variable names reserved for pagination', async () => {
+    const result = await runQuery({
+      sql: 'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM PATIENT_MASTER WHERE PATIENT_PKEY > :mcp_offset',
+      binds: { mcp_offset: 123 },
+      approved: true
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('RESERVED_BIND_NAME');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
   it('should accept valid bind variable names', async () => {
     executeQuery.mockResolvedValue({
       rows: [],
@@ -67,7 +117,7 @@ describe('runQuery', () => {
     });
 
     const result = await runQuery({
-      sql: 'SELECT * FROM TABLE WHERE id = :id AND name = :name',
+      sql: 'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM PATIENT_MASTER WHERE PATIENT_PKEY = :id AND EXT_LAST_NAME = :name',
       binds: { id: 123, name: 'Test' },
       approved: true
     });
@@ -84,14 +134,14 @@ describe('runQuery', () => {
     });
 
     const result = await runQuery({
-      sql: 'SELECT * FROM TABLE',
+      sql: 'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM PATIENT_MASTER',
       binds: '{"id": 123}',
       approved: true
     });
 
     expect(result.success).toBe(true);
     expect(executeQuery).toHaveBeenCalledWith(
-      'SELECT * FROM TABLE',
+      'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM PATIENT_MASTER',
       { id: 123 },
       expect.any(Object)
     );
@@ -99,7 +149,7 @@ describe('runQuery', () => {
 
   it('should validate maxRows', async () => {
     const result1 = await runQuery({
-      sql: 'SELECT * FROM TABLE',
+      sql: 'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM PATIENT_MASTER',
       maxRows: -1,
       approved: true
     });
@@ -108,7 +158,7 @@ describe('runQuery', () => {
     expect(result1.error.message).toContain('positive integer');
 
     const result2 = await runQuery({
-      sql: 'SELECT * FROM TABLE',
+      sql: 'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM PATIENT_MASTER',
       maxRows: 'invalid',
       approved: true
     });
@@ -125,7 +175,7 @@ describe('runQuery', () => {
     executeQuery.mockRejectedValue(dbError);
 
     const result = await runQuery({
-      sql: 'SELECT * FROM INVALID_TABLE',
+      sql: 'SELECT PATIENT_PKEY, EXT_LAST_NAME FROM P_COMMONUSEROBJECT.PATIENT_MASTER',
       approved: true
     });
 
@@ -133,5 +183,134 @@ describe('runQuery', () => {
     expect(result.error.code).toBe(904);
     expect(result.error.message).toContain('invalid identifier');
   });
-});
 
+  it('should reject statements other than read-only queries', async () => {
+    const result = await runQuery({
+      sql: 'SELECT * FROM PATIENT_MASTER FOR UPDATE',
+      approved: true
+    }, { principal: { type: 'api-key', name: 'agent', tools: null, scopes: [] } });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('SQL_NOT_ALLOWED');
+    expect(result.error.classification).toMatchObject({
+      statementType: 'SELECT',
+      readOnly: false,
+      reasons: [expect.objectContaining({ code: 'FOR_UPDATE' })]
+    });
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should allow writes for principals with the sql:write scope', async () => {
+    executeQuery.mockResolvedValue({
+      rows: [],
+      rowCount: 1,
+      meta: { columnNames: [], columnCount: 0 }
+    });
+
+    const result = await runQuery({
+      sql: 'UPDATE PATIENT_MASTER SET STATUS = :status WHERE ID = :id',
+      binds: { status: 'A', id: 1 },
+      approved: true
+    }, { principal: { type: 'api-key', name: 'admin', tools: null, scopes: ['sql:write'] } });
+
+    expect(result.success).toBe(true);
+    expect(executeQuery).toHaveBeenCalledWith(
+      'UPDATE PATIENT_MASTER SET STATUS = :status WHERE ID = :id',
+      { status: 'A', id: 1 },
+      expect.objectContaining({ autoCommit: true })
+    );
+  });
+
+  it('should run on a requested replica of the mapped tables only', async () => {
+    executeQuery.mockResolvedValue({ rows: [], rowCount: 0, meta: { columnNames: [], columnCount: 0 } });
+    const mappingsDir = mkdtempSync(join(tmpdir(), 'mcp-replicas-'));
+    const mapping = JSON.parse(readFileSync(new URL('../../src/schemas/patient_master.json', import.meta.url), 'utf8'));
+    writeFileSync(join(mappingsDir, 'patient_master.json'), JSON.stringify({ ...mapping, replica_datasources: ['replica'] }));
+    process.env.SEMANTIC_MAPPINGS_DIR = mappingsDir;
+    clearMappingsCache();
+
+    try {
+      const replica = await runQuery({ sql: 'SELECT EXT_FIRST_NAME FROM PATIENT_MASTER', approved: true, datasource: 'replica' });
+      const other = await runQuery({ sql: 'SELECT EXT_FIRST_NAME FROM PATIENT_MASTER', approved: true, datasource: 'billing' });
+
+      expect(replica.success).toBe(true);
+      expect(executeQuery).toHaveBeenCalledTimes(1);
+      expect(executeQuery).toHaveBeenCalledWith(
+        'SELECT EXT_FIRST_NAME FROM PATIENT_MASTER',
+        {},
+        expect.objectContaining({ datasource: 'replica' })
+      );
+      expect(other.error).toMatchObject({ code: 'DATASOURCE_NOT_ALLOWED', message: expect.stringContaining('allowed: default, replica') });
+    } finally {
+      delete process.env.SEMANTIC_MAPPINGS_DIR;
+      clearMappingsCache();
+      rmSync(mappingsDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject tables and columns not declared in semantic mappings', async () => {
+    const result = await runQuery({
+      sql: 'SELECT p.EXT_FIRST_NAME, p.PASSWORD FROM PATIENT_MASTER p WHERE p.PATIENT_PKEY IN (SELECT SID FROM V$SESSION) UNION SELECT USERNAME, NULL FROM ALL_USERS',
+      approved: true
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('UNMAPPED_REFERENCES');
+    expect(result.error.unmapped).toEqual({
+      tables: ['V$SESSION', 'ALL_USERS'],
+      columns: ['P.PASSWORD', 'SID', 'USERNAME'],
+      functions: []
+    });
+    expect(result.error.message).toContain('Allowed tables: P_COMMONUSEROBJECT.PATIENT_MASTER');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should reject undeclared columns read through derived tables, CTEs and *', async () => {
+    const unmappedColumns = async (sql) => (await findUnmappedReferences(extractSqlReferences(sql))).columns;
+
+    expect(await unmappedColumns('SELECT x.EXT_SSN FROM (SELECT * FROM PATIENT_MASTER) x')).toEqual(['*', 'X.EXT_SSN']);
+    expect(await unmappedColumns('SELECT EXT_SSN FROM (SELECT * FROM PATIENT_MASTER)')).toEqual(['*', 'EXT_SSN']);
+    expect(await unmappedColumns('WITH c AS (SELECT EXT_CITY FROM PATIENT_MASTER) SELECT EXT_SSN FROM c')).toEqual(['EXT_SSN']);
+    expect(await unmappedColumns('SELECT p.* FROM PATIENT_MASTER p')).toEqual(['P.*']);
+    expect(await unmappedColumns(`WITH c AS (SELECT EXT_CITY, COUNT(*) n FROM PATIENT_MASTER GROUP BY EXT_CITY)
+      SELECT * FROM (SELECT c.*, n + 1 next FROM c) ORDER BY next`)).toEqual([]);
+    expect(await unmappedColumns('SELECT * FROM DUAL')).toEqual([]);
+  });
+
+  it('should check flashback and MODEL queries', async () => {
+    const unmapped = async (sql) => findUnmappedReferences(extractSqlReferences(sql));
+
+    expect(await unmapped("SELECT EXT_CITY FROM PATIENT_MASTER AS OF TIMESTAMP TO_TIMESTAMP(:at, 'YYYY-MM-DD') p"))
+      .toEqual({ tables: [], columns: [], functions: [] });
+    expect(await unmapped(`SELECT EXT_CITY, n FROM PATIENT_MASTER
+      MODEL DIMENSION BY (EXT_CITY) MEASURES (EXT_SSN n) RULES (n['X'] = PRESENTV(n['Y'], 1, 0))`))
+      .toEqual({ tables: [], columns: ['EXT_SSN'], functions: [] });
+  });
+
+  it('should only allow calls to built-in functions', async () => {
+    const unmappedFunctions = async (sql) => (await findUnmappedReferences(extractSqlReferences(sql))).functions;
+
+    expect(await unmappedFunctions("SELECT dburitype('/SYS/ALL_USERS').getclob() FROM DUAL"))
+      .toEqual(['DBURITYPE(...)', '.GETCLOB(...)']);
+    expect(await unmappedFunctions("SELECT httpuritype('http://evil/').getclob() FROM DUAL"))
+      .toEqual(['HTTPURITYPE(...)', '.GETCLOB(...)']);
+    expect(await unmappedFunctions(`SELECT xmlquery('for $i in ora:view("ALL_USERS") return $i' returning content) FROM dual`))
+      .toEqual(['XMLQUERY(...)']);
+    expect(await unmappedFunctions("SELECT app.secrets.read(1), SYS_CONTEXT('USERENV', 'DB_NAME') FROM DUAL"))
+      .toEqual(['APP.SECRETS.READ(...)', 'SYS_CONTEXT(...)']);
+    expect(await unmappedFunctions(`SELECT UPPER(EXT_LAST_NAME), COUNT(*), ROW_NUMBER() OVER (ORDER BY PATIENT_PKEY),
+      NVL(TO_CHAR(EXT_DATE_OF_BIRTH, 'YYYY'), '-') FROM PATIENT_MASTER GROUP BY EXT_LAST_NAME`)).toEqual([]);
+  });
+
+  it('should reject queries calling functions that are not allowed', async () => {
+    const result = await runQuery({
+      sql: "SELECT SYS_CONTEXT('USERENV', 'DB_NAME') FROM DUAL",
+      approved: true
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('UNMAPPED_REFERENCES');
+    expect(result.error.message).toContain('functions SYS_CONTEXT(...)');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for runTemplate tool
+ */
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import oracledb from 'oracledb';
+import { runTemplate } from '../../src/tools/runTemplate.js';
+import { getMappedTables, getTableMapping } from '../../src/tools/getSemanticMappings.js';
+import { executeQuery } from '../../src/oracle.js';
+
+// Mock dependencies
+jest.mock('../../src/tools/getSemanticMappings.js');
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+const mockMapping = {
+  tableName: 'PATIENT_MASTER',
+  oracleSchema: 'P_COMMONUSEROBJECT',
+  schema: {
+    properties: {
+      PATIENT_PKEY: { type: 'integer' },
+      EXT_LAST_NAME: { type: 'string' },
+      EXT_SEX: { type: 'string', enum: ['M', 'F', 'O'] },
+      EXT_DATE_OF_BIRTH: { type: 'string', format: 'date' },
+      EXT_NOTES: { type: 'string', 'x-mcp-lob': { maxChars: 1000 } }
+    }
+  },
+  mcp_sql_templates: {
+    select_all: 'SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER FETCH FIRST 10 ROWS ONLY',
+    select_by_id: {
+      sql: 'SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER WHERE PATIENT_PKEY = :id',
+      params: { id: { type: 'number', description: 'PATIENT_PKEY' } }
+    },
+    select_by_name: {
+      sql: 'SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER WHERE UPPER(EXT_LAST_NAME) LIKE UPPER(:name)',
+      params: { name: { type: 'string', like: 'startsWith' } }
+    },
+    select_by_sex_and_dob: 'SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER WHERE EXT_SEX = :sex AND EXT_DATE_OF_BIRTH = :dob',
+    delete_by_id: 'DELETE FROM P_COMMONUSEROBJECT.PATIENT_MASTER WHERE PATIENT_PKEY = :id'
+  }
+};
+
+describe('runTemplate', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getTableMapping.mockImplementation(async (table) => (table.toUpperCase().endsWith('PATIENT_MASTER') ? mockMapping : null));
+    getMappedTables.mockResolvedValue([{ schema: 'P_COMMONUSEROBJECT', tableName: 'PATIENT_MASTER' }]);
+    executeQuery.mockResolvedValue({
+      rows: [{ PATIENT_PKEY: 12345 }],
+      rowCount: 1,
+      meta: { columnNames: ['PATIENT_PKEY'], columnCount: 1 }
+    });
+  });
+
+  it('should execute a template with typed bind definitions', async () => {
+    const result = await runTemplate({
+      table: 'PATIENT_MASTER',
+      template: 'select_by_id',
+      params: { id: '12345' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({
+      table: 'P_COMMONUSEROBJECT.PATIENT_MASTER',
+      template: 'select_by_id',
+      rowCount: 1
+    });
+    expect(executeQuery).toHaveBeenCalledWith(
+      'SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER WHERE PATIENT_PKEY = :id',
+      { ID: { dir: oracledb.BIND_IN, type: oracledb.NUMBER, val: 12345 } },
+      expect.objectContaining({ maxRows: 1001, approved: true })
+    );
+  });
+
+  it('should reject unknown tables and templates', async () => {
+    const noTable = await runTemplate({ table: 'ALL_USERS', template: 'select_all' });
+    expect(noTable.error.code).toBe('MAPPING_NOT_FOUND');
+    expect(noTable.error.availableTables).toEqual(['PATIENT_MASTER']);
+
+    const noTemplate = await runTemplate({ table: 'PATIENT_MASTER', template: 'drop_all' });
+    expect(noTemplate.error.code).toBe('TEMPLATE_NOT_FOUND');
+    expect(noTemplate.error.availableTemplates).toContain('select_by_id');
+
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should reject missing, unknown and mistyped parameters', async () => {
+    const result = await runTemplate({
+      table: 'PATIENT_MASTER',
+      template: 'select_by_id',
+      params: { patientId: 1 }
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('INVALID_TEMPLATE_PARAMS');
+    expect(result.error.violations).toEqual([
+      { path: 'params.patientId', message: 'is not a parameter of this template' },
+      { path: 'params.id', message: 'is required' }
+    ]);
+    expect(result.error.parameters).toEqual({ id: { type: 'number', required: true, description: 'PATIENT_PKEY' } });
+
+    const mistyped = await runTemplate({ table: 'PATIENT_MASTER', template: 'select_by_id', params: { id: 'P0000456' } });
+    expect(mistyped.error.violations).toEqual([{ path: 'params.id', message: 'must be a number' }]);
+
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should wrap LIKE parameters as declared', async () => {
+    const result = await runTemplate({
+      table: 'P_COMMONUSEROBJECT.PATIENT_MASTER',
+      template: 'select_by_name',
+      params: { NAME: 'O_Do' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(executeQuery).toHaveBeenCalledWith(
+      expect.stringContaining("LIKE UPPER(:name) ESCAPE '\\'"),
+      { NAME: { dir: oracledb.BIND_IN, type: oracledb.STRING, val: 'O\\_Do%', maxSize: 6 } },
+      expect.any(Object)
+    );
+  });
+
+  it('should type plain-string template parameters from the mapped columns', async () => {
+    const invalid = await runTemplate({
+      table: 'PATIENT_MASTER',
+      template: 'select_by_sex_and_dob',
+      params: { sex: 'X', dob: '1988-02-30' }
+    });
+    expect(invalid.error.violations.map(violation => violation.path)).toEqual(['params.sex', 'params.dob']);
+
+    const result = await runTemplate({
+      table: 'PATIENT_MASTER',
+      template: 'select_by_sex_and_dob',
+      params: { sex: 'F', dob: '1988-04-15' }
+    });
+    expect(result.success).toBe(true);
+    const binds = executeQuery.mock.calls[0][1];
+    expect(binds.SEX).toMatchObject({ type: oracledb.STRING, val: 'F' });
+    expect(binds.DOB).toMatchObject({ type: oracledb.DATE, val: new Date(1988, 3, 15) });
+  });
+
+  it('should pass the mapping\'s LOB overrides', async () => {
+    await runTemplate({ table: 'PATIENT_MASTER', template: 'select_all' });
+
+    expect(executeQuery.mock.calls[0][2].lobColumns).toEqual({ EXT_NOTES: { maxChars: 1000 } });
+  });
+
+  it('should page template results, keeping the template\'s own row limit', async () => {
+    executeQuery.mockResolvedValue({
+      rows: [{ PATIENT_PKEY: 1 }, { PATIENT_PKEY: 2 }],
+      rowCount: 2,
+      meta: { columnNames: ['PATIENT_PKEY'], columnCount: 1 }
+    });
+
+    const first = await runTemplate({ table: 'PATIENT_MASTER', template: 'select_all', maxRows: 1 });
+    expect(first.data).toMatchObject({ rowCount: 1, hasMore: true });
+
+    await runTemplate({ table: 'PATIENT_MASTER', template: 'select_all', maxRows: 1, cursor: first.data.nextCursor });
+    expect(executeQuery.mock.calls[1][0]).toBe(
+      'SELECT * FROM (SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER FETCH FIRST 10 ROWS ONLY) OFFSET :mcp_offset ROWS FETCH NEXT :mcp_fetch ROWS ONLY'
+    );
+
+    const other = await runTemplate({ table: 'PATIENT_MASTER', template: 'select_by_id', params: { id: 1 }, cursor: first.data.nextCursor });
+    expect(other.error.code).toBe('INVALID_CURSOR');
+  });
+
+  it('should only run on the mapping\'s datasource or one of its replicas', async () => {
+    getTableMapping.mockResolvedValue({ ...mockMapping, datasource: 'clinic2', replica_datasources: ['clinic2_ro'] });
+
+    await runTemplate({ table: 'PATIENT_MASTER', template: 'select_all' });
+    await runTemplate({ table: 'PATIENT_MASTER', template: 'select_all', datasource: 'clinic2_ro' });
+    const other = await runTemplate({ table: 'PATIENT_MASTER', template: 'select_all', datasource: 'default' });
+
+    expect(executeQuery.mock.calls.map(call => call[2].datasource)).toEqual(['clinic2', 'clinic2_ro']);
+    expect(other.error).toMatchObject({
+      code: 'DATASOURCE_NOT_ALLOWED',
+      message: 'Datasource default is not allowed for table PATIENT_MASTER (allowed: clinic2, clinic2_ro)'
+    });
+  });
+
+  it('should refuse templates that are not read-only queries', async () => {
+    const result = await runTemplate({ table: 'PATIENT_MASTER', template: 'delete_by_id', params: { id: 1 } });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('SQL_NOT_ALLOWED');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for tool argument validation
+ * Tests the JSON Schema validator and its use in tools/call
+ */
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import { validateSchema } from '../../src/util/schemaValidator.js';
+import { callTool } from '../../src/mcpHandlers.js';
+import { executeQuery } from '../../src/oracle.js';
+import { JSONRPC_ERRORS } from '../../src/util/jsonRpc.js';
+
+// Mock oracle module
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      count: { type: 'integer', minimum: 1 },
+      gender: { type: 'string', enum: ['M', 'F', 'O'] },
+      dob: { type: 'string', format: 'date' },
+      tags: { type: 'array', items: { type: 'string' } },
+      binds: { type: ['object', 'string'] }
+    },
+    required: ['name'],
+    additionalProperties: false
+  };
+
+  it('should accept valid arguments', () => {
+    expect(validateSchema(schema, {
+      name: 'Doe',
+      count: 5,
+      gender: 'F',
+      dob: '1980-02-29',
+      tags: ['a'],
+      binds: '{"id": 1}'
+    })).toEqual([]);
+  });
+
+  it('should report every violation with its path', () => {
+    const violations = validateSchema(schema, {
+      count: 1.5,
+      gender: 'X',
+      dob: '1981-02-29',
+      tags: ['a', 2],
+      extra: true
+    });
+
+    expect(violations).toEqual([
+      { path: 'arguments.name', message: 'is required' },
+      { path: 'arguments.count', message: 'must be of type integer (got number)' },
+      { path: 'arguments.gender', message: 'must be one of: "M", "F", "O"' },
+      { path: 'arguments.dob', message: 'must be a valid date' },
+      { path: 'arguments.tags[1]', message: 'must be of type string (got integer)' },
+      { path: 'arguments.extra', message: 'is not an allowed property' }
+    ]);
+  });
+
+  it('should reject non-object arguments', () => {
+    expect(validateSchema(schema, 'Doe')).toEqual([
+      { path: 'arguments', message: 'must be of type object (got string)' }
+    ]);
+  });
+
+  it('should not treat Object.prototype keys as declared properties', () => {
+    expect(validateSchema(schema, JSON.parse('{"name": "Doe", "constructor": "x", "toString": 1, "__proto__": {}}'))).toEqual([
+      { path: 'arguments.constructor', message: 'is not an allowed property' },
+      { path: 'arguments.toString', message: 'is not an allowed property' },
+      { path: 'arguments.__proto__', message: 'is not an allowed property' }
+    ]);
+    expect(validateSchema({ type: 'object', required: ['constructor'] }, {})).toEqual([
+      { path: 'arguments.constructor', message: 'is required' }
+    ]);
+  });
+
+  it('should enforce numeric bounds', () => {
+    expect(validateSchema(schema, { name: 'Doe', count: 0 })).toEqual([
+      { path: 'arguments.count', message: 'must be >= 1' }
+    ]);
+  });
+});
+
+describe('tools/call argument validation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should reject invalid arguments with Invalid params before running the tool', async () => {
+    await expect(callTool({
+      name: 'searchPatients',
+      arguments: { lastName: 'Doe', dob: '01/02/1980', favouriteColour: 'blue' }
+    })).rejects.toMatchObject({
+      code: JSONRPC_ERRORS.INVALID_PARAMS,
+      data: {
+        tool: 'searchPatients',
+        violations: [
+          { path: 'arguments.dob', message: 'must be a valid date' },
+          { path: 'arguments.favouriteColour', message: 'is not an allowed property' }
+        ]
+      }
+    });
+
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should report missing required arguments', async () => {
+    await expect(callTool({ name: 'runQuery', arguments: { maxRows: 0 } })).rejects.toMatchObject({
+      code: JSONRPC_ERRORS.INVALID_PARAMS,
+      data: {
+        violations: [
+          { path: 'arguments.sql', message: 'is required' },
+          { path: 'arguments.approved', message: 'is required' },
+          { path: 'arguments.maxRows', message: 'must be >= 1' }
+        ]
+      }
+    });
+  });
+
+  it('should run the tool when arguments are valid', async () => {
+    executeQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+
+    const result = await callTool({
+      name: 'searchPatients',
+      arguments: { lastName: 'Doe', dob: '1980-01-02' }
+    });
+
+    expect(result.isError).toBeUndefined();
+    expect(executeQuery).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit tests for searchEntities tool and its per-table variants
+ */
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import {
+  searchEntities,
+  getSearchToolName,
+  getSearchEntityVariants,
+  resolveSearchEntitiesSchema
+} from '../../src/tools/searchEntities.js';
+import { getMappedTables, getTableMapping } from '../../src/tools/getSemanticMappings.js';
+import { executeQuery } from '../../src/oracle.js';
+
+// Mock dependencies
+jest.mock('../../src/tools/getSemanticMappings.js');
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+const appointments = {
+  tableName: 'APPOINTMENTS',
+  oracleSchema: 'APP',
+  schema: {
+    description: 'Scheduled appointments.',
+    properties: {
+      APPT_ID: { type: 'integer' },
+      STATUS: { type: 'string', enum: ['BOOKED', 'CANCELLED'] },
+      APPT_DATE: { type: 'string', format: 'date' },
+      PROVIDER_NAME: { type: 'string' },
+      NOTES: { type: 'string' },
+      ROOM: { type: 'string' }
+    }
+  },
+  mcp_friendly_fields: {
+    status: { columns: 'STATUS', match: 'exact' },
+    date: { columns: 'APPT_DATE', match: 'range', description: 'Appointment date' },
+    provider: { columns: 'PROVIDER_NAME', match: 'prefix' },
+    text: { columns: ['NOTES', 'ROOM'], match: 'like' }
+  }
+};
+
+const providers = {
+  tableName: 'PROVIDERS',
+  oracleSchema: 'APP',
+  schema: { properties: { PROVIDER_ID: { type: 'integer' } } }
+};
+
+const mappings = { APPOINTMENTS: appointments, PROVIDERS: providers };
+
+describe('searchEntities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getTableMapping.mockImplementation(async (table) => mappings[table.toUpperCase().split('.').pop()] || null);
+    getMappedTables.mockResolvedValue([
+      { schema: 'APP', tableName: 'APPOINTMENTS' },
+      { schema: 'APP', tableName: 'PROVIDERS' }
+    ]);
+    executeQuery.mockResolvedValue({ rows: [{ APPT_ID: 1 }], rowCount: 1 });
+  });
+
+  it('should search by friendly fields with binds only', async () => {
+    const result = await searchEntities({
+      table: 'APPOINTMENTS',
+      filters: { status: 'BOOKED', date: { from: '2024-01-01', to: '2024-01-31' }, provider: 'Smi', text: 'x-ray' },
+      sort: [{ field: 'date', direction: 'desc' }, { field: 'provider' }],
+      limit: 10
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({
+      table: 'APP.APPOINTMENTS',
+      rows: [{ APPT_ID: 1 }],
+      count: 1,
+      filters: ['status', 'date', 'provider', 'text'],
+      limit: 10
+    });
+
+    const [sql, binds, options] = executeQuery.mock.calls[0];
+    expect(sql).toBe(
+      'SELECT * FROM APP.APPOINTMENTS WHERE STATUS = :status' +
+      " AND (APPT_DATE >= TO_DATE(:date_from, 'YYYY-MM-DD') AND APPT_DATE <= TO_DATE(:date_to, 'YYYY-MM-DD'))" +
+      " AND UPPER(PROVIDER_NAME) LIKE UPPER(:provider) ESCAPE '\\'" +
+      " AND (UPPER(NOTES) LIKE UPPER(:text_0) ESCAPE '\\' OR UPPER(ROOM) LIKE UPPER(:text_1) ESCAPE '\\')" +
+      ' ORDER BY APPT_DATE DESC, PROVIDER_NAME ASC FETCH FIRST :fetch_limit ROWS ONLY'
+    );
+    expect(binds).toEqual({
+      status: 'BOOKED',
+      date_from: '2024-01-01',
+      date_to: '2024-01-31',
+      provider: 'Smi%',
+      text_0: '%x-ray%',
+      text_1: '%x-ray%',
+      fetch_limit: 10
+    });
+    expect(options).toEqual({ maxRows: 10, approved: true, lobColumns: {} });
+  });
+
+  it('should return the first rows without filters', async () => {
+    const result = await searchEntities({ table: 'app.appointments' });
+
+    expect(result.success).toBe(true);
+    expect(executeQuery).toHaveBeenCalledWith(
+      'SELECT * FROM APP.APPOINTMENTS FETCH FIRST :fetch_limit ROWS ONLY',
+      { fetch_limit: 25 },
+      { maxRows: 25, approved: true, lobColumns: {} }
+    );
+  });
+
+  it('should reject unknown fields and invalid values', async () => {
+    const unknown = await searchEntities({ table: 'APPOINTMENTS', filters: { STATUS: 'BOOKED' } });
+    expect(unknown.success).toBe(false);
+    expect(unknown.error.code).toBe('INVALID_FILTERS');
+    expect(unknown.error.availableFields).toEqual(['status', 'date', 'provider', 'text']);
+
+    const invalid = await searchEntities({ table: 'APPOINTMENTS', filters: { status: 'LATE', date: { from: 'today' } } });
+    expect(invalid.error.code).toBe('INVALID_FILTERS');
+    expect(invalid.error.violations.map(violation => violation.path)).toEqual(['filters.status', 'filters.date.from']);
+
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should only sort by single-column fields', async () => {
+    const result = await searchEntities({ table: 'APPOINTMENTS', sort: [{ field: 'text' }] });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('INVALID_SORT');
+    expect(result.error.sortableFields).toEqual(['status', 'date', 'provider']);
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should reject tables without a mapping or friendly fields', async () => {
+    const unmapped = await searchEntities({ table: 'BILLING' });
+    expect(unmapped.error.code).toBe('MAPPING_NOT_FOUND');
+    expect(unmapped.error.searchableTables).toEqual(['APPOINTMENTS']);
+
+    const unsearchable = await searchEntities({ table: 'PROVIDERS' });
+    expect(unsearchable.error.code).toBe('NOT_SEARCHABLE');
+  });
+
+  it('should list the searchable tables in its schema', async () => {
+    const schema = await resolveSearchEntitiesSchema();
+
+    expect(schema.inputSchema.properties.table.enum).toEqual(['APPOINTMENTS']);
+  });
+});
+
+describe('search tool variants', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getTableMapping.mockImplementation(async (table) => mappings[table.toUpperCase().split('.').pop()] || null);
+    getMappedTables.mockResolvedValue([
+      { schema: 'APP', tableName: 'APPOINTMENTS' },
+      { schema: 'APP', tableName: 'PROVIDERS' }
+    ]);
+    executeQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  it('should name tools after their table', () => {
+    expect(getSearchToolName('APPOINTMENTS')).toBe('searchAppointments');
+    expect(getSearchToolName('PATIENT_MASTER')).toBe('searchPatientMaster');
+  });
+
+  it('should generate a tool per table with friendly fields', async () => {
+    const variants = await getSearchEntityVariants();
+
+    expect(variants.map(variant => variant.schema.name)).toEqual(['searchAppointments']);
+    const { inputSchema, description } = variants[0].schema;
+    expect(description).toContain('APP.APPOINTMENTS');
+    expect(description).toContain('Scheduled appointments.');
+    expect(Object.keys(inputSchema.properties)).toEqual(['filters', 'sort', 'limit']);
+    expect(inputSchema.properties.filters.properties.status).toEqual({ type: 'string', enum: ['BOOKED', 'CANCELLED'] });
+    expect(inputSchema.properties.filters.additionalProperties).toBe(false);
+    expect(inputSchema.properties.sort.items.properties.field.enum).toEqual(['status', 'date', 'provider']);
+  });
+
+  it('should search its own table', async () => {
+    const [variant] = await getSearchEntityVariants();
+
+    const result = await variant.handler({ filters: { provider: 'Smi' }, limit: 5 });
+
+    expect(result.success).toBe(true);
+    expect(executeQuery.mock.calls[0][0]).toBe(
+      "SELECT * FROM APP.APPOINTMENTS WHERE UPPER(PROVIDER_NAME) LIKE UPPER(:provider) ESCAPE '\\' FETCH FIRST :fetch_limit ROWS ONLY"
+    );
+  });
+});
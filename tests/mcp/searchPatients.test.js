@@ -2,8 +2,8 @@
  * Unit tests for searchPatients tool
  */
 import { describe, it, expect, jest, beforeEach } from '@jest/globals';
-import { searchPatients } from '../../src/tools/searchPatients.js';
-import { getSemanticMappings } from '../../src/tools/getSemanticMappings.js';
+import { searchPatients, resolveSearchPatientsSchema, searchPatientsSchema } from '../../src/tools/searchPatients.js';
+import { getTableMapping } from '../../src/tools/getSemanticMappings.js';
 import { executeQuery } from '../../src/oracle.js';
 
 // Mock dependencies
@@ -18,21 +18,39 @@ describe('searchPatients', () => {
   });
 
   const mockMapping = {
-    success: true,
-    data: {
-      mapping: {
-        tableName: 'PATIENT_MASTER',
-        schema: 'P_COMMONUSEROBJECT',
-        mcp_sql_templates: {
-          select_all: 'SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER FETCH FIRST 10 ROWS ONLY',
-          select_by_name: 'SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER WHERE EXT_LAST_NAME LIKE :name'
-        }
+    tableName: 'PATIENT_MASTER',
+    oracleSchema: 'P_COMMONUSEROBJECT',
+    schema: {
+      properties: {
+        EXT_FIRST_NAME: { type: 'string' },
+        EXT_LAST_NAME: { type: 'string' },
+        EXT_DATE_OF_BIRTH: { type: 'string', format: 'date' },
+        EXT_SEX: { type: 'string', enum: ['M', 'F', 'O'] },
+        EXT_HOME_PHONE: { type: 'string' },
+        EXT_CELL_PHONE_CALL: { type: 'string' },
+        MEDICAL_RECORD_NUM: { type: 'string' },
+        DUE_PATIENT: { type: 'number' },
+        APPT_DATE: { type: 'string', format: 'date' }
       }
+    },
+    mcp_sql_templates: {
+      select_all: 'SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER FETCH FIRST 10 ROWS ONLY',
+      select_by_name: 'SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER WHERE EXT_LAST_NAME LIKE :name'
+    },
+    mcp_friendly_fields: {
+      firstName: { columns: 'EXT_FIRST_NAME', match: 'like' },
+      lastName: { columns: 'EXT_LAST_NAME', match: 'like', description: 'Last name' },
+      dob: { columns: 'EXT_DATE_OF_BIRTH', match: 'date' },
+      gender: { columns: 'EXT_SEX', match: 'exact' },
+      mrn: { columns: 'MEDICAL_RECORD_NUM', match: 'prefix' },
+      phone: { columns: ['EXT_CELL_PHONE_CALL', 'EXT_HOME_PHONE'], match: 'like' },
+      balanceDue: { columns: 'DUE_PATIENT', match: 'range' },
+      apptDate: { columns: 'APPT_DATE', match: 'range' }
     }
   };
 
   it('should reject LLM-guessed columns not in friendly mappings', async () => {
-    getSemanticMappings.mockResolvedValue(mockMapping);
+    getTableMapping.mockResolvedValue(mockMapping);
 
     const result = await searchPatients({
       unknownField: 'value',
@@ -46,7 +64,7 @@ describe('searchPatients', () => {
   });
 
   it('should use semantic mappings to get schema and table', async () => {
-    getSemanticMappings.mockResolvedValue(mockMapping);
+    getTableMapping.mockResolvedValue(mockMapping);
     executeQuery.mockResolvedValue({
       rows: [{ PATIENT_PKEY: 1, EXT_LAST_NAME: 'Doe' }],
       rowCount: 1
@@ -57,7 +75,7 @@ describe('searchPatients', () => {
     });
 
     expect(result.success).toBe(true);
-    expect(getSemanticMappings).toHaveBeenCalledWith({ tableName: 'PATIENT_MASTER' });
+    expect(getTableMapping).toHaveBeenCalledWith('PATIENT_MASTER');
     expect(executeQuery).toHaveBeenCalled();
     
     // Verify SQL uses validated schema.table
@@ -67,10 +85,7 @@ describe('searchPatients', () => {
   });
 
   it('should return error if semantic mapping not found', async () => {
-    getSemanticMappings.mockResolvedValue({
-      success: false,
-      error: { message: 'Mapping not found' }
-    });
+    getTableMapping.mockResolvedValue(null);
 
     const result = await searchPatients({
       lastName: 'Doe'
@@ -81,33 +96,35 @@ describe('searchPatients', () => {
     expect(executeQuery).not.toHaveBeenCalled();
   });
 
-  it('should use select_all template when no filters provided', async () => {
-    getSemanticMappings.mockResolvedValue(mockMapping);
+  it('should page every patient in ROWID order when no filters provided', async () => {
+    getTableMapping.mockResolvedValue(mockMapping);
     executeQuery.mockResolvedValue({
-      rows: [{ PATIENT_PKEY: 1 }],
+      rows: [{ PATIENT_PKEY: 1, MCP_ROW_KEY: 'AAAR1' }],
       rowCount: 1
     });
 
     const result = await searchPatients({});
 
     expect(result.success).toBe(true);
-    // Should use template or fallback SELECT
-    expect(executeQuery).toHaveBeenCalled();
-    const sql = executeQuery.mock.calls[0][0];
-    expect(sql).toContain('PATIENT_MASTER');
+    expect(result.data.patients).toEqual([{ PATIENT_PKEY: 1 }]);
+    const [sql, binds] = executeQuery.mock.calls[0];
+    expect(sql).toContain('FROM P_COMMONUSEROBJECT.PATIENT_MASTER p');
+    expect(sql).toContain('ORDER BY p.ROWID');
+    expect(sql).not.toContain('FETCH FIRST 10');
+    expect(binds).toEqual({ mcp_fetch: 26 });
   });
 
   it('should only use friendly mapped fields', async () => {
-    getSemanticMappings.mockResolvedValue(mockMapping);
+    getTableMapping.mockResolvedValue(mockMapping);
     executeQuery.mockResolvedValue({
       rows: [],
       rowCount: 0
     });
 
     const result = await searchPatients({
-      lastName: 'Doe',        // Valid - in FRIENDLY_MAP
-      firstName: 'John',      // Valid - in FRIENDLY_MAP
-      invalidField: 'value'   // Invalid - not in FRIENDLY_MAP
+      lastName: 'Doe',        // Valid - in friendly fields
+      firstName: 'John',      // Valid - in friendly fields
+      invalidField: 'value'   // Invalid - not in friendly fields
     });
 
     expect(result.success).toBe(true);
@@ -120,7 +137,7 @@ describe('searchPatients', () => {
   });
 
   it('should handle date fields correctly', async () => {
-    getSemanticMappings.mockResolvedValue(mockMapping);
+    getTableMapping.mockResolvedValue(mockMapping);
     executeQuery.mockResolvedValue({
       rows: [],
       rowCount: 0
@@ -137,7 +154,7 @@ describe('searchPatients', () => {
   });
 
   it('should reject invalid date formats', async () => {
-    getSemanticMappings.mockResolvedValue(mockMapping);
+    getTableMapping.mockResolvedValue(mockMapping);
 
     const result = await searchPatients({
       dob: 'invalid-date'
@@ -157,5 +174,126 @@ describe('searchPatients', () => {
     expect(sql).toContain('EXT_LAST_NAME');
     expect(sql).not.toContain('EXT_DATE_OF_BIRTH');
   });
+
+  it('should build conditions for each match mode', async () => {
+    getTableMapping.mockResolvedValue(mockMapping);
+    executeQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+
+    const result = await searchPatients({
+      gender: 'F',
+      mrn: 'MRN_12',
+      phone: '555',
+      balanceDue: { from: 10, to: 100 },
+      apptDate: { from: '2024-01-01' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.filters).toEqual(['gender', 'mrn', 'phone', 'balanceDue', 'apptDate']);
+    const [sql, binds] = executeQuery.mock.calls[0];
+    expect(sql).toContain('EXT_SEX = :gender');
+    expect(sql).toContain("UPPER(MEDICAL_RECORD_NUM) LIKE UPPER(:mrn) ESCAPE '\\'");
+    expect(sql).toContain("(UPPER(EXT_CELL_PHONE_CALL) LIKE UPPER(:phone_0) ESCAPE '\\' OR UPPER(EXT_HOME_PHONE) LIKE UPPER(:phone_1) ESCAPE '\\')");
+    expect(sql).toContain('(DUE_PATIENT >= :balanceDue_from AND DUE_PATIENT <= :balanceDue_to)');
+    expect(sql).toContain("APPT_DATE >= TO_DATE(:apptDate_from, 'YYYY-MM-DD')");
+    expect(binds).toEqual({
+      gender: 'F',
+      mrn: 'MRN\\_12%',
+      phone_0: '%555%',
+      phone_1: '%555%',
+      balanceDue_from: 10,
+      balanceDue_to: 100,
+      apptDate_from: '2024-01-01',
+      mcp_fetch: 26
+    });
+  });
+
+  it('should list the friendly fields when no filter is usable', async () => {
+    getTableMapping.mockResolvedValue(mockMapping);
+
+    const result = await searchPatients({ EXT_LAST_NAME: 'Doe', balanceDue: { from: 'lots' } });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('NO_VALID_FILTERS');
+    expect(result.error.ignored).toEqual([
+      { field: 'EXT_LAST_NAME', reason: 'not a friendly field' },
+      { field: 'balanceDue', reason: 'invalid value for range match' }
+    ]);
+    expect(result.error.availableFields).toContain('lastName');
+    expect(executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('should page results with a keyset cursor', async () => {
+    getTableMapping.mockResolvedValue(mockMapping);
+    const rows = Array.from({ length: 26 }, (_, index) => ({ PATIENT_PKEY: index + 1, MCP_ROW_KEY: `AAAR${index + 1}` }));
+    executeQuery.mockResolvedValueOnce({ rows, rowCount: 26 });
+
+    const first = await searchPatients({ lastName: 'Doe' });
+
+    expect(first.data.count).toBe(25);
+    expect(first.data.hasMore).toBe(true);
+    expect(first.data.patients[24]).toEqual({ PATIENT_PKEY: 25 });
+    expect(executeQuery.mock.calls[0][0]).toContain('ORDER BY p.ROWID');
+    expect(executeQuery.mock.calls[0][0]).not.toContain(':mcp_after');
+    expect(executeQuery.mock.calls[0][2].maxRows).toBe(26);
+
+    executeQuery.mockResolvedValueOnce({ rows: [{ PATIENT_PKEY: 26, MCP_ROW_KEY: 'AAAR26' }], rowCount: 1 });
+    const second = await searchPatients({ lastName: 'Doe', cursor: first.data.nextCursor });
+
+    expect(second.data).toMatchObject({ patients: [{ PATIENT_PKEY: 26 }], count: 1, hasMore: false, nextCursor: null });
+    const [sql, binds] = executeQuery.mock.calls[1];
+    expect(sql).toContain('AND p.ROWID > CHARTOROWID(:mcp_after)');
+    expect(binds).toMatchObject({ lastName: '%Doe%', mcp_after: 'AAAR25', mcp_fetch: 26 });
+
+    const other = await searchPatients({ lastName: 'Smith', cursor: first.data.nextCursor });
+    expect(other.success).toBe(false);
+    expect(other.error.code).toBe('INVALID_CURSOR');
+    expect(executeQuery).toHaveBeenCalledTimes(2);
+  });
 });
 
+describe('resolveSearchPatientsSchema', () => {
+  it('should build the inputSchema from the mapping\'s friendly fields', async () => {
+    getTableMapping.mockResolvedValue({
+      tableName: 'PATIENT_MASTER',
+      schema: {
+        properties: {
+          EXT_LAST_NAME: { type: 'string' },
+          EXT_SEX: { type: 'string', enum: ['M', 'F'] },
+          VISIT_COUNT: { type: 'integer' },
+          LAST_VISIT_DATE: { type: 'string', format: 'date' }
+        }
+      },
+      mcp_friendly_fields: {
+        lastName: { columns: 'EXT_LAST_NAME', match: 'like', description: 'Last name' },
+        gender: { columns: 'EXT_SEX', match: 'exact' },
+        visitCount: { columns: 'VISIT_COUNT', match: 'exact' },
+        lastVisit: { columns: 'LAST_VISIT_DATE', match: 'range' }
+      }
+    });
+
+    const schema = await resolveSearchPatientsSchema();
+
+    expect(schema.name).toBe('searchPatients');
+    expect(schema.inputSchema).toEqual({
+      type: 'object',
+      properties: {
+        lastName: { type: 'string', description: 'Last name' },
+        gender: { type: 'string', enum: ['M', 'F'] },
+        visitCount: { type: 'number' },
+        lastVisit: {
+          type: 'object',
+          properties: { from: { type: 'string', format: 'date' }, to: { type: 'string', format: 'date' } },
+          additionalProperties: false
+        },
+        cursor: searchPatientsSchema.inputSchema.properties.cursor
+      },
+      additionalProperties: false
+    });
+  });
+
+  it('should fall back to the static schema without a mapping', async () => {
+    getTableMapping.mockResolvedValue(null);
+
+    expect(await resolveSearchPatientsSchema()).toBe(searchPatientsSchema);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for loading and reloading semantic mappings
+ */
+import { describe, it, expect, beforeEach, afterEach, afterAll } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  getMappedTables,
+  getTableMapping,
+  reloadSemanticMappings,
+  getMappingsReport,
+  watchSemanticMappings,
+  unwatchSemanticMappings,
+  clearMappingsCache
+} from '../../src/tools/getSemanticMappings.js';
+
+const originalEnv = { ...process.env };
+let schemasDir;
+
+function writeMapping(file, content) {
+  writeFileSync(join(schemasDir, file), typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+function mapping(tableName, columns) {
+  return {
+    tableName,
+    schema: { properties: Object.fromEntries(columns.map(column => [column, { type: 'string' }])) }
+  };
+}
+
+describe('semantic mapping reload', () => {
+  beforeEach(() => {
+    schemasDir = mkdtempSync(join(tmpdir(), 'mcp-mappings-'));
+    process.env.SEMANTIC_MAPPINGS_DIR = schemasDir;
+    process.env.MAPPINGS_RELOAD_DEBOUNCE_MS = '20';
+    clearMappingsCache();
+  });
+
+  afterEach(() => {
+    unwatchSemanticMappings();
+    rmSync(schemasDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    clearMappingsCache();
+  });
+
+  it('should load mapping files on first use', async () => {
+    writeMapping('patients.json', mapping('APP.PATIENTS', ['ID']));
+    writeMapping('notes.txt', 'not a mapping');
+
+    expect(await getMappedTables()).toEqual([{ schema: 'APP', tableName: 'PATIENTS', datasource: null }]);
+    expect(getMappingsReport()).toMatchObject({
+      loaded: [{ file: 'patients.json', tableName: 'PATIENTS' }],
+      skipped: [],
+      removed: [],
+      tables: ['PATIENTS']
+    });
+  });
+
+  it('should pick up added, changed and removed files on reload', async () => {
+    writeMapping('patients.json', mapping('APP.PATIENTS', ['ID']));
+    writeMapping('visits.json', mapping('APP.VISITS', ['ID']));
+    await getMappedTables();
+
+    writeMapping('patients.json', mapping('APP.PATIENTS', ['ID', 'NAME']));
+    rmSync(join(schemasDir, 'visits.json'));
+    writeMapping('claims.json', mapping('APP.CLAIMS', ['ID']));
+
+    const report = await reloadSemanticMappings();
+
+    expect(report.loaded.map(entry => entry.file)).toEqual(['claims.json', 'patients.json']);
+    expect(report.removed).toEqual(['visits.json']);
+    expect(report.tables).toEqual(['CLAIMS', 'PATIENTS']);
+    expect(Object.keys((await getTableMapping('PATIENTS')).schema.properties)).toEqual(['ID', 'NAME']);
+    expect(await getTableMapping('VISITS')).toBeNull();
+  });
+
+  it('should skip a second mapping of the same table', async () => {
+    writeMapping('a_patients.json', { ...mapping('APP.PATIENTS', ['ID']), datasource: 'clinic1' });
+    writeMapping('b_patients.json', { ...mapping('CLINIC2.PATIENTS', ['ID', 'NAME']), datasource: 'clinic2' });
+
+    const report = await reloadSemanticMappings();
+
+    expect(report.loaded.map(entry => entry.file)).toEqual(['a_patients.json']);
+    expect(report.skipped).toEqual([{
+      file: 'b_patients.json',
+      reason: 'tableName PATIENTS is already mapped by a_patients.json',
+      keptPrevious: false
+    }]);
+    expect(await getMappedTables()).toEqual([{ schema: 'APP', tableName: 'PATIENTS', datasource: 'clinic1' }]);
+  });
+
+  it('should keep the last good version of a file that stops parsing', async () => {
+    writeMapping('patients.json', mapping('APP.PATIENTS', ['ID']));
+    await getMappedTables();
+
+    writeMapping('patients.json', '{ "tableName": "APP.PATIENTS", ');
+    writeMapping('broken.json', { schema: {} });
+    const report = await reloadSemanticMappings();
+
+    expect(report.loaded).toEqual([]);
+    expect(report.skipped).toEqual([
+      { file: 'broken.json', reason: 'missing tableName', keptPrevious: false },
+      { file: 'patients.json', reason: expect.any(String), keptPrevious: true }
+    ]);
+    expect(report.tables).toEqual(['PATIENTS']);
+    expect(await getTableMapping('APP.PATIENTS')).toMatchObject({ tableName: 'PATIENTS', _sourceFile: 'patients.json' });
+  });
+
+  it('should not change mappings held by a call in progress', async () => {
+    writeMapping('patients.json', mapping('APP.PATIENTS', ['ID']));
+    const before = await getTableMapping('PATIENTS');
+
+    writeMapping('patients.json', mapping('APP.PATIENTS', ['ID', 'NAME']));
+    await reloadSemanticMappings();
+
+    expect(Object.keys(before.schema.properties)).toEqual(['ID']);
+    expect(Object.keys((await getTableMapping('PATIENTS')).schema.properties)).toEqual(['ID', 'NAME']);
+  });
+
+  it('should keep the current mappings if the folder cannot be read', async () => {
+    writeMapping('patients.json', mapping('APP.PATIENTS', ['ID']));
+    await getMappedTables();
+
+    process.env.SEMANTIC_MAPPINGS_DIR = join(schemasDir, 'missing');
+    const report = await reloadSemanticMappings();
+
+    expect(report.error).toBeDefined();
+    expect(report.tables).toEqual(['PATIENTS']);
+    expect(await getTableMapping('PATIENTS')).not.toBeNull();
+  });
+
+  it('should reload when a watched file changes', async () => {
+    writeMapping('patients.json', mapping('APP.PATIENTS', ['ID']));
+    await getMappedTables();
+    expect(watchSemanticMappings()).toBe(true);
+
+    writeMapping('visits.json', mapping('APP.VISITS', ['ID']));
+
+    const deadline = Date.now() + 3000;
+    while (!getMappingsReport().tables.includes('VISITS') && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    expect(getMappingsReport().tables).toEqual(['PATIENTS', 'VISITS']);
+  });
+});
+
+describe('semantic mapping validation at load', () => {
+  beforeEach(() => {
+    schemasDir = mkdtempSync(join(tmpdir(), 'mcp-mappings-'));
+    process.env.SEMANTIC_MAPPINGS_DIR = schemasDir;
+    clearMappingsCache();
+  });
+
+  afterEach(() => {
+    delete process.env.MAPPINGS_STRICT;
+    rmSync(schemasDir, { recursive: true, force: true });
+  });
+
+  const invalid = {
+    tableName: 'APP.VISITS',
+    schema: { properties: { ID: { type: 'integer' } } },
+    mcp_sql_templates: { select_notes: 'SELECT NOTES FROM APP.VISITS' }
+  };
+
+  it('should load invalid files with their violations when not strict', async () => {
+    writeMapping('visits.json', invalid);
+
+    const report = await reloadSemanticMappings();
+
+    expect(report.strict).toBe(false);
+    expect(report.loaded).toEqual([{
+      file: 'visits.json',
+      tableName: 'VISITS',
+      violations: [{ path: 'mapping.mcp_sql_templates.select_notes', message: 'column NOTES is not declared in schema.properties' }]
+    }]);
+    expect(report.tables).toEqual(['VISITS']);
+  });
+
+  it('should skip invalid files in strict mode', async () => {
+    process.env.MAPPINGS_STRICT = 'true';
+    writeMapping('patients.json', mapping('APP.PATIENTS', ['ID']));
+    writeMapping('visits.json', invalid);
+
+    const report = await reloadSemanticMappings();
+
+    expect(report.strict).toBe(true);
+    expect(report.skipped).toEqual([{
+      file: 'visits.json',
+      reason: 'invalid mapping: mapping.mcp_sql_templates.select_notes column NOTES is not declared in schema.properties',
+      keptPrevious: false,
+      violations: [expect.objectContaining({ path: 'mapping.mcp_sql_templates.select_notes' })]
+    }]);
+    expect(report.tables).toEqual(['PATIENTS']);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for Oracle session tagging and the session-init hook
+ */
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import oracledb from 'oracledb';
+import { initPool, executeQuery, closePool, getAllPoolStats } from '../../src/oracle.js';
+import { runWithContext } from '../../src/requestContext.js';
+
+jest.mock('oracledb', () => ({
+  OUT_FORMAT_OBJECT: 'object',
+  createPool: jest.fn(),
+  initOracleClient: jest.fn()
+}));
+
+const context = {
+  principal: { type: 'api-key', name: 'telnyx-agent' },
+  sessionId: 'session-1',
+  tool: 'searchPatients'
+};
+
+describe('session context', () => {
+  const env = { ...process.env };
+  let connection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.ORACLE_SESSION_MODULE;
+    delete process.env.ORACLE_SESSION_INIT_SQL;
+    connection = {
+      execute: jest.fn(async () => ({ rows: [], metaData: [] })),
+      close: jest.fn()
+    };
+    oracledb.createPool.mockResolvedValue({
+      getConnection: jest.fn(async () => connection),
+      close: jest.fn()
+    });
+  });
+
+  afterEach(async () => {
+    await closePool();
+    process.env = { ...env };
+  });
+
+  it('should tag the connection with the principal and tool', async () => {
+    await initPool({ connectionString: 'primary' });
+
+    await runWithContext(context, () => executeQuery('SELECT 1 FROM DUAL'));
+
+    expect(connection).toMatchObject({
+      clientId: 'telnyx-agent',
+      module: 'mcp-oracle',
+      action: 'searchPatients',
+      dbOp: 'searchPatients'
+    });
+    expect(connection.execute).toHaveBeenCalledTimes(1);
+  });
+
+  it('should clear the tags of calls without a context', async () => {
+    process.env.ORACLE_SESSION_MODULE = 'clinic-mcp';
+    await initPool({ connectionString: 'primary' });
+
+    await runWithContext({ ...context, tool: 'x'.repeat(40) }, () => executeQuery('SELECT 1 FROM DUAL'));
+    expect(connection.action).toBe('x'.repeat(32));
+
+    await executeQuery('SELECT 1 FROM DUAL');
+    expect(connection).toMatchObject({ clientId: '', module: 'clinic-mcp', action: '', dbOp: '' });
+  });
+
+  it('should run the session-init SQL with the binds it uses before the query', async () => {
+    await initPool({
+      connectionString: 'primary',
+      sessionInitSql: 'BEGIN DBMS_SESSION.SET_IDENTIFIER(:client_id); app_ctx.set_tool(:tool); END;'
+    });
+
+    await runWithContext(context, () => executeQuery('SELECT 1 FROM DUAL'));
+
+    expect(connection.execute).toHaveBeenNthCalledWith(1,
+      'BEGIN DBMS_SESSION.SET_IDENTIFIER(:client_id); app_ctx.set_tool(:tool); END;',
+      { client_id: 'telnyx-agent', tool: 'searchPatients' }
+    );
+    expect(connection.execute).toHaveBeenNthCalledWith(2, 'SELECT 1 FROM DUAL', {}, expect.anything());
+
+    await executeQuery('SELECT 1 FROM DUAL');
+    expect(connection.execute).toHaveBeenNthCalledWith(3, expect.any(String), { client_id: null, tool: null });
+  });
+
+  it('should not run the query if the session init fails', async () => {
+    process.env.ORACLE_SESSION_INIT_SQL = 'BEGIN app_ctx.set_user(:client_id); END;';
+    await initPool({ connectionString: 'primary' });
+    connection.execute.mockRejectedValueOnce(new Error('ORA-06550: line 1, column 7'));
+
+    await expect(runWithContext(context, () => executeQuery('SELECT 1 FROM DUAL')))
+      .rejects.toMatchObject({ errorNum: 'SESSION_INIT_FAILED', message: expect.stringContaining('ORA-06550') });
+    expect(connection.execute).toHaveBeenCalledTimes(1);
+    expect(connection.close).toHaveBeenCalled();
+  });
+
+  it('should refuse session-init SQL with unknown bind variables', async () => {
+    await expect(initPool({ connectionString: 'primary', sessionInitSql: 'BEGIN app_ctx.set_user(:user_name); END;' }))
+      .rejects.toThrow('unknown bind variables: USER_NAME');
+    expect(oracledb.createPool).not.toHaveBeenCalled();
+    expect(getAllPoolStats()).toEqual({ default: { error: expect.stringContaining('USER_NAME') } });
+  });
+});
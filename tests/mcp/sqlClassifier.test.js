@@ -0,0 +1,119 @@
+/**
+ * Unit tests for the SQL tokenizer and statement classifier
+ */
+import { describe, it, expect } from '@jest/globals';
+import { tokenizeSql, classifySql, assertSqlAllowed } from '../../src/util/sqlClassifier.js';
+
+const reasonCodes = (sql) => classifySql(sql).reasons.map(reason => reason.code);
+
+describe('tokenizeSql', () => {
+  it('should drop comments and keep literals, identifiers and binds', () => {
+    const tokens = tokenizeSql(`SELECT /* hint */ "Delete", 'it''s' -- trailing
+      FROM T WHERE ID = :id`);
+
+    expect(tokens.map(token => token.type)).toEqual([
+      'word', 'identifier', 'punctuation', 'string', 'word', 'word', 'word', 'word', 'operator', 'bind'
+    ]);
+    expect(tokens[1].value).toBe('Delete');
+    expect(tokens[3].value).toBe("'it''s'");
+    expect(tokens[9].value).toBe('id');
+  });
+
+  it('should read q-quoted and national literals as single strings', () => {
+    const tokens = tokenizeSql("SELECT q'[it's; DROP]', Nq'{x}', N'abc', q'!a'b!' FROM DUAL");
+    expect(tokens.filter(token => token.type === 'string').map(token => token.value)).toEqual([
+      "q'[it's; DROP]'", "Nq'{x}'", "N'abc'", "q'!a'b!'"
+    ]);
+  });
+
+  it('should reject unterminated literals and comments', () => {
+    expect(() => tokenizeSql("SELECT 'abc FROM DUAL")).toThrow('Unterminated string literal');
+    expect(() => tokenizeSql("SELECT q'[abc' FROM DUAL")).toThrow('Unterminated q-quoted literal');
+    expect(() => tokenizeSql('SELECT "abc FROM DUAL')).toThrow('Unterminated quoted identifier');
+    expect(() => tokenizeSql('SELECT 1 /* FROM DUAL')).toThrow('Unterminated comment');
+  });
+});
+
+describe('classifySql', () => {
+  it('should accept plain queries as read-only', () => {
+    expect(classifySql('SELECT * FROM PATIENT_MASTER WHERE ID = :id')).toEqual({
+      statementType: 'SELECT',
+      category: 'query',
+      readOnly: true,
+      reasons: []
+    });
+    expect(classifySql('WITH p AS (SELECT 1 x FROM DUAL) SELECT x FROM p').readOnly).toBe(true);
+    expect(classifySql('(SELECT 1 FROM DUAL) UNION (SELECT 2 FROM DUAL)').readOnly).toBe(true);
+  });
+
+  it('should ignore keywords inside literals, identifiers and comments', () => {
+    expect(classifySql(`SELECT 'x; DELETE FROM T @link', "UTL_FILE" AS "FOR", q'[FOR UPDATE]'
+      FROM DUAL -- DROP TABLE T;`).reasons.map(reason => reason.code)).toEqual(['DANGEROUS_PACKAGE']);
+    expect(classifySql("SELECT 'DBMS_LOCK' FROM DUAL /* ; */").readOnly).toBe(true);
+  });
+
+  it('should classify DML, DDL, PL/SQL and transaction control', () => {
+    expect(classifySql('INSERT INTO T VALUES (1)')).toMatchObject({ statementType: 'INSERT', category: 'dml', readOnly: false });
+    expect(classifySql('/* x */ update T set A = 1')).toMatchObject({ statementType: 'UPDATE', category: 'dml' });
+    expect(classifySql('MERGE INTO T USING S ON (1 = 1) WHEN MATCHED THEN UPDATE SET A = 1').category).toBe('dml');
+    expect(classifySql('DROP TABLE T').category).toBe('ddl');
+    expect(classifySql('TRUNCATE TABLE T').category).toBe('ddl');
+    expect(classifySql('BEGIN NULL; END;')).toMatchObject({ category: 'plsql', reasons: [expect.objectContaining({ code: 'PLSQL' })] });
+    expect(classifySql('WITH FUNCTION f RETURN NUMBER IS BEGIN RETURN 1; END; SELECT f FROM DUAL').category).toBe('plsql');
+    expect(classifySql('COMMIT').category).toBe('transaction');
+    expect(reasonCodes('FOO BAR')).toEqual(['UNKNOWN_STATEMENT']);
+  });
+
+  it('should flag FOR UPDATE, database links and dangerous packages in queries', () => {
+    expect(reasonCodes('SELECT * FROM T FOR UPDATE NOWAIT')).toEqual(['FOR_UPDATE']);
+    expect(reasonCodes('SELECT * FROM T@remote_db')).toEqual(['DB_LINK']);
+    expect(reasonCodes('SELECT SYS.DBMS_PIPE.RECEIVE_MESSAGE(:p, 10) FROM DUAL')).toEqual(['DANGEROUS_PACKAGE']);
+    expect(reasonCodes('SELECT utl_http.request(:url) FROM DUAL')).toEqual(['DANGEROUS_PACKAGE']);
+  });
+
+  it('should flag URI types, SYS packages and XQuery table access', () => {
+    expect(reasonCodes("SELECT httpuritype('http://evil/').getclob() FROM DUAL")).toEqual(['DANGEROUS_FUNCTION']);
+    expect(reasonCodes("SELECT dburitype('/SYS/ALL_USERS').getclob() FROM DUAL")).toEqual(['DANGEROUS_FUNCTION']);
+    expect(reasonCodes("SELECT SYS.XDBURITYPE('/x').getclob() FROM DUAL")).toEqual(['DANGEROUS_FUNCTION']);
+    expect(reasonCodes('SELECT SYS.OWA_OPT_LOCK.CHECKSUM(:o, :t, :r) FROM DUAL')).toEqual(['DANGEROUS_PACKAGE']);
+    expect(reasonCodes('SELECT sys.login_user() FROM DUAL')).toEqual(['DANGEROUS_PACKAGE']);
+    expect(reasonCodes(`SELECT xmlquery('for $i in ora:view("ALL_USERS") return $i' returning content) FROM dual`))
+      .toEqual(['XQUERY_TABLE_ACCESS']);
+    expect(reasonCodes(`SELECT * FROM XMLTABLE('fn:collection("oradb:/SYS/ALL_USERS")')`)).toEqual(['XQUERY_TABLE_ACCESS']);
+    expect(classifySql('SELECT SYS.DUAL.DUMMY, SYS_CONTEXT(:ns, :key) FROM SYS.DUAL').readOnly).toBe(true);
+  });
+
+  it('should flag semicolons outside PL/SQL', () => {
+    expect(reasonCodes('SELECT 1 FROM DUAL;')).toEqual(['SEMICOLON']);
+    expect(classifySql('SELECT 1 FROM DUAL; DROP TABLE T').reasons[0].message).toContain('Multiple statements');
+  });
+
+  it('should report parse errors and empty statements', () => {
+    expect(classifySql("SELECT 'oops FROM DUAL")).toMatchObject({ category: 'invalid', reasons: [expect.objectContaining({ code: 'PARSE_ERROR' })] });
+    expect(reasonCodes('  -- nothing')).toEqual(['EMPTY_STATEMENT']);
+  });
+});
+
+describe('assertSqlAllowed', () => {
+  it('should return the classification for read-only queries', () => {
+    expect(assertSqlAllowed('SELECT 1 FROM DUAL').readOnly).toBe(true);
+  });
+
+  it('should throw SQL_NOT_ALLOWED with the classification attached', () => {
+    expect.assertions(3);
+    try {
+      assertSqlAllowed('DELETE FROM PATIENT_MASTER');
+    } catch (error) {
+      expect(error.code).toBe('SQL_NOT_ALLOWED');
+      expect(error.message).toContain('DELETE statement modifies data');
+      expect(error.classification).toMatchObject({ category: 'dml', statementType: 'DELETE' });
+    }
+  });
+
+  it('should waive read-only rules with write access but not malformed SQL', () => {
+    expect(assertSqlAllowed('DELETE FROM T WHERE ID = :id', { allowWrite: true }).category).toBe('dml');
+    expect(assertSqlAllowed('BEGIN DBMS_STATS.GATHER_TABLE_STATS(:o, :t); END;', { allowWrite: true }).category).toBe('plsql');
+    expect(() => assertSqlAllowed('DELETE FROM T; DROP TABLE T', { allowWrite: true })).toThrow('Multiple statements');
+    expect(() => assertSqlAllowed("SELECT 'x", { allowWrite: true })).toThrow('Unterminated');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for table and column reference extraction
+ */
+import { describe, it, expect } from '@jest/globals';
+import { extractSqlReferences } from '../../src/util/sqlReferences.js';
+
+const tableNames = (sql) => extractSqlReferences(sql).tables
+  .map(table => (table.schema ? `${table.schema}.${table.name}` : table.name));
+
+const columnNames = (sql) => extractSqlReferences(sql).columns
+  .map(column => `${column.qualifier ? `${column.qualifier}.` : ''}${column.name}:${column.tables.map(table => table.name).join('|')}`);
+
+describe('extractSqlReferences', () => {
+  it('should find tables with schemas and aliases', () => {
+    const { tables } = extractSqlReferences('SELECT * FROM P_COMMONUSEROBJECT.PATIENT_MASTER pm, "Visits" v');
+    expect(tables).toEqual([
+      expect.objectContaining({ schema: 'P_COMMONUSEROBJECT', name: 'PATIENT_MASTER', alias: 'PM' }),
+      expect.objectContaining({ schema: null, name: 'Visits', alias: 'V' })
+    ]);
+  });
+
+  it('should resolve qualified columns to the aliased table', () => {
+    expect(columnNames(`SELECT p.EXT_FIRST_NAME, v.VISIT_DATE
+      FROM PATIENT_MASTER p JOIN VISITS v ON v.PATIENT_PKEY = p.PATIENT_PKEY`)).toEqual([
+      'P.EXT_FIRST_NAME:PATIENT_MASTER',
+      'V.VISIT_DATE:VISITS',
+      'V.PATIENT_PKEY:VISITS',
+      'P.PATIENT_PKEY:PATIENT_MASTER'
+    ]);
+  });
+
+  it('should skip aliases, functions, keywords, literals and pseudo-columns', () => {
+    expect(columnNames(`SELECT UPPER(EXT_LAST_NAME) last_name, COUNT(*) AS cnt,
+        EXTRACT(YEAR FROM EXT_DATE_OF_BIRTH) born, CAST(DUE_PATIENT AS NUMBER(10, 2)) due,
+        CASE WHEN SSN IS NULL THEN 'none' ELSE 'x' END has_ssn, SYSDATE, ROWNUM
+      FROM PATIENT_MASTER
+      WHERE EXT_CITY = :city AND LAST_VISIT_DATE > DATE '2024-01-01'
+      ORDER BY cnt DESC NULLS LAST, last_name
+      FETCH FIRST 10 ROWS ONLY`)).toEqual([
+      'EXT_LAST_NAME:PATIENT_MASTER',
+      'EXT_DATE_OF_BIRTH:PATIENT_MASTER',
+      'DUE_PATIENT:PATIENT_MASTER',
+      'SSN:PATIENT_MASTER',
+      'EXT_CITY:PATIENT_MASTER',
+      'LAST_VISIT_DATE:PATIENT_MASTER'
+    ]);
+  });
+
+  it('should find tables in subqueries, set operations and CTEs', () => {
+    expect(tableNames(`WITH recent AS (SELECT PATIENT_PKEY FROM PATIENT_MASTER)
+      SELECT * FROM recent WHERE PATIENT_PKEY IN (SELECT SID FROM V$SESSION)
+      UNION ALL SELECT USER_ID FROM ALL_USERS`)).toEqual(['PATIENT_MASTER', 'V$SESSION', 'ALL_USERS']);
+  });
+
+  it('should resolve correlated columns to the outer query', () => {
+    expect(columnNames(`SELECT EXT_CITY FROM PATIENT_MASTER p
+      WHERE EXISTS (SELECT 1 FROM VISITS v WHERE v.PATIENT_PKEY = p.PATIENT_PKEY)`)).toEqual([
+      'EXT_CITY:PATIENT_MASTER',
+      'V.PATIENT_PKEY:VISITS',
+      'P.PATIENT_PKEY:PATIENT_MASTER'
+    ]);
+  });
+
+  it('should leave columns of derived tables and CTEs to their own query', () => {
+    expect(columnNames(`SELECT s.PATIENT_PKEY, total FROM
+      (SELECT PATIENT_PKEY, SUM(DUE_PATIENT) total FROM PATIENT_MASTER GROUP BY PATIENT_PKEY) s`)).toEqual([
+      'PATIENT_PKEY:PATIENT_MASTER',
+      'DUE_PATIENT:PATIENT_MASTER',
+      'PATIENT_PKEY:PATIENT_MASTER'
+    ]);
+  });
+
+  it('should check columns read through derived tables and CTEs against their select lists', () => {
+    expect(columnNames(`SELECT x.EXT_CITY, x.EXT_SSN, EXT_SSN FROM
+      (SELECT EXT_CITY FROM PATIENT_MASTER) x`)).toEqual([
+      'EXT_CITY:PATIENT_MASTER',
+      'X.EXT_SSN:',
+      'EXT_SSN:'
+    ]);
+    expect(columnNames(`WITH c (city) AS (SELECT EXT_CITY FROM PATIENT_MASTER)
+      SELECT city, EXT_CITY FROM c`)).toEqual(['EXT_CITY:PATIENT_MASTER', 'EXT_CITY:']);
+  });
+
+  it('should record * over tables and resolve columns behind it to those tables', () => {
+    expect(columnNames('SELECT x.EXT_SSN FROM (SELECT * FROM PATIENT_MASTER) x')).toEqual([
+      '*:PATIENT_MASTER',
+      'X.EXT_SSN:PATIENT_MASTER'
+    ]);
+    expect(columnNames('WITH c AS (SELECT p.* FROM PATIENT_MASTER p) SELECT EXT_SSN FROM c')).toEqual([
+      'P.*:PATIENT_MASTER',
+      'EXT_SSN:PATIENT_MASTER'
+    ]);
+    expect(columnNames('SELECT * FROM (SELECT EXT_CITY FROM PATIENT_MASTER)')).toEqual(['EXT_CITY:PATIENT_MASTER']);
+    expect(columnNames('SELECT 1 FROM DUAL WHERE EXISTS (SELECT * FROM PATIENT_MASTER)')).toEqual([]);
+  });
+
+  it('should parse flashback queries', () => {
+    const sql = `SELECT p.EXT_CITY FROM PATIENT_MASTER AS OF TIMESTAMP SYSTIMESTAMP - INTERVAL '1' HOUR p
+      JOIN PATIENT_MASTER AS OF SCN :scn q ON q.PATIENT_PKEY = p.PATIENT_PKEY`;
+
+    expect(tableNames(sql)).toEqual(['PATIENT_MASTER', 'PATIENT_MASTER']);
+    expect(extractSqlReferences(sql).tables.map(table => table.alias)).toEqual(['P', 'Q']);
+    expect(columnNames(sql)).toEqual([
+      'P.EXT_CITY:PATIENT_MASTER',
+      'Q.PATIENT_PKEY:PATIENT_MASTER',
+      'P.PATIENT_PKEY:PATIENT_MASTER'
+    ]);
+  });
+
+  it('should resolve MODEL columns and skip MODEL keywords', () => {
+    expect(columnNames(`SELECT EXT_CITY, visits FROM PATIENT_MASTER
+      MODEL RETURN UPDATED ROWS PARTITION BY (EXT_CITY) DIMENSION BY (PATIENT_PKEY) MEASURES (VISIT_COUNT visits)
+      RULES UPSERT AUTOMATIC ORDER (visits[0] = SUM(visits)[ANY], visits[CV(PATIENT_PKEY)] = 1)
+      ORDER BY visits`)).toEqual([
+      'EXT_CITY:PATIENT_MASTER',
+      'PATIENT_PKEY:PATIENT_MASTER',
+      'VISIT_COUNT:PATIENT_MASTER'
+    ]);
+  });
+
+  it('should not let select-list aliases hide columns outside ORDER BY', () => {
+    expect(columnNames('SELECT 1 AS EXT_SSN FROM PATIENT_MASTER WHERE EXT_SSN = :ssn ORDER BY EXT_SSN'))
+      .toEqual(['EXT_SSN:PATIENT_MASTER']);
+      expect(columnNames('SELECT 1 AS EXT_SSN, EXT_SSN FROM PATIENT_MASTER'))
+      .toEqual(['EXT_SSN:PATIENT_MASTER']);
+  });
+
+  it('should report unresolved qualifiers and table functions', () => {
+    expect(columnNames('SELECT x.SECRET, seq.NEXTVAL FROM DUAL')).toEqual(['X.SECRET:', 'SEQ.NEXTVAL:']);
+    expect(extractSqlReferences("SELECT * FROM TABLE(SYS.ODCIVARCHAR2LIST('a'))").tables)
+      .toEqual([expect.objectContaining({ name: 'TABLE', function: true })]);
+  });
+
+  it('should report function calls with their qualifiers and methods', () => {
+    expect(extractSqlReferences(`SELECT UPPER(EXT_LAST_NAME), app.pkg.read(1), dburitype('/SYS/ALL_USERS').getclob()
+      FROM PATIENT_MASTER WHERE REGEXP_LIKE(EXT_CITY, :city)`).functions.map(call => [call.qualifier, call.name, call.method]))
+      .toEqual([
+        [null, 'UPPER', false],
+        ['APP.PKG', 'READ', false],
+        [null, 'DBURITYPE', false],
+        [null, 'GETCLOB', true],
+        [null, 'REGEXP_LIKE', false]
+      ]);
+    expect(extractSqlReferences('SELECT CAST(DUE_PATIENT AS NUMBER(10, 2)) FROM PATIENT_MASTER').functions)
+      .toEqual([expect.objectContaining({ name: 'CAST' })]);
+  });
+
+  it('should throw SQL_PARSE_ERROR for unparseable queries', () => {
+    expect(() => extractSqlReferences('SELECT (1 FROM DUAL')).toThrow('Unbalanced parentheses');
+    expect(() => extractSqlReferences('VALUES (1)')).toThrow('Expected SELECT');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for the MCP stdio transport
+ */
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { callTool } from '../../src/mcpHandlers.js';
+import { startStdioServer } from '../../src/stdioTransport.js';
+
+jest.mock('../../src/mcpHandlers.js', () => ({
+  listTools: jest.fn(async () => ({ tools: [] })),
+  callTool: jest.fn()
+}));
+
+// In-memory stand-in for stdin/stdout
+jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: class {
+    static instances = [];
+
+    constructor() {
+      this.sent = [];
+      this.constructor.instances.push(this);
+    }
+    async start() {}
+    async send(message) {
+      this.sent.push(message);
+    }
+    async close() {
+      this.onclose?.();
+    }
+  }
+}));
+
+/**
+ * Let the server process queued messages
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('stdio transport', () => {
+  let transport;
+
+  /**
+   * Start a server and call a tool that runs until its signal is aborted
+   * @returns {Promise<Object>} The context the tool was called with
+   */
+  async function startCall() {
+    let context;
+    callTool.mockImplementation((params, callContext) => new Promise((resolve) => {
+      context = callContext;
+      callContext.signal.addEventListener('abort', () => resolve({ content: [{ type: 'text', text: 'cancelled' }] }));
+    }));
+
+    await startStdioServer();
+    transport = StdioServerTransport.instances.at(-1);
+    transport.onmessage({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } }
+    });
+    transport.onmessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    transport.onmessage({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'runQuery', arguments: {} } });
+    await flush();
+    return context;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(async () => {
+    await transport?.close();
+  });
+
+  it('should pass a cancellation signal to tool calls', async () => {
+    const context = await startCall();
+
+    expect(context.principal).toMatchObject({ type: 'local', name: 'stdio' });
+    expect(context.signal.aborted).toBe(false);
+  });
+
+  it('should abort the call when the client cancels it', async () => {
+    const context = await startCall();
+
+    transport.onmessage({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 2, reason: 'user abort' } });
+    await flush();
+
+    expect(context.signal.reason).toMatchObject({ code: 'CLIENT_CANCELLED' });
+  });
+
+  it('should abort running calls when the transport closes', async () => {
+    const context = await startCall();
+
+    await transport.close();
+
+    expect(context.signal.reason).toMatchObject({ code: 'CLIENT_DISCONNECTED' });
+  });
+});
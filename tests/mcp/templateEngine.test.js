@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the SQL template engine
+ */
+import { describe, it, expect } from '@jest/globals';
+import oracledb from 'oracledb';
+import { extractBindVariables, fillTemplate, getBindColumns, normalizeTemplate } from '../../src/util/templateEngine.js';
+
+describe('extractBindVariables', () => {
+  it('should list unique bind variables in uppercase', () => {
+    expect(extractBindVariables('SELECT * FROM T WHERE A = :id OR B = :Id AND C LIKE :name')).toEqual(['ID', 'NAME']);
+  });
+
+  it('should ignore colons inside literals and comments', () => {
+    expect(extractBindVariables("SELECT TO_CHAR(D, 'HH24:MI:SS') FROM T WHERE A = :a -- :b")).toEqual(['A']);
+  });
+});
+
+describe('getBindColumns', () => {
+  it('should find the column each bind is compared with', () => {
+    expect(getBindColumns(`SELECT * FROM T p
+      WHERE p.PATIENT_PKEY = :id AND :city = EXT_CITY AND EXT_LAST_NAME NOT LIKE :name
+        AND LAST_VISIT_DATE BETWEEN :from_date AND :to_date AND UPPER(SSN) = UPPER(:ssn)`)).toEqual({
+      ID: { column: 'PATIENT_PKEY', operator: '=' },
+      CITY: { column: 'EXT_CITY', operator: '=' },
+      NAME: { column: 'EXT_LAST_NAME', operator: 'LIKE' },
+      FROM_DATE: { column: 'LAST_VISIT_DATE', operator: 'BETWEEN' },
+      TO_DATE: { column: 'LAST_VISIT_DATE', operator: 'BETWEEN' }
+    });
+  });
+});
+
+describe('fillTemplate', () => {
+  it('should keep plain-string templates working', () => {
+    const { sql, binds } = fillTemplate('SELECT * FROM T WHERE A = :a', { a: 'x' });
+    expect(sql).toBe('SELECT * FROM T WHERE A = :a');
+    expect(binds).toEqual({ A: { dir: oracledb.BIND_IN, type: oracledb.STRING, val: 'x', maxSize: 1 } });
+  });
+
+  it('should apply defaults and bind omitted optional parameters as null', () => {
+    const { binds } = fillTemplate({
+      sql: 'SELECT * FROM T WHERE (:city IS NULL OR CITY = :city) AND STATUS = :status',
+      params: {
+        city: { type: 'string', required: false },
+        status: { type: 'enum', values: ['ACTIVE', 'CLOSED'], default: 'ACTIVE' }
+      }
+    }, {});
+
+    expect(binds.CITY).toMatchObject({ type: oracledb.STRING, val: null });
+    expect(binds.STATUS).toEqual({ dir: oracledb.BIND_IN, type: oracledb.STRING, val: 'ACTIVE', maxSize: 6 });
+  });
+
+  it('should coerce values to their declared types', () => {
+    const { binds } = fillTemplate({
+      sql: 'SELECT * FROM T WHERE ID = :id AND NAME LIKE :name AND DOB >= :dob',
+      params: {
+        id: { type: 'number' },
+        name: { type: 'string', like: 'contains' },
+        dob: { type: 'date' }
+      }
+    }, { id: ' 42 ', name: 7, dob: '2024-02-29' });
+
+    expect(binds.ID.val).toBe(42);
+    expect(binds.NAME.val).toBe('%7%');
+    expect(binds.DOB).toMatchObject({ type: oracledb.DATE, val: new Date(2024, 1, 29) });
+  });
+
+  it('should escape wildcards in LIKE parameters and add the ESCAPE clause', () => {
+    const { sql, binds } = fillTemplate({
+      sql: 'SELECT * FROM T WHERE UPPER(NAME) LIKE UPPER(:name) AND (CODE NOT LIKE :code OR CODE = :id) ORDER BY NAME',
+      params: {
+        name: { type: 'string', like: 'startsWith' },
+        code: { type: 'string', like: 'endsWith' },
+        id: { type: 'string' }
+      }
+    }, { name: '100%_a\\b', code: 'x', id: '50%' });
+
+    expect(sql).toBe(
+      "SELECT * FROM T WHERE UPPER(NAME) LIKE UPPER(:name) ESCAPE '\\' AND (CODE NOT LIKE :code ESCAPE '\\' OR CODE = :id) ORDER BY NAME"
+    );
+    expect(binds.NAME.val).toBe('100\\%\\_a\\\\b%');
+    expect(binds.CODE.val).toBe('%x');
+    expect(binds.ID.val).toBe('50%');
+  });
+
+  it('should reject templates that are neither SQL nor a declaration', () => {
+    expect(() => fillTemplate(42)).toThrow(expect.objectContaining({ code: 'INVALID_TEMPLATE', message: expect.stringContaining('"sql" string') }));
+  });
+
+  it('should report every invalid value', () => {
+    expect.assertions(2);
+    try {
+      fillTemplate({
+        sql: 'SELECT * FROM T WHERE ID = :id AND NAME = :name AND DOB = :dob',
+        params: { id: { type: 'number' }, name: { type: 'string', maxLength: 3 }, dob: { type: 'date' } }
+      }, { id: 'abc', name: 'abcd', dob: '2024-13-01', extra: 1 });
+    } catch (error) {
+      expect(error.code).toBe('INVALID_TEMPLATE_PARAMS');
+      expect(error.violations).toEqual([
+        { path: 'params.extra', message: 'is not a parameter of this template' },
+        { path: 'params.id', message: 'must be a number' },
+        { path: 'params.name', message: 'must be at most 3 characters long' },
+        { path: 'params.dob', message: 'must be a date (YYYY-MM-DD) or an ISO 8601 date-time' }
+      ]);
+    }
+  });
+});
+
+describe('normalizeTemplate', () => {
+  it('should reject declarations that do not match the SQL', () => {
+    expect(() => normalizeTemplate({ sql: 'SELECT * FROM T WHERE A = :a', params: { b: { type: 'string' } } }))
+      .toThrow('undeclared bind variables A; declared parameters not in SQL B');
+  });
+
+  it('should reject malformed parameter declarations', () => {
+    expect(() => normalizeTemplate({ sql: 'SELECT :a FROM T', params: { a: { type: 'boolean' } } })).toThrow('type must be one of');
+    expect(() => normalizeTemplate({ sql: 'SELECT :a FROM T', params: { a: { type: 'number', like: 'contains' } } })).toThrow('like must be one of');
+    expect(() => normalizeTemplate({ sql: 'SELECT :a FROM T', params: { a: { type: 'enum' } } })).toThrow('non-empty "values"');
+    expect(() => normalizeTemplate({ query: 'SELECT 1 FROM T' })).toThrow('"sql" string');
+    expect(() => normalizeTemplate({ sql: 'SELECT * FROM T WHERE A = :a', params: { a: { type: 'string', like: 'contains' } } }))
+      .toThrow('can only be used in the pattern of a LIKE condition');
+    expect(() => normalizeTemplate({ sql: "SELECT * FROM T WHERE A LIKE :a ESCAPE '!'", params: { a: { type: 'string', like: 'contains' } } }))
+      .toThrow('remove their ESCAPE clause');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for the declarative tool registry
+ * Tests discovery, definition validation and enable/disable configuration
+ */
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { createToolRegistry, loadToolRegistry, getEnabledTools, getTool, getToolSchema, getToolSummary } from '../../src/toolRegistry.js';
+import { listTools, callTool } from '../../src/mcpHandlers.js';
+
+// Mock oracle module
+jest.mock('../../src/oracle.js', () => ({
+  executeQuery: jest.fn()
+}));
+
+const definition = (name, overrides = {}) => ({
+  schema: { name, description: `${name} tool`, inputSchema: { type: 'object', properties: {} } },
+  handler: async () => ({ success: true }),
+  source: `${name}.js`,
+  ...overrides
+});
+
+describe('Tool Registry', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.MCP_ENABLED_TOOLS;
+    delete process.env.MCP_DISABLED_TOOLS;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('discovery', () => {
+    it('should discover every tool module in src/tools', async () => {
+      const registry = await loadToolRegistry();
+
+      expect(Array.from(registry.keys()).sort()).toEqual([
+        'checkMappingDrift',
+        'getSchema',
+        'getSemanticMappings',
+        'listTables',
+        'nl2sql',
+        'runQuery',
+        'runTemplate',
+        'searchEntities',
+        'searchPatients'
+      ]);
+      expect(registry.get('runQuery').options.requiresDatabase).toBe(true);
+      expect(registry.get('nl2sql').source).toBe('nl2sql.js');
+    });
+
+    it('should generate tools/list from the registry', async () => {
+      const result = await listTools();
+      expect(result.tools.map(tool => tool.name)).toContain('searchPatients');
+      // 9 discovered tools + searchPatientMaster, generated for the bundled mapping
+      expect(result.tools).toHaveLength(10);
+    });
+  });
+
+  describe('createToolRegistry', () => {
+    it('should reject duplicate tool names', () => {
+      expect(() => createToolRegistry([
+        definition('runQuery'),
+        definition('runQuery', { source: 'other.js' })
+      ])).toThrow('Duplicate tool name "runQuery" in other.js (already registered by runQuery.js)');
+    });
+
+    it('should reject malformed definitions', () => {
+      expect(() => createToolRegistry([definition('bad name')])).toThrow('schema.name must be a valid tool name');
+      expect(() => createToolRegistry([definition('noHandler', { handler: null })])).toThrow('handler must be a function');
+      expect(() => createToolRegistry([
+        definition('noInput', { schema: { name: 'noInput' } })
+      ])).toThrow('schema.inputSchema must be an object');
+      expect(() => createToolRegistry([
+        definition('badResolver', { resolveSchema: {} })
+      ])).toThrow('resolveSchema must be a function');
+      expect(() => createToolRegistry([
+        definition('badVariants', { variants: [] })
+      ])).toThrow('variants must be a function');
+    });
+  });
+
+  describe('tool variants', () => {
+    it('should expose generated variants in tools/list and tools/call', async () => {
+      const { tools } = await listTools();
+      const variant = tools.find(tool => tool.name === 'searchPatientMaster');
+      expect(variant.inputSchema.properties.filters.properties.lastName).toEqual({ type: 'string', description: 'Last name (partial match).' });
+
+      const tool = await getTool('searchPatientMaster');
+      expect(tool.parent).toBe('searchEntities');
+      expect(tool.options.requiresDatabase).toBe(true);
+    });
+
+    it('should follow the parent tool unless configured by name', async () => {
+      process.env.MCP_DISABLED_TOOLS = 'searchEntities';
+      expect(await getTool('searchPatientMaster')).toBeNull();
+
+      process.env.MCP_DISABLED_TOOLS = 'searchPatientMaster';
+      expect(await getTool('searchEntities')).not.toBeNull();
+      expect(await getTool('searchPatientMaster')).toBeNull();
+
+      delete process.env.MCP_DISABLED_TOOLS;
+      process.env.MCP_ENABLED_TOOLS = 'searchPatientMaster';
+      expect((await getEnabledTools()).map(tool => tool.name)).toEqual(['searchPatientMaster']);
+      expect((await getToolSummary()).enabled).toEqual(['searchPatientMaster']);
+    });
+  });
+
+  describe('resolved schemas', () => {
+    it('should use the schema returned by resolveSchema', async () => {
+      const resolved = { name: 'dynamic', description: 'dynamic tool', inputSchema: { type: 'object', properties: { a: { type: 'string' } } } };
+      const tool = createToolRegistry([definition('dynamic', { resolveSchema: async () => resolved })]).get('dynamic');
+
+      expect(await getToolSchema(tool)).toBe(resolved);
+    });
+
+    it('should fall back to the static schema if resolveSchema fails', async () => {
+      const tool = createToolRegistry([definition('dynamic', {
+        resolveSchema: async () => { throw new Error('mapping not loaded'); }
+      })]).get('dynamic');
+
+      expect(await getToolSchema(tool)).toBe(tool.schema);
+    });
+
+    it('should list and validate searchPatients with its mapping\'s friendly fields', async () => {
+      const { tools } = await listTools();
+      const searchPatients = tools.find(tool => tool.name === 'searchPatients');
+      expect(searchPatients.inputSchema.properties.dob).toEqual({ type: 'string', format: 'date', description: 'Date of birth (YYYY-MM-DD).' });
+
+      await expect(callTool({ name: 'searchPatients', arguments: { dob: 'yesterday' } }))
+        .rejects.toMatchObject({ message: expect.stringContaining('arguments.dob must be a valid date') });
+    });
+  });
+
+  describe('enable/disable configuration', () => {
+    it('should only expose tools named in MCP_ENABLED_TOOLS', async () => {
+      process.env.MCP_ENABLED_TOOLS = 'runQuery, getSchema';
+
+      const tools = await getEnabledTools();
+      expect(tools.map(tool => tool.name).sort()).toEqual(['getSchema', 'runQuery']);
+      expect(await getTool('nl2sql')).toBeNull();
+    });
+
+    it('should hide tools named in MCP_DISABLED_TOOLS', async () => {
+      process.env.MCP_DISABLED_TOOLS = 'runQuery';
+
+      const summary = await getToolSummary();
+      expect(summary.disabled).toEqual(['runQuery']);
+      expect(summary.enabled).not.toContain('runQuery');
+    });
+
+    it('should treat a disabled tool as unknown in tools/call', async () => {
+      process.env.MCP_DISABLED_TOOLS = 'runQuery';
+
+      const result = await callTool({ name: 'runQuery', arguments: { sql: 'SELECT 1 FROM dual' } });
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Unknown tool: runQuery');
+    });
+  });
+});
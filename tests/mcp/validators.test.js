@@ -63,8 +63,8 @@ describe('validateBindVariableName', () => {
   });
 
   it('should reject illegal characters', () => {
-    expect(() => validateBindVariableName('var-name')).toThrow('illegal characters');
-    expect(() => validateBindVariableName('var.name')).toThrow('illegal characters');
+    expect(() => validateBindVariableName('var-name')).toThrow('Only A-Z, 0-9, and _ are allowed');
+    expect(() => validateBindVariableName('var.name')).toThrow('Only A-Z, 0-9, and _ are allowed');
   });
 });
 